@@ -7,30 +7,45 @@
 const ValidationUtils = {
     /**
      * Validates loss rate according to business rules
-     * @param {number} waste - Waste quantity
-     * @param {number} total - Total handled quantity
+     * Thresholds and the denominator come from BusinessRuleService (system settings)
+     * @param {object} product - { waste, sales, prevStock, delivery, movement, category }
      * @returns {object} Validation result with status and message
      */
-    validateLossRate(waste, total) {
-        if (total === 0) return { isValid: true, level: 'info', message: '' };
+    validateLossRate(product) {
+        const values = {
+            waste: parseFloat(product.waste) || 0,
+            sales: parseFloat(product.sales) || 0,
+            stock: (parseFloat(product.prevStock) || 0) + (parseFloat(product.delivery) || 0) + (parseFloat(product.movement) || 0)
+        };
+        if (values.waste === 0) return { isValid: true, level: 'info', message: '' };
         
-        const wasteRate = (waste / total) * 100;
+        const result = BusinessRuleService.validateWaste(values, product.category);
+        if (!result.valid) {
+            return { isValid: false, level: result.level, message: result.message };
+        }
         
-        if (wasteRate > 15.0) {
-            return {
-                isValid: false,
-                level: 'error',
-                message: `ロス率が異常に高値です (${wasteRate.toFixed(1)}%)`
-            };
-        } else if (wasteRate > 5.0) {
+        return { isValid: true, level: 'success', message: 'ロス率は正常範囲内です' };
+    },
+
+    /**
+     * Validates sold-out time (HH:MM within the configured business hours)
+     * @param {string} time - Time string to validate
+     * @returns {object} Validation result
+     */
+    validateSoldoutTime(time) {
+        const formatResult = this.validateTimeFormat(time);
+        if (!time || !formatResult.isValid) return formatResult;
+        
+        if (!BusinessRuleService.isWithinBusinessHours(time)) {
+            const hours = BusinessRuleService.getBusinessHours();
             return {
                 isValid: false,
                 level: 'warning',
-                message: `ロス率が基準値(5%)を超えています (${wasteRate.toFixed(1)}%)`
+                message: `営業時間（${hours.open}〜${hours.close}）外の完売時間です`
             };
         }
         
-        return { isValid: true, level: 'success', message: 'ロス率は正常範囲内です' };
+        return formatResult;
     },
 
     /**
@@ -17,28 +17,12 @@ class FormValidator {
      * Initialize default validation rules
      */
     initializeDefaultRules() {
-        // Loss rate validation (business rule: 5% threshold)
+        // Loss rate validation (thresholds and denominator from BusinessRuleService)
         this.addRule('lossRate', (value, context) => {
-            const sales = parseFloat(context.sales) || 0;
-            const waste = parseFloat(value) || 0;
-            const total = sales + waste;
-            
-            if (total === 0) return { isValid: true };
-            
-            const lossRate = (waste / total) * 100;
+            const result = window.CommonUtils.ValidationUtils.validateLossRate({ ...context, waste: value });
             
-            if (lossRate > 15) {
-                return {
-                    isValid: false,
-                    level: 'error',
-                    message: `ロス率が異常値です (${lossRate.toFixed(1)}%)`
-                };
-            } else if (lossRate > 5) {
-                return {
-                    isValid: false,
-                    level: 'warning',
-                    message: `ロス率が基準値を超えています (${lossRate.toFixed(1)}%)`
-                };
+            if (!result.isValid) {
+                return result;
             }
             
             return { isValid: true };
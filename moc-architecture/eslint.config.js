@@ -0,0 +1,43 @@
+/**
+ * ESLint 設定（npm run lint）
+ *
+ * src/ と sw.js はブラウザ、server/ と test/ は Node.js で動くため、環境ごとにグローバルを切り替える。
+ */
+
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+    js.configs.recommended,
+    {
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'module'
+        },
+        rules: {
+            'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }]
+        }
+    },
+    {
+        files: ['src/**/*.js'],
+        languageOptions: {
+            globals: {
+                ...globals.browser,
+                Chart: 'readonly'
+            }
+        }
+    },
+    {
+        files: ['sw.js'],
+        languageOptions: {
+            sourceType: 'script',
+            globals: globals.serviceworker
+        }
+    },
+    {
+        files: ['server/**/*.js', 'test/**/*.js', 'eslint.config.js'],
+        languageOptions: {
+            globals: globals.node
+        }
+    }
+];
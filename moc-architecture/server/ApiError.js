@@ -0,0 +1,50 @@
+/**
+ * ApiError - バックエンドAPIのエラー
+ * MOCアーキテクチャのサーバー層
+ *
+ * 企画書.md の共通エラーレスポンス形式 { status: 'error', message, errors? } で返すエラー。
+ */
+
+class ApiError extends Error {
+    /**
+     * @param {number} status - HTTPステータス
+     * @param {string} message - メッセージ
+     * @param {Array|null} errors - 項目別のエラー [{ field, code, message }]
+     */
+    constructor(status, message, errors = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.errors = errors;
+    }
+
+    /**
+     * 400 バリデーションエラー
+     * @param {Array} errors - [{ field, code, message }]
+     * @returns {ApiError} エラー
+     */
+    static validation(errors) {
+        return new ApiError(400, 'Validation failed.', errors);
+    }
+
+    /**
+     * 409 更新の競合（ほかの端末で先に更新された）
+     * @param {Array} errors - [{ field, code, message }]
+     * @returns {ApiError} エラー
+     */
+    static conflict(errors) {
+        return new ApiError(409, 'Conflict.', errors);
+    }
+
+    /**
+     * レスポンスボディ
+     * @returns {Object} { status, message, errors? }
+     */
+    toResponse() {
+        return this.errors ?
+            { status: 'error', message: this.message, errors: this.errors } :
+            { status: 'error', message: this.message };
+    }
+}
+
+export { ApiError };
@@ -0,0 +1,324 @@
+/**
+ * ApiServer - バックエンドAPIのHTTPサーバー
+ * MOCアーキテクチャのサーバー層
+ *
+ * 企画書.md §3 のAPI仕様（/api/daily-reports, /api/orders, /api/products, /api/master/*）と得意先マスタAPIを提供する。
+ * - 認証は Bearer トークン（POST /api/auth/login で発行）。未認証は 401
+ * - 権限はブラウザと同じ PermissionService のロール定義で判定し、権限がなければ 403
+ * - 在庫計算・発注バリデーションはブラウザと同じ InventoryService / OrderService を使う
+ *   （在庫台帳モードはブラウザの設定ではなくサーバーの settings の値で明示的に指定する）
+ * - /api 以外の GET は moc-architecture の静的ファイルを返す（画面とAPIを同じオリジンで配信できる）
+ */
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { extname, join, normalize, sep } from 'node:path';
+import { AuthService } from '../src/services/AuthService.js';
+import { PermissionService } from '../src/services/PermissionService.js';
+import { AuthApi } from './api/AuthApi.js';
+import { ConfectionNoteApi } from './api/ConfectionNoteApi.js';
+import { CustomerApi } from './api/CustomerApi.js';
+import { DailyReportApi } from './api/DailyReportApi.js';
+import { OrderApi } from './api/OrderApi.js';
+import { ProductApi } from './api/ProductApi.js';
+import { SettingsApi } from './api/SettingsApi.js';
+import { ApiError } from './ApiError.js';
+
+class ApiServer {
+    /**
+     * @param {Object} options - { database, staticRoot, corsOrigin, maxBodyBytes }
+     */
+    constructor(options = {}) {
+        this.database = options.database;
+        this.staticRoot = options.staticRoot || null;
+        this.corsOrigin = options.corsOrigin || '*';
+        this.maxBodyBytes = options.maxBodyBytes || 1024 * 1024;
+
+        this.routes = [
+            ...AuthApi.getRoutes(),
+            ...DailyReportApi.getRoutes(),
+            ...OrderApi.getRoutes(),
+            ...ConfectionNoteApi.getRoutes(),
+            ...ProductApi.getRoutes(),
+            ...CustomerApi.getRoutes(),
+            ...SettingsApi.getRoutes()
+        ].map(route => ({ ...route, matcher: ApiServer.compilePath(route.path) }));
+
+        this.sessions = new Map();
+        this.server = createServer((req, res) => this.handle(req, res));
+    }
+
+    /**
+     * 静的ファイルの Content-Type
+     * @returns {Object} 拡張子 → Content-Type
+     */
+    static getContentTypes() {
+        return {
+            '.html': 'text/html; charset=utf-8',
+            '.js': 'text/javascript; charset=utf-8',
+            '.css': 'text/css; charset=utf-8',
+            '.json': 'application/json; charset=utf-8',
+            '.md': 'text/markdown; charset=utf-8',
+            '.png': 'image/png',
+            '.jpg': 'image/jpeg',
+            '.svg': 'image/svg+xml'
+        };
+    }
+
+    /**
+     * パス定義（例: '/api/master/products/:id'）を正規表現に変換
+     * @param {string} path - パス定義
+     * @returns {Object} { regex, keys }
+     */
+    static compilePath(path) {
+        const keys = [];
+        const pattern = path.replace(/:([A-Za-z]+)/g, (_, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+        return { regex: new RegExp(`^${pattern}/?$`), keys };
+    }
+
+    /**
+     * URLのパスをデコード
+     * @param {string} value - パス（またはパスの一部）
+     * @returns {string} デコード後の文字列
+     * @throws {ApiError} 400 不正な % エンコード
+     */
+    static decodePath(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (error) {
+            throw new ApiError(400, 'Invalid URL encoding.');
+        }
+    }
+
+    /**
+     * 待ち受けを開始
+     * @param {number} port - ポート番号
+     * @param {string} host - ホスト
+     * @returns {Promise<void>}
+     */
+    listen(port, host = '0.0.0.0') {
+        return new Promise(resolve => this.server.listen(port, host, resolve));
+    }
+
+    /**
+     * 待ち受けを終了
+     * @returns {Promise<void>}
+     */
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    // ========== リクエスト処理 ==========
+
+    /**
+     * リクエストを処理
+     * @param {IncomingMessage} req - リクエスト
+     * @param {ServerResponse} res - レスポンス
+     * @returns {Promise<void>}
+     */
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        try {
+            if (req.method === 'OPTIONS') {
+                this.send(res, 204, null);
+                return;
+            }
+
+            if (!url.pathname.startsWith('/api/')) {
+                await this.serveStatic(req, res, url.pathname);
+                return;
+            }
+
+            const { route, params } = this.matchRoute(req.method, url.pathname);
+            const user = route.public ? null : this.authenticate(req);
+
+            if (!route.public && !PermissionService.can(route.capability, user)) {
+                console.warn(`権限のないAPI呼び出しを拒否しました: ${user.username}（${user.role}） ${req.method} ${url.pathname}`);
+                this.send(res, 403, { status: 'error', message: 'Permission denied.' });
+                return;
+            }
+
+            const body = ['POST', 'PUT'].includes(req.method) ? await this.readBody(req) : {};
+            const result = await route.handler({
+                db: this.database,
+                server: this,
+                user,
+                params,
+                query: Object.fromEntries(url.searchParams),
+                body,
+                token: ApiServer.getToken(req.headers)
+            });
+
+            this.send(res, result.status || 200, result.body);
+
+        } catch (error) {
+            if (error instanceof ApiError) {
+                this.send(res, error.status, error.toResponse());
+            } else if (PermissionService.isPermissionError(error)) {
+                this.send(res, 403, error.toResponse());
+            } else {
+                console.error(`API error: ${req.method} ${url.pathname}`, error);
+                this.send(res, 500, { status: 'error', message: 'Internal server error.' });
+            }
+        }
+    }
+
+    /**
+     * メソッドとパスに一致するルートを探す
+     * @param {string} method - HTTPメソッド
+     * @param {string} pathname - パス
+     * @returns {Object} { route, params }
+     * @throws {ApiError} 400（不正な % エンコード）/ 404 / 405
+     */
+    matchRoute(method, pathname) {
+        let pathMatched = false;
+
+        for (const route of this.routes) {
+            const match = route.matcher.regex.exec(pathname);
+            if (!match) continue;
+
+            pathMatched = true;
+            if (route.method !== method) continue;
+
+            const params = Object.fromEntries(route.matcher.keys.map((key, index) => [key, ApiServer.decodePath(match[index + 1])]));
+            return { route, params };
+        }
+
+        throw pathMatched ? new ApiError(405, 'Method not allowed.') : new ApiError(404, 'Not found.');
+    }
+
+    /**
+     * リクエストボディ（JSON）を読み込む
+     * @param {IncomingMessage} req - リクエスト
+     * @returns {Promise<Object>} ボディ
+     * @throws {ApiError} 400（JSONでない）/ 413（大きすぎる）
+     */
+    async readBody(req) {
+        const chunks = [];
+        let size = 0;
+
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > this.maxBodyBytes) {
+                throw new ApiError(413, 'Payload too large.');
+            }
+            chunks.push(chunk);
+        }
+
+        const text = Buffer.concat(chunks).toString('utf-8').replace(/^\uFEFF/, '');
+        if (!text.trim()) return {};
+
+        try {
+            const body = JSON.parse(text);
+            if (!body || typeof body !== 'object' || Array.isArray(body)) throw new Error('not an object');
+            return body;
+        } catch (error) {
+            throw new ApiError(400, 'Invalid JSON.');
+        }
+    }
+
+    /**
+     * JSONレスポンスを返す
+     * @param {ServerResponse} res - レスポンス
+     * @param {number} status - HTTPステータス
+     * @param {Object|null} body - ボディ
+     */
+    send(res, status, body) {
+        res.writeHead(status, {
+            'Access-Control-Allow-Origin': this.corsOrigin,
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+            ...(body === null ? {} : { 'Content-Type': 'application/json; charset=utf-8' })
+        });
+        res.end(body === null ? undefined : JSON.stringify(body));
+    }
+
+    /**
+     * 静的ファイルを返す
+     * @param {IncomingMessage} req - リクエスト
+     * @param {ServerResponse} res - レスポンス
+     * @param {string} pathname - パス
+     * @returns {Promise<void>}
+     */
+    async serveStatic(req, res, pathname) {
+        if (!this.staticRoot || !['GET', 'HEAD'].includes(req.method)) {
+            throw new ApiError(404, 'Not found.');
+        }
+
+        const relative = normalize(ApiServer.decodePath(pathname === '/' ? '/index-moc.html' : pathname));
+        const file = join(this.staticRoot, relative);
+
+        // 公開ディレクトリ外・サーバーのソース（DBファイルを含む）は返さない
+        if (!file.startsWith(this.staticRoot + sep) || file.startsWith(join(this.staticRoot, 'server') + sep)) {
+            throw new ApiError(404, 'Not found.');
+        }
+
+        let content;
+        try {
+            content = await readFile(file);
+        } catch (error) {
+            throw new ApiError(404, 'Not found.');
+        }
+
+        res.writeHead(200, { 'Content-Type': ApiServer.getContentTypes()[extname(file)] || 'application/octet-stream' });
+        res.end(req.method === 'HEAD' ? undefined : content);
+    }
+
+    // ========== 認証 ==========
+
+    /**
+     * セッションを作成しトークンを発行
+     * @param {Object} user - { username, name, role }
+     * @returns {string} トークン
+     */
+    createSession(user) {
+        const token = globalThis.crypto.randomUUID();
+        this.sessions.set(token, { user, lastActivity: Date.now() });
+        return token;
+    }
+
+    /**
+     * セッションを破棄
+     * @param {string} token - トークン
+     */
+    deleteSession(token) {
+        this.sessions.delete(token);
+    }
+
+    /**
+     * Authorization ヘッダーのトークンからユーザーを特定
+     * 最終操作から一定時間（ブラウザと同じセッションタイムアウト）を過ぎたトークンは無効
+     * @param {IncomingMessage} req - リクエスト
+     * @returns {Object} ユーザー
+     * @throws {ApiError} 401
+     */
+    authenticate(req) {
+        const token = ApiServer.getToken(req.headers);
+        const session = token ? this.sessions.get(token) : null;
+        const timeout = AuthService.getSessionTimeoutMinutes() * 60 * 1000;
+
+        if (!session || Date.now() - session.lastActivity > timeout) {
+            if (session) this.sessions.delete(token);
+            throw new ApiError(401, 'Authentication required.');
+        }
+
+        session.lastActivity = Date.now();
+        return session.user;
+    }
+
+    /**
+     * Authorization: Bearer <token> からトークンを取り出す
+     * @param {Object} headers - リクエストヘッダー
+     * @returns {string|null} トークン
+     */
+    static getToken(headers = {}) {
+        const match = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+        return match ? match[1].trim() : null;
+    }
+}
+
+export { ApiServer };
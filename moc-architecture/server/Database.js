@@ -0,0 +1,623 @@
+/**
+ * Database - バックエンドAPIのSQLiteストレージ
+ * MOCアーキテクチャのサーバー層
+ *
+ * 企画書.md §3 のデータ設計（daily_reports / products / orders）、仕様書.md §6 の customers、
+ * サーバーで適用する業務ルールの settings と、API利用者の認証に使う users をSQLiteで保持する。Node.js 組み込みの node:sqlite を使用する。
+ */
+
+import { randomBytes } from 'node:crypto';
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { DatabaseSync } from 'node:sqlite';
+import { AuthService } from '../src/services/AuthService.js';
+
+class Database {
+    /**
+     * @param {Object} options - { path: DBファイル（':memory:' でメモリ上に作成） }
+     */
+    constructor(options = {}) {
+        this.path = options.path || ':memory:';
+        this.initialPasswords = []; // このDBで発行した初期パスワード [{ username, password }]（起動時に管理者へ渡す）
+
+        if (this.path !== ':memory:') {
+            mkdirSync(dirname(this.path), { recursive: true });
+        }
+
+        this.db = new DatabaseSync(this.path);
+        this.db.exec('PRAGMA foreign_keys = ON');
+    }
+
+    /**
+     * 初期商品（マスタメンテナンスの商品マスタと同じ内容）
+     * @returns {Array} 商品配列
+     */
+    static getInitialProducts() {
+        return [
+            { code: '2408', name: 'デンマークCC', category_id: 'denmark', price: 1200, cost: 800, min_order_quantity: 5, order_unit: 1, case_size: 1, order_unit_type: 'piece', status: 'active' },
+            { code: '1001', name: 'レアチーズC', category_id: 'denmark', price: 1000, cost: 650, min_order_quantity: 3, order_unit: 1, case_size: 1, order_unit_type: 'piece', status: 'active' },
+            { code: '3201', name: 'カスタードプリン', category_id: 'confection', price: 480, cost: 320, min_order_quantity: 10, order_unit: 2, case_size: 6, order_unit_type: 'case', status: 'active' }
+        ];
+    }
+
+    /**
+     * テーブルを作成し、空なら初期データを登録
+     * @returns {Promise<Database>} this
+     */
+    async init() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS products (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                code TEXT NOT NULL UNIQUE,
+                name TEXT NOT NULL,
+                category_id TEXT NOT NULL DEFAULT '',
+                price INTEGER NOT NULL DEFAULT 0,
+                cost INTEGER NOT NULL DEFAULT 0,
+                min_order_quantity INTEGER NOT NULL DEFAULT 0,
+                order_unit INTEGER NOT NULL DEFAULT 1,
+                case_size INTEGER NOT NULL DEFAULT 1,
+                order_unit_type TEXT NOT NULL DEFAULT 'piece',
+                status TEXT NOT NULL DEFAULT 'active',
+                updated_at TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS daily_reports (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                report_date TEXT NOT NULL,
+                product_id INTEGER NOT NULL REFERENCES products(id),
+                prev_inventory INTEGER NOT NULL DEFAULT 0,
+                delivery_quantity INTEGER NOT NULL DEFAULT 0,
+                movement_quantity INTEGER NOT NULL DEFAULT 0,
+                sales_quantity INTEGER NOT NULL DEFAULT 0,
+                loss_quantity INTEGER NOT NULL DEFAULT 0,
+                ending_inventory INTEGER NOT NULL DEFAULT 0,
+                updated_by TEXT NOT NULL DEFAULT '',
+                updated_at TEXT NOT NULL,
+                UNIQUE (report_date, product_id)
+            );
+
+            CREATE TABLE IF NOT EXISTS customers (
+                customer_code TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                segment TEXT NOT NULL DEFAULT '',
+                updated_at TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS orders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                order_date TEXT NOT NULL,
+                product_id INTEGER NOT NULL REFERENCES products(id),
+                quantity INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'ordered',
+                updated_by TEXT NOT NULL DEFAULT '',
+                updated_at TEXT NOT NULL,
+                UNIQUE (order_date, product_id)
+            );
+
+            CREATE TABLE IF NOT EXISTS confection_notes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                note_date TEXT NOT NULL,
+                product_id INTEGER NOT NULL REFERENCES products(id),
+                plan_quantity INTEGER NOT NULL DEFAULT 0,
+                order_quantity INTEGER NOT NULL DEFAULT 0,
+                movement_quantity INTEGER NOT NULL DEFAULT 0,
+                tasting_quantity INTEGER NOT NULL DEFAULT 0,
+                order_remain INTEGER NOT NULL DEFAULT 0,
+                end_stock INTEGER NOT NULL DEFAULT 0,
+                reservation_quantity INTEGER NOT NULL DEFAULT 0,
+                special_quantity INTEGER NOT NULL DEFAULT 0,
+                forecast_quantity INTEGER NOT NULL DEFAULT 0,
+                soldout_time TEXT NOT NULL DEFAULT '',
+                updated_by TEXT NOT NULL DEFAULT '',
+                updated_at TEXT NOT NULL,
+                UNIQUE (note_date, product_id)
+            );
+
+            CREATE TABLE IF NOT EXISTS versions (
+                resource TEXT PRIMARY KEY,
+                version INTEGER NOT NULL,
+                updated_by TEXT NOT NULL DEFAULT '',
+                updated_at TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS settings (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS users (
+                username TEXT PRIMARY KEY,
+                display_name TEXT NOT NULL,
+                role TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'active',
+                credential TEXT NOT NULL,
+                must_change_password INTEGER NOT NULL DEFAULT 1,
+                failed_attempts INTEGER NOT NULL DEFAULT 0,
+                locked_at TEXT
+            );
+        `);
+
+        await this.seed();
+        return this;
+    }
+
+    /**
+     * 初期パスワードを生成（インストールごと・ユーザーごとに異なる）
+     * @returns {string} パスワード
+     */
+    static generateInitialPassword() {
+        return randomBytes(12).toString('base64url');
+    }
+
+    /**
+     * 初期データを登録（商品マスタ・ユーザーが空の場合のみ）
+     * ユーザーはブラウザ側（AuthService）と同じ初期ユーザー。初期パスワードは公開されている
+     * AuthService.getInitialPassword() を使わず、ユーザーごとに生成して initialPasswords に残す
+     * @returns {Promise<void>}
+     */
+    async seed() {
+        if (this.get('SELECT COUNT(*) AS count FROM products').count === 0) {
+            Database.getInitialProducts().forEach(product => this.insertProduct(product));
+        }
+
+        if (this.get('SELECT COUNT(*) AS count FROM users').count === 0) {
+            for (const user of AuthService.getInitialUsers()) {
+                const password = Database.generateInitialPassword();
+                const credential = await AuthService.deriveCredential(password);
+                this.run(
+                    'INSERT INTO users (username, display_name, role, status, credential) VALUES (?, ?, ?, ?, ?)',
+                    user.username, user.displayName || user.username, user.role, user.status || 'active', JSON.stringify(credential)
+                );
+                this.initialPasswords.push({ username: user.username, password });
+            }
+        }
+
+        await this.rotateSharedInitialPasswords();
+    }
+
+    /**
+     * 共通の初期パスワードのまま変更されていないユーザー（以前のバージョンで作成したDB）の初期パスワードを生成し直す
+     * @returns {Promise<void>}
+     */
+    async rotateSharedInitialPasswords() {
+        const users = this.all('SELECT username, credential FROM users WHERE must_change_password = 1');
+
+        for (const user of users) {
+            if (!(await AuthService.verifyPassword(AuthService.getInitialPassword(), JSON.parse(user.credential)))) continue;
+
+            const password = Database.generateInitialPassword();
+            this.run('UPDATE users SET credential = ? WHERE username = ?', JSON.stringify(await AuthService.deriveCredential(password)), user.username);
+            this.initialPasswords.push({ username: user.username, password });
+        }
+    }
+
+    // ========== 商品マスタ ==========
+
+    /**
+     * 商品一覧
+     * @returns {Array} 商品配列
+     */
+    getProducts() {
+        return this.all('SELECT * FROM products ORDER BY id');
+    }
+
+    /**
+     * 商品を取得
+     * @param {number} id - 商品ID
+     * @returns {Object|null} 商品
+     */
+    getProduct(id) {
+        return this.get('SELECT * FROM products WHERE id = ?', id) || null;
+    }
+
+    /**
+     * 商品を登録
+     * @param {Object} product - 商品
+     * @returns {Object} 登録した商品
+     */
+    insertProduct(product) {
+        const result = this.run(`
+            INSERT INTO products (code, name, category_id, price, cost, min_order_quantity, order_unit, case_size, order_unit_type, status, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, ...Database.productValues(product), new Date().toISOString());
+
+        return this.getProduct(Number(result.lastInsertRowid));
+    }
+
+    /**
+     * 商品を更新
+     * @param {number} id - 商品ID
+     * @param {Object} product - 更新後の商品
+     * @returns {Object|null} 更新した商品（存在しなければ null）
+     */
+    updateProduct(id, product) {
+        const result = this.run(`
+            UPDATE products SET code = ?, name = ?, category_id = ?, price = ?, cost = ?, min_order_quantity = ?,
+                order_unit = ?, case_size = ?, order_unit_type = ?, status = ?, updated_at = ?
+            WHERE id = ?
+        `, ...Database.productValues(product), new Date().toISOString(), id);
+
+        return result.changes > 0 ? this.getProduct(id) : null;
+    }
+
+    /**
+     * 商品を削除（実績・発注・洋生ノートで使われている商品は廃止にする）
+     * @param {number} id - 商品ID
+     * @returns {string|null} 'deleted' | 'discontinued'（存在しなければ null）
+     */
+    deleteProduct(id) {
+        if (!this.getProduct(id)) return null;
+
+        const used = this.get(`
+            SELECT (SELECT COUNT(*) FROM daily_reports WHERE product_id = ?)
+                + (SELECT COUNT(*) FROM orders WHERE product_id = ?)
+                + (SELECT COUNT(*) FROM confection_notes WHERE product_id = ?) AS count
+        `, id, id, id).count > 0;
+
+        if (used) {
+            this.run('UPDATE products SET status = ?, updated_at = ? WHERE id = ?', 'discontinued', new Date().toISOString(), id);
+            return 'discontinued';
+        }
+
+        this.run('DELETE FROM products WHERE id = ?', id);
+        return 'deleted';
+    }
+
+    /**
+     * 商品の列の値（INSERT / UPDATE 共通の並び）
+     * @param {Object} product - 商品
+     * @returns {Array} 値
+     */
+    static productValues(product) {
+        return [
+            product.code,
+            product.name,
+            product.category_id || '',
+            product.price || 0,
+            product.cost || 0,
+            product.min_order_quantity || 0,
+            product.order_unit || 1,
+            product.case_size || 1,
+            product.order_unit_type || 'piece',
+            product.status || 'active'
+        ];
+    }
+
+    // ========== 得意先マスタ ==========
+
+    /**
+     * 得意先一覧
+     * @returns {Array} 得意先配列
+     */
+    getCustomers() {
+        return this.all('SELECT * FROM customers ORDER BY customer_code');
+    }
+
+    /**
+     * 得意先を保存（同じ得意先コードは上書き）
+     * @param {Object} customer - { customer_code, name, segment }
+     */
+    saveCustomer(customer) {
+        this.run(`
+            INSERT INTO customers (customer_code, name, segment, updated_at)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT (customer_code) DO UPDATE SET
+                name = excluded.name,
+                segment = excluded.segment,
+                updated_at = excluded.updated_at
+        `, customer.customer_code, customer.name, customer.segment || '', new Date().toISOString());
+    }
+
+    /**
+     * 得意先を削除
+     * @param {string} code - 得意先コード
+     */
+    deleteCustomer(code) {
+        this.run('DELETE FROM customers WHERE customer_code = ?', code);
+    }
+
+    // ========== 実績 ==========
+
+    /**
+     * 指定日の実績
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Array} 実績配列
+     */
+    getDailyReports(date) {
+        return this.all('SELECT * FROM daily_reports WHERE report_date = ? ORDER BY product_id', date);
+    }
+
+    /**
+     * 期間の日次実績
+     * @param {string} from - 開始日 YYYY-MM-DD
+     * @param {string} to - 終了日 YYYY-MM-DD
+     * @returns {Array} 実績（日付・商品ID順）
+     */
+    getDailyReportsInRange(from, to) {
+        return this.all('SELECT * FROM daily_reports WHERE report_date BETWEEN ? AND ? ORDER BY report_date, product_id', from, to);
+    }
+
+    /**
+     * 指定日より前の直近の実績（前営業日の実績）
+     * @param {number} productId - 商品ID
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Object|null} 実績
+     */
+    getPreviousReport(productId, date) {
+        return this.get(
+            'SELECT * FROM daily_reports WHERE product_id = ? AND report_date < ? ORDER BY report_date DESC LIMIT 1',
+            productId, date
+        ) || null;
+    }
+
+    /**
+     * 指定日より後の実績（日付順）
+     * @param {number} productId - 商品ID
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Array} 実績配列
+     */
+    getLaterReports(productId, date) {
+        return this.all(
+            'SELECT * FROM daily_reports WHERE product_id = ? AND report_date > ? ORDER BY report_date',
+            productId, date
+        );
+    }
+
+    /**
+     * 実績を保存（同じ日付・商品は上書き）
+     * @param {Object} report - 実績
+     */
+    saveDailyReport(report) {
+        this.run(`
+            INSERT INTO daily_reports (report_date, product_id, prev_inventory, delivery_quantity, movement_quantity,
+                sales_quantity, loss_quantity, ending_inventory, updated_by, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (report_date, product_id) DO UPDATE SET
+                prev_inventory = excluded.prev_inventory,
+                delivery_quantity = excluded.delivery_quantity,
+                movement_quantity = excluded.movement_quantity,
+                sales_quantity = excluded.sales_quantity,
+                loss_quantity = excluded.loss_quantity,
+                ending_inventory = excluded.ending_inventory,
+                updated_by = excluded.updated_by,
+                updated_at = excluded.updated_at
+        `,
+        report.report_date, report.product_id, report.prev_inventory, report.delivery_quantity, report.movement_quantity,
+        report.sales_quantity, report.loss_quantity, report.ending_inventory, report.updated_by || '', new Date().toISOString());
+    }
+
+    /**
+     * 実績を削除
+     * @param {number} productId - 商品ID
+     * @param {string} date - YYYY-MM-DD
+     */
+    deleteDailyReport(productId, date) {
+        this.run('DELETE FROM daily_reports WHERE product_id = ? AND report_date = ?', productId, date);
+    }
+
+    // ========== 発注 ==========
+
+    /**
+     * 指定日の発注
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Array} 発注配列
+     */
+    getOrders(date) {
+        return this.all('SELECT * FROM orders WHERE order_date = ? ORDER BY product_id', date);
+    }
+
+    /**
+     * 発注を保存（同じ日付・商品は上書き）
+     * @param {Object} order - 発注
+     */
+    saveOrder(order) {
+        this.run(`
+            INSERT INTO orders (order_date, product_id, quantity, status, updated_by, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT (order_date, product_id) DO UPDATE SET
+                quantity = excluded.quantity,
+                status = excluded.status,
+                updated_by = excluded.updated_by,
+                updated_at = excluded.updated_at
+        `, order.order_date, order.product_id, order.quantity, order.status || 'ordered', order.updated_by || '', new Date().toISOString());
+    }
+
+    // ========== 洋生ノート ==========
+
+    /**
+     * 指定日の洋生ノート
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Array} 洋生ノート行配列
+     */
+    getConfectionNotes(date) {
+        return this.all('SELECT * FROM confection_notes WHERE note_date = ? ORDER BY product_id', date);
+    }
+
+    /**
+     * 洋生ノートの行を保存（同じ日付・商品は上書き）
+     * @param {Object} note - 洋生ノート行
+     */
+    saveConfectionNote(note) {
+        const quantities = [
+            'plan_quantity', 'order_quantity', 'movement_quantity', 'tasting_quantity', 'order_remain', 'end_stock',
+            'reservation_quantity', 'special_quantity', 'forecast_quantity'
+        ].map(key => note[key] || 0);
+
+        this.run(`
+            INSERT INTO confection_notes (note_date, product_id, plan_quantity, order_quantity, movement_quantity, tasting_quantity,
+                order_remain, end_stock, reservation_quantity, special_quantity, forecast_quantity, soldout_time, updated_by, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (note_date, product_id) DO UPDATE SET
+                plan_quantity = excluded.plan_quantity,
+                order_quantity = excluded.order_quantity,
+                movement_quantity = excluded.movement_quantity,
+                tasting_quantity = excluded.tasting_quantity,
+                order_remain = excluded.order_remain,
+                end_stock = excluded.end_stock,
+                reservation_quantity = excluded.reservation_quantity,
+                special_quantity = excluded.special_quantity,
+                forecast_quantity = excluded.forecast_quantity,
+                soldout_time = excluded.soldout_time,
+                updated_by = excluded.updated_by,
+                updated_at = excluded.updated_at
+        `, note.note_date, note.product_id, ...quantities, note.soldout_time || '', note.updated_by || '', new Date().toISOString());
+    }
+
+    // ========== 更新バージョン ==========
+
+    /**
+     * 更新バージョン（未更新なら0）
+     * @param {string} resource - 対象（例: 'orders:2026-10-19'）
+     * @returns {number} バージョン
+     */
+    getVersion(resource) {
+        const row = this.get('SELECT version FROM versions WHERE resource = ?', resource);
+        return row ? row.version : 0;
+    }
+
+    /**
+     * 更新バージョンを1つ進める
+     * @param {string} resource - 対象
+     * @param {string} updatedBy - 更新者
+     * @returns {number} 更新後のバージョン
+     */
+    incrementVersion(resource, updatedBy = '') {
+        this.run(`
+            INSERT INTO versions (resource, version, updated_by, updated_at) VALUES (?, 1, ?, ?)
+            ON CONFLICT (resource) DO UPDATE SET
+                version = versions.version + 1,
+                updated_by = excluded.updated_by,
+                updated_at = excluded.updated_at
+        `, resource, updatedBy, new Date().toISOString());
+        return this.getVersion(resource);
+    }
+
+    // ========== ユーザー ==========
+
+    /**
+     * ユーザーを取得（資格情報を含む）
+     * @param {string} username - ユーザーID
+     * @returns {Object|null} ユーザー
+     */
+    getUser(username) {
+        const user = this.get('SELECT * FROM users WHERE username = ?', username);
+        return user ? { ...user, credential: JSON.parse(user.credential) } : null;
+    }
+
+    /**
+     * ログイン失敗回数・ロック状態を更新
+     * @param {string} username - ユーザーID
+     * @param {number} failedAttempts - 連続失敗回数
+     * @param {string|null} lockedAt - ロック日時
+     */
+    updateLoginState(username, failedAttempts, lockedAt = null) {
+        this.run('UPDATE users SET failed_attempts = ?, locked_at = ? WHERE username = ?', failedAttempts, lockedAt, username);
+    }
+
+    /**
+     * パスワードを変更（初期パスワードの変更要求を解除する）
+     * @param {string} username - ユーザーID
+     * @param {Object} credential - 新しい資格情報
+     */
+    updatePassword(username, credential) {
+        this.run(
+            'UPDATE users SET credential = ?, must_change_password = 0, failed_attempts = 0 WHERE username = ?',
+            JSON.stringify(credential), username
+        );
+    }
+
+    // ========== システム設定 ==========
+
+    /**
+     * サーバーで適用する業務ルールの既定値
+     * @returns {Object} { strict_ledger: 在庫台帳モード（マイナス在庫を0に補正しない） }
+     */
+    static getDefaultSettings() {
+        return { strict_ledger: false };
+    }
+
+    /**
+     * システム設定（未登録の項目は既定値）
+     * @returns {Object} 設定
+     */
+    getSettings() {
+        const stored = Object.fromEntries(this.all('SELECT key, value FROM settings').map(row => [row.key, JSON.parse(row.value)]));
+        return { ...Database.getDefaultSettings(), ...stored };
+    }
+
+    /**
+     * システム設定を保存（指定した項目のみ）
+     * @param {Object} settings - 設定
+     * @returns {Object} 保存後の設定
+     */
+    saveSettings(settings) {
+        const updatedAt = new Date().toISOString();
+        Object.entries(settings).forEach(([key, value]) => {
+            this.run(`
+                INSERT INTO settings (key, value, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT (key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+            `, key, JSON.stringify(value), updatedAt);
+        });
+        return this.getSettings();
+    }
+
+    // ========== 内部処理 ==========
+
+    /**
+     * 複数の更新をまとめて実行（途中で失敗したらすべて取り消す）
+     * @param {Function} callback - () => any
+     * @returns {any} callback の戻り値
+     */
+    transaction(callback) {
+        this.db.exec('BEGIN');
+        try {
+            const result = callback();
+            this.db.exec('COMMIT');
+            return result;
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    /**
+     * SELECT（全行）
+     * @param {string} sql - SQL
+     * @param {...any} params - パラメータ
+     * @returns {Array} 行配列
+     */
+    all(sql, ...params) {
+        return this.db.prepare(sql).all(...params).map(row => ({ ...row }));
+    }
+
+    /**
+     * SELECT（1行）
+     * @param {string} sql - SQL
+     * @param {...any} params - パラメータ
+     * @returns {Object|undefined} 行
+     */
+    get(sql, ...params) {
+        const row = this.db.prepare(sql).get(...params);
+        return row ? { ...row } : undefined;
+    }
+
+    /**
+     * INSERT / UPDATE / DELETE
+     * @param {string} sql - SQL
+     * @param {...any} params - パラメータ
+     * @returns {Object} { changes, lastInsertRowid }
+     */
+    run(sql, ...params) {
+        return this.db.prepare(sql).run(...params);
+    }
+
+    /**
+     * データベースを閉じる
+     */
+    close() {
+        this.db.close();
+    }
+}
+
+export { Database };
@@ -0,0 +1,138 @@
+/**
+ * AuthApi - 認証API（/api/auth/*）
+ * MOCアーキテクチャのサーバー層
+ *
+ * ブラウザのログイン画面（LGN-001）と同じパスワードポリシー・ロック条件で認証し、
+ * 以降のAPI呼び出しに使う Bearer トークンを発行する。
+ */
+
+import { AuthService } from '../../src/services/AuthService.js';
+import { ApiError } from '../ApiError.js';
+
+class AuthApi {
+    /**
+     * ルート定義
+     * @returns {Array} [{ method, path, public, capability, handler }]
+     */
+    static getRoutes() {
+        return [
+            { method: 'POST', path: '/api/auth/login', public: true, handler: ctx => AuthApi.login(ctx) },
+            { method: 'POST', path: '/api/auth/password', public: true, handler: ctx => AuthApi.changePassword(ctx) },
+            { method: 'POST', path: '/api/auth/logout', capability: null, handler: ctx => AuthApi.logout(ctx) },
+            { method: 'GET', path: '/api/auth/me', capability: null, handler: ctx => AuthApi.me(ctx) }
+        ];
+    }
+
+    /**
+     * POST /api/auth/login
+     * body: { username, password } → 200 { status, token, user }
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Promise<Object>} { status, body }
+     */
+    static async login(ctx) {
+        const user = await AuthApi.verify(ctx.db, ctx.body.username, ctx.body.password);
+
+        if (user.must_change_password) {
+            throw new ApiError(403, 'Password change required.');
+        }
+
+        const sessionUser = AuthApi.toSessionUser(user);
+        return {
+            status: 200,
+            body: { status: 'success', token: ctx.server.createSession(sessionUser), user: sessionUser }
+        };
+    }
+
+    /**
+     * POST /api/auth/password（初回ログイン時の初期パスワード変更）
+     * 未ログインで呼び出せるため、現在のパスワードにはインストール時に生成した初期パスワード
+     * （server/data/initial-passwords.txt）が必要で、共通の初期パスワードでは変更できない
+     * body: { username, current_password, new_password } → 200 { status }
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Promise<Object>} { status, body }
+     */
+    static async changePassword(ctx) {
+        const { username, current_password: currentPassword, new_password: newPassword } = ctx.body;
+        await AuthApi.verify(ctx.db, username, currentPassword);
+
+        const validation = AuthService.validatePassword(newPassword, { username });
+        if (currentPassword === newPassword) {
+            validation.errors.push('現在と同じパスワードは使用できません');
+        }
+        if (validation.errors.length > 0) {
+            throw ApiError.validation(validation.errors.map(message => ({ field: 'new_password', code: 'PASSWORD_POLICY', message })));
+        }
+
+        ctx.db.updatePassword(username, await AuthService.deriveCredential(newPassword));
+        return { status: 200, body: { status: 'success' } };
+    }
+
+    /**
+     * POST /api/auth/logout
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status, body }
+     */
+    static logout(ctx) {
+        ctx.server.deleteSession(ctx.token);
+        return { status: 200, body: { status: 'success' } };
+    }
+
+    /**
+     * GET /api/auth/me
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status, body }
+     */
+    static me(ctx) {
+        return { status: 200, body: { status: 'success', user: ctx.user } };
+    }
+
+    /**
+     * ユーザーIDとパスワードを確認（失敗回数が上限に達したらロック）
+     * 存在しないユーザーとパスワード誤りは同じ応答にする
+     * @param {Database} db - データベース
+     * @param {string} username - ユーザーID
+     * @param {string} password - パスワード
+     * @returns {Promise<Object>} ユーザー
+     * @throws {ApiError} 401（認証失敗）/ 423（ロック中）
+     */
+    static async verify(db, username, password) {
+        const policy = AuthService.getPolicy();
+        const user = typeof username === 'string' ? db.getUser(username) : null;
+
+        if (!user || user.status !== 'active') {
+            throw new ApiError(401, 'Invalid username or password.');
+        }
+        if (user.locked_at) {
+            throw new ApiError(423, 'Account locked.');
+        }
+
+        const valid = typeof password === 'string' && password.length >= policy.minPasswordLength &&
+            await AuthService.verifyPassword(password, user.credential);
+
+        if (!valid) {
+            const failedAttempts = user.failed_attempts + 1;
+            const locked = failedAttempts >= policy.maxFailedAttempts;
+            db.updateLoginState(user.username, failedAttempts, locked ? new Date().toISOString() : null);
+            throw locked ? new ApiError(423, 'Account locked.') : new ApiError(401, 'Invalid username or password.');
+        }
+
+        db.updateLoginState(user.username, 0);
+        return user;
+    }
+
+    /**
+     * セッションに保持するユーザー情報（PermissionService.can の判定に使用）
+     * @param {Object} user - ユーザー
+     * @returns {Object} { username, name, role, roleLabel }
+     */
+    static toSessionUser(user) {
+        return {
+            username: user.username,
+            name: user.display_name,
+            role: user.role,
+            roleLabel: AuthService.getRoleLabels()[user.role] || user.role
+        };
+    }
+}
+
+export { AuthApi };
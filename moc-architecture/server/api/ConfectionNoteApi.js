@@ -0,0 +1,130 @@
+/**
+ * ConfectionNoteApi - 洋生ノートAPI（/api/confection-notes）
+ * MOCアーキテクチャのサーバー層
+ *
+ * 洋生ノート（OTE-001）の計画・発注・移動・試食・予約・特注・予想を日付・商品ごとに保存する。
+ * 予想は販売実績ではないため実績（daily_reports）とは別に持ち、在庫の繰り越しには使わない。
+ * ノートは日付ごとの更新バージョンを返し、古い base_version での保存は 409 で拒否する。
+ */
+
+import { ApiError } from '../ApiError.js';
+import { RequestValidator } from './RequestValidator.js';
+import { ResourceVersion } from './ResourceVersion.js';
+
+class ConfectionNoteApi {
+    /**
+     * ルート定義
+     * @returns {Array} [{ method, path, capability, handler }]
+     */
+    static getRoutes() {
+        return [
+            { method: 'GET', path: '/api/confection-notes', capability: 'westernConfection.view', handler: ctx => ConfectionNoteApi.list(ctx) },
+            { method: 'POST', path: '/api/confection-notes', capability: 'westernConfection.edit', handler: ctx => ConfectionNoteApi.save(ctx) }
+        ];
+    }
+
+    /**
+     * 数量項目と表示名（移動数・当日終在庫はマイナスを許可）
+     * @returns {Object} 項目名 → { label, min }
+     */
+    static getQuantityFields() {
+        return {
+            plan_quantity: { label: '計画数', min: 0 },
+            order_quantity: { label: '発注数', min: 0 },
+            movement_quantity: { label: '移動数', min: -Infinity },
+            tasting_quantity: { label: '試食', min: 0 },
+            order_remain: { label: '発注残数', min: 0 },
+            end_stock: { label: '当日終在庫', min: -Infinity },
+            reservation_quantity: { label: '予約', min: 0 },
+            special_quantity: { label: '特注', min: 0 },
+            forecast_quantity: { label: '予想', min: 0 }
+        };
+    }
+
+    /**
+     * GET /api/confection-notes?date=YYYY-MM-DD
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status, body: { data, version } }
+     */
+    static list(ctx) {
+        const errors = [];
+        RequestValidator.checkDate(errors, 'date', ctx.query.date);
+        if (errors.length > 0) throw ApiError.validation(errors);
+
+        const version = ctx.db.getVersion(ResourceVersion.key('confection-notes', ctx.query.date));
+        return { status: 200, body: { status: 'success', data: ctx.db.getConfectionNotes(ctx.query.date), version } };
+    }
+
+    /**
+     * POST /api/confection-notes
+     * body: { note_date, items: [{ product_id, plan_quantity?, order_quantity?, ..., soldout_time? }], base_version? }
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status: 201, body: { data, version } }
+     * @throws {ApiError} 409 base_version がサーバーのバージョンと異なる場合
+     */
+    static save(ctx) {
+        const { note_date: noteDate, items, base_version: baseVersion } = ctx.body;
+        ConfectionNoteApi.validate(ctx.db, noteDate, items, baseVersion);
+
+        let version = 0;
+        const data = ctx.db.transaction(() => {
+            version = ResourceVersion.advance(ctx.db, ResourceVersion.key('confection-notes', noteDate), baseVersion, ctx.user.username);
+            return items.map(item => {
+                const note = {
+                    ...Object.fromEntries(Object.keys(ConfectionNoteApi.getQuantityFields()).map(key => [key, item[key] || 0])),
+                    note_date: noteDate,
+                    product_id: item.product_id,
+                    soldout_time: item.soldout_time || '',
+                    updated_by: ctx.user.username
+                };
+                ctx.db.saveConfectionNote(note);
+                return note;
+            });
+        });
+
+        return { status: 201, body: { status: 'success', data, version } };
+    }
+
+    /**
+     * 入力チェック
+     * @param {Database} db - データベース
+     * @param {any} noteDate - 日付
+     * @param {any} items - 明細
+     * @param {any} baseVersion - 更新元のバージョン
+     * @throws {ApiError} 400
+     */
+    static validate(db, noteDate, items, baseVersion) {
+        const errors = [];
+        RequestValidator.checkDate(errors, 'note_date', noteDate);
+        RequestValidator.checkBaseVersion(errors, baseVersion);
+
+        if (RequestValidator.checkItems(errors, items)) {
+            const seen = new Set();
+
+            items.forEach((item, index) => {
+                const prefix = `items[${index}]`;
+                const productId = item && item.product_id;
+
+                if (!RequestValidator.isInteger(productId, 1) || !db.getProduct(productId)) {
+                    errors.push(RequestValidator.error(`${prefix}.product_id`, 'PRODUCT_NOT_FOUND', '商品が見つかりません'));
+                } else if (seen.has(productId)) {
+                    errors.push(RequestValidator.error(`${prefix}.product_id`, 'DUPLICATE_PRODUCT', '同じ商品が複数指定されています'));
+                }
+                seen.add(productId);
+
+                Object.entries(ConfectionNoteApi.getQuantityFields()).forEach(([field, options]) => {
+                    RequestValidator.checkQuantity(errors, `${prefix}.${field}`, item && item[field], options);
+                });
+
+                const soldoutTime = item && item.soldout_time;
+                if (soldoutTime && !/^([01]?\d|2[0-3]):[0-5]\d$/.test(soldoutTime)) {
+                    errors.push(RequestValidator.error(`${prefix}.soldout_time`, 'INVALID_TIME', '完売時間は HH:MM 形式で入力してください'));
+                }
+            });
+        }
+
+        if (errors.length > 0) throw ApiError.validation(errors);
+    }
+}
+
+export { ConfectionNoteApi };
@@ -0,0 +1,104 @@
+/**
+ * CustomerApi - 得意先マスタAPI（/api/master/customers）
+ * MOCアーキテクチャのサーバー層
+ *
+ * 仕様書.md §6 の customers（customer_code, name, segment）を提供する。
+ * 登録はCSV取込み（仕様書.md §11 の追記/上書き）による一括登録のみ。
+ */
+
+import { ApiError } from '../ApiError.js';
+import { RequestValidator } from './RequestValidator.js';
+
+class CustomerApi {
+    /**
+     * ルート定義
+     * @returns {Array} [{ method, path, capability, handler }]
+     */
+    static getRoutes() {
+        return [
+            { method: 'GET', path: '/api/master/customers', capability: 'master.view', handler: ctx => CustomerApi.list(ctx) },
+            { method: 'POST', path: '/api/master/customers/import', capability: 'master.edit', handler: ctx => CustomerApi.import(ctx) }
+        ];
+    }
+
+    /**
+     * GET /api/master/customers
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status, body }
+     */
+    static list(ctx) {
+        return { status: 200, body: { status: 'success', data: ctx.db.getCustomers() } };
+    }
+
+    /**
+     * POST /api/master/customers/import
+     * body: { mode: 'append' | 'overwrite', customers: [{ customer_code, name, segment? }] }
+     * append は同じ得意先コードを更新、overwrite はファイルにない得意先を削除する
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status, body: { data: { created, updated, removed } } }
+     */
+    static import(ctx) {
+        const { mode = 'append', customers } = ctx.body;
+        CustomerApi.validate(mode, customers);
+
+        const current = new Map(ctx.db.getCustomers().map(customer => [customer.customer_code, customer]));
+        const codes = new Set(customers.map(customer => customer.customer_code));
+        const removed = mode === 'overwrite' ? [...current.keys()].filter(code => !codes.has(code)) : [];
+
+        ctx.db.transaction(() => {
+            removed.forEach(code => ctx.db.deleteCustomer(code));
+            // 区分を省略した得意先は登録済みの区分を残す
+            customers.forEach(customer => ctx.db.saveCustomer({
+                segment: current.has(customer.customer_code) ? current.get(customer.customer_code).segment : '',
+                ...customer,
+                name: customer.name.trim()
+            }));
+        });
+
+        const updated = customers.filter(customer => current.has(customer.customer_code)).length;
+        return { status: 200, body: { status: 'success', data: { created: customers.length - updated, updated, removed: removed.length } } };
+    }
+
+    /**
+     * 入力チェック
+     * @param {any} mode - 取込み方法
+     * @param {any} customers - 得意先
+     * @throws {ApiError} 400
+     */
+    static validate(mode, customers) {
+        const errors = [];
+
+        if (!['append', 'overwrite'].includes(mode)) {
+            errors.push(RequestValidator.error('mode', 'INVALID_VALUE', '取込み方法は append / overwrite のいずれかです'));
+        }
+
+        if (!Array.isArray(customers) || customers.length === 0) {
+            errors.push(RequestValidator.error('customers', 'REQUIRED', '得意先を1件以上指定してください'));
+        } else {
+            const seen = new Set();
+
+            customers.forEach((customer, index) => {
+                const prefix = `customers[${index}]`;
+                const code = customer && customer.customer_code;
+
+                if (typeof code !== 'string' || !/^[0-9A-Za-z-]+$/.test(code)) {
+                    errors.push(RequestValidator.error(`${prefix}.customer_code`, 'INVALID_CODE', '得意先コードは半角英数字で入力してください'));
+                } else if (seen.has(code)) {
+                    errors.push(RequestValidator.error(`${prefix}.customer_code`, 'DUPLICATE_CODE', '同じ得意先コードが複数指定されています'));
+                }
+                seen.add(code);
+
+                if (!customer || typeof customer.name !== 'string' || !customer.name.trim()) {
+                    errors.push(RequestValidator.error(`${prefix}.name`, 'REQUIRED', '得意先名を入力してください'));
+                }
+                if (customer && customer.segment !== undefined && typeof customer.segment !== 'string') {
+                    errors.push(RequestValidator.error(`${prefix}.segment`, 'INVALID_VALUE', '区分は文字列で入力してください'));
+                }
+            });
+        }
+
+        if (errors.length > 0) throw ApiError.validation(errors);
+    }
+}
+
+export { CustomerApi };
@@ -0,0 +1,197 @@
+/**
+ * DailyReportApi - 実績API（/api/daily-reports）
+ * MOCアーキテクチャのサーバー層
+ *
+ * 当日在庫（ending_inventory）はクライアントから受け取らず、前営業日の ending_inventory を前日残として
+ * ブラウザと同じ InventoryService.calculateCurrentStock で計算する。
+ * 在庫台帳モード（マイナス在庫を0に補正しない）はサーバーのシステム設定（settings.strict_ledger）を明示的に渡す。
+ * 過去日を修正した場合は、以降の日付の前日残・当日在庫も計算し直す。
+ * 実績は日付ごとの更新バージョンを返し、古い base_version での保存は 409 で拒否する。
+ */
+
+import InventoryService from '../../src/services/InventoryService.js';
+import { ApiError } from '../ApiError.js';
+import { RequestValidator } from './RequestValidator.js';
+import { ResourceVersion } from './ResourceVersion.js';
+
+class DailyReportApi {
+    /**
+     * ルート定義
+     * @returns {Array} [{ method, path, capability, handler }]
+     */
+    static getRoutes() {
+        return [
+            { method: 'GET', path: '/api/daily-reports', capability: 'performance.view', handler: ctx => DailyReportApi.list(ctx) },
+            { method: 'POST', path: '/api/daily-reports', capability: 'performance.edit', handler: ctx => DailyReportApi.save(ctx) }
+        ];
+    }
+
+    /**
+     * GET /api/daily-reports?date=YYYY-MM-DD
+     * GET /api/daily-reports?from=YYYY-MM-DD&to=YYYY-MM-DD（期間指定。過去データ分析・前日在庫の参照用）
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status, body: { data, version? } }（version は日付指定のみ）
+     */
+    static list(ctx) {
+        const errors = [];
+        const { date, from, to } = ctx.query;
+
+        if (date === undefined && (from !== undefined || to !== undefined)) {
+            RequestValidator.checkDate(errors, 'from', from);
+            RequestValidator.checkDate(errors, 'to', to);
+            if (errors.length === 0 && from > to) {
+                errors.push(RequestValidator.error('to', 'INVALID_RANGE', '終了日は開始日以降の日付を指定してください'));
+            }
+            if (errors.length > 0) throw ApiError.validation(errors);
+
+            return { status: 200, body: { status: 'success', data: ctx.db.getDailyReportsInRange(from, to) } };
+        }
+
+        RequestValidator.checkDate(errors, 'date', date);
+        if (errors.length > 0) throw ApiError.validation(errors);
+
+        const version = ctx.db.getVersion(ResourceVersion.key('daily-reports', date));
+        return { status: 200, body: { status: 'success', data: ctx.db.getDailyReports(date), version } };
+    }
+
+    /**
+     * POST /api/daily-reports
+     * body: { report_date, items: [{ product_id, sales_quantity, loss_quantity, delivery_quantity?, movement_quantity? }], replace?, base_version? }
+     * replace: true のときは items にない商品のその日の実績を削除する（CSV取込みの上書き）
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status: 201, body: { data, version } }
+     * @throws {ApiError} 409 base_version がサーバーのバージョンと異なる場合
+     */
+    static save(ctx) {
+        const { report_date: reportDate, items, replace = false, base_version: baseVersion } = ctx.body;
+        DailyReportApi.validate(ctx.db, reportDate, items, baseVersion);
+
+        let version = 0;
+        const data = ctx.db.transaction(() => {
+            version = ResourceVersion.advance(ctx.db, ResourceVersion.key('daily-reports', reportDate), baseVersion, ctx.user.username);
+            if (replace === true) DailyReportApi.removeOthers(ctx.db, reportDate, items);
+            return DailyReportApi.saveItems(ctx, reportDate, items);
+        });
+
+        return { status: 201, body: { status: 'success', data, version } };
+    }
+
+    /**
+     * 明細を保存し、以降の日付へ繰り越す
+     * @param {Object} ctx - リクエストコンテキスト
+     * @param {string} reportDate - 日付
+     * @param {Array} items - 明細
+     * @returns {Array} 保存した実績
+     */
+    static saveItems(ctx, reportDate, items) {
+        return items.map(item => {
+            const previous = ctx.db.getPreviousReport(item.product_id, reportDate);
+            const report = DailyReportApi.calculate(ctx.db, {
+                report_date: reportDate,
+                product_id: item.product_id,
+                prev_inventory: previous ? previous.ending_inventory : 0,
+                delivery_quantity: item.delivery_quantity || 0,
+                movement_quantity: item.movement_quantity || 0,
+                sales_quantity: item.sales_quantity,
+                loss_quantity: item.loss_quantity || 0,
+                updated_by: ctx.user.username
+            });
+
+            ctx.db.saveDailyReport(report);
+            DailyReportApi.rollForward(ctx.db, report);
+            return report;
+        });
+    }
+
+    /**
+     * 明細にない商品のその日の実績を削除し、以降の日付を前日までの在庫から計算し直す
+     * @param {Database} db - データベース
+     * @param {string} reportDate - 日付
+     * @param {Array} items - 明細
+     */
+    static removeOthers(db, reportDate, items) {
+        const productIds = new Set(items.map(item => item.product_id));
+
+        db.getDailyReports(reportDate)
+            .filter(report => !productIds.has(report.product_id))
+            .forEach(report => {
+                db.deleteDailyReport(report.product_id, reportDate);
+                const previous = db.getPreviousReport(report.product_id, reportDate);
+                DailyReportApi.rollForward(db, { product_id: report.product_id, report_date: reportDate, ending_inventory: previous ? previous.ending_inventory : 0 });
+            });
+    }
+
+    /**
+     * 入力チェック
+     * @param {Database} db - データベース
+     * @param {any} reportDate - 日付
+     * @param {any} items - 明細
+     * @param {any} baseVersion - 更新元のバージョン
+     * @throws {ApiError} 400
+     */
+    static validate(db, reportDate, items, baseVersion) {
+        const errors = [];
+        RequestValidator.checkDate(errors, 'report_date', reportDate);
+        RequestValidator.checkBaseVersion(errors, baseVersion);
+
+        if (RequestValidator.checkItems(errors, items)) {
+            const seen = new Set();
+
+            items.forEach((item, index) => {
+                const prefix = `items[${index}]`;
+                const productId = item && item.product_id;
+
+                if (!RequestValidator.isInteger(productId, 1) || !db.getProduct(productId)) {
+                    errors.push(RequestValidator.error(`${prefix}.product_id`, 'PRODUCT_NOT_FOUND', '商品が見つかりません'));
+                } else if (seen.has(productId)) {
+                    errors.push(RequestValidator.error(`${prefix}.product_id`, 'DUPLICATE_PRODUCT', '同じ商品が複数指定されています'));
+                }
+                seen.add(productId);
+
+                RequestValidator.checkQuantity(errors, `${prefix}.sales_quantity`, item && item.sales_quantity, { required: true, label: '販売数' });
+                RequestValidator.checkQuantity(errors, `${prefix}.loss_quantity`, item && item.loss_quantity, { label: 'ロス数' });
+                RequestValidator.checkQuantity(errors, `${prefix}.delivery_quantity`, item && item.delivery_quantity, { label: '入荷数' });
+                RequestValidator.checkQuantity(errors, `${prefix}.movement_quantity`, item && item.movement_quantity, { min: -Infinity, label: '移動数' });
+            });
+        }
+
+        if (errors.length > 0) throw ApiError.validation(errors);
+    }
+
+    /**
+     * 当日在庫を計算
+     * @param {Database} db - データベース（在庫台帳モードの設定を読む）
+     * @param {Object} report - 実績（prev_inventory 設定済み）
+     * @returns {Object} ending_inventory を設定した実績
+     */
+    static calculate(db, report) {
+        return {
+            ...report,
+            ending_inventory: InventoryService.calculateCurrentStock(
+                report.prev_inventory,
+                report.delivery_quantity,
+                report.movement_quantity,
+                report.sales_quantity,
+                report.loss_quantity,
+                { record: false, strict: db.getSettings().strict_ledger === true }
+            )
+        };
+    }
+
+    /**
+     * 以降の日付の前日残・当日在庫を計算し直す
+     * @param {Database} db - データベース
+     * @param {Object} report - 保存した実績
+     */
+    static rollForward(db, report) {
+        let prevInventory = report.ending_inventory;
+
+        db.getLaterReports(report.product_id, report.report_date).forEach(later => {
+            const recalculated = DailyReportApi.calculate(db, { ...later, prev_inventory: prevInventory });
+            db.saveDailyReport(recalculated);
+            prevInventory = recalculated.ending_inventory;
+        });
+    }
+}
+
+export { DailyReportApi };
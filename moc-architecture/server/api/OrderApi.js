@@ -0,0 +1,150 @@
+/**
+ * OrderApi - 発注API（/api/orders）・商品一覧API（/api/products）
+ * MOCアーキテクチャのサーバー層
+ *
+ * 発注数は商品マスタの最小発注数・発注倍数・ケース入数に対して、
+ * ブラウザと同じ OrderService.validateOrderConstraints で検証する（違反時は 400）。
+ * 発注は日付ごとの更新バージョンを返し、古い base_version での保存は 409 で拒否する。
+ */
+
+import OrderService from '../../src/services/OrderService.js';
+import { ApiError } from '../ApiError.js';
+import { RequestValidator } from './RequestValidator.js';
+import { ResourceVersion } from './ResourceVersion.js';
+
+class OrderApi {
+    /**
+     * ルート定義
+     * @returns {Array} [{ method, path, capability, handler }]
+     */
+    static getRoutes() {
+        return [
+            { method: 'GET', path: '/api/products', capability: 'order.view', handler: ctx => OrderApi.listProducts(ctx) },
+            { method: 'GET', path: '/api/orders', capability: 'order.view', handler: ctx => OrderApi.list(ctx) },
+            { method: 'POST', path: '/api/orders', capability: 'order.edit', handler: ctx => OrderApi.save(ctx) }
+        ];
+    }
+
+    /**
+     * GET /api/products（廃止商品を除く）
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status, body }
+     */
+    static listProducts(ctx) {
+        const data = ctx.db.getProducts().filter(product => product.status !== 'discontinued');
+        return { status: 200, body: { status: 'success', data } };
+    }
+
+    /**
+     * GET /api/orders?date=YYYY-MM-DD
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status, body: { data, version } }
+     */
+    static list(ctx) {
+        const errors = [];
+        RequestValidator.checkDate(errors, 'date', ctx.query.date);
+        if (errors.length > 0) throw ApiError.validation(errors);
+
+        const version = ctx.db.getVersion(ResourceVersion.key('orders', ctx.query.date));
+        return { status: 200, body: { status: 'success', data: ctx.db.getOrders(ctx.query.date), version } };
+    }
+
+    /**
+     * POST /api/orders
+     * body: { order_date, items: [{ product_id, quantity }], base_version? }
+     * quantity: 0 は発注なし（制約チェックの対象外）
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status: 201, body: { data, version } }
+     * @throws {ApiError} 409 base_version がサーバーのバージョンと異なる場合
+     */
+    static save(ctx) {
+        const { order_date: orderDate, items, base_version: baseVersion } = ctx.body;
+        OrderApi.validate(ctx.db, orderDate, items, baseVersion);
+
+        let version = 0;
+        const data = ctx.db.transaction(() => {
+            version = ResourceVersion.advance(ctx.db, ResourceVersion.key('orders', orderDate), baseVersion, ctx.user.username);
+            return items.map(item => {
+                const order = { order_date: orderDate, product_id: item.product_id, quantity: item.quantity, updated_by: ctx.user.username };
+                ctx.db.saveOrder(order);
+                return order;
+            });
+        });
+
+        return { status: 201, body: { status: 'success', data, version } };
+    }
+
+    /**
+     * 入力チェック
+     * @param {Database} db - データベース
+     * @param {any} orderDate - 日付
+     * @param {any} items - 明細
+     * @param {any} baseVersion - 更新元のバージョン
+     * @throws {ApiError} 400
+     */
+    static validate(db, orderDate, items, baseVersion) {
+        const errors = [];
+        RequestValidator.checkDate(errors, 'order_date', orderDate);
+        RequestValidator.checkBaseVersion(errors, baseVersion);
+
+        if (RequestValidator.checkItems(errors, items)) {
+            const seen = new Set();
+
+            items.forEach((item, index) => {
+                const prefix = `items[${index}]`;
+                const productId = item && item.product_id;
+                const product = RequestValidator.isInteger(productId, 1) ? db.getProduct(productId) : null;
+
+                if (!product) {
+                    errors.push(RequestValidator.error(`${prefix}.product_id`, 'PRODUCT_NOT_FOUND', '商品が見つかりません'));
+                } else if (seen.has(productId)) {
+                    errors.push(RequestValidator.error(`${prefix}.product_id`, 'DUPLICATE_PRODUCT', '同じ商品が複数指定されています'));
+                }
+                seen.add(productId);
+
+                const before = errors.length;
+                RequestValidator.checkQuantity(errors, `${prefix}.quantity`, item && item.quantity, { required: true, label: '発注数' });
+
+                if (product && errors.length === before && item.quantity > 0) {
+                    errors.push(...OrderApi.checkConstraints(product, item.quantity, prefix));
+                }
+            });
+        }
+
+        if (errors.length > 0) throw ApiError.validation(errors);
+    }
+
+    /**
+     * 商品マスタの発注制約を検証
+     * @param {Object} product - 商品
+     * @param {number} quantity - 発注数（バラ）
+     * @param {string} prefix - 項目名の接頭辞（例: 'items[0]'）
+     * @returns {Array} エラー項目
+     */
+    static checkConstraints(product, quantity, prefix) {
+        const result = OrderService.validateOrderConstraints(quantity, OrderApi.toConstraints(product));
+
+        return result.violations.map(violation => RequestValidator.error(
+            violation.field === 'quantity' ? `${prefix}.quantity` : `${prefix}.product_id`,
+            violation.code,
+            violation.message
+        ));
+    }
+
+    /**
+     * 商品マスタの列を OrderService の制約条件に変換
+     * @param {Object} product - 商品
+     * @returns {Object} { minOrderQuantity, orderUnit, caseSize, orderUnitType, isOrderable }
+     */
+    static toConstraints(product) {
+        return {
+            minOrderQuantity: product.min_order_quantity,
+            orderUnit: product.order_unit,
+            caseSize: product.case_size,
+            orderUnitType: product.order_unit_type,
+            isOrderable: product.status === 'active'
+        };
+    }
+}
+
+export { OrderApi };
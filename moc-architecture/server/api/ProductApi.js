@@ -0,0 +1,241 @@
+/**
+ * ProductApi - 商品マスタAPI（/api/master/products）
+ * MOCアーキテクチャのサーバー層
+ *
+ * 参照は master.view、登録・更新・削除は master.edit（管理者ロールのみ）。
+ * 項目の制約はマスタメンテナンス画面（MST-PRD）の商品フォームに合わせる。
+ * CSV取込み（仕様書.md §11 の追記/上書き）は1回のリクエスト・1つのトランザクションで登録する。
+ */
+
+import { ApiError } from '../ApiError.js';
+import { RequestValidator } from './RequestValidator.js';
+
+class ProductApi {
+    /**
+     * ルート定義
+     * @returns {Array} [{ method, path, capability, handler }]
+     */
+    static getRoutes() {
+        return [
+            { method: 'GET', path: '/api/master/products', capability: 'master.view', handler: ctx => ProductApi.list(ctx) },
+            { method: 'POST', path: '/api/master/products', capability: 'master.edit', handler: ctx => ProductApi.create(ctx) },
+            { method: 'POST', path: '/api/master/products/import', capability: 'master.edit', handler: ctx => ProductApi.import(ctx) },
+            { method: 'GET', path: '/api/master/products/:id', capability: 'master.view', handler: ctx => ProductApi.show(ctx) },
+            { method: 'PUT', path: '/api/master/products/:id', capability: 'master.edit', handler: ctx => ProductApi.update(ctx) },
+            { method: 'DELETE', path: '/api/master/products/:id', capability: 'master.edit', handler: ctx => ProductApi.remove(ctx) }
+        ];
+    }
+
+    /**
+     * 編集可能な項目
+     * @returns {Array} 項目名
+     */
+    static getFields() {
+        return ['code', 'name', 'category_id', 'price', 'cost', 'min_order_quantity', 'order_unit', 'case_size', 'order_unit_type', 'status'];
+    }
+
+    /**
+     * GET /api/master/products（廃止商品を含む）
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status, body }
+     */
+    static list(ctx) {
+        return { status: 200, body: { status: 'success', data: ctx.db.getProducts() } };
+    }
+
+    /**
+     * GET /api/master/products/:id
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status, body }
+     */
+    static show(ctx) {
+        return { status: 200, body: { status: 'success', data: ProductApi.find(ctx) } };
+    }
+
+    /**
+     * POST /api/master/products
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status: 201, body }
+     */
+    static create(ctx) {
+        const product = ProductApi.pick(ctx.body);
+        ProductApi.validate(ctx.db, product);
+
+        return { status: 201, body: { status: 'success', data: ctx.db.insertProduct(product) } };
+    }
+
+    /**
+     * PUT /api/master/products/:id（指定した項目のみ更新）
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status, body }
+     */
+    static update(ctx) {
+        const current = ProductApi.find(ctx);
+        const product = { ...current, ...ProductApi.pick(ctx.body) };
+        ProductApi.validate(ctx.db, product, current.id);
+
+        return { status: 200, body: { status: 'success', data: ctx.db.updateProduct(current.id, product) } };
+    }
+
+    /**
+     * DELETE /api/master/products/:id
+     * 実績・発注で使われている商品は削除せず廃止（status: 'discontinued'）にする
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status, body }
+     */
+    static remove(ctx) {
+        const current = ProductApi.find(ctx);
+        const result = ctx.db.deleteProduct(current.id);
+
+        return { status: 200, body: { status: 'success', result } };
+    }
+
+    /**
+     * POST /api/master/products/import
+     * body: { mode: 'append' | 'overwrite', products: [{ code, name, price, ... }] }
+     * append は同じ商品コードを更新、overwrite はファイルにない商品を削除する（実績・発注・洋生ノートで使われている商品は廃止）
+     * 途中で失敗した場合はすべて取り消す
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status, body: { data: { created, updated, removed } } }
+     */
+    static import(ctx) {
+        const { mode = 'append', products } = ctx.body;
+        const current = new Map(ctx.db.getProducts().map(product => [product.code, product]));
+        ProductApi.validateImport(ctx.db, mode, products, current);
+
+        const codes = new Set(products.map(product => product.code));
+        const removed = mode === 'overwrite' ? [...current.values()].filter(product => !codes.has(product.code)) : [];
+
+        ctx.db.transaction(() => {
+            products.forEach(product => {
+                const existing = current.get(product.code);
+                if (existing) {
+                    ctx.db.updateProduct(existing.id, { ...existing, ...ProductApi.pick(product) });
+                } else {
+                    ctx.db.insertProduct(ProductApi.pick(product));
+                }
+            });
+            removed.forEach(product => ctx.db.deleteProduct(product.id));
+        });
+
+        const updated = products.filter(product => current.has(product.code)).length;
+        return { status: 200, body: { status: 'success', data: { created: products.length - updated, updated, removed: removed.length } } };
+    }
+
+    /**
+     * パスの :id から商品を取得
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} 商品
+     * @throws {ApiError} 404
+     */
+    static find(ctx) {
+        const id = Number(ctx.params.id);
+        const product = RequestValidator.isInteger(id, 1) ? ctx.db.getProduct(id) : null;
+
+        if (!product) throw new ApiError(404, 'Not found.');
+        return product;
+    }
+
+    /**
+     * リクエストボディから編集可能な項目だけを取り出す
+     * @param {Object} body - ボディ
+     * @returns {Object} 商品
+     */
+    static pick(body) {
+        return Object.fromEntries(ProductApi.getFields().filter(key => body[key] !== undefined).map(key => [key, body[key]]));
+    }
+
+    /**
+     * 入力チェック
+     * @param {Database} db - データベース
+     * @param {Object} product - 商品
+     * @param {number|null} id - 更新対象の商品ID（コード重複の判定から除く）
+     * @throws {ApiError} 400
+     */
+    static validate(db, product, id = null) {
+        const errors = ProductApi.check(db, product, id);
+        if (errors.length > 0) throw ApiError.validation(errors);
+    }
+
+    /**
+     * 一括登録の入力チェック（項目名は products[i].code の形式）
+     * @param {Database} db - データベース
+     * @param {any} mode - 取込み方法
+     * @param {any} products - 商品
+     * @param {Map} current - 登録済みの商品（商品コード → 商品）
+     * @throws {ApiError} 400
+     */
+    static validateImport(db, mode, products, current) {
+        const errors = [];
+
+        if (!['append', 'overwrite'].includes(mode)) {
+            errors.push(RequestValidator.error('mode', 'INVALID_VALUE', '取込み方法は append / overwrite のいずれかです'));
+        }
+
+        if (!Array.isArray(products) || products.length === 0) {
+            errors.push(RequestValidator.error('products', 'REQUIRED', '商品を1件以上指定してください'));
+        } else {
+            const seen = new Set();
+
+            products.forEach((item, index) => {
+                const prefix = `products[${index}]`;
+                const product = item && typeof item === 'object' ? ProductApi.pick(item) : {};
+                const existing = current.get(product.code);
+
+                ProductApi.check(db, existing ? { ...existing, ...product } : product, existing ? existing.id : null)
+                    .forEach(error => errors.push({ ...error, field: `${prefix}.${error.field}` }));
+
+                if (seen.has(product.code)) {
+                    errors.push(RequestValidator.error(`${prefix}.code`, 'DUPLICATE_CODE', '同じ商品コードが複数指定されています'));
+                }
+                seen.add(product.code);
+            });
+        }
+
+        if (errors.length > 0) throw ApiError.validation(errors);
+    }
+
+    /**
+     * 項目のチェック
+     * @param {Database} db - データベース
+     * @param {Object} product - 商品
+     * @param {number|null} id - 更新対象の商品ID（コード重複の判定から除く）
+     * @returns {Array} エラー項目
+     */
+    static check(db, product, id = null) {
+        const errors = [];
+
+        if (typeof product.code !== 'string' || !/^[0-9A-Za-z-]+$/.test(product.code)) {
+            errors.push(RequestValidator.error('code', 'INVALID_CODE', '商品コードは半角英数字で入力してください'));
+        } else if (db.get('SELECT id FROM products WHERE code = ? AND id IS NOT ?', product.code, id)) {
+            errors.push(RequestValidator.error('code', 'DUPLICATE_CODE', 'この商品コードは既に登録されています'));
+        }
+
+        if (typeof product.name !== 'string' || !product.name.trim()) {
+            errors.push(RequestValidator.error('name', 'REQUIRED', '商品名を入力してください'));
+        }
+        if (product.category_id !== undefined && typeof product.category_id !== 'string') {
+            errors.push(RequestValidator.error('category_id', 'INVALID_VALUE', 'カテゴリIDは文字列で入力してください'));
+        }
+
+        RequestValidator.checkQuantity(errors, 'price', product.price, { required: true, label: '単価' });
+        RequestValidator.checkQuantity(errors, 'cost', product.cost, { label: '仕入価格' });
+        RequestValidator.checkQuantity(errors, 'min_order_quantity', product.min_order_quantity, { label: '最小発注数' });
+        ['order_unit', 'case_size'].forEach(field => {
+            if (product[field] !== undefined && !RequestValidator.isInteger(product[field], 1)) {
+                errors.push(RequestValidator.error(field, 'INVALID_QUANTITY', `${field === 'order_unit' ? '発注単位' : 'ケース入数'}は1以上の整数で入力してください`));
+            }
+        });
+
+        if (product.order_unit_type !== undefined && !['piece', 'case'].includes(product.order_unit_type)) {
+            errors.push(RequestValidator.error('order_unit_type', 'INVALID_VALUE', '発注区分は piece / case のいずれかです'));
+        }
+        if (product.status !== undefined && !['active', 'inactive', 'discontinued'].includes(product.status)) {
+            errors.push(RequestValidator.error('status', 'INVALID_VALUE', 'ステータスは active / inactive / discontinued のいずれかです'));
+        }
+
+        return errors;
+    }
+}
+
+export { ProductApi };
@@ -0,0 +1,105 @@
+/**
+ * RequestValidator - APIリクエストの入力チェック
+ * MOCアーキテクチャのサーバー層
+ *
+ * 各APIの項目チェックで共通に使う判定と、企画書.md のエラー項目 { field, code, message } の生成を行う。
+ */
+
+class RequestValidator {
+    /**
+     * YYYY-MM-DD 形式の実在する日付か判定
+     * @param {any} value - 値
+     * @returns {boolean} 判定結果
+     */
+    static isDate(value) {
+        if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+    }
+
+    /**
+     * 整数か判定
+     * @param {any} value - 値
+     * @param {number} min - 下限
+     * @returns {boolean} 判定結果
+     */
+    static isInteger(value, min = -Infinity) {
+        return Number.isInteger(value) && value >= min;
+    }
+
+    /**
+     * エラー項目
+     * @param {string} field - 項目（例: 'items[0].quantity'）
+     * @param {string} code - エラーコード
+     * @param {string} message - メッセージ
+     * @returns {Object} { field, code, message }
+     */
+    static error(field, code, message) {
+        return { field, code, message };
+    }
+
+    /**
+     * 日付項目のチェック
+     * @param {Array} errors - エラー項目の追加先
+     * @param {string} field - 項目
+     * @param {any} value - 値
+     */
+    static checkDate(errors, field, value) {
+        if (!this.isDate(value)) {
+            errors.push(this.error(field, 'INVALID_DATE', '日付は YYYY-MM-DD 形式で入力してください'));
+        }
+    }
+
+    /**
+     * 明細（items）のチェック。1件以上の配列でなければエラー
+     * @param {Array} errors - エラー項目の追加先
+     * @param {any} items - 値
+     * @returns {boolean} 明細を個別にチェックできる場合はtrue
+     */
+    static checkItems(errors, items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            errors.push(this.error('items', 'REQUIRED', '明細を1件以上指定してください'));
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * 数量項目のチェック
+     * @param {Array} errors - エラー項目の追加先
+     * @param {string} field - 項目
+     * @param {any} value - 値
+     * @param {Object} options - { required, min, label }
+     */
+    static checkQuantity(errors, field, value, options = {}) {
+        const { required = false, min = 0, label = '数量' } = options;
+
+        if (value === undefined || value === null) {
+            if (required) {
+                errors.push(this.error(field, 'REQUIRED', `${label}を入力してください`));
+            }
+            return;
+        }
+
+        if (!this.isInteger(value, min)) {
+            errors.push(this.error(field, 'INVALID_QUANTITY', min === 0 ?
+                `${label}は0以上の整数で入力してください` :
+                `${label}は整数で入力してください`));
+        }
+    }
+
+    /**
+     * 更新元のバージョン（base_version）のチェック。省略は可
+     * @param {Array} errors - エラー項目の追加先
+     * @param {any} value - 値
+     */
+    static checkBaseVersion(errors, value) {
+        if (value === undefined || value === null) return;
+
+        if (!this.isInteger(value, 0)) {
+            errors.push(this.error('base_version', 'INVALID_VERSION', '更新元のバージョンは0以上の整数で指定してください'));
+        }
+    }
+}
+
+export { RequestValidator };
@@ -0,0 +1,47 @@
+/**
+ * ResourceVersion - 日付単位の更新バージョン（楽観的排他制御）
+ * MOCアーキテクチャのサーバー層
+ *
+ * 発注・実績は日付ごとにバージョンを持ち、保存のたびに1つ進める。
+ * クライアントは読み込んだ（または前回送信した）バージョンを base_version として送り、
+ * サーバーのバージョンと異なればほかの端末で先に更新されたとして 409 で拒否する。
+ * base_version を省略した保存（CSV取込み・競合時の上書き）は確認しない。
+ */
+
+import { ApiError } from '../ApiError.js';
+import { RequestValidator } from './RequestValidator.js';
+
+class ResourceVersion {
+    /**
+     * バージョンの単位
+     * @param {string} resource - 'orders' | 'daily-reports'
+     * @param {string} date - YYYY-MM-DD
+     * @returns {string} 例: 'orders:2026-10-19'
+     */
+    static key(resource, date) {
+        return `${resource}:${date}`;
+    }
+
+    /**
+     * 更新元のバージョンを確認して1つ進める（トランザクション内で呼び出す）
+     * @param {Database} db - データベース
+     * @param {string} key - バージョンの単位
+     * @param {number|null|undefined} baseVersion - 更新元のバージョン
+     * @param {string} updatedBy - 更新者
+     * @returns {number} 更新後のバージョン
+     * @throws {ApiError} 409 更新元のバージョンが古い場合
+     */
+    static advance(db, key, baseVersion, updatedBy) {
+        const current = db.getVersion(key);
+        if (baseVersion !== undefined && baseVersion !== null && baseVersion !== current) {
+            throw ApiError.conflict([RequestValidator.error(
+                'base_version',
+                'VERSION_CONFLICT',
+                `ほかの端末で先に更新されています（現在のバージョン ${current}、更新元 ${baseVersion}）`
+            )]);
+        }
+        return db.incrementVersion(key, updatedBy);
+    }
+}
+
+export { ResourceVersion };
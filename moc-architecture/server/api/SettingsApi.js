@@ -0,0 +1,53 @@
+/**
+ * SettingsApi - システム設定API（/api/settings）
+ * MOCアーキテクチャのサーバー層
+ *
+ * サーバーの在庫計算に適用する業務ルール（在庫台帳モード）を保持する。
+ * ブラウザはログイン時にこの設定を読み込み、システム設定（SET-SYS）の保存時に更新するため、
+ * 画面とAPIで同じ台帳モードの在庫計算になる。
+ */
+
+import { ApiError } from '../ApiError.js';
+import { RequestValidator } from './RequestValidator.js';
+
+class SettingsApi {
+    /**
+     * ルート定義
+     * @returns {Array} [{ method, path, capability, handler }]
+     */
+    static getRoutes() {
+        return [
+            { method: 'GET', path: '/api/settings', capability: null, handler: ctx => SettingsApi.show(ctx) },
+            { method: 'PUT', path: '/api/settings', capability: 'settings.edit', handler: ctx => SettingsApi.update(ctx) }
+        ];
+    }
+
+    /**
+     * GET /api/settings（ログイン中のすべてのユーザー）
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status, body: { data: { strict_ledger } } }
+     */
+    static show(ctx) {
+        return { status: 200, body: { status: 'success', data: ctx.db.getSettings() } };
+    }
+
+    /**
+     * PUT /api/settings
+     * body: { strict_ledger: boolean }
+     * @param {Object} ctx - リクエストコンテキスト
+     * @returns {Object} { status, body: { data: 保存後の設定 } }
+     */
+    static update(ctx) {
+        const { strict_ledger: strictLedger } = ctx.body;
+
+        if (typeof strictLedger !== 'boolean') {
+            throw ApiError.validation([
+                RequestValidator.error('strict_ledger', 'INVALID_VALUE', '在庫台帳モードは true / false で指定してください')
+            ]);
+        }
+
+        return { status: 200, body: { status: 'success', data: ctx.db.saveSettings({ strict_ledger: strictLedger }) } };
+    }
+}
+
+export { SettingsApi };
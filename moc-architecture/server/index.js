@@ -0,0 +1,45 @@
+/**
+ * バックエンドAPIサーバーの起動
+ * MOCアーキテクチャのサーバー層
+ *
+ * 使い方: npm run server（Node.js 22.5 以上）
+ * 環境変数:
+ * - PORT: 待ち受けポート（既定 3000）
+ * - MOC_DB_PATH: SQLiteファイル（既定 server/data/moc.sqlite）
+ * - MOC_CORS_ORIGIN: 別オリジンの画面から呼び出す場合の許可オリジン（既定 *）
+ */
+
+import { writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ApiServer } from './ApiServer.js';
+import { Database } from './Database.js';
+
+const port = Number(process.env.PORT) || 3000;
+const dbPath = process.env.MOC_DB_PATH || fileURLToPath(new URL('./data/moc.sqlite', import.meta.url));
+
+const database = await new Database({ path: dbPath }).init();
+
+// 初期パスワードはインストールごとに生成し、DBと同じ場所のファイル（所有者のみ読み取り可）に書き出す
+if (database.initialPasswords.length > 0) {
+    const passwordFile = join(dirname(dbPath), 'initial-passwords.txt');
+    const lines = database.initialPasswords.map(({ username, password }) => `${username}\t${password}`);
+    writeFileSync(passwordFile, `${lines.join('\n')}\n`, { mode: 0o600 });
+    console.log(`初期パスワードを発行しました: ${passwordFile}（各ユーザーに渡したら削除してください）`);
+}
+const server = new ApiServer({
+    database,
+    staticRoot: fileURLToPath(new URL('..', import.meta.url)).replace(/[\\/]$/, ''),
+    corsOrigin: process.env.MOC_CORS_ORIGIN
+});
+
+await server.listen(port);
+console.log(`MOC API server: http://localhost:${port}/ (DB: ${dbPath})`);
+
+const shutdown = async () => {
+    await server.close();
+    database.close();
+    process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -1,16 +1,24 @@
 /**
- * WesternConfectionNote - 洋生ノートビジネスコンポーネント
+ * WesternConfectionOrderForm - 洋生ノート（発注）ビジネスコンポーネント
  * MOCアーキテクチャのビジネスレイヤー - 企画書完全対応
  */
-class WesternConfectionNote {
+
+import ForecastAccuracyService from '../../services/ForecastAccuracyService.js';
+import HistoricalDataService from '../../services/HistoricalDataService.js';
+import InventoryService from '../../services/InventoryService.js';
+import OrderService from '../../services/OrderService.js';
+import PerformanceInputService from '../../services/PerformanceInputService.js';
+import ValidationService from '../../services/ValidationService.js';
+
+class WesternConfectionOrderForm {
     
     constructor(options = {}) {
         this.container = options.container;
         this.services = {
-            order: window.OrderService,
-            historical: window.HistoricalDataService,
-            validation: window.ValidationService,
-            inventory: window.InventoryService
+            order: OrderService,
+            historical: HistoricalDataService,
+            validation: ValidationService,
+            inventory: InventoryService
         };
         
         this.data = {
@@ -20,7 +28,9 @@ class WesternConfectionNote {
             nextDayBudget: options.nextDayBudget || 60000,
             nextDayArrival: {}, // 翌日入荷予定数（本部登録値）
             products: [],
-            referenceData: null
+            referenceData: null,
+            historicalData: [], // 保存済みの実績（PerformanceInputService.getHistoricalData）
+            temperatureModel: null // 過去データから推定した気温反応モデル
         };
         
         this.constraints = {
@@ -37,6 +47,7 @@ class WesternConfectionNote {
      */
     init() {
         this.loadInitialData();
+        this.applyStoredWeather();
         this.render();
         this.bindEvents();
         this.loadReferenceData();
@@ -290,6 +301,7 @@ class WesternConfectionNote {
                     <div class="constraint-info">
                         <small>最小:${product.constraints.minOrderQuantity} 
                                倍数:${product.constraints.orderUnit}</small>
+                        <small class="temperature-response">${this.getTemperatureResponseDisplay(product)}</small>
                     </div>
                 </td>
                 <td class="order-amount">¥${orderAmount.toLocaleString()}</td>
@@ -406,6 +418,31 @@ class WesternConfectionNote {
         this.bindActionEvents();
     }
 
+    /**
+     * イベント・気象マスタ（気象庁CSV取込み分を含む）に記録がある日は天気・気温をそこから設定
+     * @returns {boolean} 設定したか
+     */
+    applyStoredWeather() {
+        const record = this.services.historical && this.services.historical.getEventWeatherRecord ?
+            this.services.historical.getEventWeatherRecord(this.data.date) : null;
+        if (!record) return false;
+
+        let applied = false;
+        if (['晴れ', '曇り', '雨'].includes(record.weather)) {
+            this.data.weather = record.weather;
+            applied = true;
+        }
+
+        const temperature = record.temperature !== null && record.temperature !== undefined ?
+            record.temperature : record.temperature_max;
+        if (temperature !== null && temperature !== undefined) {
+            this.data.temperature = Math.round(temperature);
+            applied = true;
+        }
+
+        return applied;
+    }
+
     /**
      * 基本入力イベントのバインド
      */
@@ -415,6 +452,14 @@ class WesternConfectionNote {
         if (targetDateInput) {
             targetDateInput.addEventListener('change', (e) => {
                 this.data.date = new Date(e.target.value);
+                if (this.applyStoredWeather()) {
+                    const weatherSelect = document.getElementById('weatherSelect');
+                    const temperatureInput = document.getElementById('temperatureInput');
+                    if (weatherSelect) weatherSelect.value = this.data.weather;
+                    if (temperatureInput) temperatureInput.value = this.data.temperature;
+                    this.updateWeatherFactors();
+                    this.updateTemperatureFactors();
+                }
                 this.loadReferenceData();
             });
         }
@@ -599,26 +644,33 @@ class WesternConfectionNote {
         referencePanel.innerHTML = '<p class="loading">参考データを取得中...</p>';
 
         try {
-            // シミュレート用のサンプルデータ
-            const sampleHistoricalData = this.generateSampleHistoricalData();
+            const historicalData = await this.loadHistoricalData();
+            this.data.historicalData = historicalData;
+
+            // 気温反応モデル（商品別・カテゴリ別の回帰。日数が足りなければ calculateTemperatureFactor が補正しない）
+            this.data.temperatureModel = this.services.historical.buildTemperatureModel(historicalData, {
+                categories: Object.fromEntries(this.data.products.map(product => [product.code, product.category]))
+            });
             
             // 前年同曜日データ取得
             const previousYearData = this.services.historical.getPreviousYearSameDayData(
                 this.data.date, 
-                sampleHistoricalData
+                historicalData
             );
 
             // 直近同曜日データ取得
             const recentSameDayData = this.services.historical.getSameDayOfWeekData(
                 this.data.date, 
                 4, 
-                sampleHistoricalData
+                historicalData
             );
 
             // 参考実績をフォーマット
+            // 完売日は完売時間と時間帯別売上カーブから推定した需要で集計
             const referenceData = this.services.historical.formatReferenceData(
                 recentSameDayData.length > 0 ? recentSameDayData : previousYearData,
-                this.data.date
+                this.data.date,
+                { useEstimatedDemand: true, hourlyCurve: this.services.historical.buildHourlyCurve(historicalData) }
             );
 
             this.data.referenceData = referenceData;
@@ -635,6 +687,36 @@ class WesternConfectionNote {
         }
     }
 
+    /**
+     * 保存済みの実績を取得（IndexedDB が使えない環境では空）
+     * 異常値検知は過去の発注数と比較するため、発注数を quantity にも持たせる
+     * @returns {Promise<Array>} 過去データ（新しい順）
+     */
+    async loadHistoricalData() {
+        if (!PerformanceInputService.isAvailable()) return [];
+
+        const history = await new PerformanceInputService().getHistoricalData();
+        return history.map(day => ({
+            ...day,
+            products: day.products.map(product => ({ ...product, quantity: product.orderQuantity }))
+        }));
+    }
+
+    /**
+     * 気温反応モデルの状態表示
+     * @returns {string} HTML
+     */
+    renderTemperatureModelStatus() {
+        const model = this.data.temperatureModel;
+        const days = model ? model.days : 0;
+        const response = this.services.historical.calculateTemperatureFactor(this.data.temperature, model, null);
+
+        if (response.source === 'insufficient' || days === 0) {
+            return `<p class="info">気温反応: データ不足（気温のある実績が${days}日分）のため気温補正は行いません</p>`;
+        }
+        return `<p>気温反応: 過去${days}日分の実績から推定</p>`;
+    }
+
     /**
      * 参考実績データの表示
      */
@@ -643,7 +725,7 @@ class WesternConfectionNote {
         if (!content) return;
 
         if (!referenceData.products || referenceData.products.length === 0) {
-            content.innerHTML = '<p class="info">参考データが見つかりませんでした</p>';
+            content.innerHTML = `<p class="info">参考データが見つかりませんでした</p>${this.renderTemperatureModelStatus()}`;
             return;
         }
 
@@ -657,6 +739,7 @@ class WesternConfectionNote {
                 <p>データ品質: <span class="quality-${quality.level}">${quality.level.toUpperCase()}</span> 
                    (スコア: ${quality.score}/100)</p>
                 <p>期間: ${referenceData.dateRange.from} 〜 ${referenceData.dateRange.to}</p>
+                ${this.renderTemperatureModelStatus()}
             </div>
             <div class="reference-table-container">
                 <table class="reference-table">
@@ -665,6 +748,8 @@ class WesternConfectionNote {
                             <th>商品名</th>
                             <th>平均発注数</th>
                             <th>平均販売数</th>
+                            <th>推定需要</th>
+                            <th>完売日数</th>
                             <th>最大発注</th>
                             <th>トレンド</th>
                             <th>信頼度</th>
@@ -675,7 +760,9 @@ class WesternConfectionNote {
                             <tr>
                                 <td>${product.name || product.productCode}</td>
                                 <td>${product.averageOrder}</td>
-                                <td>${product.averageSales}</td>
+                                <td>${product.averageObservedSales}</td>
+                                <td>${product.averageSales}${product.averageLostSales > 0 ? ` <small>(+${product.averageLostSales})</small>` : ''}</td>
+                                <td>${product.soldoutDays}</td>
                                 <td>${product.maxOrder}</td>
                                 <td class="trend-${product.trend}">${this.getTrendDisplay(product.trend)}</td>
                                 <td>${Math.round(product.reliability * 100)}%</td>
@@ -782,17 +869,15 @@ class WesternConfectionNote {
             constraints.products[product.code] = product.constraints;
         });
 
-        const sampleHistoricalData = this.generateSampleHistoricalData();
-
-        // 複合バリデーション実行
+        // 複合バリデーション実行（過去データは loadReferenceData で取得した保存済みの実績）
         const validationResult = this.services.validation.validateOrderIntegrity(
             this.data.products,
             constraints,
-            sampleHistoricalData
+            this.data.historicalData
         );
 
         // 異常値検知
-        this.runAnomalyDetection(sampleHistoricalData);
+        this.runAnomalyDetection(this.data.historicalData);
 
         // 結果表示
         this.displayValidationResults(validationResult);
@@ -937,6 +1022,12 @@ class WesternConfectionNote {
             orderQuantityInput.value = product.orderQuantity || 0;
         }
 
+        // 気温反応の表示更新
+        const temperatureCell = row.querySelector('.temperature-response');
+        if (temperatureCell) {
+            temperatureCell.textContent = this.getTemperatureResponseDisplay(product);
+        }
+
         // 発注金額更新
         const orderAmountCell = row.querySelector('.order-amount');
         if (orderAmountCell) {
@@ -966,30 +1057,17 @@ class WesternConfectionNote {
     }
 
     /**
-     * サンプル過去データ生成（デモ用）
+     * 気温反応の表示取得
      */
-    generateSampleHistoricalData() {
-        const sampleData = [];
-        const today = new Date();
-        
-        for (let i = 1; i <= 30; i++) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            
-            sampleData.push({
-                date: date.toISOString().split('T')[0],
-                weather: ['晴れ', '曇り', '雨'][Math.floor(Math.random() * 3)],
-                temperature: 20 + Math.round(Math.random() * 10),
-                products: this.data.products.map(product => ({
-                    code: product.code,
-                    name: product.name,
-                    quantity: Math.round(product.orderQuantity * (0.8 + Math.random() * 0.4)),
-                    sales: Math.round(product.expectedSales * (0.8 + Math.random() * 0.4))
-                }))
-            });
-        }
-        
-        return sampleData;
+    getTemperatureResponseDisplay(product) {
+        const response = product.temperatureResponse;
+        if (!response || response.source === 'none') return '';
+        if (response.source === 'insufficient') return '気温:データ不足';
+
+        const sources = { product: '商品', category: 'カテゴリ' };
+        const confidences = { high: '高', medium: '中', low: '低' };
+        const change = response.changePerDegree > 0 ? `+${response.changePerDegree}` : `${response.changePerDegree}`;
+        return `気温:${change}%/℃ ×${response.factor}（${sources[response.source]}・信頼度${confidences[response.confidence]}）`;
     }
 
     /**
@@ -1047,15 +1125,45 @@ class WesternConfectionNote {
         };
 
         localStorage.setItem('westernConfectionOrder', JSON.stringify(orderData));
+        this.recordForecasts();
         this.showMessage('発注内容を保存しました', 'success');
     }
 
+    /**
+     * 発注の根拠にした予想販売数（天気・気温の補正後）を予測ログに記録（締め後の実績で採点する）
+     * 同じ対象日・商品は保存のたびに最新の予想で置き換わる
+     */
+    recordForecasts() {
+        const weatherFactor = this.getWeatherFactor();
+        const targetDate = PerformanceInputService.today(this.data.date);
+
+        this.data.products.forEach(product => {
+            const temperatureFactor = product.temperatureResponse ? product.temperatureResponse.factor : 1.0;
+            ForecastAccuracyService.recordForecast({
+                source: 'WesternConfectionOrderForm',
+                method: 'expected_sales',
+                targetDate,
+                productCode: product.code,
+                productName: product.name,
+                category: product.category,
+                forecast: (product.expectedSales || 0) * weatherFactor * temperatureFactor,
+                inputs: {
+                    expectedSales: product.expectedSales || 0,
+                    orderQuantity: product.orderQuantity || 0,
+                    carryover: product.carryover || 0,
+                    factors: { weatherFactor, temperatureFactor }
+                }
+            });
+        });
+    }
+
     /**
      * 発注確定・送信
      */
     submitOrder() {
         // バリデーション実行
         this.runValidation();
+        this.recordForecasts();
         
         // 実際の送信処理はAPI連携が必要
         this.showMessage('発注を確定しました（デモ版）', 'success');
@@ -1089,16 +1197,26 @@ class WesternConfectionNote {
         }
     }
 
-    // 環境要因適用メソッド（天気・気温による補正）
-    applyEnvironmentalFactors() {
-        // 簡易実装: 天気による補正
+    /**
+     * 天気による補正係数（簡易実装）
+     * @returns {number} 係数
+     */
+    getWeatherFactor() {
         const weatherFactors = { '晴れ': 1.1, '曇り': 1.0, '雨': 0.9 };
-        const weatherFactor = weatherFactors[this.data.weather] || 1.0;
+        return weatherFactors[this.data.weather] || 1.0;
+    }
 
-        // 気温による補正（20度を基準）
-        const tempFactor = 1.0 + ((this.data.temperature - 20) * 0.01);
+    // 環境要因適用メソッド（天気・気温による補正）
+    applyEnvironmentalFactors() {
+        const weatherFactor = this.getWeatherFactor();
 
         this.data.products.forEach(product => {
+            // 気温による補正（過去データの回帰から商品別、データ不足ならカテゴリ別の反応を使う）
+            product.temperatureResponse = this.data.temperatureModel ?
+                this.services.historical.calculateTemperatureFactor(this.data.temperature, this.data.temperatureModel, product.code) :
+                null;
+            const tempFactor = product.temperatureResponse ? product.temperatureResponse.factor : 1.0;
+
             if (product.constraints.isOrderable) {
                 const basedQuantity = this.services.order.calculateOrderQuantity(
                     product.carryover, 
@@ -1142,12 +1260,9 @@ class WesternConfectionNote {
     }
 }
 
-// ES6モジュールエクスポート対応
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = WesternConfectionNote;
-}
+export default WesternConfectionOrderForm;
 
-// グローバルスコープでも利用可能
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
 if (typeof window !== 'undefined') {
-    window.WesternConfectionNote = WesternConfectionNote;
-}
\ No newline at end of file
+    window.WesternConfectionOrderForm = WesternConfectionOrderForm;
+}
@@ -2,6 +2,16 @@
  * Header Component - ヘッダーレイアウトコンポーネント
  * MOCアーキテクチャのレイアウトコンポーネント
  */
+
+import { eventBus } from '../../utils/EventBus.js';
+import { appStore } from '../../stores/AppStore.js';
+import { outboxService } from '../../services/OutboxService.js';
+import { offlineCacheService } from '../../services/OfflineCacheService.js';
+import { authService } from '../../services/AuthService.js';
+import { PermissionService } from '../../services/PermissionService.js';
+import Alert from '../ui/Alert.js';
+import HtmlUtils from '../../utils/HtmlUtils.js';
+
 class Header {
     constructor(options = {}) {
         this.title = options.title || '在庫管理システム';
@@ -9,6 +19,8 @@ class Header {
         this.showUserInfo = options.showUserInfo !== false;
         this.showDateTime = options.showDateTime !== false;
         this.showNotifications = options.showNotifications !== false;
+        this.showSyncStatus = options.showSyncStatus !== false;
+        this.showCacheStatus = options.showCacheStatus !== false;
         this.className = options.className || '';
         this.id = options.id || `header-${Date.now()}`;
         this.user = options.user || null;
@@ -16,6 +28,7 @@ class Header {
         this.element = null;
         this.timeInterval = null;
         this.notificationCount = 0;
+        this.syncStatus = null;
         
         // メニュー項目
         this.menuItems = options.menuItems || [];
@@ -46,6 +59,8 @@ class Header {
                     
                     <div class="header-right">
                         ${this.showDateTime ? this.renderDateTime() : ''}
+                        ${this.showCacheStatus ? this.renderCacheStatus() : ''}
+                        ${this.showSyncStatus ? this.renderSyncStatus() : ''}
                         ${this.showNotifications ? this.renderNotifications() : ''}
                         ${this.showUserInfo ? this.renderUserInfo() : ''}
                     </div>
@@ -61,9 +76,10 @@ class Header {
      * @returns {string} HTML文字列
      */
     renderNavigation() {
-        if (this.menuItems.length === 0) return '';
+        const menuItems = this.getVisibleMenuItems();
+        if (menuItems.length === 0) return '';
         
-        const menuHtml = this.menuItems.map(item => `
+        const menuHtml = menuItems.map(item => `
             <a href="${item.href || '#'}" 
                class="header-nav-item ${item.active ? 'active' : ''}"
                ${item.onClick ? `onclick="${item.onClick}"` : ''}>
@@ -120,6 +136,102 @@ class Header {
         `;
     }
 
+    /**
+     * 送信状況（アウトボックス）表示を生成
+     * @returns {string} HTML文字列
+     */
+    renderSyncStatus() {
+        const { state, label, title } = this.describeSyncStatus(this.syncStatus);
+        
+        return `
+            <button type="button" class="header-sync-status" data-status="${state}" title="${title}">
+                <span class="sync-status-label">${label}</span>
+            </button>
+        `;
+    }
+
+    /**
+     * 送信状況を表示用の状態に変換
+     * @param {Object|null} status - OutboxService.getStatus() の戻り値
+     * @returns {Object} { state, label, title }
+     */
+    describeSyncStatus(status) {
+        if (!status) {
+            return { state: 'synced', label: '✅ 送信済み', title: '未送信のデータはありません' };
+        }
+        
+        const conflicts = status.conflicts.length;
+        
+        if (conflicts > 0) {
+            return { state: 'conflict', label: `⚠️ 競合 ${conflicts}件`, title: 'クリックして競合を解決します' };
+        }
+        if (status.rejected.length > 0) {
+            return { state: 'rejected', label: `⛔ 送信エラー ${status.rejected.length}件`, title: 'サーバーで受け付けられなかった更新があります。クリックして修正または破棄します' };
+        }
+        if (!status.online) {
+            return {
+                state: 'offline',
+                label: status.pending > 0 ? `📴 オフライン（未送信 ${status.pending}件）` : '📴 オフライン',
+                title: '接続が回復すると未送信のデータを自動で送信します'
+            };
+        }
+        if (status.sending) {
+            return { state: 'sending', label: '🔄 送信中', title: '未送信のデータを送信しています' };
+        }
+        if (status.pending > 0) {
+            return { state: 'pending', label: `⏳ 未送信 ${status.pending}件`, title: 'クリックして今すぐ再送します' };
+        }
+        
+        if (!status.lastSentAt) {
+            return { state: 'synced', label: '✅ 送信済み', title: '未送信のデータはありません' };
+        }
+        
+        const sentAt = new Date(status.lastSentAt).toLocaleString('ja-JP', {
+            month: 'numeric',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        return { state: 'synced', label: `✅ 最終同期 ${sentAt}`, title: '未送信のデータはありません' };
+    }
+
+    /**
+     * キャッシュ（Service Worker）状況表示を生成
+     * @returns {string} HTML文字列
+     */
+    renderCacheStatus() {
+        const { state, label, title } = this.describeCacheStatus(offlineCacheService.getStatus());
+        
+        return `
+            <button type="button" class="header-cache-status" data-status="${state}" title="${title}">
+                ${label}
+            </button>
+        `;
+    }
+
+    /**
+     * キャッシュ状況を表示用の状態に変換
+     * @param {Object} status - OfflineCacheService.getStatus() の戻り値
+     * @returns {Object} { state, label, title }
+     */
+    describeCacheStatus(status) {
+        if (status.updateReady) {
+            return { state: 'update', label: '🆕 更新あり', title: 'クリックして最新版に切り替えます' };
+        }
+        if (status.fromCache) {
+            return {
+                state: 'cache',
+                label: '📦 キャッシュ起動',
+                title: `オフラインでも利用できます${status.version ? `（${status.version}）` : ''}`
+            };
+        }
+        return {
+            state: 'network',
+            label: '🌐 ネットワーク起動',
+            title: status.supported ? 'オフライン用のキャッシュを準備しています' : 'この環境ではオフライン起動を利用できません'
+        };
+    }
+
     /**
      * ユーザー情報を生成
      * @returns {string} HTML文字列
@@ -127,7 +239,7 @@ class Header {
     renderUserInfo() {
         const userName = this.user?.name || 'ユーザー';
         const userAvatar = this.user?.avatar || '👤';
-        const userRole = this.user?.role || '';
+        const userRole = this.user?.roleLabel || this.user?.role || '';
         
         return `
             <div class="header-user" onclick="window.header_${this.id}.toggleUserMenu()">
@@ -142,20 +254,32 @@ class Header {
                     <a href="#" class="user-dropdown-item">設定</a>
                     <a href="#" class="user-dropdown-item">プロフィール</a>
                     <div class="user-dropdown-divider"></div>
-                    <a href="#" class="user-dropdown-item">ログアウト</a>
+                    <a href="#" class="user-dropdown-item" data-action="logout">ログアウト</a>
                 </div>
             </div>
         `;
     }
 
+    /**
+     * ログイン中のユーザーが表示できるメニュー項目
+     * 項目の capability、なければリンク先の画面に必要な権限で判定する
+     * @returns {Array} メニュー項目
+     */
+    getVisibleMenuItems() {
+        return this.menuItems.filter(item =>
+            PermissionService.can(item.capability || PermissionService.getPageCapability(item.href))
+        );
+    }
+
     /**
      * モバイルメニューを生成
      * @returns {string} HTML文字列
      */
     renderMobileMenu() {
-        if (this.menuItems.length === 0) return '';
+        const menuItems = this.getVisibleMenuItems();
+        if (menuItems.length === 0) return '';
         
-        const menuHtml = this.menuItems.map(item => `
+        const menuHtml = menuItems.map(item => `
             <a href="${item.href || '#'}" 
                class="mobile-menu-item ${item.active ? 'active' : ''}"
                onclick="window.header_${this.id}.hideMobileMenu(); ${item.onClick || ''}">
@@ -205,6 +329,11 @@ class Header {
             this.startTimeUpdate();
         }
         
+        // 送信待ちの現在状況を反映
+        if (this.showSyncStatus) {
+            outboxService.getStatus().then(status => this.setSyncStatus(status));
+        }
+        
         return this.element;
     }
 
@@ -215,22 +344,44 @@ class Header {
         if (!this.element) return;
 
         // ユーザードロップダウンの外クリック監視
-        document.addEventListener('click', (e) => {
+        this.handleDocumentClick = (e) => {
+            if (!this.element) return;
             const userMenu = this.element.querySelector('.user-dropdown');
             const userInfo = this.element.querySelector('.header-user');
             
             if (userMenu && !userInfo.contains(e.target)) {
                 userMenu.style.display = 'none';
             }
-        });
+        };
+        document.addEventListener('click', this.handleDocumentClick);
 
         // ESCキーでモバイルメニューを閉じる
-        document.addEventListener('keydown', (e) => {
+        this.handleDocumentKeydown = (e) => {
             if (e.key === 'Escape' && this.showMobileMenu) {
                 this.hideMobileMenu();
             }
+        };
+        document.addEventListener('keydown', this.handleDocumentKeydown);
+
+        // ログアウト（ユーザー情報は updateUser で描き直されるため、ヘッダー要素で委譲して受ける）
+        this.element.addEventListener('click', (e) => {
+            if (!e.target.closest('[data-action="logout"]')) return;
+            e.preventDefault();
+            this.logout();
         });
 
+        // キャッシュ状況のクリックで更新を適用
+        const cacheButton = this.element.querySelector('.header-cache-status');
+        if (cacheButton) {
+            cacheButton.addEventListener('click', () => this.handleCacheClick());
+        }
+
+        // 送信状況のクリックで再送・競合解決
+        const syncButton = this.element.querySelector('.header-sync-status');
+        if (syncButton) {
+            syncButton.addEventListener('click', () => this.handleSyncClick());
+        }
+
         // レスポンシブ監視
         this.setupResponsiveHandlers();
     }
@@ -330,13 +481,21 @@ class Header {
         userDropdown.style.display = isVisible ? 'none' : 'block';
     }
 
+    /**
+     * ログアウトしてログイン画面へ移動
+     * @returns {Promise<void>}
+     */
+    async logout() {
+        eventBus.emit('header.logout');
+        await authService.logout('logout');
+        authService.redirectToLogin('logout');
+    }
+
     /**
      * 通知パネルを表示
      */
     showNotifications() {
-        if (window.eventBus) {
-            window.eventBus.emit('header.notifications.show');
-        }
+        eventBus.emit('header.notifications.show');
         
         // 通知件数をリセット
         this.setNotificationCount(0);
@@ -360,6 +519,132 @@ class Header {
         }
     }
 
+    /**
+     * 送信状況を設定
+     * @param {Object} status - OutboxService.getStatus() の戻り値
+     */
+    setSyncStatus(status) {
+        this.syncStatus = status;
+        
+        const button = this.element?.querySelector('.header-sync-status');
+        if (!button) return;
+        
+        const { state, label, title } = this.describeSyncStatus(status);
+        button.dataset.status = state;
+        button.title = title;
+        button.querySelector('.sync-status-label').textContent = label;
+    }
+
+    /**
+     * キャッシュ状況を設定
+     * @param {Object} status - OfflineCacheService.getStatus() の戻り値
+     */
+    setCacheStatus(status) {
+        const button = this.element?.querySelector('.header-cache-status');
+        if (!button) return;
+        
+        const { state, label, title } = this.describeCacheStatus(status);
+        button.dataset.status = state;
+        button.title = title;
+        button.textContent = label;
+    }
+
+    /**
+     * キャッシュ状況クリック時の処理
+     * 更新待ちがあれば適用する（未保存の入力がある場合は確認する）
+     */
+    handleCacheClick() {
+        if (!offlineCacheService.getStatus().updateReady) return;
+        
+        if (offlineCacheService.applyUpdate()) return;
+        
+        Alert.confirm(
+            '未保存の入力または送信中のデータがあります。最新版に切り替えると未保存の入力は失われます。切り替えますか？',
+            { onConfirm: () => offlineCacheService.applyUpdate({ force: true }) },
+            { title: '最新版への更新', confirmLabel: '切り替える', cancelLabel: '保存してから更新' }
+        ).mount();
+    }
+
+    /**
+     * 送信状況クリック時の処理
+     * 競合・拒否された更新があれば1件ずつ解決を確認し、未送信があれば再送する
+     */
+    handleSyncClick() {
+        const status = this.syncStatus;
+        if (!status) return;
+        
+        if (status.conflicts.length > 0) {
+            const conflict = status.conflicts[0];
+            Alert.confirm(
+                `「${conflict.label}」は他の端末で先に更新されています。この端末の内容で上書きしますか？`,
+                {
+                    onConfirm: async () => {
+                        const result = await outboxService.resolveConflict(conflict.id, 'overwrite');
+                        if (result === 'sent') {
+                            Alert.success(`${conflict.label} を上書き送信しました`).mount();
+                        } else {
+                            Alert.error(`${conflict.label} の送信に失敗しました`).mount();
+                        }
+                    },
+                    onCancel: async () => {
+                        await outboxService.resolveConflict(conflict.id, 'discard');
+                        Alert.info(`${conflict.label} はサーバーの内容を残し、この端末の変更を破棄しました`).mount();
+                    }
+                },
+                { title: '送信の競合', confirmLabel: '上書きする', cancelLabel: 'サーバーの内容を残す' }
+            ).mount();
+            return;
+        }
+        
+        if (status.rejected.length > 0) {
+            const rejected = status.rejected[0];
+            Alert.confirm(
+                `「${HtmlUtils.escape(rejected.label)}」はサーバーで受け付けられませんでした。<br>${HtmlUtils.escape(rejected.lastError).replace(/\n/g, '<br>')}<br>画面を開いて修正しますか？`,
+                {
+                    onConfirm: () => this.openRejected(rejected),
+                    onCancel: async () => {
+                        await outboxService.discardRejected(rejected.id);
+                        Alert.info(`${HtmlUtils.escape(rejected.label)} の変更を破棄しました`).mount();
+                    }
+                },
+                { title: '送信エラー', confirmLabel: '修正する', cancelLabel: '破棄する' }
+            ).mount();
+            return;
+        }
+        
+        if (!status.online) {
+            Alert.info('オフラインです。接続が回復すると自動で送信します').mount();
+            return;
+        }
+        
+        if (status.pending > 0) {
+            outboxService.flush();
+        }
+    }
+
+    /**
+     * 拒否された更新の画面を開く（画面が送信エラーの内容を読み込み、保存し直すと置き換わる）
+     * @param {Object} entry - 拒否されたエントリー
+     */
+    openRejected(entry) {
+        if (!entry.href) {
+            Alert.warning('この更新は画面から修正できません。破棄してから入力し直してください').mount();
+            return;
+        }
+        
+        if (window.router) {
+            const hash = window.router.resolveHref(entry.href);
+            // 表示中の画面は開き直して送信エラーの内容を読み込む
+            if (hash === window.location.hash) {
+                window.location.reload();
+            } else {
+                window.location.hash = hash;
+            }
+        } else {
+            window.location.href = entry.href;
+        }
+    }
+
     /**
      * メニュー項目を更新
      * @param {Array} menuItems - メニュー項目
@@ -375,7 +660,7 @@ class Header {
             
             const mobileNav = this.element.querySelector('.mobile-menu-nav');
             if (mobileNav) {
-                mobileNav.innerHTML = this.menuItems.map(item => `
+                mobileNav.innerHTML = this.getVisibleMenuItems().map(item => `
                     <a href="${item.href || '#'}" 
                        class="mobile-menu-item ${item.active ? 'active' : ''}"
                        onclick="window.header_${this.id}.hideMobileMenu(); ${item.onClick || ''}">
@@ -452,6 +737,14 @@ class Header {
             this.timeInterval = null;
         }
         
+        // documentのリスナーを解除（SPAシェルではページ遷移ごとにヘッダーを作り直すため）
+        if (this.handleDocumentClick) {
+            document.removeEventListener('click', this.handleDocumentClick);
+            document.removeEventListener('keydown', this.handleDocumentKeydown);
+            this.handleDocumentClick = null;
+            this.handleDocumentKeydown = null;
+        }
+        
         // bodyスタイルをリセット
         document.body.style.overflow = '';
         
@@ -480,7 +773,8 @@ class Header {
                 { label: '洋生ノート', icon: '🧁', href: 'western-confection-note.html' },
                 { label: '過去データ', icon: '📈', href: 'historical-performance.html' }
             ],
-            user: {
+            // ログイン中のユーザー（未ログインで表示する画面向けの既定値あり）
+            user: appStore.getState('currentUser') || {
                 name: '管理者',
                 role: 'システム管理者',
                 avatar: '👤'
@@ -507,9 +801,9 @@ class Header {
 }
 
 // AppStoreとの連携
-if (typeof window !== 'undefined' && window.appStore) {
+if (typeof window !== 'undefined') {
     // ユーザー情報の変更を監視
-    window.appStore.subscribe((state, action) => {
+    appStore.subscribe((state, action) => {
         if (action.type === 'SET_USER') {
             // 全ヘッダーのユーザー情報を更新
             Object.keys(window).forEach(key => {
@@ -522,9 +816,9 @@ if (typeof window !== 'undefined' && window.appStore) {
 }
 
 // EventBusとの連携
-if (typeof window !== 'undefined' && window.eventBus) {
+if (typeof window !== 'undefined') {
     // 通知件数の変更を監視
-    window.eventBus.on('notifications.count.changed', (count) => {
+    eventBus.on('notifications.count.changed', (count) => {
         Object.keys(window).forEach(key => {
             if (key.startsWith('header_') && window[key].setNotificationCount) {
                 window[key].setNotificationCount(count);
@@ -532,8 +826,26 @@ if (typeof window !== 'undefined' && window.eventBus) {
         });
     });
     
+    // 送信待ち（アウトボックス）の状況を監視
+    eventBus.on('outbox.statusChanged', (status) => {
+        Object.keys(window).forEach(key => {
+            if (key.startsWith('header_') && window[key].setSyncStatus) {
+                window[key].setSyncStatus(status);
+            }
+        });
+    });
+    
+    // Service Worker のキャッシュ状況を監視
+    eventBus.on('offlineCache.statusChanged', (status) => {
+        Object.keys(window).forEach(key => {
+            if (key.startsWith('header_') && window[key].setCacheStatus) {
+                window[key].setCacheStatus(status);
+            }
+        });
+    });
+    
     // ページ変更を監視してアクティブメニューを更新
-    window.eventBus.on('page.changed', (href) => {
+    eventBus.on('page.changed', (href) => {
         Object.keys(window).forEach(key => {
             if (key.startsWith('header_') && window[key].setActiveMenuItem) {
                 window[key].setActiveMenuItem(href);
@@ -542,12 +854,9 @@ if (typeof window !== 'undefined' && window.eventBus) {
     });
 }
 
-// ES6モジュールエクスポート対応
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = Header;
-}
+export default Header;
 
-// グローバルスコープでも利用可能
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
 if (typeof window !== 'undefined') {
     window.Header = Header;
-}
\ No newline at end of file
+}
@@ -2,6 +2,10 @@
  * Alert Component - 通知・アラート表示コンポーネント
  * MOCアーキテクチャの基本UIコンポーネント
  */
+
+import { eventBus } from '../../utils/EventBus.js';
+import { appStore } from '../../stores/AppStore.js';
+
 class Alert {
     constructor(options = {}) {
         this.type = options.type || 'info'; // info, success, warning, error
@@ -411,9 +415,9 @@ class Alert {
 }
 
 // AppStoreとの連携
-if (typeof window !== 'undefined' && window.appStore) {
+if (typeof window !== 'undefined') {
     // AppStoreの通知システムと統合
-    window.appStore.subscribe((state, action) => {
+    appStore.subscribe((state, action) => {
         if (action.type === 'ADD_NOTIFICATION') {
             const notification = action.payload;
             const alert = new Alert({
@@ -428,31 +432,28 @@ if (typeof window !== 'undefined' && window.appStore) {
 }
 
 // EventBusとの連携
-if (typeof window !== 'undefined' && window.eventBus) {
+if (typeof window !== 'undefined') {
     // システムイベントを監視してアラート表示
-    window.eventBus.on('validation.error', (errors) => {
+    eventBus.on('validation.error', (errors) => {
         Alert.validationErrors(errors).mount();
     });
     
-    window.eventBus.on('operation.success', (message) => {
+    eventBus.on('operation.success', (message) => {
         Alert.success(message).mount();
     });
     
-    window.eventBus.on('operation.error', (message) => {
+    eventBus.on('operation.error', (message) => {
         Alert.error(message).mount();
     });
     
-    window.eventBus.on('system.warning', (message) => {
+    eventBus.on('system.warning', (message) => {
         Alert.warning(message).mount();
     });
 }
 
-// ES6モジュールエクスポート対応
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = Alert;
-}
+export default Alert;
 
-// グローバルスコープでも利用可能
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
 if (typeof window !== 'undefined') {
     window.Alert = Alert;
-}
\ No newline at end of file
+}
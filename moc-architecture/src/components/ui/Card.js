@@ -117,6 +117,9 @@ class Card {
      * @returns {Card} ナビゲーションカードインスタンス
      */
     static createNavCard(nav) {
+        // SPAシェルでは個別HTMLへのリンクをルートに読み替える
+        const href = typeof window !== 'undefined' && window.router ? window.router.resolveHref(nav.href) : nav.href;
+        
         return new Card({
             className: 'nav-card',
             icon: nav.icon,
@@ -124,19 +127,16 @@ class Card {
             content: nav.description,
             actions: [{
                 label: '開く',
-                onClick: `location.href='${nav.href}'`
+                onClick: `location.href='${href}'`
             }],
             id: `nav-${nav.key}`
         });
     }
 }
 
-// ES6モジュールエクスポート対応
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = Card;
-}
+export default Card;
 
-// グローバルスコープでも利用可能
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
 if (typeof window !== 'undefined') {
     window.Card = Card;
-}
\ No newline at end of file
+}
@@ -2,6 +2,9 @@
  * Chart Component - Chart.js統合チャートコンポーネント
  * MOCアーキテクチャの基本UIコンポーネント
  */
+
+import { eventBus } from '../../utils/EventBus.js';
+
 class Chart {
     constructor(options = {}) {
         this.type = options.type || 'bar';
@@ -207,7 +210,7 @@ class Chart {
         const result = { ...target };
         
         for (const key in source) {
-            if (source.hasOwnProperty(key)) {
+            if (Object.prototype.hasOwnProperty.call(source, key)) {
                 if (source[key] instanceof Object && target[key] instanceof Object) {
                     result[key] = this.mergeDeep(target[key], source[key]);
                 } else {
@@ -588,9 +591,9 @@ class Chart {
 }
 
 // EventBusとの連携
-if (typeof window !== 'undefined' && window.eventBus) {
+if (typeof window !== 'undefined') {
     // データ更新イベントを監視
-    window.eventBus.on('chart.update', (data) => {
+    eventBus.on('chart.update', (data) => {
         const { chartId, newData, animate } = data;
         const chartInstance = window[`chart_${chartId}`];
         if (chartInstance) {
@@ -599,7 +602,7 @@ if (typeof window !== 'undefined' && window.eventBus) {
     });
     
     // チャートタイプ変更イベント
-    window.eventBus.on('chart.changeType', (data) => {
+    eventBus.on('chart.changeType', (data) => {
         const { chartId, newType } = data;
         const chartInstance = window[`chart_${chartId}`];
         if (chartInstance) {
@@ -608,12 +611,9 @@ if (typeof window !== 'undefined' && window.eventBus) {
     });
 }
 
-// ES6モジュールエクスポート対応
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = Chart;
-}
+export default Chart;
 
-// グローバルスコープでも利用可能（Chart.jsとの名前衝突を回避）
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
 if (typeof window !== 'undefined') {
     window.MOCChart = Chart;
-}
\ No newline at end of file
+}
@@ -2,12 +2,25 @@
  * Form Component - 高機能フォームコンポーネント
  * MOCアーキテクチャの基本UIコンポーネント
  */
+
+import { eventBus } from '../../utils/EventBus.js';
+import { PermissionService } from '../../services/PermissionService.js';
+
 class Form {
     constructor(options = {}) {
-        this.fields = options.fields || [];
-        this.data = options.data || {};
+        // key / value 形式のフィールド定義にも対応（value は初期値として扱う）
+        this.fields = (options.fields || []).map(field => ({ ...field, name: field.name || field.key }));
+        this.data = {
+            ...this.fields.reduce((data, field) => {
+                if (field.value !== undefined) data[field.name] = field.value;
+                return data;
+            }, {}),
+            ...(options.data || {})
+        };
         this.validators = options.validators || {};
         this.onSubmit = options.onSubmit || null;
+        // 送信に必要な権限（例: 'master.edit'）。権限がなければ送信ボタンを無効にする
+        this.capability = options.capability || null;
         this.onChange = options.onChange || null;
         this.className = options.className || '';
         this.id = options.id || `form-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -47,7 +60,8 @@ class Form {
             <form id="${this.id}" class="form ${this.className}" novalidate>
                 ${fieldsHtml}
                 <div class="form-actions">
-                    <button type="submit" class="btn btn-primary form-submit">
+                    <button type="submit" class="btn btn-primary form-submit"
+                            ${PermissionService.can(this.capability) ? '' : `disabled hidden title="${PermissionService.getDeniedMessage(this.capability)}"`}>
                         <span class="form-submit-text">送信</span>
                         <div class="form-submit-spinner" style="display: none;">⟳</div>
                     </button>
@@ -102,7 +116,7 @@ class Form {
                 fieldElement = `<textarea ${commonAttrs} ${specificAttrs}>${value}</textarea>`;
                 break;
                 
-            case 'select':
+            case 'select': {
                 const options = (fieldConfig.options || []).map(option => {
                     const optValue = typeof option === 'object' ? option.value : option;
                     const optLabel = typeof option === 'object' ? option.label : option;
@@ -111,8 +125,9 @@ class Form {
                 }).join('');
                 fieldElement = `<select ${commonAttrs} ${specificAttrs}>${options}</select>`;
                 break;
+            }
                 
-            case 'radio':
+            case 'radio': {
                 const radioOptions = (fieldConfig.options || []).map(option => {
                     const optValue = typeof option === 'object' ? option.value : option;
                     const optLabel = typeof option === 'object' ? option.label : option;
@@ -127,6 +142,7 @@ class Form {
                 }).join('');
                 fieldElement = `<div class="form-radio-group">${radioOptions}</div>`;
                 break;
+            }
                 
             case 'checkbox':
                 if (fieldConfig.options) {
@@ -340,30 +356,33 @@ class Form {
 
         if (!this.onSubmit) return;
 
+        if (!PermissionService.check(this.capability, { action: 'フォーム送信' })) {
+            this.setFormError(PermissionService.getDeniedMessage(this.capability));
+            return;
+        }
+
         try {
             this.setSubmitting(true);
             await this.onSubmit(this.data, this);
             
             // 送信成功時の処理
-            if (window.eventBus) {
-                window.eventBus.emit('form.submit.success', {
-                    formId: this.id,
-                    data: this.data
-                });
-            }
+            eventBus.emit('form.submit.success', {
+                formId: this.id,
+                data: this.data
+            });
             
         } catch (error) {
             console.error('Form submit error:', error);
             
-            // サーバーエラーの表示
-            this.setFormError('送信エラーが発生しました。再度お試しください。');
+            // サーバーエラーの表示（権限エラーはその旨を表示）
+            this.setFormError(PermissionService.isPermissionError(error) ?
+                error.message :
+                '送信エラーが発生しました。再度お試しください。');
             
-            if (window.eventBus) {
-                window.eventBus.emit('form.submit.error', {
-                    formId: this.id,
-                    error: error.message
-                });
-            }
+            eventBus.emit('form.submit.error', {
+                formId: this.id,
+                error: error.message
+            });
         } finally {
             this.setSubmitting(false);
         }
@@ -423,12 +442,13 @@ class Form {
      */
     runBuiltinValidation(field, value) {
         switch (field.type) {
-            case 'email':
+            case 'email': {
                 const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
                 if (!emailRegex.test(value)) {
                     return 'メールアドレスの形式が正しくありません';
                 }
                 break;
+            }
                 
             case 'url':
                 try {
@@ -450,12 +470,13 @@ class Form {
                 }
                 break;
                 
-            case 'tel':
-                const telRegex = /^[\d\-\+\(\)\s]+$/;
+            case 'tel': {
+                const telRegex = /^[\d\-+()\s]+$/;
                 if (!telRegex.test(value)) {
                     return '電話番号の形式が正しくありません';
                 }
                 break;
+            }
         }
 
         // 文字列長チェック
@@ -568,6 +589,21 @@ class Form {
         formErrors.style.display = 'block';
     }
 
+    /**
+     * フォームデータを取得（数値フィールドは数値に変換）
+     * @returns {Object} フォームデータ
+     */
+    getData() {
+        const data = { ...this.data };
+        this.fields.forEach(field => {
+            const value = data[field.name];
+            if (field.type === 'number' && value !== '' && value !== undefined && value !== null) {
+                data[field.name] = Number(value);
+            }
+        });
+        return data;
+    }
+
     /**
      * フォームデータを設定
      * @param {Object} data - フォームデータ
@@ -616,12 +652,9 @@ class Form {
     }
 }
 
-// ES6モジュールエクスポート対応
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = Form;
-}
+export default Form;
 
-// グローバルスコープでも利用可能
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
 if (typeof window !== 'undefined') {
     window.Form = Form;
-}
\ No newline at end of file
+}
@@ -2,11 +2,16 @@
  * Table Component - 高機能テーブルコンポーネント
  * MOCアーキテクチャの基本UIコンポーネント
  */
+
+import { PermissionService } from '../../services/PermissionService.js';
+
 class Table {
     constructor(options = {}) {
         this.columns = options.columns || [];
         this.data = options.data || [];
-        this.editable = options.editable || false;
+        // 編集・行操作に必要な権限（例: 'performance.edit'）。権限がなければ参照のみで表示する
+        this.capability = options.capability || null;
+        this.editable = (options.editable || false) && PermissionService.can(this.capability);
         this.sortable = options.sortable || false;
         this.selectable = options.selectable || false;
         this.pagination = options.pagination || null;
@@ -142,15 +147,15 @@ class Table {
             const value = row[col.key];
             const displayValue = this.formatCellValue(value, col);
             const editable = this.editable && col.editable !== false;
-            const validator = this.validators[col.key];
             
             if (editable) {
                 const inputType = col.type === 'currency' ? 'number' : col.type || 'text';
                 const step = col.type === 'currency' ? '0.01' : col.step || '';
+                const inputValue = col.nullable ? (value === null || value === undefined ? '' : value) : (value || '');
                 return `
                     <td class="column-${col.key}">
                         <input type="${inputType}" 
-                               value="${value || ''}" 
+                               value="${inputValue}" 
                                data-row="${rowId}" 
                                data-col="${col.key}"
                                class="table-input"
@@ -432,6 +437,8 @@ class Table {
      * 行を追加
      */
     addRow() {
+        if (!this.checkPermission('行追加')) return;
+        
         const newRow = {};
         this.columns.forEach(col => {
             newRow[col.key] = col.defaultValue || '';
@@ -451,6 +458,8 @@ class Table {
      * @param {string} rowId - 行ID
      */
     deleteRow(rowId) {
+        if (!this.checkPermission('行削除')) return;
+        
         const index = this.data.findIndex(row => row.id === rowId);
         if (index !== -1) {
             const deletedRow = this.data.splice(index, 1)[0];
@@ -467,6 +476,8 @@ class Table {
      * @param {HTMLElement} input - 入力要素
      */
     updateCell(input) {
+        if (!this.checkPermission('セル編集')) return;
+        
         try {
             const rowId = input.dataset.row;
             const colKey = input.dataset.col;
@@ -482,7 +493,8 @@ class Table {
                 // 数値型の場合は適切に変換
                 const column = this.columns.find(col => col.key === colKey);
                 if (column && (column.type === 'number' || column.type === 'currency')) {
-                    row[colKey] = parseFloat(value) || 0;
+                    // nullable列は空欄を未入力(null)として保持
+                    row[colKey] = column.nullable && value === '' ? null : (parseFloat(value) || 0);
                 } else {
                     row[colKey] = value;
                 }
@@ -552,11 +564,34 @@ class Table {
         }
     }
 
+    /**
+     * 条件に一致する行のページへ移動して強調表示
+     * @param {Function} predicate - 行データの判定関数
+     * @returns {boolean} 該当行を表示できたか
+     */
+    focusRow(predicate) {
+        const dataIndex = this.data.findIndex(predicate);
+        if (dataIndex === -1 || !this.element) return false;
+        
+        if (this.pagination) {
+            this.goToPage(Math.floor(dataIndex / this.pageSize) + 1);
+        }
+        
+        const row = this.data[dataIndex];
+        const rowId = row.id || (this.pagination ? dataIndex % this.pageSize : dataIndex);
+        const element = this.element.querySelector(`tr[data-row-id="${rowId}"]`);
+        if (!element) return false;
+        
+        element.classList.add('focused');
+        element.scrollIntoView({ block: 'center' });
+        return true;
+    }
+
     /**
      * 選択された行を削除
      */
     deleteSelected() {
-        if (this.selectedRows.size === 0) return;
+        if (this.selectedRows.size === 0 || !this.checkPermission('選択削除')) return;
         
         if (confirm(`${this.selectedRows.size}行を削除しますか？`)) {
             this.data = this.data.filter(row => !this.selectedRows.has(row.id));
@@ -565,6 +600,15 @@ class Table {
         }
     }
 
+    /**
+     * 編集操作の権限を確認（権限がなければ拒否を記録する）
+     * @param {string} action - 操作名
+     * @returns {boolean} 操作してよいか
+     */
+    checkPermission(action) {
+        return PermissionService.check(this.capability, { action });
+    }
+
     /**
      * ページ移動
      * @param {number} page - ページ番号
@@ -635,12 +679,9 @@ class Table {
     }
 }
 
-// ES6モジュールエクスポート対応
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = Table;
-}
+export default Table;
 
-// グローバルスコープでも利用可能
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
 if (typeof window !== 'undefined') {
     window.Table = Table;
-}
\ No newline at end of file
+}
@@ -0,0 +1,62 @@
+/**
+ * 在庫管理システム MOCアーキテクチャ - パッケージのエントリーポイント
+ * MOC画面（moc-architecture/*.html）と従来画面（リポジトリ直下の *.html）はこのモジュール群を共通で読み込む
+ *
+ * 利用例:
+ *   <script type="module" src="src/index.js"></script>
+ *   import { InventoryService, Table } from './src/index.js';
+ *
+ * 各モジュールは読み込み時に window にも登録される（インラインスクリプト・従来ページ向けの互換用）
+ */
+
+// ========== Core ==========
+export { EventBus, eventBus } from './utils/EventBus.js';
+export { AppStore, appStore } from './stores/AppStore.js';
+export { default as Router } from './utils/Router.js';
+export { default as CsvParser } from './utils/CsvParser.js';
+export { default as HtmlUtils } from './utils/HtmlUtils.js';
+
+// ========== Services ==========
+export { AuditLogService, auditLogService } from './services/AuditLogService.js';
+export { AuthService, authService } from './services/AuthService.js';
+export { default as BusinessRuleService } from './services/BusinessRuleService.js';
+export { default as CalendarService } from './services/CalendarService.js';
+export { default as CsvImportService } from './services/CsvImportService.js';
+export { default as EventWeatherService } from './services/EventWeatherService.js';
+export { default as ForecastAccuracyService } from './services/ForecastAccuracyService.js';
+export { default as ForecastService } from './services/ForecastService.js';
+export { default as HistoricalDataService } from './services/HistoricalDataService.js';
+export { default as InventoryService } from './services/InventoryService.js';
+export { OfflineCacheService, offlineCacheService } from './services/OfflineCacheService.js';
+export { default as OrderService } from './services/OrderService.js';
+export { OutboxService, outboxService } from './services/OutboxService.js';
+export { PermissionService, PermissionError } from './services/PermissionService.js';
+export { default as PerformanceInputService } from './services/PerformanceInputService.js';
+export { default as ValidationService } from './services/ValidationService.js';
+export { default as WeatherImportService } from './services/WeatherImportService.js';
+
+// ========== Repositories ==========
+export { DataRepository, dataRepository, DataSourceError } from './repositories/DataRepository.js';
+export { DataSummary } from './repositories/DataSummary.js';
+export { LocalDataAdapter } from './repositories/adapters/LocalDataAdapter.js';
+export { MockDataAdapter } from './repositories/adapters/MockDataAdapter.js';
+export { RestDataAdapter } from './repositories/adapters/RestDataAdapter.js';
+
+// ========== Components ==========
+export { default as Alert } from './components/ui/Alert.js';
+export { default as Card } from './components/ui/Card.js';
+export { default as MOCChart } from './components/ui/Chart.js';
+export { default as Form } from './components/ui/Form.js';
+export { default as Table } from './components/ui/Table.js';
+export { default as Header } from './components/layout/Header.js';
+export { default as WesternConfectionOrderForm } from './components/business/WesternConfectionOrderForm.js';
+
+// ========== Pages ==========
+export { Dashboard, DashboardService } from './pages/dashboard/Dashboard.js';
+export { default as PerformanceInput } from './pages/performance/PerformanceInput.js';
+export { OrderSimulation, OrderSimulationService } from './pages/order/OrderSimulation.js';
+export { WesternConfectionNote, WesternConfectionService } from './pages/western/WesternConfectionNote.js';
+export { HistoricalAnalysis, HistoricalAnalysisService } from './pages/analysis/HistoricalAnalysis.js';
+export { MasterMaintenance, MasterMaintenanceService } from './pages/admin/MasterMaintenance.js';
+export { AuditLog } from './pages/admin/AuditLog.js';
+export { Login, LoginService } from './pages/auth/Login.js';
@@ -0,0 +1,446 @@
+/**
+ * AuditLog Page - 操作ログ画面（SET-LOG）
+ * MOCアーキテクチャのページレベルコンポーネント
+ *
+ * 実績保存・発注変更・マスタ編集などの操作ログ（変更前後の差分つき）を
+ * ユーザー・画面・期間で絞り込んで表示し、CSVで出力する。管理者のみ参照できる。
+ */
+
+import { eventBus } from '../../utils/EventBus.js';
+import { AuthService, authService } from '../../services/AuthService.js';
+import { AuditLogService, auditLogService } from '../../services/AuditLogService.js';
+import { PermissionService } from '../../services/PermissionService.js';
+import Alert from '../../components/ui/Alert.js';
+import Table from '../../components/ui/Table.js';
+import Header from '../../components/layout/Header.js';
+
+class AuditLog {
+    constructor(options = {}) {
+        this.container = options.container || 'body';
+        this.header = null;
+        this.logTable = null;
+        this.changeTable = null;
+
+        // 設定
+        this.defaultDateRange = options.defaultDateRange || 7; // 直近7日間
+        this.pageSize = options.pageSize || 20;
+
+        // データ
+        this.logs = [];
+        this.filters = {
+            username: '',
+            screen: '',
+            from: '',
+            to: ''
+        };
+    }
+
+    /**
+     * 操作ログ画面を初期化
+     * @returns {Promise<void>}
+     */
+    async init() {
+        // 未ログイン・セッション切れならログイン画面へ
+        if (!authService.requireSession()) return;
+
+        // 操作ログの参照は管理者のみ（SPAシェルではルーターでも確認している）
+        if (!PermissionService.check('audit.view', { screen: 'SET-LOG', action: '画面表示' })) {
+            this.showForbidden();
+            return;
+        }
+
+        try {
+            // レイアウトの構築
+            this.buildLayout();
+
+            // ヘッダーの初期化
+            this.initHeader();
+
+            // 絞り込み条件の初期値
+            this.setDefaultFilters();
+            await this.buildUserOptions();
+
+            // テーブルの構築
+            this.buildTables();
+
+            // イベントリスナーの設定
+            this.attachEventListeners();
+
+            // ログの読み込み
+            await this.loadLogs();
+
+            // ページ読み込み完了イベント
+            eventBus.emit('auditLog.loaded');
+
+        } catch (error) {
+            console.error('AuditLog initialization failed:', error);
+            Alert.error('操作ログの初期化に失敗しました').mount();
+        }
+    }
+
+    /**
+     * 表示権限がない場合の画面
+     */
+    showForbidden() {
+        const container = typeof this.container === 'string' ?
+            document.querySelector(this.container) : this.container;
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="dashboard-error">
+                <div class="dashboard-error-icon">🚫</div>
+                <div class="dashboard-error-message">${PermissionService.getDeniedMessage('audit.view')}</div>
+                <a class="dashboard-retry-btn" href="index-moc.html">ダッシュボードへ戻る</a>
+            </div>
+        `;
+    }
+
+    /**
+     * レイアウトの基本構造を構築
+     */
+    buildLayout() {
+        const container = typeof this.container === 'string' ?
+            document.querySelector(this.container) : this.container;
+
+        const screenOptions = Object.entries(AuditLogService.getScreenLabels())
+            .map(([id, label]) => `<option value="${id}">${id} ${label}</option>`)
+            .join('');
+
+        container.innerHTML = `
+            <div class="audit-log-layout">
+                <div id="audit-header"></div>
+
+                <main class="audit-main">
+                    <div class="audit-content">
+                        <!-- Filter Section -->
+                        <section class="audit-section">
+                            <div class="container">
+                                <h2 class="section-title">🔍 絞り込み条件</h2>
+                                <div class="data-controls">
+                                    <div class="control-group">
+                                        <label for="audit-user">ユーザー</label>
+                                        <select id="audit-user" class="form-input">
+                                            <option value="">全て</option>
+                                        </select>
+                                    </div>
+                                    <div class="control-group">
+                                        <label for="audit-screen">画面</label>
+                                        <select id="audit-screen" class="form-input">
+                                            <option value="">全て</option>
+                                            ${screenOptions}
+                                        </select>
+                                    </div>
+                                    <div class="control-group">
+                                        <label for="audit-from">期間</label>
+                                        <input type="date" id="audit-from" class="form-input">
+                                        <span>〜</span>
+                                        <input type="date" id="audit-to" class="form-input">
+                                    </div>
+                                    <div class="control-group">
+                                        <button id="audit-search-btn" class="btn btn-primary">🔍 検索</button>
+                                        <button id="audit-reset-btn" class="btn btn-secondary">🔄 リセット</button>
+                                    </div>
+                                </div>
+                            </div>
+                        </section>
+
+                        <!-- Log Table Section -->
+                        <section class="audit-section">
+                            <div class="container">
+                                <div class="data-controls">
+                                    <h2 class="section-title">📜 操作ログ <span id="audit-count" class="audit-count"></span></h2>
+                                    <div class="control-group">
+                                        <button id="audit-detail-btn" class="btn btn-secondary">🔍 変更内容を表示</button>
+                                        <button id="audit-export-btn" class="btn btn-secondary">📤 CSV出力</button>
+                                    </div>
+                                </div>
+                                <p class="audit-description">ログは追記のみで、画面から変更・削除することはできません。行を選択して「変更内容を表示」を押すと、変更前後の値をすべて確認できます。</p>
+                                <div id="audit-table-container"></div>
+                            </div>
+                        </section>
+
+                        <!-- Change Detail Section -->
+                        <section id="audit-detail-section" class="audit-section" style="display: none;">
+                            <div class="container">
+                                <h2 id="audit-detail-title" class="section-title">🧾 変更内容</h2>
+                                <div id="audit-changes-container"></div>
+                            </div>
+                        </section>
+                    </div>
+                </main>
+            </div>
+        `;
+    }
+
+    /**
+     * ヘッダーを初期化
+     */
+    initHeader() {
+        this.header = Header.createDefault({
+            title: '在庫管理システム',
+            subtitle: '操作ログ',
+            menuItems: [
+                { label: 'ダッシュボード', icon: '📊', href: 'index-moc.html' },
+                { label: '実績入力', icon: '📝', href: 'performance-input-moc.html' },
+                { label: '発注シミュレーション', icon: '🔄', href: 'order-simulation-moc.html' },
+                { label: '洋生ノート', icon: '🧁', href: 'western-confection-note-moc.html' },
+                { label: '過去データ分析', icon: '📈', href: 'historical-analysis-moc.html' },
+                { label: 'マスタメンテナンス', icon: '🔧', href: 'master-maintenance-moc.html' },
+                { label: '操作ログ', icon: '📜', href: 'audit-log-moc.html', active: true }
+            ]
+        });
+
+        this.header.mount('#audit-header');
+    }
+
+    /**
+     * 絞り込み条件の初期値（直近 defaultDateRange 日間）
+     */
+    setDefaultFilters() {
+        const to = new Date();
+        const from = new Date();
+        from.setDate(from.getDate() - (this.defaultDateRange - 1));
+
+        this.filters = {
+            username: '',
+            screen: '',
+            from: AuditLogService.formatDate(from),
+            to: AuditLogService.formatDate(to)
+        };
+        this.applyFiltersToControls();
+    }
+
+    /**
+     * 絞り込み条件を入力欄に反映
+     */
+    applyFiltersToControls() {
+        document.getElementById('audit-user').value = this.filters.username;
+        document.getElementById('audit-screen').value = this.filters.screen;
+        document.getElementById('audit-from').value = this.filters.from;
+        document.getElementById('audit-to').value = this.filters.to;
+    }
+
+    /**
+     * ユーザーの選択肢（登録ユーザー＋ログに残っているユーザー）
+     * @returns {Promise<void>}
+     */
+    async buildUserOptions() {
+        const select = document.getElementById('audit-user');
+        if (!select) return;
+
+        const [users, loggedUsernames] = await Promise.all([
+            authService.getUsers().catch(() => []),
+            auditLogService.getUsernames()
+        ]);
+        const names = new Map(users.map(user => [user.username, user.displayName]));
+        loggedUsernames.forEach(username => {
+            if (!names.has(username)) names.set(username, '');
+        });
+
+        select.innerHTML = `<option value="">全て</option>` + Array.from(names.entries())
+            .map(([username, displayName]) => `<option value="${username}">${displayName ? `${displayName}（${username}）` : username}</option>`)
+            .join('');
+        select.value = this.filters.username;
+    }
+
+    /**
+     * テーブルを構築
+     */
+    buildTables() {
+        this.logTable = new Table({
+            columns: [
+                { key: 'timestampLabel', label: '日時', type: 'text', width: '150px' },
+                { key: 'user_id', label: 'ユーザーID', type: 'text', width: '110px' },
+                { key: 'roleLabel', label: '権限', type: 'text', width: '90px' },
+                { key: 'screenLabel', label: '画面', type: 'text', width: '160px' },
+                { key: 'action', label: '操作', type: 'text', width: '140px' },
+                { key: 'payload_summary', label: '内容', type: 'text' }
+            ],
+            data: [],
+            editable: false,
+            sortable: true,
+            selectable: true,
+            pagination: true,
+            pageSize: this.pageSize,
+            className: 'audit-table'
+        });
+
+        this.logTable.mount('#audit-table-container');
+
+        this.changeTable = new Table({
+            columns: [
+                { key: 'field', label: '項目', type: 'text', width: '220px' },
+                { key: 'before', label: '変更前', type: 'text' },
+                { key: 'after', label: '変更後', type: 'text' }
+            ],
+            data: [],
+            editable: false,
+            sortable: false,
+            pagination: true,
+            pageSize: 50,
+            className: 'audit-table'
+        });
+
+        this.changeTable.mount('#audit-changes-container');
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    attachEventListeners() {
+        document.getElementById('audit-search-btn')?.addEventListener('click', () => {
+            this.search();
+        });
+
+        document.getElementById('audit-reset-btn')?.addEventListener('click', () => {
+            this.setDefaultFilters();
+            this.loadLogs();
+        });
+
+        document.getElementById('audit-detail-btn')?.addEventListener('click', () => {
+            this.showSelectedChanges();
+        });
+
+        document.getElementById('audit-export-btn')?.addEventListener('click', () => {
+            this.exportToCSV();
+        });
+    }
+
+    /**
+     * 入力された条件で検索
+     * @returns {Promise<void>}
+     */
+    async search() {
+        const filters = {
+            username: document.getElementById('audit-user').value,
+            screen: document.getElementById('audit-screen').value,
+            from: document.getElementById('audit-from').value,
+            to: document.getElementById('audit-to').value
+        };
+
+        if (filters.from && filters.to && filters.from > filters.to) {
+            Alert.warning('開始日は終了日以前の日付を指定してください').mount();
+            return;
+        }
+
+        this.filters = filters;
+        await this.loadLogs();
+    }
+
+    /**
+     * 絞り込み条件でログを読み込み
+     * @returns {Promise<void>}
+     */
+    async loadLogs() {
+        try {
+            const roleLabels = AuthService.getRoleLabels();
+            const screenLabels = AuditLogService.getScreenLabels();
+            const logs = await auditLogService.getLogs(this.filters);
+
+            this.logs = logs.map(log => ({
+                ...log,
+                timestampLabel: new Date(log.timestamp).toLocaleString('ja-JP'),
+                roleLabel: roleLabels[log.user_role] || log.user_role || '-',
+                screenLabel: screenLabels[log.screen_id] ? `${log.screen_id} ${screenLabels[log.screen_id]}` : (log.screen_id || '-')
+            }));
+
+            this.logTable.selectedRows.clear();
+            this.logTable.updateData(this.logs);
+            this.hideChanges();
+
+            const count = document.getElementById('audit-count');
+            if (count) count.textContent = `（${this.logs.length}件）`;
+
+        } catch (error) {
+            console.error('Audit log load failed:', error);
+            Alert.error('操作ログの読み込みに失敗しました').mount();
+        }
+    }
+
+    /**
+     * 選択した操作の変更内容を表示
+     */
+    showSelectedChanges() {
+        const selected = this.logs.filter(log => this.logTable.selectedRows.has(String(log.id)));
+        if (selected.length !== 1) {
+            Alert.warning('変更内容を表示する操作を1件選択してください').mount();
+            return;
+        }
+
+        const log = selected[0];
+        document.getElementById('audit-detail-title').textContent =
+            `🧾 変更内容 - ${log.timestampLabel} ${log.action}（${log.target || log.screenLabel}）`;
+        this.changeTable.updateData((log.changes || []).map((change, index) => ({ id: index + 1, ...change })));
+        document.getElementById('audit-detail-section').style.display = 'block';
+
+        if ((log.changes || []).length === 0) {
+            Alert.info('この操作では値の変更はありませんでした').mount();
+        }
+    }
+
+    /**
+     * 変更内容の表示を閉じる
+     */
+    hideChanges() {
+        const section = document.getElementById('audit-detail-section');
+        if (section) section.style.display = 'none';
+    }
+
+    /**
+     * CSV出力（表示中の条件で絞り込んだログ。Excelで開けるようBOM付きUTF-8）
+     */
+    exportToCSV() {
+        if (this.logs.length === 0) {
+            Alert.warning('出力する操作ログがありません').mount();
+            return;
+        }
+
+        try {
+            const csvData = AuditLogService.toCSV(this.logs);
+
+            const blob = new Blob(['\uFEFF' + csvData], { type: 'text/csv;charset=utf-8;' });
+            const link = document.createElement('a');
+            const url = URL.createObjectURL(blob);
+            link.setAttribute('href', url);
+            link.setAttribute('download', `audit_logs_${this.filters.from || 'all'}_${this.filters.to || 'all'}.csv`);
+            link.style.visibility = 'hidden';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+
+            Alert.success(`操作ログ${this.logs.length}件をCSV出力しました`).mount();
+
+        } catch (error) {
+            console.error('Export failed:', error);
+            Alert.error('CSV出力に失敗しました').mount();
+        }
+    }
+
+    /**
+     * ページを破棄
+     */
+    destroy() {
+        // ヘッダー破棄
+        if (this.header) {
+            this.header.destroy();
+        }
+
+        // テーブル破棄
+        if (this.logTable) {
+            this.logTable.destroy();
+        }
+        if (this.changeTable) {
+            this.changeTable.destroy();
+        }
+
+        eventBus.emit('auditLog.destroyed');
+    }
+}
+
+export { AuditLog };
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.AuditLog = AuditLog;
+}
@@ -2,6 +2,23 @@
  * MasterMaintenance Page - マスタメンテナンスページコンポーネント
  * MOCアーキテクチャのページレベルコンポーネント
  */
+
+import { eventBus } from '../../utils/EventBus.js';
+import { AuthService, authService } from '../../services/AuthService.js';
+import { PermissionService } from '../../services/PermissionService.js';
+import '../../services/AuditLogService.js'; // 保存・変更イベントを操作ログ（SET-LOG）に記録する
+import BusinessRuleService from '../../services/BusinessRuleService.js';
+import EventWeatherService from '../../services/EventWeatherService.js';
+import CsvImportService from '../../services/CsvImportService.js';
+import WeatherImportService from '../../services/WeatherImportService.js';
+import { DataRepository, dataRepository } from '../../repositories/DataRepository.js';
+import CsvParser from '../../utils/CsvParser.js';
+import HtmlUtils from '../../utils/HtmlUtils.js';
+import Alert from '../../components/ui/Alert.js';
+import Form from '../../components/ui/Form.js';
+import Table from '../../components/ui/Table.js';
+import Header from '../../components/layout/Header.js';
+
 class MasterMaintenance {
     constructor(options = {}) {
         this.container = options.container || 'body';
@@ -16,10 +33,18 @@ class MasterMaintenance {
             products: [],
             categories: [],
             suppliers: [],
+            customers: [],
+            eventsWeather: [],
             settings: {},
             users: []
         };
         
+        // CSV取込み（ファイル読込み → 列の対応付け → 取込内容の確認 → 取込実行）
+        this.importState = this.getInitialImportState('products');
+        
+        // 未保存の入力がある箇所（'settings' / 'modal'）
+        this.dirtySources = new Set();
+        
         // サービス
         this.masterService = null;
     }
@@ -29,6 +54,15 @@ class MasterMaintenance {
      * @returns {Promise<void>}
      */
     async init() {
+        // 未ログイン・セッション切れならログイン画面へ
+        if (!authService.requireSession()) return;
+        
+        // 画面の表示権限（SPAシェルではルーターでも確認している）
+        if (!PermissionService.check('master.view', { screen: 'MST-PRD', action: '画面表示' })) {
+            this.showForbidden();
+            return;
+        }
+
         try {
             // サービスの初期化
             this.masterService = new MasterMaintenanceService();
@@ -50,11 +84,10 @@ class MasterMaintenance {
             
             // イベントリスナーの設定
             this.attachEventListeners();
+            this.applyPermissions();
             
             // ページ読み込み完了イベント
-            if (window.eventBus) {
-                window.eventBus.emit('masterMaintenance.loaded');
-            }
+            eventBus.emit('masterMaintenance.loaded');
             
         } catch (error) {
             console.error('MasterMaintenance initialization failed:', error);
@@ -62,6 +95,57 @@ class MasterMaintenance {
         }
     }
 
+    /**
+     * 表示権限がない場合の画面
+     */
+    showForbidden() {
+        const container = typeof this.container === 'string' ? 
+            document.querySelector(this.container) : this.container;
+        if (!container) return;
+        
+        container.innerHTML = `
+            <div class="dashboard-error">
+                <div class="dashboard-error-icon">🚫</div>
+                <div class="dashboard-error-message">${PermissionService.getDeniedMessage('master.view')}</div>
+                <a class="dashboard-retry-btn" href="index-moc.html">ダッシュボードへ戻る</a>
+            </div>
+        `;
+    }
+
+    /**
+     * 権限に応じて操作ボタンを非表示にする
+     * マスタの登録・更新・削除は管理者のみ（企画書.md のアクセス制御）
+     */
+    applyPermissions() {
+        const buttons = {
+            'master.edit': ['add-product-btn', 'import-products-btn', 'add-category-btn', 'add-supplier-btn', 'import-customers-btn', 'import-events-btn', 'import-jma-btn'],
+            'settings.edit': ['save-settings-btn', 'reset-settings-btn'],
+            'users.manage': ['add-user-btn', 'edit-user-btn', 'unlock-user-btn', 'reset-password-btn']
+        };
+        
+        Object.entries(buttons).forEach(([capability, ids]) => {
+            if (PermissionService.can(capability)) return;
+            
+            ids.forEach(id => {
+                const element = document.getElementById(id);
+                if (element) {
+                    element.disabled = true;
+                    element.hidden = true;
+                }
+            });
+        });
+    }
+
+    /**
+     * エラーの表示メッセージ（権限エラー・データソースのエラーはその理由を表示する）
+     * @param {Error} error - エラー
+     * @param {string} fallback - 既定のメッセージ
+     * @returns {string} メッセージ
+     */
+    getErrorMessage(error, fallback) {
+        return PermissionService.isPermissionError(error) || DataRepository.isDataSourceError(error) ? error.message : fallback;
+    }
+
     /**
      * レイアウトの基本構造を構築
      */
@@ -120,6 +204,61 @@ class MasterMaintenance {
                                     <div id="suppliers-table-container"></div>
                                 </div>
                                 
+                                <!-- Customers Master (MST-CST) -->
+                                <div id="customers-tab" class="tab-content" style="display: none;">
+                                    <div class="tab-header">
+                                        <h2 class="tab-title">🏢 得意先マスタ管理</h2>
+                                        <div class="tab-actions">
+                                            <button id="import-customers-btn" class="btn btn-secondary">📤 CSV取込</button>
+                                        </div>
+                                    </div>
+                                    <div id="customers-table-container"></div>
+                                </div>
+                                
+                                <!-- Events & Weather Master (MST-ETC) -->
+                                <div id="events-tab" class="tab-content" style="display: none;">
+                                    <div class="tab-header">
+                                        <h2 class="tab-title">📅 イベント・気象マスタ管理</h2>
+                                        <div class="tab-actions">
+                                            <button id="import-events-btn" class="btn btn-secondary">📁 CSV取込</button>
+                                            <button id="import-jma-btn" class="btn btn-secondary">🌤️ 気象庁CSV取込</button>
+                                            <button id="export-events-btn" class="btn btn-secondary">📤 CSV出力</button>
+                                        </div>
+                                    </div>
+                                    <p class="tab-description">特招会・競合催事・天気・気温は発注推奨の天気係数・イベント係数に自動で反映されます。過去の天気は気象庁「過去の気象データ・ダウンロード」の日別CSVをそのまま取り込めます。</p>
+                                    <div id="events-table-container"></div>
+                                </div>
+                                
+                                <!-- CSV Import（仕様書 §11） -->
+                                <div id="import-tab" class="tab-content" style="display: none;">
+                                    <div class="tab-header">
+                                        <h2 class="tab-title">📁 CSV取込</h2>
+                                        <div class="tab-actions">
+                                            <button id="import-errors-btn" class="btn btn-secondary" disabled>📥 エラー一覧CSV</button>
+                                            <button id="import-commit-btn" class="btn btn-primary" disabled>💾 取込実行</button>
+                                        </div>
+                                    </div>
+                                    <p class="tab-description">商品マスタ・得意先マスタ・日次実績をCSVから取り込みます。文字コード（UTF-8 / Shift_JIS）は自動で判定します。列の対応と取込内容を確認してから取込実行してください（実行するまでデータは変更されません）。マスタの空欄の項目は登録済みの値を変更しません。日次実績は行の内容でその日・その商品の実績を置き換えます。</p>
+                                    <div class="import-settings">
+                                        <label class="import-setting">
+                                            <span class="form-label">取込対象</span>
+                                            <select id="import-target" class="form-select"></select>
+                                        </label>
+                                        <div class="import-setting">
+                                            <span class="form-label">取込方法</span>
+                                            <div id="import-mode" class="import-modes"></div>
+                                        </div>
+                                        <label class="import-setting">
+                                            <span class="form-label">CSVファイル</span>
+                                            <input id="import-file" type="file" accept=".csv,text/csv" class="form-input">
+                                        </label>
+                                    </div>
+                                    <p id="import-mode-help" class="import-help"></p>
+                                    <div id="import-file-info" class="import-file-info"></div>
+                                    <div id="import-mapping-container"></div>
+                                    <div id="import-preview-container"></div>
+                                </div>
+                                
                                 <!-- System Settings -->
                                 <div id="settings-tab" class="tab-content" style="display: none;">
                                     <div class="tab-header">
@@ -138,9 +277,19 @@ class MasterMaintenance {
                                         <h2 class="tab-title">👥 ユーザー管理</h2>
                                         <div class="tab-actions">
                                             <button id="add-user-btn" class="btn btn-primary">➕ ユーザー追加</button>
+                                            <button id="edit-user-btn" class="btn btn-secondary">✏️ 編集</button>
+                                            <button id="unlock-user-btn" class="btn btn-secondary">🔓 ロック解除</button>
+                                            <button id="reset-password-btn" class="btn btn-warning">🔑 パスワード初期化</button>
                                         </div>
                                     </div>
                                     <div id="users-table-container"></div>
+                                    <div class="tab-header">
+                                        <h2 class="tab-title">🕘 ログイン・権限エラー履歴</h2>
+                                        <div class="tab-actions">
+                                            <button id="refresh-login-history-btn" class="btn btn-secondary">🔄 更新</button>
+                                        </div>
+                                    </div>
+                                    <div id="login-history-table-container"></div>
                                 </div>
                             </div>
                         </section>
@@ -181,7 +330,8 @@ class MasterMaintenance {
                 { label: '発注シミュレーション', icon: '🔄', href: 'order-simulation.html' },
                 { label: '洋生ノート', icon: '🧁', href: 'western-confection-note.html' },
                 { label: '過去データ分析', icon: '📈', href: 'historical-analysis.html' },
-                { label: 'マスタメンテナンス', icon: '🔧', href: 'master-maintenance.html', active: true }
+                { label: 'マスタメンテナンス', icon: '🔧', href: 'master-maintenance.html', active: true },
+                { label: '操作ログ', icon: '📜', href: 'audit-log-moc.html' }
             ]
         });
         
@@ -199,11 +349,14 @@ class MasterMaintenance {
             { id: 'products', label: '🛍️ 商品マスタ', active: true },
             { id: 'categories', label: '🏷️ カテゴリマスタ' },
             { id: 'suppliers', label: '🚚 仕入先マスタ' },
+            { id: 'customers', label: '🏢 得意先マスタ' },
+            { id: 'events', label: '📅 イベント・気象' },
+            { id: 'import', label: '📁 CSV取込', visible: this.getImportTargets().length > 0 },
             { id: 'settings', label: '⚙️ システム設定' },
-            { id: 'users', label: '👥 ユーザー管理' }
+            { id: 'users', label: '👥 ユーザー管理', capability: 'users.manage' }
         ];
         
-        container.innerHTML = tabs.map(tab => `
+        container.innerHTML = tabs.filter(tab => tab.visible !== false && PermissionService.can(tab.capability)).map(tab => `
             <button class="tab-button ${tab.active ? 'active' : ''}" data-tab="${tab.id}">
                 ${tab.label}
             </button>
@@ -216,10 +369,12 @@ class MasterMaintenance {
      */
     async loadAllMasterData() {
         try {
-            const [products, categories, suppliers, settings, users] = await Promise.all([
+            const [products, categories, suppliers, customers, eventsWeather, settings, users] = await Promise.all([
                 this.masterService.getProducts(),
                 this.masterService.getCategories(),
                 this.masterService.getSuppliers(),
+                this.masterService.getCustomers(),
+                this.masterService.getEventsWeather(),
                 this.masterService.getSettings(),
                 this.masterService.getUsers()
             ]);
@@ -227,6 +382,8 @@ class MasterMaintenance {
             this.masterData.products = products;
             this.masterData.categories = categories;
             this.masterData.suppliers = suppliers;
+            this.masterData.customers = customers;
+            this.masterData.eventsWeather = eventsWeather;
             this.masterData.settings = settings;
             this.masterData.users = users;
             
@@ -264,6 +421,15 @@ class MasterMaintenance {
             case 'suppliers':
                 this.initSuppliersTab();
                 break;
+            case 'customers':
+                this.initCustomersTab();
+                break;
+            case 'events':
+                this.initEventsTab();
+                break;
+            case 'import':
+                this.initImportTab();
+                break;
             case 'settings':
                 this.initSettingsTab();
                 break;
@@ -290,6 +456,12 @@ class MasterMaintenance {
               options: this.masterData.suppliers.map(s => ({ value: s.id, label: s.name })) },
             { key: 'minOrder', label: '最小発注数', type: 'number', width: '100px' },
             { key: 'orderUnit', label: '発注単位', type: 'number', width: '100px' },
+            { key: 'caseSize', label: 'ケース入数', type: 'number', width: '100px' },
+            { key: 'orderUnitType', label: '発注区分', type: 'select', width: '100px',
+              options: [
+                  { value: 'piece', label: 'バラ' },
+                  { value: 'case', label: 'ケース' }
+              ]},
             { key: 'status', label: 'ステータス', type: 'select', width: '100px',
               options: [
                   { value: 'active', label: '有効' },
@@ -379,13 +551,73 @@ class MasterMaintenance {
         this.tables.suppliers.mount('#suppliers-table-container');
     }
 
+    /**
+     * 得意先マスタタブ初期化（MST-CST）
+     * 登録・更新はCSV取込みで行う
+     */
+    initCustomersTab() {
+        if (this.tables.customers) return;
+        
+        this.tables.customers = new Table({
+            columns: [
+                { key: 'code', label: '得意先コード', type: 'text', width: '120px' },
+                { key: 'name', label: '得意先名', type: 'text', width: '200px' },
+                { key: 'segment', label: '区分', type: 'text', width: '120px' }
+            ],
+            data: this.masterData.customers,
+            editable: false,
+            sortable: true,
+            pagination: true,
+            pageSize: 20,
+            className: 'master-table'
+        });
+        
+        this.tables.customers.mount('#customers-table-container');
+    }
+
+    /**
+     * イベント・気象マスタタブ初期化（MST-ETC）
+     * 行内編集した内容はその場で保存する
+     */
+    initEventsTab() {
+        if (this.tables.events) return;
+        
+        const columns = [
+            { key: 'date', label: '日付', type: 'date', width: '140px', required: true },
+            { key: 'special_sale', label: '特招会', type: 'text', width: '180px' },
+            { key: 'competitor_event', label: '競合催事', type: 'text', width: '180px' },
+            { key: 'weather', label: '天気', type: 'text', width: '100px' },
+            { key: 'temperature', label: '気温(℃)', type: 'number', width: '100px', step: '0.1', nullable: true },
+            { key: 'temperature_max', label: '最高(℃)', type: 'number', width: '90px', step: '0.1', nullable: true },
+            { key: 'temperature_min', label: '最低(℃)', type: 'number', width: '90px', step: '0.1', nullable: true },
+            { key: 'weather_summary', label: '天気概況', type: 'text', width: '140px' }
+        ];
+        
+        this.tables.events = new Table({
+            columns: columns,
+            data: this.masterData.eventsWeather,
+            editable: true,
+            capability: 'master.edit',
+            sortable: true,
+            onRowUpdate: this.handleEventWeatherUpdate.bind(this),
+            onRowDelete: this.handleEventWeatherDelete.bind(this),
+            className: 'master-table'
+        });
+        
+        this.tables.events.mount('#events-table-container');
+    }
+
     /**
      * システム設定タブ初期化
      */
     initSettingsTab() {
         if (this.forms.settings) return;
         
+        const basisLabels = BusinessRuleService.getWasteRateBasisLabels();
         const formConfig = {
+            onSubmit: () => this.saveSettings(),
+            onChange: () => this.markDirty('settings'),
+            capability: 'settings.edit',
             fields: [
                 {
                     key: 'companyName',
@@ -411,12 +643,37 @@ class MasterMaintenance {
                 {
                     key: 'wasteRateThreshold',
                     type: 'number',
-                    label: 'ロス率しきい値（%）',
-                    value: this.masterData.settings.wasteRateThreshold || 5,
+                    label: 'ロス率 警告しきい値（%）',
+                    value: this.masterData.settings.wasteRateThreshold,
+                    min: 0,
+                    max: 100,
+                    step: 0.1
+                },
+                {
+                    key: 'wasteRateErrorThreshold',
+                    type: 'number',
+                    label: 'ロス率 異常しきい値（%）',
+                    value: this.masterData.settings.wasteRateErrorThreshold,
                     min: 0,
                     max: 100,
                     step: 0.1
                 },
+                {
+                    key: 'wasteRateBasis',
+                    type: 'select',
+                    label: 'ロス率の計算方法（分母）',
+                    options: Object.entries(basisLabels).map(([value, label]) => ({ value, label: `ロス数 ÷ ${label}` })),
+                    value: this.masterData.settings.wasteRateBasis
+                },
+                {
+                    key: 'categoryRules',
+                    type: 'textarea',
+                    label: 'カテゴリ別ロス率ルール',
+                    value: BusinessRuleService.formatCategoryRules(this.masterData.settings.categoryRules),
+                    rows: 4,
+                    placeholder: 'ゼリー,8,20,sales',
+                    help: `1行に「カテゴリ名,警告%,異常%[,計算方法]」。計算方法は ${Object.keys(basisLabels).join(' / ')}。空欄の項目は全体設定を使用`
+                },
                 {
                     key: 'autoSaveInterval',
                     type: 'number',
@@ -429,9 +686,15 @@ class MasterMaintenance {
                     key: 'workingHours',
                     type: 'text',
                     label: '営業時間',
-                    value: this.masterData.settings.workingHours || '09:00-21:00',
+                    value: this.masterData.settings.workingHours,
                     placeholder: 'HH:MM-HH:MM'
                 },
+                {
+                    key: 'strictLedger',
+                    type: 'checkbox',
+                    label: '在庫台帳モード（マイナス在庫を補正せず差異として記録）',
+                    value: this.masterData.settings.strictLedger || false
+                },
                 {
                     key: 'timezone',
                     type: 'select',
@@ -442,6 +705,28 @@ class MasterMaintenance {
                     ],
                     value: this.masterData.settings.timezone || 'Asia/Tokyo'
                 },
+                {
+                    key: 'sessionTimeoutMinutes',
+                    type: 'number',
+                    label: 'セッションタイムアウト（分・無操作でログアウト）',
+                    value: this.masterData.settings.sessionTimeoutMinutes || AuthService.getPolicy().sessionTimeoutMinutes,
+                    min: 5
+                },
+                {
+                    key: 'dataSource',
+                    type: 'select',
+                    label: 'データソース',
+                    options: Object.entries(DataRepository.getModes()).map(([value, label]) => ({ value, label })),
+                    value: this.masterData.settings.dataSource || 'mock'
+                },
+                {
+                    key: 'apiBaseUrl',
+                    type: 'text',
+                    label: 'APIサーバーURL',
+                    value: this.masterData.settings.apiBaseUrl || '',
+                    placeholder: 'http://localhost:3000',
+                    help: 'データソースが「サーバー（REST API）」のときに使用。空欄は画面と同じオリジン'
+                },
                 {
                     key: 'enableDebugMode',
                     type: 'checkbox',
@@ -461,32 +746,89 @@ class MasterMaintenance {
         this.forms.settings.mount('#settings-form-container');
     }
 
+    /**
+     * システム設定を保存
+     */
+    async saveSettings() {
+        if (!this.forms.settings) return;
+
+        const data = this.forms.settings.getData();
+        const categoryRules = BusinessRuleService.parseCategoryRules(data.categoryRules);
+        const errors = [...categoryRules.errors];
+
+        if (!/^\d{1,2}:\d{2}-\d{1,2}:\d{2}$/.test(String(data.workingHours || '').trim())) {
+            errors.push('営業時間は HH:MM-HH:MM 形式で入力してください');
+        }
+        if (!(data.wasteRateThreshold >= 0) || !(data.wasteRateErrorThreshold >= 0)) {
+            errors.push('ロス率しきい値は0以上の数値で入力してください');
+        } else if (data.wasteRateErrorThreshold < data.wasteRateThreshold) {
+            errors.push('異常しきい値は警告しきい値以上にしてください');
+        }
+
+        if (!(data.sessionTimeoutMinutes >= 5)) {
+            errors.push('セッションタイムアウトは5分以上で入力してください');
+        }
+
+        const apiBaseUrl = String(data.apiBaseUrl || '').trim().replace(/\/+$/, '');
+        if (apiBaseUrl && !/^https?:\/\/[^\s/]+/.test(apiBaseUrl)) {
+            errors.push('APIサーバーURLは http:// または https:// で始まるURLを入力してください');
+        }
+
+        if (errors.length > 0) {
+            Alert.error(errors.join('<br>')).mount();
+            return;
+        }
+
+        try {
+            const settings = { ...data, workingHours: data.workingHours.trim(), apiBaseUrl, categoryRules: categoryRules.rules };
+            await this.masterService.saveSettings(settings);
+            this.masterData.settings = { ...this.masterData.settings, ...settings };
+            this.clearDirty('settings');
+            Alert.success('システム設定を保存しました').mount();
+        } catch (error) {
+            console.error('Settings save failed:', error);
+            Alert.error(this.getErrorMessage(error, 'システム設定の保存に失敗しました')).mount();
+        }
+    }
+
+    /**
+     * システム設定を初期値に戻す
+     */
+    resetSettings() {
+        Alert.confirm('システム設定を初期値に戻しますか？', {
+            onConfirm: async () => {
+                try {
+                    this.masterData.settings = await this.masterService.resetSettings();
+                    this.forms.settings.destroy();
+                    this.forms.settings = null;
+                    this.initSettingsTab();
+                    this.clearDirty('settings');
+                    Alert.success('システム設定を初期値に戻しました').mount();
+                } catch (error) {
+                    console.error('Settings reset failed:', error);
+                    Alert.error(this.getErrorMessage(error, 'システム設定の初期化に失敗しました')).mount();
+                }
+            }
+        }).mount();
+    }
+
     /**
      * ユーザー管理タブ初期化
      */
     initUsersTab() {
-        if (this.tables.users) return;
+        if (this.tables.users) {
+            this.refreshLoginHistory();
+            return;
+        }
         
         const columns = [
-            { key: 'id', label: 'ID', type: 'text', width: '80px' },
-            { key: 'username', label: 'ユーザー名', type: 'text', width: '120px', required: true },
-            { key: 'email', label: 'メール', type: 'email', width: '150px', required: true },
+            { key: 'username', label: 'ユーザーID', type: 'text', width: '120px' },
             { key: 'displayName', label: '表示名', type: 'text', width: '120px' },
-            { key: 'role', label: '権限', type: 'select', width: '100px',
-              options: [
-                  { value: 'admin', label: '管理者' },
-                  { value: 'manager', label: 'マネージャー' },
-                  { value: 'staff', label: 'スタッフ' },
-                  { value: 'readonly', label: '参照のみ' }
-              ]},
-            { key: 'lastLogin', label: '最終ログイン', type: 'datetime', width: '140px' },
-            { key: 'status', label: 'ステータス', type: 'select', width: '100px',
-              options: [
-                  { value: 'active', label: '有効' },
-                  { value: 'inactive', label: '無効' },
-                  { value: 'suspended', label: '停止' }
-              ]},
-            { key: 'actions', label: '操作', type: 'actions', width: '120px' }
+            { key: 'email', label: 'メール', type: 'text', width: '150px' },
+            { key: 'roleLabel', label: '権限', type: 'text', width: '100px' },
+            { key: 'lastLoginLabel', label: '最終ログイン', type: 'text', width: '140px' },
+            { key: 'failedAttempts', label: '失敗回数', type: 'number', width: '80px' },
+            { key: 'statusLabel', label: 'ステータス', type: 'text', width: '100px' }
         ];
         
         this.tables.users = new Table({
@@ -494,11 +836,129 @@ class MasterMaintenance {
             data: this.masterData.users,
             editable: false,
             sortable: true,
-            onRowAction: this.handleUserAction.bind(this),
+            selectable: true,
             className: 'master-table'
         });
         
         this.tables.users.mount('#users-table-container');
+        
+        this.tables.loginHistory = new Table({
+            columns: [
+                { key: 'atLabel', label: '日時', type: 'text', width: '140px' },
+                { key: 'username', label: 'ユーザーID', type: 'text', width: '120px' },
+                { key: 'eventLabel', label: '種別', type: 'text', width: '80px' },
+                { key: 'resultLabel', label: '結果', type: 'text', width: '120px' },
+                { key: 'detail', label: '補足', type: 'text', width: '160px' },
+                { key: 'connectionLabel', label: '接続', type: 'text', width: '80px' }
+            ],
+            data: [],
+            editable: false,
+            sortable: false,
+            pagination: true,
+            pageSize: 20,
+            className: 'master-table'
+        });
+        
+        this.tables.loginHistory.mount('#login-history-table-container');
+        this.refreshLoginHistory();
+    }
+
+    /**
+     * ログイン履歴を再読み込み
+     * @returns {Promise<void>}
+     */
+    async refreshLoginHistory() {
+        if (!this.tables.loginHistory) return;
+        
+        try {
+            this.tables.loginHistory.updateData(await this.masterService.getLoginHistory());
+        } catch (error) {
+            console.error('Login history load failed:', error);
+            Alert.error('ログイン履歴の読み込みに失敗しました').mount();
+        }
+    }
+
+    /**
+     * ユーザー一覧を再読み込み
+     * @returns {Promise<void>}
+     */
+    async reloadUsers() {
+        this.masterData.users = await this.masterService.getUsers();
+        if (this.tables.users) {
+            this.tables.users.updateData(this.masterData.users);
+        }
+        await this.refreshLoginHistory();
+    }
+
+    /**
+     * 選択中のユーザーを取得
+     * @returns {Array} ユーザー配列
+     */
+    getSelectedUsers() {
+        if (!this.tables.users) return [];
+        const selected = this.tables.users.selectedRows;
+        return this.masterData.users.filter(user => selected.has(String(user.id)));
+    }
+
+    /**
+     * 選択中のユーザーを編集
+     */
+    editSelectedUser() {
+        const users = this.getSelectedUsers();
+        if (users.length !== 1) {
+            Alert.warning('編集するユーザーを1件選択してください').mount();
+            return;
+        }
+        this.showUserModal(users[0]);
+    }
+
+    /**
+     * 選択中のユーザーのロックを解除
+     */
+    async unlockSelectedUsers() {
+        const users = this.getSelectedUsers().filter(user => user.locked);
+        if (users.length === 0) {
+            Alert.warning('ロック中のユーザーを選択してください').mount();
+            return;
+        }
+        
+        try {
+            for (const user of users) {
+                await this.masterService.unlockUser(user.username);
+            }
+            await this.reloadUsers();
+            Alert.success(`${users.length}件のロックを解除しました`).mount();
+        } catch (error) {
+            console.error('Unlock failed:', error);
+            Alert.error(this.getErrorMessage(error, 'ロック解除に失敗しました')).mount();
+        }
+    }
+
+    /**
+     * 選択中のユーザーのパスワードを初期化
+     */
+    resetSelectedPasswords() {
+        const users = this.getSelectedUsers();
+        if (users.length === 0) {
+            Alert.warning('パスワードを初期化するユーザーを選択してください').mount();
+            return;
+        }
+        
+        const names = users.map(user => user.username).join('、');
+        Alert.confirm(`${names} のパスワードを初期パスワードに戻しますか？（次回ログイン時に変更が必要になります）`, {
+            onConfirm: async () => {
+                try {
+                    for (const user of users) {
+                        await this.masterService.resetPassword(user.username);
+                    }
+                    await this.reloadUsers();
+                    Alert.success(`パスワードを初期化しました（初期パスワード: ${AuthService.getInitialPassword()}）`).mount();
+                } catch (error) {
+                    console.error('Password reset failed:', error);
+                    Alert.error(this.getErrorMessage(error, 'パスワードの初期化に失敗しました')).mount();
+                }
+            }
+        }).mount();
     }
 
     /**
@@ -507,6 +967,11 @@ class MasterMaintenance {
      * @param {Object} row - 行データ
      */
     handleProductAction(action, row) {
+        if (!PermissionService.check('master.edit', { screen: 'MST-PRD', action })) {
+            Alert.error(PermissionService.getDeniedMessage('master.edit')).mount();
+            return;
+        }
+        
         switch (action) {
             case 'edit':
                 this.showProductModal(row);
@@ -526,6 +991,11 @@ class MasterMaintenance {
      * @param {Object} row - 行データ
      */
     handleCategoryAction(action, row) {
+        if (!PermissionService.check('master.edit', { screen: 'MST-PRD', action })) {
+            Alert.error(PermissionService.getDeniedMessage('master.edit')).mount();
+            return;
+        }
+        
         switch (action) {
             case 'edit':
                 this.showCategoryModal(row);
@@ -542,6 +1012,11 @@ class MasterMaintenance {
      * @param {Object} row - 行データ
      */
     handleSupplierAction(action, row) {
+        if (!PermissionService.check('master.edit', { screen: 'MST-PRD', action })) {
+            Alert.error(PermissionService.getDeniedMessage('master.edit')).mount();
+            return;
+        }
+        
         switch (action) {
             case 'edit':
                 this.showSupplierModal(row);
@@ -553,24 +1028,63 @@ class MasterMaintenance {
     }
 
     /**
-     * ユーザーアクションハンドラー
-     * @param {string} action - アクション
+     * イベント・気象の行更新ハンドラー
+     * 日付が未入力の追加行は日付が入った時点で保存する
      * @param {Object} row - 行データ
+     * @param {string} colKey - 更新列
      */
-    handleUserAction(action, row) {
-        switch (action) {
-            case 'edit':
-                this.showUserModal(row);
-                break;
-            case 'delete':
-                this.deleteUser(row);
-                break;
-            case 'resetPassword':
-                this.resetUserPassword(row);
-                break;
+    async handleEventWeatherUpdate(row, colKey) {
+        if (!row.date) return;
+        
+        try {
+            if (colKey === 'date' && typeof row.id === 'string' && row.id !== row.date) {
+                await this.masterService.deleteEventWeather(row.id);
+            }
+            await this.masterService.saveEventWeather(row);
+            row.id = row.date;
+            
+        } catch (error) {
+            console.error('Event weather save failed:', error);
+            Alert.error(`イベント・気象データの保存に失敗しました: ${error.message}`).mount();
+        }
+    }
+
+    /**
+     * イベント・気象の行削除ハンドラー
+     * @param {Object} row - 行データ
+     */
+    async handleEventWeatherDelete(row) {
+        if (!row.date) return;
+        
+        try {
+            await this.masterService.deleteEventWeather(row.date);
+            Alert.success(`${row.date} のイベント・気象データを削除しました`).mount();
+        } catch (error) {
+            console.error('Event weather delete failed:', error);
+            Alert.error(this.getErrorMessage(error, 'イベント・気象データの削除に失敗しました')).mount();
         }
     }
 
+    /**
+     * 商品の削除
+     * @param {Object} row - 行データ
+     */
+    deleteProduct(row) {
+        Alert.confirm(`商品 ${row.code} ${row.name} を削除しますか？`, {
+            onConfirm: async () => {
+                try {
+                    await this.masterService.deleteProduct(row.id);
+                    await this.loadAllMasterData();
+                    this.tables.products.updateData(this.masterData.products);
+                    Alert.success('商品を削除しました').mount();
+                } catch (error) {
+                    console.error('Product delete failed:', error);
+                    Alert.error(this.getErrorMessage(error, '商品の削除に失敗しました')).mount();
+                }
+            }
+        }).mount();
+    }
+
     /**
      * 商品モーダル表示
      * @param {Object} product - 商品データ（編集時）
@@ -584,6 +1098,7 @@ class MasterMaintenance {
         title.textContent = isEdit ? '商品編集' : '商品追加';
         
         const formConfig = {
+            onChange: () => this.markDirty('modal'),
             fields: [
                 {
                     key: 'code',
@@ -643,6 +1158,23 @@ class MasterMaintenance {
                     value: product?.orderUnit || 1,
                     min: 1
                 },
+                {
+                    key: 'caseSize',
+                    type: 'number',
+                    label: 'ケース入数',
+                    value: product?.caseSize || 1,
+                    min: 1
+                },
+                {
+                    key: 'orderUnitType',
+                    type: 'select',
+                    label: '発注区分',
+                    options: [
+                        { value: 'piece', label: 'バラ' },
+                        { value: 'case', label: 'ケース' }
+                    ],
+                    value: product?.orderUnitType || 'piece'
+                },
                 {
                     key: 'status',
                     type: 'select',
@@ -666,60 +1198,498 @@ class MasterMaintenance {
     }
 
     /**
-     * CSV取込み処理
+     * ユーザーモーダル表示（新規ユーザーは初期パスワードで登録される）
+     * @param {Object} user - ユーザーデータ（編集時）
      */
-    async importProducts() {
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = '.csv';
-        input.onchange = async (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
-            
-            try {
-                const text = await file.text();
-                const products = this.parseCSV(text);
-                
-                Alert.confirm(`${products.length}件の商品データを取り込みますか？`, {
-                    onConfirm: async () => {
-                        await this.masterService.importProducts(products);
-                        await this.loadAllMasterData();
-                        this.initProductsTab();
-                        Alert.success('商品データを取り込みました').mount();
-                    }
-                }).mount();
-                
-            } catch (error) {
-                console.error('Import failed:', error);
-                Alert.error('CSV取り込みに失敗しました').mount();
-            }
-        };
+    showUserModal(user = null) {
+        const isEdit = !!user;
+        const modal = document.getElementById('master-modal');
+        const title = document.getElementById('modal-title');
+        const formContainer = document.getElementById('modal-form-container');
         
-        input.click();
+        title.textContent = isEdit ? 'ユーザー編集' : 'ユーザー追加';
+        
+        const roleLabels = AuthService.getRoleLabels();
+        const formConfig = {
+            onChange: () => this.markDirty('modal'),
+            fields: [
+                {
+                    key: 'username',
+                    type: 'text',
+                    label: 'ユーザーID',
+                    value: user?.username || '',
+                    required: true,
+                    disabled: isEdit
+                },
+                {
+                    key: 'displayName',
+                    type: 'text',
+                    label: '表示名',
+                    value: user?.displayName || ''
+                },
+                {
+                    key: 'email',
+                    type: 'email',
+                    label: 'メール',
+                    value: user?.email || ''
+                },
+                {
+                    key: 'role',
+                    type: 'select',
+                    label: '権限',
+                    options: Object.entries(roleLabels).map(([value, label]) => ({ value, label })),
+                    value: user?.role || 'staff',
+                    required: true
+                },
+                {
+                    key: 'status',
+                    type: 'select',
+                    label: 'ステータス',
+                    options: [
+                        { value: 'active', label: '有効' },
+                        { value: 'inactive', label: '無効' },
+                        { value: 'suspended', label: '停止' }
+                    ],
+                    value: user?.status || 'active'
+                }
+            ]
+        };
+        
+        const form = new Form(formConfig);
+        form.mount(formContainer);
+        
+        modal.style.display = 'block';
+        this.currentForm = form;
+        this.currentData = user;
+    }
+
+    // ========== CSV取込み（仕様書 §11） ==========
+
+    /**
+     * CSV取込みの初期状態
+     * @param {string} target - 取込み対象
+     * @returns {Object} { target, mode, file, parsed, mapping, existing, preview }
+     */
+    getInitialImportState(target) {
+        return { target, mode: 'append', file: null, parsed: null, mapping: {}, existing: undefined, preview: null };
     }
 
     /**
-     * CSV解析
-     * @param {string} csvText - CSV文字列
-     * @returns {Array} パース済みデータ
+     * 取込み権限のある対象（商品・得意先はマスタの編集権限、実績は実績入力の権限）
+     * @returns {Array} [[対象, 定義], ...]
      */
-    parseCSV(csvText) {
-        const lines = csvText.split('\n').filter(line => line.trim());
-        const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-        const data = [];
+    getImportTargets() {
+        return Object.entries(CsvImportService.getTargets())
+            .filter(([, definition]) => PermissionService.can(definition.capability));
+    }
+
+    /**
+     * 取込み対象を選んでCSV取込みタブを開く
+     * @param {string} target - 取込み対象
+     */
+    openImport(target) {
+        if (this.importState.target !== target) {
+            this.changeImportTarget(target);
+        }
+        this.showTab('import');
+    }
+
+    /**
+     * CSV取込みタブ初期化
+     */
+    initImportTab() {
+        const targetSelect = document.getElementById('import-target');
+        const modeContainer = document.getElementById('import-mode');
+        if (!targetSelect || !modeContainer) return;
+        
+        const targets = this.getImportTargets();
+        if (!targets.some(([target]) => target === this.importState.target) && targets.length > 0) {
+            this.importState = this.getInitialImportState(targets[0][0]);
+        }
+        
+        targetSelect.innerHTML = targets.map(([target, definition]) => 
+            `<option value="${target}" ${target === this.importState.target ? 'selected' : ''}>${definition.label}</option>`
+        ).join('');
+        
+        modeContainer.innerHTML = Object.entries(CsvImportService.getModes()).map(([mode, label]) => `
+            <label class="import-mode">
+                <input type="radio" name="import-mode" value="${mode}" ${mode === this.importState.mode ? 'checked' : ''}>
+                ${label}
+            </label>
+        `).join('');
+        
+        this.renderImportModeHelp();
+        this.renderImport();
+    }
+
+    /**
+     * 取込み対象の切替（読み込んだファイルはそのまま、列の対応を推定し直す）
+     * @param {string} target - 取込み対象
+     */
+    changeImportTarget(target) {
+        const { mode, file, parsed } = this.importState;
+        this.importState = {
+            ...this.getInitialImportState(target),
+            mode,
+            file,
+            parsed,
+            mapping: parsed ? CsvImportService.guessMapping(target, parsed.headers) : {}
+        };
         
-        for (let i = 1; i < lines.length; i++) {
-            const values = lines[i].split(',').map(v => v.trim().replace(/"/g, ''));
-            const row = {};
+        const targetSelect = document.getElementById('import-target');
+        if (targetSelect) targetSelect.value = target;
+        this.renderImportModeHelp();
+        this.refreshImportPreview();
+    }
+
+    /**
+     * CSVファイルの読込み
+     * @param {File} file - CSVファイル
+     * @returns {Promise<void>}
+     */
+    async loadImportFile(file) {
+        if (!file) return;
+        
+        try {
+            const { name, text, encoding } = await CsvImportService.readFile(file);
+            const parsed = CsvImportService.parse(text);
             
-            headers.forEach((header, index) => {
-                row[header] = values[index] || '';
-            });
+            this.importState.file = { name, encoding };
+            this.importState.parsed = parsed;
+            this.importState.mapping = CsvImportService.guessMapping(this.importState.target, parsed.headers);
+            await this.refreshImportPreview();
+            
+        } catch (error) {
+            console.error('CSV read failed:', error);
+            Alert.error('CSVファイルの読み込みに失敗しました').mount();
+        }
+    }
+
+    /**
+     * 取込み内容を確認し直す（ドライラン）
+     * @returns {Promise<void>}
+     */
+    async refreshImportPreview() {
+        const state = this.importState;
+        state.preview = null;
+        
+        if (state.parsed) {
+            try {
+                if (state.existing === undefined) {
+                    state.existing = await this.masterService.getImportExisting(state.target);
+                }
+                state.preview = CsvImportService.preview(state.target, state.parsed, state.mapping, { mode: state.mode, existing: state.existing });
+            } catch (error) {
+                console.error('Import preview failed:', error);
+                Alert.error(this.getErrorMessage(error, '登録済みデータの読み込みに失敗しました')).mount();
+            }
+        }
+        
+        this.renderImport();
+    }
+
+    /**
+     * 取込み方法の説明（上書きで削除される範囲）
+     */
+    renderImportModeHelp() {
+        const help = document.getElementById('import-mode-help');
+        if (!help) return;
+        
+        const definition = CsvImportService.getTargets()[this.importState.target];
+        help.textContent = this.importState.mode === 'overwrite' ?
+            `上書き: ${definition.overwriteHelp}` :
+            '追記: ファイルの行を登録し、登録済みのデータは同じキーの行だけ更新します';
+        help.classList.toggle('warning', this.importState.mode === 'overwrite');
+    }
+
+    /**
+     * CSV取込みタブの表示を更新
+     */
+    renderImport() {
+        const { file, parsed, preview } = this.importState;
+        
+        const info = document.getElementById('import-file-info');
+        if (info) {
+            const encodings = { 'utf-8': 'UTF-8', shift_jis: 'Shift_JIS' };
+            info.innerHTML = file ? 
+                `📄 ${HtmlUtils.escape(file.name)}（文字コード: ${encodings[file.encoding] || file.encoding}・データ ${parsed.rows.length}行）` : '';
+        }
+        
+        this.renderImportMapping();
+        this.renderImportPreview();
+        
+        const commitButton = document.getElementById('import-commit-btn');
+        if (commitButton) {
+            commitButton.disabled = !preview || Boolean(preview.blocked);
+            commitButton.title = preview && preview.blocked ? preview.blocked : '';
+        }
+        
+        const errorsButton = document.getElementById('import-errors-btn');
+        if (errorsButton) {
+            errorsButton.disabled = !preview || (preview.counts.error === 0 && preview.errors.length === 0);
+        }
+    }
+
+    /**
+     * 列の対応付け（項目ごとにCSVの列を選択する）
+     */
+    renderImportMapping() {
+        const container = document.getElementById('import-mapping-container');
+        if (!container) return;
+        
+        const { target, parsed, mapping } = this.importState;
+        if (!parsed || parsed.headers.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const sample = parsed.rows[0] ? parsed.rows[0].values : [];
+        const rows = CsvImportService.getTargets()[target].fields.map(field => {
+            const column = mapping[field.key] ?? -1;
+            const options = parsed.headers.map((header, index) => 
+                `<option value="${index}" ${index === column ? 'selected' : ''}>${HtmlUtils.escape(header || `${index + 1}列目`)}</option>`
+            ).join('');
+            
+            return `
+                <tr>
+                    <td>${field.label}${field.required ? ' <span class="import-required">必須</span>' : ''}</td>
+                    <td>
+                        <select class="form-select" data-field="${field.key}">
+                            <option value="-1">（取り込まない）</option>
+                            ${options}
+                        </select>
+                    </td>
+                    <td class="import-sample">${column >= 0 ? HtmlUtils.escape(sample[column]) : ''}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        container.innerHTML = `
+            <h3 class="import-section-title">列の対応</h3>
+            <table class="master-table import-mapping">
+                <thead>
+                    <tr><th>項目</th><th>CSVの列</th><th>1行目の値</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * 取込み内容の確認（件数・エラー一覧・先頭行のプレビュー）
+     * CSVの値をそのまま表示するため、HTMLはエスケープして組み立てる
+     */
+    renderImportPreview() {
+        const container = document.getElementById('import-preview-container');
+        if (!container) return;
+        
+        const { target, parsed, mapping, preview } = this.importState;
+        if (!preview) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const previewLimit = 50;
+        const errorLimit = 100;
+        const actionLabels = CsvImportService.getActionLabels();
+        const fields = CsvImportService.getTargets()[target].fields
+            .filter(field => mapping[field.key] !== undefined && mapping[field.key] >= 0);
+        const { counts } = preview;
+        
+        const summary = [
+            counts.import > 0 ? `<span class="import-count import">${actionLabels.import} ${counts.import}件</span>` : '',
+            counts.create > 0 ? `<span class="import-count create">${actionLabels.create} ${counts.create}件</span>` : '',
+            counts.update > 0 ? `<span class="import-count update">${actionLabels.update} ${counts.update}件</span>` : '',
+            counts.remove > 0 ? `<span class="import-count remove">削除 ${counts.remove}件</span>` : '',
+            `<span class="import-count error">${actionLabels.error} ${counts.error}件</span>`
+        ].join('');
+        
+        const rowErrors = preview.rows.flatMap(row => row.errors.map(error => ({ line: row.line, ...error })));
+        const errorItems = [
+            ...preview.errors.map(message => `<tr><td>-</td><td>-</td><td>${HtmlUtils.escape(message)}</td></tr>`),
+            ...rowErrors.slice(0, errorLimit).map(error => 
+                `<tr><td>${error.line}</td><td>${error.label}</td><td>${HtmlUtils.escape(error.message)}</td></tr>`)
+        ].join('');
+        
+        const previewRows = preview.rows.slice(0, previewLimit).map((row, index) => {
+            const values = parsed.rows[index].values;
+            const errorFields = new Set(row.errors.map(error => error.field));
+            const cells = fields.map(field => {
+                const value = errorFields.has(field.key) || row.record[field.key] === undefined ? 
+                    values[mapping[field.key]] : row.record[field.key];
+                return `<td class="${errorFields.has(field.key) ? 'import-cell-error' : ''}">${HtmlUtils.escape(value)}</td>`;
+            }).join('');
             
-            data.push(row);
+            return `<tr class="import-row ${row.action}"><td>${row.line}</td><td>${actionLabels[row.action]}</td>${cells}</tr>`;
+        }).join('');
+        
+        container.innerHTML = `
+            <h3 class="import-section-title">取込内容の確認</h3>
+            <div class="import-summary">${summary}</div>
+            ${preview.blocked ? `<p class="import-blocked">⚠️ ${HtmlUtils.escape(preview.blocked)}</p>` : ''}
+            ${errorItems ? `
+                <table class="master-table import-errors">
+                    <thead><tr><th>行</th><th>項目</th><th>エラー</th></tr></thead>
+                    <tbody>${errorItems}</tbody>
+                </table>
+                ${rowErrors.length > errorLimit ? `<p class="import-help">ほか ${rowErrors.length - errorLimit}件のエラーは「エラー一覧CSV」で確認できます</p>` : ''}
+            ` : ''}
+            ${previewRows ? `
+                <table class="master-table import-preview">
+                    <thead><tr><th>行</th><th>判定</th>${fields.map(field => `<th>${field.label}</th>`).join('')}</tr></thead>
+                    <tbody>${previewRows}</tbody>
+                </table>
+                ${preview.rows.length > previewLimit ? `<p class="import-help">先頭 ${previewLimit}行を表示しています（全 ${preview.rows.length}行）</p>` : ''}
+            ` : ''}
+        `;
+    }
+
+    /**
+     * 取込み実行（確認後、エラーのない行だけ登録する）
+     */
+    commitImport() {
+        const { target, mode, preview } = this.importState;
+        if (!preview || preview.blocked) return;
+        
+        const definition = CsvImportService.getTargets()[target];
+        const notes = [
+            preview.counts.remove > 0 ? `登録済みの${preview.counts.remove}件は削除されます` : '',
+            preview.counts.error > 0 ? `エラーの${preview.counts.error}行は取り込みません` : ''
+        ].filter(Boolean);
+        const message = `${definition.label}に${preview.records.length}件を${mode === 'overwrite' ? '上書き' : '追記'}で取り込みますか？` +
+            (notes.length > 0 ? `（${notes.join('。')}）` : '');
+        
+        Alert.confirm(message, {
+            onConfirm: async () => {
+                try {
+                    const result = await this.masterService.importRecords(target, preview.records, mode);
+                    await this.reloadImportedData(target);
+                    
+                    this.importState = this.getInitialImportState(target);
+                    const fileInput = document.getElementById('import-file');
+                    if (fileInput) fileInput.value = '';
+                    this.initImportTab();
+                    
+                    Alert.success(`${definition.label}を取り込みました（新規 ${result.created}件・更新 ${result.updated}件・削除 ${result.removed}件）`).mount();
+                    
+                } catch (error) {
+                    console.error('Import failed:', error);
+                    Alert.error(this.getErrorMessage(error, 'CSV取り込みに失敗しました')).mount();
+                }
+            }
+        }).mount();
+    }
+
+    /**
+     * 取込み後にマスタの一覧を読み込み直す
+     * @param {string} target - 取込み対象
+     * @returns {Promise<void>}
+     */
+    async reloadImportedData(target) {
+        if (target === 'products') {
+            this.masterData.products = await this.masterService.getProducts();
+            if (this.tables.products) this.tables.products.updateData(this.masterData.products);
+        } else if (target === 'customers') {
+            this.masterData.customers = await this.masterService.getCustomers();
+            if (this.tables.customers) this.tables.customers.updateData(this.masterData.customers);
         }
+    }
+
+    /**
+     * エラー一覧のCSV出力（修正してから取り込み直すため）
+     */
+    exportImportErrors() {
+        const { target, preview } = this.importState;
+        if (!preview) return;
+        
+        const blob = new Blob(['\uFEFF' + CsvImportService.toErrorCSV(preview)], { type: 'text/csv;charset=utf-8;' });
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', `import_errors_${target}_${new Date().toISOString().slice(0, 10)}.csv`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    /**
+     * イベント・気象CSV取込み
+     * 不正な行は取り込まずにエラー一覧で表示する
+     */
+    async importEventsWeather() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv';
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            try {
+                const text = await file.text();
+                const { records, errors } = this.masterService.parseEventsWeatherCSV(text);
+                
+                if (errors.length > 0) {
+                    Alert.validationErrors(errors).mount();
+                }
+                if (records.length === 0) return;
+                
+                Alert.confirm(`${records.length}件のイベント・気象データを取り込みますか？（同じ日付は上書きされます）`, {
+                    onConfirm: async () => {
+                        await this.masterService.importEventsWeather(records);
+                        this.masterData.eventsWeather = await this.masterService.getEventsWeather();
+                        if (this.tables.events) {
+                            this.tables.events.updateData(this.masterData.eventsWeather);
+                        }
+                        Alert.success('イベント・気象データを取り込みました').mount();
+                    }
+                }).mount();
+                
+            } catch (error) {
+                console.error('Import failed:', error);
+                Alert.error(this.getErrorMessage(error, 'CSV取り込みに失敗しました')).mount();
+            }
+        };
+        
+        input.click();
+    }
+
+    /**
+     * 気象庁「過去の気象データ」CSV取込み（Shift_JIS）
+     * 天気・気温のみ更新し、特招会・競合催事の入力は残す
+     */
+    async importJmaWeather() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.csv';
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            
+            try {
+                const result = await this.masterService.importJmaWeather(file);
+                
+                if (result.errors.length > 0) {
+                    Alert.validationErrors(result.errors).mount();
+                }
+                if (result.imported === 0) {
+                    Alert.warning('取り込める気象データがありませんでした').mount();
+                    return;
+                }
+                
+                this.masterData.eventsWeather = await this.masterService.getEventsWeather();
+                if (this.tables.events) {
+                    this.tables.events.updateData(this.masterData.eventsWeather);
+                }
+                Alert.success(`${result.station ? `${result.station}の` : ''}気象データを${result.imported}日分取り込みました`).mount();
+                
+            } catch (error) {
+                console.error('JMA import failed:', error);
+                Alert.error(this.getErrorMessage(error, '気象庁CSVの取り込みに失敗しました')).mount();
+            }
+        };
         
-        return data;
+        input.click();
     }
 
     /**
@@ -739,7 +1709,7 @@ class MasterMaintenance {
         });
         
         document.getElementById('import-products-btn')?.addEventListener('click', () => {
-            this.importProducts();
+            this.openImport('products');
         });
         
         document.getElementById('export-products-btn')?.addEventListener('click', () => {
@@ -756,6 +1726,53 @@ class MasterMaintenance {
             this.showSupplierModal();
         });
         
+        // 得意先マスタアクション
+        document.getElementById('import-customers-btn')?.addEventListener('click', () => {
+            this.openImport('customers');
+        });
+        
+        // CSV取込み
+        document.getElementById('import-target')?.addEventListener('change', (e) => {
+            this.changeImportTarget(e.target.value);
+        });
+        
+        document.getElementById('import-mode')?.addEventListener('change', (e) => {
+            this.importState.mode = e.target.value;
+            this.renderImportModeHelp();
+            this.refreshImportPreview();
+        });
+        
+        document.getElementById('import-file')?.addEventListener('change', (e) => {
+            this.loadImportFile(e.target.files[0]);
+        });
+        
+        document.getElementById('import-mapping-container')?.addEventListener('change', (e) => {
+            if (!e.target.dataset.field) return;
+            this.importState.mapping[e.target.dataset.field] = Number(e.target.value);
+            this.refreshImportPreview();
+        });
+        
+        document.getElementById('import-commit-btn')?.addEventListener('click', () => {
+            this.commitImport();
+        });
+        
+        document.getElementById('import-errors-btn')?.addEventListener('click', () => {
+            this.exportImportErrors();
+        });
+        
+        // イベント・気象マスタアクション
+        document.getElementById('import-events-btn')?.addEventListener('click', () => {
+            this.importEventsWeather();
+        });
+        
+        document.getElementById('import-jma-btn')?.addEventListener('click', () => {
+            this.importJmaWeather();
+        });
+        
+        document.getElementById('export-events-btn')?.addEventListener('click', () => {
+            this.exportEventsWeather();
+        });
+        
         // システム設定アクション
         document.getElementById('save-settings-btn')?.addEventListener('click', () => {
             this.saveSettings();
@@ -770,6 +1787,22 @@ class MasterMaintenance {
             this.showUserModal();
         });
         
+        document.getElementById('edit-user-btn')?.addEventListener('click', () => {
+            this.editSelectedUser();
+        });
+        
+        document.getElementById('unlock-user-btn')?.addEventListener('click', () => {
+            this.unlockSelectedUsers();
+        });
+        
+        document.getElementById('reset-password-btn')?.addEventListener('click', () => {
+            this.resetSelectedPasswords();
+        });
+        
+        document.getElementById('refresh-login-history-btn')?.addEventListener('click', () => {
+            this.refreshLoginHistory();
+        });
+        
         // モーダル制御
         document.getElementById('modal-save-btn')?.addEventListener('click', () => {
             this.saveModalData();
@@ -808,6 +1841,17 @@ class MasterMaintenance {
                 await this.loadAllMasterData();
                 this.tables.products.updateData(this.masterData.products);
             }
+            
+            if (this.activeTab === 'users') {
+                await this.masterService.saveUser(isEdit ? { ...formData, username: this.currentData.username } : formData);
+                await this.reloadUsers();
+                
+                if (!isEdit) {
+                    this.closeModal();
+                    Alert.success(`追加しました（初期パスワード: ${AuthService.getInitialPassword()}）`).mount();
+                    return;
+                }
+            }
             // 他のタブも同様に処理...
             
             this.closeModal();
@@ -815,7 +1859,7 @@ class MasterMaintenance {
             
         } catch (error) {
             console.error('Save failed:', error);
-            Alert.error('保存に失敗しました').mount();
+            Alert.error(this.activeTab === 'users' && error.message ? error.message : this.getErrorMessage(error, '保存に失敗しました')).mount();
         }
     }
 
@@ -827,6 +1871,39 @@ class MasterMaintenance {
         modal.style.display = 'none';
         this.currentForm = null;
         this.currentData = null;
+        this.clearDirty('modal');
+    }
+
+    /**
+     * 変更フラグ設定
+     * @param {string} source - 変更箇所（'settings' / 'modal'）
+     */
+    markDirty(source) {
+        this.dirtySources.add(source);
+        document.body.classList.add('data-dirty');
+    }
+
+    /**
+     * 変更フラグクリア
+     * @param {string} [source] - 変更箇所（省略時はすべて）
+     */
+    clearDirty(source) {
+        if (source) {
+            this.dirtySources.delete(source);
+        } else {
+            this.dirtySources.clear();
+        }
+        if (this.dirtySources.size === 0) {
+            document.body.classList.remove('data-dirty');
+        }
+    }
+
+    /**
+     * 未保存の変更があるか（ルーターの遷移ガードで使用）
+     * @returns {boolean} 判定結果
+     */
+    hasUnsavedChanges() {
+        return this.dirtySources.size > 0;
     }
 
     /**
@@ -836,7 +1913,7 @@ class MasterMaintenance {
         try {
             const csvData = this.masterService.exportProductsToCSV(this.masterData.products);
             
-            const blob = new Blob([csvData], { type: 'text/csv;charset=utf-8;' });
+            const blob = new Blob(['\uFEFF' + csvData], { type: 'text/csv;charset=utf-8;' });
             const link = document.createElement('a');
             const url = URL.createObjectURL(blob);
             link.setAttribute('href', url);
@@ -854,10 +1931,37 @@ class MasterMaintenance {
         }
     }
 
+    /**
+     * CSV出力（イベント・気象）
+     */
+    exportEventsWeather() {
+        try {
+            const csvData = this.masterService.exportEventsWeatherToCSV(this.masterData.eventsWeather);
+            
+            const blob = new Blob(['\uFEFF' + csvData], { type: 'text/csv;charset=utf-8;' });
+            const link = document.createElement('a');
+            const url = URL.createObjectURL(blob);
+            link.setAttribute('href', url);
+            link.setAttribute('download', `events_weather_${new Date().toISOString().slice(0, 10)}.csv`);
+            link.style.visibility = 'hidden';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            
+            Alert.success('イベント・気象マスタをCSV出力しました').mount();
+            
+        } catch (error) {
+            console.error('Export failed:', error);
+            Alert.error('CSV出力に失敗しました').mount();
+        }
+    }
+
     /**
      * システム破棄
      */
     destroy() {
+        this.clearDirty();
+        
         // ヘッダー破棄
         if (this.header) {
             this.header.destroy();
@@ -879,105 +1983,282 @@ class MasterMaintenance {
  * MasterMaintenanceService - マスタメンテナンス用サービス
  */
 class MasterMaintenanceService {
-    constructor() {
-        this.baseURL = '/api/master';
+    /**
+     * @param {Object} options - { repository }
+     */
+    constructor(options = {}) {
+        this.repository = options.repository || dataRepository;
     }
 
-    // 商品マスタ
+    // 商品・カテゴリ・仕入先マスタ（読み書き先はシステム設定のデータソースで切り替わる）
     async getProducts() {
-        return [
-            { id: 1, code: '2408', name: 'デンマークCC', categoryId: 'denmark', price: 1200, cost: 800, supplierId: 'supplier1', minOrder: 5, orderUnit: 1, status: 'active' },
-            { id: 2, code: '1001', name: 'レアチーズC', categoryId: 'denmark', price: 1000, cost: 650, supplierId: 'supplier1', minOrder: 3, orderUnit: 1, status: 'active' },
-            { id: 3, code: '3201', name: 'カスタードプリン', categoryId: 'confection', price: 480, cost: 320, supplierId: 'supplier2', minOrder: 10, orderUnit: 2, status: 'active' }
-        ];
+        return this.repository.getProducts();
     }
 
-    // カテゴリマスタ
     async getCategories() {
-        return [
-            { id: 'denmark', name: 'デンマーク関連', description: 'デンマーク系商品', sortOrder: 1, status: 'active' },
-            { id: 'confection', name: '洋菓子限定', description: 'プリン・マフィン等', sortOrder: 2, status: 'active' },
-            { id: 'jelly', name: 'ゼリー', description: 'ゼリー系商品', sortOrder: 3, status: 'active' }
-        ];
+        return this.repository.getCategories();
     }
 
-    // 仕入先マスタ
     async getSuppliers() {
-        return [
-            { id: 'supplier1', code: 'S001', name: '洋菓子工房ABC', contactName: '田中太郎', phone: '03-1234-5678', email: 'tanaka@abc.com', address: '東京都渋谷区...', paymentTerms: '月末締め翌月末払い', status: 'active' },
-            { id: 'supplier2', code: 'S002', name: 'スイーツファクトリー', contactName: '佐藤花子', phone: '03-9876-5432', email: 'sato@factory.com', address: '東京都新宿区...', paymentTerms: '15日締め当月末払い', status: 'active' }
-        ];
+        return this.repository.getSuppliers();
+    }
+
+    async getCustomers() {
+        return this.repository.getCustomers();
+    }
+
+    // イベント・気象マスタ（MST-ETC）
+    async getEventsWeather() {
+        return EventWeatherService.getRange().map(record => ({ id: record.date, ...record }));
+    }
+
+    async saveEventWeather(data) {
+        PermissionService.authorize('master.edit', { screen: 'MST-ETC', action: 'イベント・気象の保存' });
+        const before = EventWeatherService.getByDate(data.date);
+        const saved = EventWeatherService.save(data);
+        this.notifyUpdated('eventsWeather', saved.date, before ? 'イベント・気象の更新' : 'イベント・気象の登録', { screen: 'MST-ETC', before, after: saved });
+        return saved;
+    }
+
+    async deleteEventWeather(date) {
+        PermissionService.authorize('master.edit', { screen: 'MST-ETC', action: 'イベント・気象の削除' });
+        const before = EventWeatherService.getByDate(date);
+        const removed = EventWeatherService.remove(date);
+        if (removed) {
+            this.notifyUpdated('eventsWeather', date, 'イベント・気象の削除', { screen: 'MST-ETC', before, after: null });
+        }
+        return removed;
+    }
+
+    parseEventsWeatherCSV(csvText) {
+        return EventWeatherService.parseCSV(csvText);
+    }
+
+    async importEventsWeather(records) {
+        PermissionService.authorize('master.edit', { screen: 'MST-ETC', action: 'イベント・気象のCSV取込' });
+        const count = EventWeatherService.importRecords(records);
+        this.notifyUpdated('eventsWeather', 'import', 'イベント・気象のCSV取込', { screen: 'MST-ETC', after: { 取込件数: count } });
+        return count;
+    }
+
+    async importJmaWeather(file) {
+        PermissionService.authorize('master.edit', { screen: 'MST-ETC', action: '気象庁CSVの取込' });
+        const result = await WeatherImportService.importFile(file);
+        this.notifyUpdated('eventsWeather', 'jma', '気象庁CSVの取込', { screen: 'MST-ETC', after: { 観測地点: result.station, 取込件数: result.imported } });
+        return result;
+    }
+
+    exportEventsWeatherToCSV(records) {
+        return EventWeatherService.toCSV(records);
     }
 
     // システム設定
     async getSettings() {
+        return { ...this.getDefaultSettings(), ...BusinessRuleService.loadSettings() };
+    }
+
+    // 業務ルール（ロス率しきい値・計算方法・営業時間）は BusinessRuleService 経由で全画面に共有する
+    async saveSettings(settings) {
+        PermissionService.authorize('settings.edit', { screen: 'SET-SYS', action: 'システム設定の保存' });
+        const before = await this.getSettings();
+        await this.repository.saveSettings(settings);
+        BusinessRuleService.saveSettings(settings);
+        this.notifyUpdated('settings', 'system', 'システム設定の保存', { screen: 'SET-SYS', before, after: { ...before, ...settings } });
+        return settings;
+    }
+
+    async resetSettings() {
+        PermissionService.authorize('settings.edit', { screen: 'SET-SYS', action: 'システム設定の初期化' });
+        const before = await this.getSettings();
+        const defaults = this.getDefaultSettings();
+        await this.repository.saveSettings(defaults);
+        BusinessRuleService.saveSettings(defaults);
+        this.notifyUpdated('settings', 'system', 'システム設定の初期化', { screen: 'SET-SYS', before, after: defaults });
+        return defaults;
+    }
+
+    getDefaultSettings() {
         return {
             companyName: '株式会社サンプル',
             storeName: '本店',
             defaultBudget: 60000,
-            wasteRateThreshold: 5.0,
             autoSaveInterval: 30,
-            workingHours: '09:00-21:00',
+            strictLedger: false,
             timezone: 'Asia/Tokyo',
+            sessionTimeoutMinutes: AuthService.getPolicy().sessionTimeoutMinutes,
             enableDebugMode: false,
-            enableAutoRefresh: true
+            enableAutoRefresh: true,
+            dataSource: 'mock',
+            apiBaseUrl: '',
+            ...BusinessRuleService.getDefaultRules()
         };
     }
 
-    // ユーザー管理
+    // ユーザー管理（アカウント・資格情報は AuthService が端末内に保持する）
     async getUsers() {
-        return [
-            { id: 1, username: 'admin', email: 'admin@company.com', displayName: '管理者', role: 'admin', lastLogin: '2024-01-15 14:30:00', status: 'active' },
-            { id: 2, username: 'manager', email: 'manager@company.com', displayName: 'マネージャー', role: 'manager', lastLogin: '2024-01-15 09:15:00', status: 'active' },
-            { id: 3, username: 'staff1', email: 'staff1@company.com', displayName: 'スタッフ1', role: 'staff', lastLogin: '2024-01-14 18:45:00', status: 'active' }
-        ];
+        const roleLabels = AuthService.getRoleLabels();
+        const statusLabels = { active: '有効', inactive: '無効', suspended: '停止' };
+        const users = await authService.getUsers();
+
+        return users.map(user => ({
+            ...user,
+            roleLabel: roleLabels[user.role] || user.role,
+            lastLoginLabel: user.lastLogin ? new Date(user.lastLogin).toLocaleString('ja-JP') : '-',
+            statusLabel: user.locked ? '🔒 ロック中' : (statusLabels[user.status] || user.status)
+        }));
+    }
+
+    async saveUser(data) {
+        const before = await this.findUser(data.username);
+        const saved = await authService.saveUser(data);
+        this.notifyUpdated('users', saved.username, before ? 'ユーザー更新' : 'ユーザー登録', { screen: 'MST-USR', before: this.toUserState(before), after: this.toUserState(saved) });
+        return saved;
+    }
+
+    async unlockUser(username) {
+        const before = await this.findUser(username);
+        await authService.unlockUser(username);
+        this.notifyUpdated('users', username, 'ロック解除', { screen: 'MST-USR', before: this.toUserState(before), after: { ...this.toUserState(before), locked: false, failedAttempts: 0 } });
+    }
+
+    async resetPassword(username) {
+        await authService.resetPassword(username);
+        // パスワード（資格情報）そのものはログに残さない
+        this.notifyUpdated('users', username, 'パスワード初期化', { screen: 'MST-USR', after: { mustChangePassword: true } });
+    }
+
+    async findUser(username) {
+        if (!username) return null;
+        const users = await authService.getUsers();
+        return users.find(user => user.username === username) || null;
+    }
+
+    toUserState(user) {
+        if (!user) return null;
+        const { displayName, email, role, status, locked, failedAttempts } = user;
+        return { displayName, email, role, status, locked, failedAttempts };
+    }
+
+    async getLoginHistory() {
+        const resultLabels = AuthService.getResultLabels();
+        const history = await authService.getLoginHistory();
+
+        return history.map(entry => ({
+            ...entry,
+            atLabel: new Date(entry.at).toLocaleString('ja-JP'),
+            eventLabel: { logout: 'ログアウト', denied: '権限エラー' }[entry.event] || 'ログイン',
+            resultLabel: resultLabels[entry.result] || entry.result,
+            connectionLabel: entry.online ? 'オンライン' : 'オフライン'
+        }));
     }
 
-    // CRUD操作
+    // CRUD操作（マスタの登録・更新・削除は管理者のみ）
     async createProduct(data) {
-        return new Promise(resolve => setTimeout(resolve, 500));
+        PermissionService.authorize('master.edit', { screen: 'MST-PRD', action: '商品登録' });
+        const saved = await this.repository.saveProduct(data);
+        this.notifyUpdated('products', saved.code, '商品登録', { screen: 'MST-PRD', label: `商品 ${saved.code} ${saved.name || ''}`.trim(), after: saved });
+        return saved;
     }
 
     async updateProduct(id, data) {
-        return new Promise(resolve => setTimeout(resolve, 500));
+        PermissionService.authorize('master.edit', { screen: 'MST-PRD', action: '商品更新' });
+        const before = (await this.getProducts()).find(product => product.id === id) || null;
+        const saved = await this.repository.saveProduct({ ...before, ...data, id });
+        this.notifyUpdated('products', id, '商品更新', { screen: 'MST-PRD', label: `商品 ${saved.code} ${saved.name || ''}`.trim(), before, after: saved });
+        return saved;
     }
 
     async deleteProduct(id) {
-        return new Promise(resolve => setTimeout(resolve, 500));
+        PermissionService.authorize('master.edit', { screen: 'MST-PRD', action: '商品削除' });
+        const before = (await this.getProducts()).find(product => product.id === id) || null;
+        await this.repository.deleteProduct(id);
+        this.notifyUpdated('products', id, '商品削除', { screen: 'MST-PRD', label: before ? `商品 ${before.code} ${before.name}` : '', before, after: null });
+    }
+
+    /**
+     * CSV取込み（仕様書 §11）。records は CsvImportService.preview() で検証済みのもの
+     * @param {string} target - 'products' | 'customers' | 'daily_records'
+     * @param {Array} records - 取り込むレコード
+     * @param {string} mode - 'append' | 'overwrite'
+     * @returns {Promise<Object>} { created, updated, removed }
+     */
+    async importRecords(target, records, mode = 'append') {
+        const definition = CsvImportService.getTargets()[target];
+        PermissionService.authorize(definition.capability, { screen: definition.screen, action: `${definition.label}のCSV取込` });
+
+        const importers = {
+            products: () => this.repository.importProducts(records, mode),
+            customers: () => this.repository.importCustomers(records, mode),
+            daily_records: () => this.repository.importDailyRecords(records, mode)
+        };
+        const result = await importers[target]();
+
+        this.notifyUpdated(target === 'daily_records' ? 'dailyRecords' : target, 'import', `${definition.label}のCSV取込`, {
+            screen: definition.screen,
+            label: definition.label,
+            after: { 取込方法: mode === 'overwrite' ? '上書き' : '追記', 取込件数: records.length, 新規: result.created, 更新: result.updated, 削除: result.removed }
+        });
+        return result;
+    }
+
+    /**
+     * 取込み前に新規・更新・削除を判定するための既存データ（実績は件数が多いため取得しない）
+     * @param {string} target - 取込み対象
+     * @returns {Promise<Array|null>} 既存データ
+     */
+    async getImportExisting(target) {
+        if (target === 'products') return this.getProducts();
+        if (target === 'customers') return this.getCustomers();
+        return null;
     }
 
-    async importProducts(products) {
-        return new Promise(resolve => setTimeout(resolve, 1000));
+    /**
+     * マスタの変更を通知（操作ログ SET-LOG が変更前後の差分を記録する）
+     * @param {string} entity - 'products' | 'customers' | 'dailyRecords' | 'eventsWeather' | 'settings' | 'users'
+     * @param {string|number} key - 対象のキー
+     * @param {string} action - 操作名
+     * @param {Object} options - { screen, label, before, after }
+     */
+    notifyUpdated(entity, key, action, options = {}) {
+        const entityLabels = { products: '商品', customers: '得意先', dailyRecords: '日次実績', eventsWeather: 'イベント・気象', settings: 'システム設定', users: 'ユーザー' };
+        const label = options.label || (entity === 'settings' ? entityLabels[entity] : `${entityLabels[entity] || entity} ${key}`);
+
+        eventBus.emit('master.updated', {
+            entity,
+            key,
+            action,
+            screen: options.screen || '',
+            label,
+            before: options.before || null,
+            after: options.after || null
+        });
     }
 
     exportProductsToCSV(products) {
-        const headers = ['商品コード', '商品名', 'カテゴリID', '単価', '仕入価格', '仕入先ID', '最小発注数', '発注単位', 'ステータス'];
-        const csvContent = [
-            headers.join(','),
+        const headers = ['商品コード', '商品名', 'カテゴリID', '単価', '仕入価格', '仕入先ID', '最小発注数', '発注単位', 'ケース入数', '発注区分', 'ステータス'];
+        return CsvParser.stringify([
+            headers,
             ...products.map(product => [
                 product.code,
-                `"${product.name}"`,
+                product.name,
                 product.categoryId,
                 product.price,
                 product.cost,
                 product.supplierId,
                 product.minOrder,
                 product.orderUnit,
+                product.caseSize || 1,
+                product.orderUnitType || 'piece',
                 product.status
-            ].join(','))
-        ].join('\n');
-        
-        return csvContent;
+            ])
+        ]);
     }
 }
 
-// ES6モジュールエクスポート対応
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { MasterMaintenance, MasterMaintenanceService };
-}
+export { MasterMaintenance, MasterMaintenanceService };
 
-// グローバルスコープでも利用可能
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
 if (typeof window !== 'undefined') {
     window.MasterMaintenance = MasterMaintenance;
     window.MasterMaintenanceService = MasterMaintenanceService;
-}
\ No newline at end of file
+}
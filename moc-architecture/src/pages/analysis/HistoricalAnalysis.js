@@ -2,6 +2,20 @@
  * HistoricalAnalysis Page - 過去データ分析ページコンポーネント
  * MOCアーキテクチャのページレベルコンポーネント
  */
+
+import { eventBus } from '../../utils/EventBus.js';
+import { authService } from '../../services/AuthService.js';
+import ForecastAccuracyService from '../../services/ForecastAccuracyService.js';
+import ForecastService from '../../services/ForecastService.js';
+import PerformanceInputService from '../../services/PerformanceInputService.js';
+import { dataRepository } from '../../repositories/DataRepository.js';
+import Alert from '../../components/ui/Alert.js';
+import Card from '../../components/ui/Card.js';
+import MOCChart from '../../components/ui/Chart.js';
+import Form from '../../components/ui/Form.js';
+import Table from '../../components/ui/Table.js';
+import Header from '../../components/layout/Header.js';
+
 class HistoricalAnalysis {
     constructor(options = {}) {
         this.container = options.container || 'body';
@@ -14,6 +28,7 @@ class HistoricalAnalysis {
         // 設定
         this.defaultDateRange = options.defaultDateRange || 30; // 30日間
         this.maxDateRange = options.maxDateRange || 365; // 1年間
+        this.initialDate = options.date || null; // ディープリンクの基準日（期間の終了日）
         
         // データ
         this.historicalData = [];
@@ -26,6 +41,9 @@ class HistoricalAnalysis {
             viewMode: 'daily'
         };
         this.analysisSummary = null;
+        this.forecastResult = null;
+        this.forecastChart = null;
+        this.subscriptions = [];
         
         // サービス
         this.analysisService = null;
@@ -36,6 +54,9 @@ class HistoricalAnalysis {
      * @returns {Promise<void>}
      */
     async init() {
+        // 未ログイン・セッション切れならログイン画面へ
+        if (!authService.requireSession()) return;
+
         try {
             // サービスの初期化
             this.analysisService = new HistoricalAnalysisService();
@@ -68,9 +89,7 @@ class HistoricalAnalysis {
             this.attachEventListeners();
             
             // ページ読み込み完了イベント
-            if (window.eventBus) {
-                window.eventBus.emit('historicalAnalysis.loaded');
-            }
+            eventBus.emit('historicalAnalysis.loaded');
             
         } catch (error) {
             console.error('HistoricalAnalysis initialization failed:', error);
@@ -168,11 +187,33 @@ class HistoricalAnalysis {
                                             <option value="14">14日後まで</option>
                                             <option value="30">30日後まで</option>
                                         </select>
+                                        <select id="forecast-method" class="form-input">
+                                            <option value="auto">手法: 自動選択</option>
+                                            <option value="simple">単純指数平滑</option>
+                                            <option value="holt">Holt（トレンド）</option>
+                                            <option value="holt_winters">Holt-Winters（週次季節性）</option>
+                                        </select>
                                     </div>
                                     <div id="forecast-results" class="forecast-results"></div>
                                 </div>
                             </div>
                         </section>
+                        
+                        <!-- Forecast Accuracy Section -->
+                        <section class="analysis-accuracy">
+                            <div class="container">
+                                <h2 class="section-title">🎯 予測精度</h2>
+                                <div class="forecast-panel">
+                                    <div class="forecast-controls">
+                                        <button id="run-backtest-btn" class="btn btn-secondary">
+                                            🧪 バックテスト実行
+                                        </button>
+                                    </div>
+                                    <div id="accuracy-report"></div>
+                                    <div id="backtest-results"></div>
+                                </div>
+                            </div>
+                        </section>
                     </div>
                 </main>
             </div>
@@ -202,8 +243,8 @@ class HistoricalAnalysis {
      * デフォルト検索条件を設定
      */
     setDefaultSearchCriteria() {
-        const endDate = new Date();
-        const startDate = new Date();
+        const endDate = this.initialDate ? new Date(this.initialDate) : new Date();
+        const startDate = new Date(endDate);
         startDate.setDate(endDate.getDate() - this.defaultDateRange);
         
         this.searchCriteria.startDate = startDate.toISOString().slice(0, 10);
@@ -446,6 +487,7 @@ class HistoricalAnalysis {
             this.updateDataTable();
             this.updateSummaryCards();
             this.updateAnalysisCharts();
+            this.renderAccuracyReport();
             
             Alert.success(`${this.filteredData.length}件のデータを取得しました`).mount();
             
@@ -674,6 +716,16 @@ class HistoricalAnalysis {
         document.getElementById('generate-forecast-btn')?.addEventListener('click', () => {
             this.generateForecast();
         });
+        
+        // バックテスト
+        document.getElementById('run-backtest-btn')?.addEventListener('click', () => {
+            this.runBacktest();
+        });
+        
+        // 実績保存で予測が採点されたら精度を更新
+        this.subscriptions.push(eventBus.on('forecast.scored', () => {
+            this.renderAccuracyReport();
+        }));
     }
 
     /**
@@ -797,15 +849,20 @@ class HistoricalAnalysis {
             forecastBtn.disabled = true;
             forecastBtn.textContent = '🔮 予測生成中...';
             
-            const forecastResult = await this.analysisService.generateForecast(this.filteredData, forecastPeriod);
+            const forecastMethod = document.getElementById('forecast-method')?.value || 'auto';
+            
+            const forecastResult = await this.analysisService.generateForecast(this.filteredData, forecastPeriod, { method: forecastMethod });
+            this.forecastResult = forecastResult;
             
             this.displayForecastResults(forecastResult);
             
-            Alert.success('AI予測を生成しました').mount();
+            eventBus.emit('analysis.forecastGenerated', forecastResult);
+            
+            Alert.success('売上予測を生成しました').mount();
             
         } catch (error) {
             console.error('Forecast generation failed:', error);
-            Alert.error('予測生成に失敗しました').mount();
+            Alert.error(`予測生成に失敗しました: ${error.message}`).mount();
         } finally {
             const forecastBtn = document.getElementById('generate-forecast-btn');
             forecastBtn.disabled = false;
@@ -821,9 +878,31 @@ class HistoricalAnalysis {
         const container = document.getElementById('forecast-results');
         if (!container) return;
         
+        const currency = new Intl.NumberFormat('ja-JP', { style: 'currency', currency: 'JPY' });
+        const renderRows = (items, nameOf) => items.map(item => `
+            <tr>
+                <td>${nameOf(item)}</td>
+                <td>${item.methodLabel}</td>
+                <td>${item.total.forecast}</td>
+                <td>${item.total.lower} 〜 ${item.total.upper}</td>
+                <td>${item.points[0] ? `${item.points[0].forecast}（${item.points[0].lower} 〜 ${item.points[0].upper}）` : '-'}</td>
+            </tr>
+        `).join('');
+        const breakdownHeader = `
+            <thead>
+                <tr>
+                    <th>対象</th>
+                    <th>手法</th>
+                    <th>予測販売数</th>
+                    <th>${forecastResult.confidence}%予測区間</th>
+                    <th>翌日予測</th>
+                </tr>
+            </thead>
+        `;
+        
         container.innerHTML = `
             <div class="forecast-summary">
-                <h4>🔮 AI売上予測結果</h4>
+                <h4>🔮 売上予測結果</h4>
                 <div class="forecast-metrics">
                     <div class="metric">
                         <span class="metric-label">予測期間:</span>
@@ -831,24 +910,199 @@ class HistoricalAnalysis {
                     </div>
                     <div class="metric">
                         <span class="metric-label">予測総売上:</span>
-                        <strong>${new Intl.NumberFormat('ja-JP', { style: 'currency', currency: 'JPY' }).format(forecastResult.totalForecast)}</strong>
+                        <strong>${currency.format(forecastResult.totalForecast)}</strong>
                     </div>
                     <div class="metric">
-                        <span class="metric-label">信頼度:</span>
-                        <strong>${forecastResult.confidence}%</strong>
+                        <span class="metric-label">${forecastResult.confidence}%予測区間:</span>
+                        <strong>${currency.format(forecastResult.lowerForecast)} 〜 ${currency.format(forecastResult.upperForecast)}</strong>
+                    </div>
+                    <div class="metric">
+                        <span class="metric-label">予測手法:</span>
+                        <strong>${forecastResult.methodLabel}</strong>
                     </div>
                 </div>
-                <div class="forecast-chart-placeholder">
-                    📈 予測チャート（今後Chart.js実装予定）
-                </div>
+                <div id="forecast-chart"></div>
+                ${forecastResult.source === 'daily_records' ? `
+                    <h4>商品別予測</h4>
+                    <table class="forecast-table">
+                        ${breakdownHeader}
+                        <tbody>${renderRows(forecastResult.products, item => `${item.code} ${item.name}`)}</tbody>
+                    </table>
+                    <h4>カテゴリ別予測</h4>
+                    <table class="forecast-table">
+                        ${breakdownHeader}
+                        <tbody>${renderRows(forecastResult.categories, item => item.category)}</tbody>
+                    </table>
+                ` : `
+                    <p class="forecast-note">実績入力（daily_records）の履歴がないため、分析データの日別総売上から店舗合計のみを予測しています</p>
+                `}
             </div>
         `;
+        
+        this.renderForecastChart(forecastResult);
+    }
+
+    /**
+     * 予測チャート（予測値と予測区間）を描画
+     * @param {Object} forecastResult - 予測結果
+     */
+    renderForecastChart(forecastResult) {
+        if (this.forecastChart) {
+            this.forecastChart.destroy();
+            this.forecastChart = null;
+        }
+        
+        const chartData = {
+            labels: forecastResult.daily.map(point => point.date || `+${point.step}日`),
+            datasets: [
+                {
+                    label: '予測売上',
+                    data: forecastResult.daily.map(point => point.forecast),
+                    borderColor: '#3498db',
+                    backgroundColor: 'rgba(52, 152, 219, 0.1)',
+                    fill: false
+                },
+                {
+                    label: `予測区間上限（${forecastResult.confidence}%）`,
+                    data: forecastResult.daily.map(point => point.upper),
+                    borderColor: 'rgba(52, 152, 219, 0.4)',
+                    borderDash: [4, 4],
+                    pointRadius: 0,
+                    fill: false
+                },
+                {
+                    label: `予測区間下限（${forecastResult.confidence}%）`,
+                    data: forecastResult.daily.map(point => point.lower),
+                    borderColor: 'rgba(52, 152, 219, 0.4)',
+                    borderDash: [4, 4],
+                    pointRadius: 0,
+                    fill: '-1',
+                    backgroundColor: 'rgba(52, 152, 219, 0.08)'
+                }
+            ]
+        };
+        
+        this.forecastChart = MOCChart.line(chartData);
+        this.forecastChart.mount('#forecast-chart');
+    }
+
+    /**
+     * 予測精度レポート（記録済み推奨数量の採点結果）を表示
+     */
+    renderAccuracyReport() {
+        const container = document.getElementById('accuracy-report');
+        if (!container) return;
+        
+        const report = this.analysisService.getAccuracyReport(this.searchCriteria);
+        if (!report) {
+            container.innerHTML = '<p class="forecast-note">予測ログを読み込めません</p>';
+            return;
+        }
+        
+        if (report.overall.count === 0) {
+            container.innerHTML = `
+                <p class="forecast-note">採点済みの推奨数量がありません（未採点 ${report.pending}件）。実績入力で締めると採点されます。</p>
+            `;
+            return;
+        }
+        
+        container.innerHTML = `
+            <h4>推奨数量の精度（採点済み ${report.overall.count}件 / 未採点 ${report.pending}件）</h4>
+            ${this.renderMetricsTable('全体', [{ key: '全体', ...report.overall }])}
+            ${this.renderMetricsTable('商品', report.byProduct)}
+            ${this.renderMetricsTable('カテゴリ', report.byCategory)}
+            ${this.renderMetricsTable('曜日', report.byDayOfWeek)}
+        `;
+    }
+
+    /**
+     * 精度指標テーブルのHTMLを生成
+     * @param {string} label - 1列目の見出し
+     * @param {Array} rows - [{ key | label, count, mape, bias, biasPercent, overForecastWeightedError, wasteRate }]
+     * @returns {string} HTML文字列
+     */
+    renderMetricsTable(label, rows) {
+        const format = (value, suffix = '') => (value === null || value === undefined ? '-' : `${value}${suffix}`);
+        
+        return `
+            <table class="forecast-table">
+                <thead>
+                    <tr>
+                        <th>${label}</th>
+                        <th>件数</th>
+                        <th>MAPE</th>
+                        <th>バイアス</th>
+                        <th>過大予測加重誤差</th>
+                        <th>実ロス率</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${row.label || row.key}</td>
+                            <td>${row.count}</td>
+                            <td>${format(row.mape, '%')}</td>
+                            <td>${format(row.bias)}（${format(row.biasPercent, '%')}）</td>
+                            <td>${format(row.overForecastWeightedError, '%')}</td>
+                            <td>${format(row.wasteRate, '%')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * ローリングバックテストで予測手法を比較
+     */
+    async runBacktest() {
+        const button = document.getElementById('run-backtest-btn');
+        const container = document.getElementById('backtest-results');
+        
+        try {
+            button.disabled = true;
+            button.textContent = '🧪 バックテスト実行中...';
+            
+            const result = await this.analysisService.runBacktest(this.filteredData);
+            const labels = Object.fromEntries(result.overall.map(item => [item.method, item.label]));
+            
+            container.innerHTML = `
+                <h4>手法別バックテスト（${result.source === 'daily_records' ? '商品別販売数' : '日別総売上'}・1日先予測）</h4>
+                ${this.renderMetricsTable('手法', result.overall)}
+                ${result.products.length > 0 ? `
+                    <table class="forecast-table">
+                        <thead>
+                            <tr><th>商品</th><th>最良手法（過大予測加重誤差）</th></tr>
+                        </thead>
+                        <tbody>
+                            ${result.products.map(product => `
+                                <tr>
+                                    <td>${product.code} ${product.name}</td>
+                                    <td>${product.best ? labels[product.best] : 'データ不足'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                ` : ''}
+            `;
+            
+        } catch (error) {
+            console.error('Backtest failed:', error);
+            Alert.error(`バックテストに失敗しました: ${error.message}`).mount();
+        } finally {
+            button.disabled = false;
+            button.textContent = '🧪 バックテスト実行';
+        }
     }
 
     /**
      * システム破棄
      */
     destroy() {
+        // イベント購読を解除
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+        
         // ヘッダー破棄
         if (this.header) {
             this.header.destroy();
@@ -869,6 +1123,10 @@ class HistoricalAnalysis {
         
         // カード破棄
         this.summaryCards.forEach(card => card.destroy());
+        
+        if (this.forecastChart) {
+            this.forecastChart.destroy();
+        }
     }
 }
 
@@ -876,8 +1134,12 @@ class HistoricalAnalysis {
  * HistoricalAnalysisService - 過去データ分析用サービス
  */
 class HistoricalAnalysisService {
-    constructor() {
-        this.baseURL = '/api/analysis';
+    /**
+     * @param {Object} options - { repository }
+     */
+    constructor(options = {}) {
+        this.repository = options.repository || dataRepository;
+        this.performanceService = null;
     }
 
     /**
@@ -886,60 +1148,12 @@ class HistoricalAnalysisService {
      * @returns {Promise<Object>} 分析データ
      */
     async getHistoricalData(criteria) {
-        // モックデータ生成
-        const mockData = this.generateMockData(criteria);
-        
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                resolve({
-                    data: mockData,
-                    summary: this.calculateSummary(mockData, criteria)
-                });
-            }, 1000);
-        });
-    }
-
-    /**
-     * モックデータ生成
-     * @param {Object} criteria - 検索条件
-     * @returns {Array} モックデータ
-     */
-    generateMockData(criteria) {
-        const data = [];
-        const startDate = new Date(criteria.startDate);
-        const endDate = new Date(criteria.endDate);
-        
-        for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-            const dateStr = d.toISOString().slice(0, 10);
-            const dayOfWeek = ['日', '月', '火', '水', '木', '金', '土'][d.getDay()];
-            
-            // ランダムなデータ生成
-            const baseSales = 80000 + Math.random() * 40000;
-            const weatherBonus = Math.random() > 0.3 ? 1.2 : 0.8; // 天気による影響
-            const dayBonus = d.getDay() === 0 || d.getDay() === 6 ? 1.3 : 1.0; // 土日ボーナス
-            
-            data.push({
-                date: dateStr,
-                dayOfWeek: dayOfWeek,
-                weather: ['晴れ', '曇り', '雨'][Math.floor(Math.random() * 3)],
-                temperature: 18 + Math.floor(Math.random() * 15),
-                totalSales: Math.floor(baseSales * weatherBonus * dayBonus),
-                totalCustomers: 150 + Math.floor(Math.random() * 100),
-                avgCustomerSpend: 0, // 後で計算
-                totalItems: 200 + Math.floor(Math.random() * 150),
-                soldoutCount: Math.floor(Math.random() * 8),
-                wasteRate: Math.random() * 10,
-                soldoutTime: Math.random() > 0.5 ? `${17 + Math.floor(Math.random() * 3)}:${String(Math.floor(Math.random() * 60)).padStart(2, '0')}` : null,
-                category: ['デンマーク関連', '洋菓子限定', 'ゼリー'][Math.floor(Math.random() * 3)]
-            });
-        }
-        
-        // 客単価計算
-        data.forEach(item => {
-            item.avgCustomerSpend = item.totalCustomers > 0 ? item.totalSales / item.totalCustomers : 0;
-        });
+        const data = await this.repository.getDailySummaries(criteria);
         
-        return data;
+        return {
+            data,
+            summary: this.calculateSummary(data, criteria)
+        };
     }
 
     /**
@@ -979,8 +1193,8 @@ class HistoricalAnalysisService {
             avgDailySales,
             totalItems,
             avgSoldoutTime,
-            totalReservations: Math.floor(Math.random() * 200), // モック値
-            totalSpecialOrders: Math.floor(Math.random() * 50) // モック値
+            totalReservations: data.reduce((sum, item) => sum + (item.reservations || 0), 0),
+            totalSpecialOrders: data.reduce((sum, item) => sum + (item.specialOrders || 0), 0)
         };
     }
 
@@ -1060,71 +1274,155 @@ class HistoricalAnalysisService {
     }
 
     /**
-     * AI予測生成
+     * 売上予測生成
+     * daily_records の履歴があれば商品別・カテゴリ別に指数平滑法で予測し、
+     * なければ画面の分析データ（日別総売上）から店舗合計のみを予測する
      * @param {Array} data - 履歴データ
      * @param {number} period - 予測期間
+     * @param {Object} options - { method: 'auto' | 'simple' | 'holt' | 'holt_winters', confidenceLevel }
      * @returns {Promise<Object>} 予測結果
      */
-    async generateForecast(data, period) {
-        // 簡易予測アルゴリズム（実際にはより複雑な機械学習を使用）
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                const avgDailySales = data.reduce((sum, item) => sum + item.totalSales, 0) / data.length;
-                const trend = this.calculateTrend(data);
-                const seasonality = this.calculateSeasonality(data);
-                
-                const forecastSales = avgDailySales * period * (1 + trend) * (1 + seasonality);
-                
-                resolve({
-                    period: parseInt(period),
-                    totalForecast: Math.floor(forecastSales),
-                    dailyForecast: Math.floor(forecastSales / period),
-                    confidence: 75 + Math.floor(Math.random() * 20), // 75-95%
-                    trend: trend > 0 ? 'increase' : 'decrease',
-                    factors: ['過去の売上傾向', '季節性', '曜日パターン']
-                });
-            }, 2000);
+    async generateForecast(data, period, options = {}) {
+        const horizon = parseInt(period) || 7;
+        const forecastOptions = {
+            horizon,
+            method: options.method || 'auto',
+            confidenceLevel: options.confidenceLevel || 0.8,
+            useEstimatedDemand: true
+        };
+
+        const history = await this.getDailyRecordHistory();
+
+        if (history.length > 0) {
+            const breakdown = ForecastService.forecastByProductAndCategory(history, {
+                ...forecastOptions,
+                products: this.performanceService.products
+            });
+            const total = ForecastService.forecastSeries(
+                ForecastService.buildDailySeries(history, { ...forecastOptions, valueField: 'amount' }).values,
+                forecastOptions
+            );
+
+            return this.buildForecastResult(total, breakdown.dates, forecastOptions, {
+                source: 'daily_records',
+                historyDays: history.length,
+                products: breakdown.products,
+                categories: breakdown.categories
+            });
+        }
+
+        const sorted = [...(data || [])].sort((a, b) => a.date.localeCompare(b.date));
+        const total = ForecastService.forecastSeries(sorted.map(item => item.totalSales), forecastOptions);
+        const lastDate = sorted.length > 0 ? sorted[sorted.length - 1].date : '';
+        const dates = lastDate ? total.points.map(point => ForecastService.shiftDate(lastDate, point.step)) : [];
+
+        return this.buildForecastResult(total, dates, forecastOptions, {
+            source: 'analysis_data',
+            historyDays: sorted.length,
+            products: [],
+            categories: []
         });
     }
 
     /**
-     * トレンド計算
-     * @param {Array} data - データ
-     * @returns {number} トレンド係数
+     * 記録済み推奨数量の予測精度レポート
+     * @param {Object} criteria - 検索条件（期間で絞り込み）
+     * @returns {Object|null} ForecastAccuracyService.getAccuracyReport の結果
      */
-    calculateTrend(data) {
-        if (data.length < 7) return 0;
-        
-        const recentWeek = data.slice(-7);
-        const previousWeek = data.slice(-14, -7);
-        
-        const recentAvg = recentWeek.reduce((sum, item) => sum + item.totalSales, 0) / 7;
-        const previousAvg = previousWeek.reduce((sum, item) => sum + item.totalSales, 0) / 7;
-        
-        return previousAvg > 0 ? (recentAvg - previousAvg) / previousAvg : 0;
+    getAccuracyReport(criteria = {}) {
+        return ForecastAccuracyService.getAccuracyReport({ from: criteria.startDate, to: criteria.endDate });
     }
 
     /**
-     * 季節性計算
-     * @param {Array} data - データ
-     * @returns {number} 季節性係数
+     * 予測手法のバックテスト
+     * daily_records の履歴があれば商品別、なければ分析データの日別総売上で行う
+     * @param {Array} data - 分析データ
+     * @returns {Promise<Object>} { source, overall, products }
      */
-    calculateSeasonality(data) {
-        // 簡易的な季節性計算（実際はより複雑）
-        const month = new Date().getMonth();
-        const seasonalFactors = [0.9, 0.95, 1.05, 1.1, 1.15, 1.2, 1.1, 1.05, 1.0, 0.95, 0.9, 0.85];
-        
-        return (seasonalFactors[month] - 1);
+    async runBacktest(data) {
+        const history = await this.getDailyRecordHistory();
+
+        if (history.length > 0) {
+            const result = ForecastService.backtestByProduct(history, {
+                products: this.performanceService.products,
+                useEstimatedDemand: true
+            });
+            return { source: 'daily_records', ...result };
+        }
+
+        const sorted = [...(data || [])].sort((a, b) => a.date.localeCompare(b.date));
+        const pairs = ForecastService.backtestSeries(sorted.map(item => item.totalSales));
+        const labels = ForecastService.getBacktestMethodLabels();
+
+        return {
+            source: 'analysis_data',
+            overall: Object.keys(pairs).map(method => ({
+                method,
+                label: labels[method],
+                ...ForecastAccuracyService.calculateMetrics(pairs[method])
+            })),
+            products: []
+        };
+    }
+
+    /**
+     * daily_records の履歴を取得（IndexedDBが使えない場合は空）
+     * @returns {Promise<Array>} 過去データ
+     */
+    async getDailyRecordHistory() {
+        if (!PerformanceInputService.isAvailable()) {
+            return [];
+        }
+
+        try {
+            if (!this.performanceService) {
+                this.performanceService = new PerformanceInputService();
+            }
+            return await this.performanceService.getHistoricalData();
+        } catch (error) {
+            console.warn('daily_records could not be read for forecasting:', error);
+            return [];
+        }
     }
-}
 
-// ES6モジュールエクスポート対応
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { HistoricalAnalysis, HistoricalAnalysisService };
+    /**
+     * 予測結果を画面表示用に整形
+     * @param {Object} total - 店舗合計の予測（ForecastService.forecastSeries）
+     * @param {Array} dates - 予測対象日
+     * @param {Object} forecastOptions - 予測オプション
+     * @param {Object} extra - { source, historyDays, products, categories }
+     * @returns {Object} 予測結果
+     */
+    buildForecastResult(total, dates, forecastOptions, extra) {
+        const labels = ForecastService.getMethodLabels();
+        const first = total.points[0]?.forecast || 0;
+        const last = total.points[total.points.length - 1]?.forecast || 0;
+
+        return {
+            period: forecastOptions.horizon,
+            totalForecast: Math.floor(total.total.forecast),
+            lowerForecast: Math.floor(total.total.lower),
+            upperForecast: Math.floor(total.total.upper),
+            dailyForecast: Math.floor(total.total.forecast / forecastOptions.horizon),
+            confidence: Math.round(forecastOptions.confidenceLevel * 100),
+            method: total.method,
+            methodLabel: total.methodLabel,
+            trend: last >= first ? 'increase' : 'decrease',
+            daily: total.points.map((point, index) => ({ ...point, date: dates[index] || '' })),
+            factors: [
+                labels[total.method] || total.methodLabel,
+                ...(forecastOptions.useEstimatedDemand && extra.source === 'daily_records' ? ['完売日の推定需要'] : []),
+                ...(total.method === 'holt_winters' ? ['週次季節性'] : [])
+            ],
+            ...extra
+        };
+    }
 }
 
-// グローバルスコープでも利用可能
+export { HistoricalAnalysis, HistoricalAnalysisService };
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
 if (typeof window !== 'undefined') {
     window.HistoricalAnalysis = HistoricalAnalysis;
     window.HistoricalAnalysisService = HistoricalAnalysisService;
-}
\ No newline at end of file
+}
@@ -0,0 +1,503 @@
+/**
+ * Login Page - ログイン＆接続画面（LGN-001）
+ * MOCアーキテクチャによるログイン画面
+ *
+ * フォーム: ユーザID/パスワード（最小8文字、5回失敗でロック）
+ * 接続カード: VPN自動接続トグル、状態（接続/再接続中/失敗）、再試行、直近同期時刻
+ */
+
+import { eventBus } from '../../utils/EventBus.js';
+import { appStore } from '../../stores/AppStore.js';
+import { AuthService, authService } from '../../services/AuthService.js';
+import { outboxService } from '../../services/OutboxService.js';
+import { dataRepository } from '../../repositories/DataRepository.js';
+import Alert from '../../components/ui/Alert.js';
+
+class Login {
+    constructor(options = {}) {
+        this.container = options.container || '#login-root';
+        this.returnUrl = options.returnUrl || '';
+        this.reason = options.reason || '';
+        this.reconnectInterval = options.reconnectInterval || 10000;
+
+        this.loginService = null;
+        this.pendingUsername = null;
+        this.pendingPassword = null;
+        this.connectionStatus = 'reconnecting';
+        this.reconnectTimer = null;
+        this.isSubmitting = false;
+
+        this.handleOnline = this.handleOnline.bind(this);
+        this.handleOffline = this.handleOffline.bind(this);
+    }
+
+    /**
+     * ログイン画面初期化
+     * @returns {Promise<void>}
+     */
+    async init() {
+        try {
+            this.loginService = new LoginService();
+
+            // ログイン済みなら元の画面へ戻る
+            if (authService.getSession()) {
+                this.redirect();
+                return;
+            }
+
+            this.buildLayout();
+            this.attachEventListeners();
+            this.showReason();
+
+            await Promise.all([
+                this.checkConnection(),
+                this.updateLastSync()
+            ]);
+
+            eventBus.emit('login.loaded');
+
+        } catch (error) {
+            console.error('Login initialization failed:', error);
+            Alert.error('ログイン画面の初期化に失敗しました').mount();
+        }
+    }
+
+    /**
+     * レイアウトの基本構造を構築
+     */
+    buildLayout() {
+        const container = typeof this.container === 'string' ?
+            document.querySelector(this.container) : this.container;
+        const policy = AuthService.getPolicy();
+
+        container.innerHTML = `
+            <div class="login-layout">
+                <div class="login-panel">
+                    <div class="login-brand">
+                        <div class="login-brand-icon">📊</div>
+                        <h1 class="login-brand-title">在庫管理システム</h1>
+                        <div class="login-brand-subtitle">ログイン</div>
+                    </div>
+
+                    <div id="login-message" class="login-message" style="display: none;"></div>
+
+                    <!-- ログインフォーム -->
+                    <form id="login-form" class="login-form card" novalidate>
+                        <div class="form-field">
+                            <label class="form-label" for="login-username">ユーザーID</label>
+                            <input type="text" id="login-username" class="form-input" autocomplete="username" required>
+                        </div>
+                        <div class="form-field">
+                            <label class="form-label" for="login-password">パスワード</label>
+                            <input type="password" id="login-password" class="form-input" autocomplete="current-password"
+                                   minlength="${policy.minPasswordLength}" required>
+                            <div class="form-help">${policy.minPasswordLength}文字以上。${policy.maxFailedAttempts}回続けて間違えるとロックされます</div>
+                        </div>
+                        <button type="submit" id="login-btn" class="btn btn-primary login-submit">ログイン</button>
+                    </form>
+
+                    <!-- 初回ログイン時のパスワード変更 -->
+                    <form id="password-change-form" class="login-form card" style="display: none;" novalidate>
+                        <div class="login-form-title">パスワードの変更</div>
+                        <div class="form-field">
+                            <label class="form-label" for="new-password">新しいパスワード</label>
+                            <input type="password" id="new-password" class="form-input" autocomplete="new-password"
+                                   minlength="${policy.minPasswordLength}" required>
+                            <div class="form-help">${policy.minPasswordLength}文字以上。ユーザーID・初期パスワードと同じものは使用できません</div>
+                        </div>
+                        <div class="form-field">
+                            <label class="form-label" for="confirm-password">新しいパスワード（確認）</label>
+                            <input type="password" id="confirm-password" class="form-input" autocomplete="new-password" required>
+                        </div>
+                        <div class="login-form-actions">
+                            <button type="button" id="password-change-cancel-btn" class="btn btn-secondary">戻る</button>
+                            <button type="submit" id="password-change-btn" class="btn btn-primary">変更してログイン</button>
+                        </div>
+                    </form>
+
+                    <!-- 接続カード -->
+                    <div class="login-connection card">
+                        <div class="login-connection-header">
+                            <span class="login-connection-title">🔐 VPN接続</span>
+                            <span id="connection-status" class="connection-status" data-status="reconnecting">再接続中</span>
+                        </div>
+                        <label class="login-connection-toggle">
+                            <input type="checkbox" id="vpn-auto-connect" ${this.loginService.getAutoConnect() ? 'checked' : ''}>
+                            <span>自動で再接続する</span>
+                        </label>
+                        <div class="login-connection-footer">
+                            <span id="last-sync" class="login-last-sync">直近同期: -</span>
+                            <button type="button" id="connection-retry-btn" class="btn btn-secondary">🔄 再試行</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * イベントリスナーを設定
+     */
+    attachEventListeners() {
+        document.getElementById('login-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleLogin();
+        });
+
+        document.getElementById('password-change-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handlePasswordChange();
+        });
+
+        document.getElementById('password-change-cancel-btn').addEventListener('click', () => {
+            this.showLoginForm();
+        });
+
+        document.getElementById('connection-retry-btn').addEventListener('click', () => {
+            this.checkConnection();
+        });
+
+        document.getElementById('vpn-auto-connect').addEventListener('change', (e) => {
+            this.loginService.setAutoConnect(e.target.checked);
+            if (e.target.checked && this.connectionStatus !== 'connected') {
+                this.checkConnection();
+            } else if (!e.target.checked) {
+                this.stopReconnect();
+                if (this.connectionStatus === 'reconnecting') this.setConnectionStatus('failed');
+            }
+        });
+
+        window.addEventListener('online', this.handleOnline);
+        window.addEventListener('offline', this.handleOffline);
+
+        document.getElementById('login-username').focus();
+    }
+
+    /**
+     * ログイン画面へ戻された理由を表示
+     */
+    showReason() {
+        if (this.reason === 'timeout') {
+            this.showMessage('一定時間操作がなかったため、ログアウトしました。もう一度ログインしてください', 'warning');
+        } else if (this.reason === 'logout') {
+            this.showMessage('ログアウトしました', 'info');
+        }
+    }
+
+    // ========== ログイン ==========
+
+    /**
+     * ログイン処理
+     * @returns {Promise<void>}
+     */
+    async handleLogin() {
+        if (this.isSubmitting) return;
+
+        const username = document.getElementById('login-username').value.trim();
+        const password = document.getElementById('login-password').value;
+        const policy = AuthService.getPolicy();
+
+        if (!username || !password) {
+            this.showMessage('ユーザーIDとパスワードを入力してください', 'error');
+            return;
+        }
+        if (password.length < policy.minPasswordLength) {
+            this.showMessage(`パスワードは${policy.minPasswordLength}文字以上で入力してください`, 'error');
+            return;
+        }
+
+        try {
+            this.setSubmitting('login-btn', true, '認証中...');
+            const result = await authService.login(username, password);
+
+            if (result.success) {
+                await this.connectDataSource(username, password);
+                this.redirect();
+                return;
+            }
+
+            if (result.result === 'passwordChangeRequired') {
+                this.pendingUsername = username;
+                this.pendingPassword = password;
+                this.showPasswordChangeForm(result.message);
+                return;
+            }
+
+            document.getElementById('login-password').value = '';
+            this.showMessage(result.message, 'error');
+            Alert.error(result.message).mount();
+
+        } catch (error) {
+            console.error('Login failed:', error);
+            this.showMessage(error.message || 'ログインに失敗しました', 'error');
+            Alert.error('ログインに失敗しました').mount();
+        } finally {
+            this.setSubmitting('login-btn', false, 'ログイン');
+        }
+    }
+
+    /**
+     * パスワード変更処理（変更後にそのままログイン）
+     * @returns {Promise<void>}
+     */
+    async handlePasswordChange() {
+        if (this.isSubmitting) return;
+
+        const newPassword = document.getElementById('new-password').value;
+        const confirmPassword = document.getElementById('confirm-password').value;
+
+        const validation = AuthService.validatePassword(newPassword, { username: this.pendingUsername });
+        if (!validation.isValid) {
+            this.showMessage(validation.errors.join('\n'), 'error');
+            return;
+        }
+        if (newPassword !== confirmPassword) {
+            this.showMessage('確認用のパスワードが一致しません', 'error');
+            return;
+        }
+
+        try {
+            this.setSubmitting('password-change-btn', true, '変更中...');
+            const result = await authService.changePassword(this.pendingUsername, this.pendingPassword, newPassword);
+
+            if (!result.success) {
+                this.showMessage(result.errors.join('\n'), 'error');
+                return;
+            }
+
+            const login = await authService.login(this.pendingUsername, newPassword);
+            if (login.success) {
+                Alert.success('パスワードを変更しました').mount();
+                await this.connectDataSource(this.pendingUsername, newPassword);
+                this.redirect();
+            } else {
+                this.showLoginForm();
+                this.showMessage(login.message, 'error');
+            }
+
+        } catch (error) {
+            console.error('Password change failed:', error);
+            Alert.error('パスワードの変更に失敗しました').mount();
+        } finally {
+            this.setSubmitting('password-change-btn', false, '変更してログイン');
+        }
+    }
+
+    /**
+     * データソース（サーバー）にもログインする
+     * サーバーに接続できなくても端末でのログインは続行し、各画面の読み込み時にエラーを表示する
+     * @param {string} username - ユーザーID
+     * @param {string} password - パスワード
+     * @returns {Promise<void>}
+     */
+    async connectDataSource(username, password) {
+        try {
+            await dataRepository.connect(username, password);
+        } catch (error) {
+            console.warn('データソースへのログインに失敗しました:', error);
+        }
+    }
+
+    /**
+     * ログイン後の画面へ移動
+     */
+    redirect() {
+        window.location.href = authService.resolveReturnUrl(this.returnUrl);
+    }
+
+    /**
+     * ログインフォームを表示
+     */
+    showLoginForm() {
+        this.pendingUsername = null;
+        this.pendingPassword = null;
+        document.getElementById('password-change-form').style.display = 'none';
+        document.getElementById('login-form').style.display = 'block';
+        document.getElementById('login-password').value = '';
+        this.hideMessage();
+    }
+
+    /**
+     * パスワード変更フォームを表示
+     * @param {string} message - 案内メッセージ
+     */
+    showPasswordChangeForm(message) {
+        document.getElementById('login-form').style.display = 'none';
+        document.getElementById('password-change-form').style.display = 'block';
+        document.getElementById('new-password').value = '';
+        document.getElementById('confirm-password').value = '';
+        document.getElementById('new-password').focus();
+        this.showMessage(message, 'info');
+    }
+
+    /**
+     * 送信ボタンの状態を切り替え
+     * @param {string} buttonId - ボタンID
+     * @param {boolean} submitting - 送信中か
+     * @param {string} label - ボタン表示
+     */
+    setSubmitting(buttonId, submitting, label) {
+        this.isSubmitting = submitting;
+        const button = document.getElementById(buttonId);
+        if (!button) return;
+        button.disabled = submitting;
+        button.textContent = label;
+    }
+
+    /**
+     * メッセージ表示
+     * @param {string} message - メッセージ
+     * @param {string} type - 'error' | 'warning' | 'info'
+     */
+    showMessage(message, type = 'error') {
+        const element = document.getElementById('login-message');
+        if (!element) return;
+        element.textContent = message;
+        element.dataset.type = type;
+        element.style.display = 'block';
+    }
+
+    /**
+     * メッセージ非表示
+     */
+    hideMessage() {
+        const element = document.getElementById('login-message');
+        if (element) element.style.display = 'none';
+    }
+
+    // ========== 接続 ==========
+
+    /**
+     * サーバー（VPN経由）への接続を確認
+     * 失敗時は自動再接続が有効なら一定間隔で再試行する
+     * @returns {Promise<void>}
+     */
+    async checkConnection() {
+        this.stopReconnect();
+        this.setConnectionStatus('reconnecting');
+
+        const connected = await this.loginService.checkConnection();
+
+        if (connected) {
+            this.setConnectionStatus('connected');
+            // 接続回復時に送信待ちを送る
+            outboxService.flush().then(() => this.updateLastSync());
+            return;
+        }
+
+        if (this.loginService.getAutoConnect()) {
+            this.setConnectionStatus('reconnecting');
+            this.reconnectTimer = setTimeout(() => this.checkConnection(), this.reconnectInterval);
+        } else {
+            this.setConnectionStatus('failed');
+        }
+    }
+
+    /**
+     * 自動再接続を停止
+     */
+    stopReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+    }
+
+    /**
+     * 接続状態を表示
+     * @param {string} status - 'connected' | 'reconnecting' | 'failed'
+     */
+    setConnectionStatus(status) {
+        const labels = { connected: '接続', reconnecting: '再接続中', failed: '失敗' };
+        this.connectionStatus = status;
+
+        const element = document.getElementById('connection-status');
+        if (!element) return;
+        element.dataset.status = status;
+        element.textContent = labels[status];
+    }
+
+    /**
+     * 直近同期時刻を表示
+     * @returns {Promise<void>}
+     */
+    async updateLastSync() {
+        const status = await outboxService.getStatus();
+        const element = document.getElementById('last-sync');
+        if (!element) return;
+
+        const lastSync = status.lastSentAt ?
+            new Date(status.lastSentAt).toLocaleString('ja-JP', { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' }) :
+            '-';
+        element.textContent = status.pending > 0 ?
+            `直近同期: ${lastSync}（未送信 ${status.pending}件）` :
+            `直近同期: ${lastSync}`;
+    }
+
+    /**
+     * 接続回復ハンドラー
+     */
+    handleOnline() {
+        this.checkConnection();
+    }
+
+    /**
+     * 切断ハンドラー
+     */
+    handleOffline() {
+        this.stopReconnect();
+        this.setConnectionStatus(this.loginService.getAutoConnect() ? 'reconnecting' : 'failed');
+    }
+
+    /**
+     * ログイン画面破棄
+     */
+    destroy() {
+        this.stopReconnect();
+        window.removeEventListener('online', this.handleOnline);
+        window.removeEventListener('offline', this.handleOffline);
+    }
+}
+
+/**
+ * LoginService - ログイン画面用の接続確認サービス
+ */
+class LoginService {
+    /**
+     * サーバーへ到達できるか確認（Service Worker のキャッシュを通らない HEAD リクエスト）
+     * @param {number} timeout - タイムアウト（ミリ秒）
+     * @returns {Promise<boolean>} 到達できればtrue
+     */
+    async checkConnection(timeout = 5000) {
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return false;
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const url = `${window.location.href.split(/[?#]/)[0]}?ping=${Date.now()}`;
+            const response = await fetch(url, { method: 'HEAD', cache: 'no-store', signal: controller.signal });
+            return response.ok;
+        } catch (error) {
+            return false;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    getAutoConnect() {
+        return appStore.getState('settings.vpnAutoConnect') !== false;
+    }
+
+    setAutoConnect(enabled) {
+        appStore.updateSettings({ vpnAutoConnect: enabled });
+    }
+}
+
+export { Login, LoginService };
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.Login = Login;
+    window.LoginService = LoginService;
+}
@@ -2,6 +2,18 @@
  * Dashboard Page - ダッシュボードページコンポーネント
  * MOCアーキテクチャのページレベルコンポーネント
  */
+
+import { eventBus } from '../../utils/EventBus.js';
+import { authService } from '../../services/AuthService.js';
+import { PermissionService } from '../../services/PermissionService.js';
+import InventoryService from '../../services/InventoryService.js';
+import PerformanceInputService from '../../services/PerformanceInputService.js';
+import { dataRepository } from '../../repositories/DataRepository.js';
+import Alert from '../../components/ui/Alert.js';
+import Card from '../../components/ui/Card.js';
+import MOCChart from '../../components/ui/Chart.js';
+import Header from '../../components/layout/Header.js';
+
 class Dashboard {
     constructor(options = {}) {
         this.container = options.container || 'body';
@@ -14,6 +26,8 @@ class Dashboard {
         this.autoRefresh = options.autoRefresh !== false;
         this.refreshInterval = options.refreshInterval || 60000; // 1分
         this.refreshTimer = null;
+        this.subscriptions = [];
+        this.handleVisibilityChange = null;
         
         // データ
         this.kpiData = null;
@@ -29,6 +43,9 @@ class Dashboard {
      * @returns {Promise<void>}
      */
     async init() {
+        // 未ログイン・セッション切れならログイン画面へ
+        if (!authService.requireSession()) return;
+
         try {
             // サービスの初期化
             this.dashboardService = new DashboardService();
@@ -63,9 +80,7 @@ class Dashboard {
             }
             
             // ページ読み込み完了イベント
-            if (window.eventBus) {
-                window.eventBus.emit('dashboard.loaded');
-            }
+            eventBus.emit('dashboard.loaded');
             
         } catch (error) {
             console.error('Dashboard initialization failed:', error);
@@ -144,7 +159,8 @@ class Dashboard {
                 { label: '発注シミュレーション', icon: '🔄', href: 'order-simulation-moc.html' },
                 { label: '洋生ノート', icon: '🧁', href: 'western-confection-note-moc.html' },
                 { label: '過去データ分析', icon: '📈', href: 'historical-analysis-moc.html' },
-                { label: 'マスタメンテナンス', icon: '🔧', href: 'master-maintenance-moc.html' }
+                { label: 'マスタメンテナンス', icon: '🔧', href: 'master-maintenance-moc.html' },
+                { label: '操作ログ', icon: '📜', href: 'audit-log-moc.html' }
             ]
         });
         
@@ -212,6 +228,12 @@ class Dashboard {
                 icon: '🔧',
                 href: 'master-maintenance-moc.html'
             },
+            {
+                title: '操作ログ',
+                description: '実績・発注・マスタの変更履歴の確認とCSV出力',
+                icon: '📜',
+                href: 'audit-log-moc.html'
+            },
             {
                 title: '使用方法マニュアル',
                 description: 'システムの操作方法と機能説明',
@@ -220,7 +242,8 @@ class Dashboard {
             }
         ];
         
-        navigationItems.forEach(item => {
+        // 権限のない画面へのカードは表示しない
+        navigationItems.filter(item => PermissionService.can(PermissionService.getPageCapability(item.href))).forEach(item => {
             const navCard = Card.createNavCard(item);
             navCard.mount(container);
         });
@@ -282,7 +305,7 @@ class Dashboard {
                 autoClose: null
             });
             
-            const alertElement = alert.mount(container);
+            alert.mount(container);
             this.alerts.push(alert);
         });
     }
@@ -292,22 +315,28 @@ class Dashboard {
      */
     attachEventListeners() {
         // データ更新イベント
-        if (window.eventBus) {
-            window.eventBus.on('dashboard.refresh', () => {
-                this.refresh();
-            });
-            
-            window.eventBus.on('performance.updated', () => {
-                this.refreshKPIData();
-            });
-            
-            window.eventBus.on('order.updated', () => {
-                this.refreshChartData();
-            });
-        }
+        // 購読は destroy() で解除する（SPAシェルでは画面遷移後もEventBusが残るため）
+        this.subscriptions.push(eventBus.on('dashboard.refresh', () => {
+            this.refresh();
+        }));
+        
+        this.subscriptions.push(eventBus.on('performance.updated', () => {
+            this.refreshKPIData();
+        }));
+        
+        this.subscriptions.push(eventBus.on('order.updated', () => {
+            this.refreshChartData();
+        }));
+        
+        // 在庫差異の記録・解消でアラートを更新
+        ['inventory.varianceRecorded', 'inventory.varianceResolved'].forEach(event => {
+            this.subscriptions.push(eventBus.on(event, () => {
+                this.refreshAlerts();
+            }));
+        });
         
         // ページ可視性変更イベント
-        document.addEventListener('visibilitychange', () => {
+        this.handleVisibilityChange = () => {
             if (document.hidden) {
                 this.stopAutoRefresh();
             } else {
@@ -315,7 +344,8 @@ class Dashboard {
                     this.startAutoRefresh();
                 }
             }
-        });
+        };
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
     }
 
     /**
@@ -399,7 +429,8 @@ class Dashboard {
             await this.loadInitialData();
             await Promise.all([
                 this.refreshKPIData(),
-                this.refreshChartData()
+                this.refreshChartData(),
+                this.refreshAlerts()
             ]);
             
             // 成功通知
@@ -411,6 +442,28 @@ class Dashboard {
         }
     }
 
+    /**
+     * アラートを更新
+     * @returns {Promise<void>}
+     */
+    async refreshAlerts() {
+        try {
+            this.alertsData = await this.dashboardService.getAlertsData();
+            
+            this.alerts.forEach(alert => alert.destroy());
+            this.alerts = [];
+            
+            const container = document.getElementById('alerts-container');
+            if (container) {
+                container.innerHTML = '';
+            }
+            
+            this.buildAlerts();
+        } catch (error) {
+            console.error('Alerts refresh failed:', error);
+        }
+    }
+
     /**
      * 自動更新を開始
      */
@@ -447,6 +500,14 @@ class Dashboard {
         // 自動更新を停止
         this.stopAutoRefresh();
         
+        // イベント購読を解除
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+        if (this.handleVisibilityChange) {
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+            this.handleVisibilityChange = null;
+        }
+        
         // ヘッダーを破棄
         if (this.header) {
             this.header.destroy();
@@ -468,10 +529,15 @@ class Dashboard {
 
 /**
  * DashboardService - ダッシュボード用データサービス
+ * データはシステム設定のデータソース（DataRepository）から取得する
  */
 class DashboardService {
-    constructor() {
-        this.baseURL = '/api';
+    /**
+     * @param {Object} options - { repository, date: 対象日（省略時は本日） }
+     */
+    constructor(options = {}) {
+        this.repository = options.repository || dataRepository;
+        this.date = options.date || PerformanceInputService.today();
     }
 
     /**
@@ -479,48 +545,7 @@ class DashboardService {
      * @returns {Promise<Array>} KPIデータ
      */
     async getKPIData() {
-        // 実際のAPIコールの代わりにモックデータを返す
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                resolve([
-                    {
-                        key: 'customers',
-                        icon: '👥',
-                        label: '客数',
-                        value: '342',
-                        trend: 12
-                    },
-                    {
-                        key: 'sales',
-                        icon: '💰',
-                        label: '売上',
-                        value: '¥1,234,567',
-                        trend: 8
-                    },
-                    {
-                        key: 'inventory',
-                        icon: '📦',
-                        label: '在庫合計',
-                        value: '¥892,340',
-                        trend: -3
-                    },
-                    {
-                        key: 'soldout',
-                        icon: '🔥',
-                        label: '完売件数',
-                        value: '15',
-                        trend: 25
-                    },
-                    {
-                        key: 'budget',
-                        icon: '🎯',
-                        label: '予算進捗',
-                        value: '78%',
-                        trend: 5
-                    }
-                ]);
-            }, 500);
-        });
+        return this.repository.getKPIData(this.date);
     }
 
     /**
@@ -528,30 +553,7 @@ class DashboardService {
      * @returns {Promise<Object>} チャートデータ
      */
     async getChartData() {
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                resolve({
-                    hourlySales: [
-                        { hour: 10, amount: 45000 },
-                        { hour: 11, amount: 67000 },
-                        { hour: 12, amount: 98000 },
-                        { hour: 13, amount: 123000 },
-                        { hour: 14, amount: 89000 },
-                        { hour: 15, amount: 76000 },
-                        { hour: 16, amount: 54000 },
-                        { hour: 17, amount: 87000 },
-                        { hour: 18, amount: 134000 },
-                        { hour: 19, amount: 92000 }
-                    ],
-                    categoryComposition: [
-                        { category: 'ケーキ', percentage: 35 },
-                        { category: 'プリン', percentage: 28 },
-                        { category: 'ゼリー', percentage: 18 },
-                        { category: 'その他', percentage: 19 }
-                    ]
-                });
-            }, 300);
-        });
+        return this.repository.getChartData(this.date);
     }
 
     /**
@@ -559,37 +561,27 @@ class DashboardService {
      * @returns {Promise<Array>} アラートデータ
      */
     async getAlertsData() {
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                resolve([
-                    {
-                        type: 'warning',
-                        title: '在庫不足警告',
-                        message: 'カスタードプリンの在庫が5個を下回りました。'
-                    },
-                    {
-                        type: 'error',
-                        title: '完売時間記録漏れ',
-                        message: 'デンマークCCの完売時間が記録されていません。'
-                    },
-                    {
-                        type: 'info',
-                        title: 'ロス率通知',
-                        message: '本日のロス率が基準値（5%）を若干上回っています。'
-                    }
-                ]);
-            }, 200);
-        });
+        const alerts = await this.repository.getAlertsData(this.date);
+        return [...this.getVarianceAlerts(), ...alerts];
     }
-}
 
-// ES6モジュールエクスポート対応
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Dashboard, DashboardService };
+    /**
+     * 未解決の在庫差異をアラート形式で取得
+     * @returns {Array} アラートデータ
+     */
+    getVarianceAlerts() {
+        return InventoryService.getVariances({ resolved: false }).map(variance => ({
+            type: 'error',
+            title: `在庫差異（${variance.date}）`,
+            message: variance.message
+        }));
+    }
 }
 
-// グローバルスコープでも利用可能
+export { Dashboard, DashboardService };
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
 if (typeof window !== 'undefined') {
     window.Dashboard = Dashboard;
     window.DashboardService = DashboardService;
-}
\ No newline at end of file
+}
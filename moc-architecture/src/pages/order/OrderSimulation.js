@@ -2,6 +2,25 @@
  * OrderSimulation Page - 発注シミュレーションページコンポーネント
  * MOCアーキテクチャのページレベルコンポーネント
  */
+
+import { eventBus } from '../../utils/EventBus.js';
+import { authService } from '../../services/AuthService.js';
+import ForecastAccuracyService from '../../services/ForecastAccuracyService.js';
+import ForecastService from '../../services/ForecastService.js';
+import HistoricalDataService from '../../services/HistoricalDataService.js';
+import OrderService from '../../services/OrderService.js';
+import { outboxService } from '../../services/OutboxService.js';
+import { PermissionService } from '../../services/PermissionService.js';
+import '../../services/AuditLogService.js'; // 保存・変更イベントを操作ログ（SET-LOG）に記録する
+import PerformanceInputService from '../../services/PerformanceInputService.js';
+import { dataRepository } from '../../repositories/DataRepository.js';
+import HtmlUtils from '../../utils/HtmlUtils.js';
+import Alert from '../../components/ui/Alert.js';
+import Card from '../../components/ui/Card.js';
+import MOCChart from '../../components/ui/Chart.js';
+import Table from '../../components/ui/Table.js';
+import Header from '../../components/layout/Header.js';
+
 class OrderSimulation {
     constructor(options = {}) {
         this.container = options.container || 'body';
@@ -14,6 +33,7 @@ class OrderSimulation {
         // 設定
         this.autoCalculate = options.autoCalculate !== false;
         this.maxBudget = options.maxBudget || 180000; // 3日間の予算合計
+        this.focusProduct = options.product || null; // ディープリンクで指定された商品コード
         
         // データ
         this.budgetData = {
@@ -23,6 +43,10 @@ class OrderSimulation {
         };
         this.orderData = null;
         this.compositionData = null;
+        this.demandForecasts = null;
+        this.history = []; // 保存済みの実績（推奨発注数の需要分布に使う）
+        this.rejectedEntry = null; // サーバーで受け付けられなかった送信待ち（画面で修正して保存し直す）
+        this.recommendationLogs = new Map(); // 推奨発注数の予測ログ（発注の保存時に記録する）
         this.inventoryData = null;
         
         // サービス
@@ -34,6 +58,9 @@ class OrderSimulation {
      * @returns {Promise<void>}
      */
     async init() {
+        // 未ログイン・セッション切れならログイン画面へ
+        if (!authService.requireSession()) return;
+
         try {
             // サービスの初期化
             this.orderService = new OrderSimulationService();
@@ -52,6 +79,9 @@ class OrderSimulation {
             
             // 商品テーブルの構築
             this.buildProductTable();
+            if (this.focusProduct) {
+                this.productTable.focusRow(row => row.code === this.focusProduct);
+            }
             
             // 構成比チャートの構築
             this.buildCompositionChart();
@@ -61,11 +91,11 @@ class OrderSimulation {
             
             // イベントリスナーの設定
             this.attachEventListeners();
+            this.applyPermissions();
+            this.notifyRejected();
             
             // ページ読み込み完了イベント
-            if (window.eventBus) {
-                window.eventBus.emit('orderSimulation.loaded');
-            }
+            eventBus.emit('orderSimulation.loaded');
             
         } catch (error) {
             console.error('OrderSimulation initialization failed:', error);
@@ -127,8 +157,17 @@ class OrderSimulation {
                                             <option value="dayAfter">翌々日</option>
                                         </select>
                                     </div>
+                                    <div class="control-item">
+                                        <label>推奨方式</label>
+                                        <select id="recommend-mode" class="form-input">
+                                            <option value="average">平均販売数</option>
+                                            <option value="newsvendor">利益最大化（ロス・欠品の期待値）</option>
+                                        </select>
+                                    </div>
                                 </div>
                                 <div id="order-table-container"></div>
+                                <div id="recommendation-result" class="optimization-result"></div>
+                                <div id="optimization-result" class="optimization-result"></div>
                             </div>
                         </section>
                         
@@ -171,6 +210,7 @@ class OrderSimulation {
                             <div class="container">
                                 <div class="actions-bar">
                                     <button id="calculate-btn" class="btn btn-primary">🧮 発注数計算</button>
+                                    <button id="recommend-btn" class="btn btn-secondary">🤖 推奨発注数</button>
                                     <button id="optimize-btn" class="btn btn-secondary">⚡ 最適化実行</button>
                                     <button id="save-order-btn" class="btn btn-primary">💾 発注データ保存</button>
                                     <button id="export-order-btn" class="btn btn-secondary">📤 発注書出力</button>
@@ -217,12 +257,94 @@ class OrderSimulation {
             this.orderData = orderData;
             this.compositionData = compositionData;
             
+            // サーバーで受け付けられなかった発注は、その内容を表示して修正できるようにする
+            this.rejectedEntry = await outboxService.getRejected(`order:${PerformanceInputService.today()}`).catch(() => null);
+            if (this.rejectedEntry) {
+                this.orderData = this.rejectedEntry.payload.orderData;
+                this.budgetData = this.rejectedEntry.payload.budgetData || this.budgetData;
+            }
+            
+            // サーバーの発注のバージョンを送信時の競合判定の基準にする（オフライン時は前回送信時の基準のまま）
+            await this.orderService.trackVersion().catch(error => console.warn('Version check failed:', error));
+            
+            await this.loadDemandForecasts();
+            
         } catch (error) {
             console.error('Initial data load failed:', error);
             throw error;
         }
     }
 
+    /**
+     * 実績履歴（daily_records）から商品別の需要予測を取得して発注行に反映
+     * 履歴がない場合はモックの予測値をそのまま使う
+     */
+    async loadDemandForecasts() {
+        if (!PerformanceInputService.isAvailable()) {
+            return;
+        }
+
+        try {
+            const history = await new PerformanceInputService().getHistoricalData();
+            this.history = history;
+            if (history.length === 0) return;
+
+            const result = ForecastService.forecastByProductAndCategory(history, {
+                horizon: 3,
+                useEstimatedDemand: true,
+                products: this.orderData.map(row => ({ code: row.code, name: row.name, price: row.price }))
+            });
+            this.demandForecasts = result.products;
+            this.applyDemandForecasts(document.getElementById('target-day')?.value || 'today');
+
+        } catch (error) {
+            console.warn('Demand forecast could not be loaded:', error);
+        }
+    }
+
+    /**
+     * 対象日の需要予測を発注行に反映（予測ログへの記録は発注の保存時に行う）
+     * @param {string} day - 対象日 (today, tomorrow, dayAfter)
+     */
+    applyDemandForecasts(day) {
+        if (!this.demandForecasts) return;
+
+        const step = this.getTargetStep(day);
+        this.orderData.forEach(row => {
+            const productForecast = this.demandForecasts.find(item => item.code === row.code);
+            const forecast = ForecastService.toOrderForecast(productForecast, step);
+            if (forecast) {
+                row.forecast = forecast.mean;
+                row.forecastInterval = {
+                    lower: forecast.lower,
+                    upper: forecast.upper,
+                    method: forecast.method,
+                    date: forecast.date || this.getTargetDate(day)
+                };
+            }
+        });
+    }
+
+    /**
+     * 対象日の何日先か
+     * @param {string} day - 対象日 (today, tomorrow, dayAfter)
+     * @returns {number} 1〜3
+     */
+    getTargetStep(day) {
+        return { today: 1, tomorrow: 2, dayAfter: 3 }[day] || 1;
+    }
+
+    /**
+     * 対象日の日付
+     * @param {string} day - 対象日 (today, tomorrow, dayAfter)
+     * @returns {string} YYYY-MM-DD
+     */
+    getTargetDate(day) {
+        const date = new Date();
+        date.setDate(date.getDate() + this.getTargetStep(day) - 1);
+        return PerformanceInputService.today(date);
+    }
+
     /**
      * 予算カードを構築
      */
@@ -230,6 +352,9 @@ class OrderSimulation {
         const container = document.getElementById('budget-cards-container');
         if (!container) return;
         
+        // 予算の変更は発注の編集権限がある場合のみ
+        const canEdit = PermissionService.can('order.edit');
+        
         const budgetItems = [
             {
                 key: 'today',
@@ -237,7 +362,7 @@ class OrderSimulation {
                 label: '本日予算',
                 value: new Intl.NumberFormat('ja-JP', { style: 'currency', currency: 'JPY' }).format(this.budgetData.today),
                 trend: 0,
-                editable: true
+                editable: canEdit
             },
             {
                 key: 'tomorrow',
@@ -245,7 +370,7 @@ class OrderSimulation {
                 label: '翌日予算',
                 value: new Intl.NumberFormat('ja-JP', { style: 'currency', currency: 'JPY' }).format(this.budgetData.tomorrow),
                 trend: 0,
-                editable: true
+                editable: canEdit
             },
             {
                 key: 'dayAfter',
@@ -253,7 +378,7 @@ class OrderSimulation {
                 label: '翌々日予算',
                 value: new Intl.NumberFormat('ja-JP', { style: 'currency', currency: 'JPY' }).format(this.budgetData.dayAfter),
                 trend: 0,
-                editable: true
+                editable: canEdit
             }
         ];
         
@@ -285,6 +410,7 @@ class OrderSimulation {
             { key: 'name', label: '商品名', type: 'text', width: '120px' },
             { key: 'price', label: '単価', type: 'currency', width: '80px' },
             { key: 'currentStock', label: '現在在庫', type: 'number', width: '80px' },
+            { key: 'forecast', label: '需要予測', type: 'number', width: '80px' },
             { key: 'composition', label: '構成比(%)', type: 'range', min: 0, max: 50, step: 0.5, editable: true, width: '120px' },
             { key: 'quantity', label: '発注数', type: 'number', width: '80px' },
             { key: 'amount', label: '金額', type: 'currency', width: '100px' },
@@ -296,6 +422,7 @@ class OrderSimulation {
             columns: columns,
             data: this.orderData,
             editable: true,
+            capability: 'order.edit',
             sortable: true,
             onRowUpdate: this.handleProductUpdate.bind(this),
             onCellRender: this.renderProductCell.bind(this),
@@ -362,6 +489,40 @@ class OrderSimulation {
         });
     }
 
+    /**
+     * 構成比の直接入力を反映（発注数・金額を再計算）
+     * @param {string} code - 商品コード
+     * @param {string|number} value - 構成比（%）
+     */
+    changeComposition(code, value) {
+        if (!PermissionService.check('order.edit', { screen: 'SIM-001', action: '構成比変更' })) return;
+        
+        const product = (this.orderData || []).find(p => p.code === code);
+        if (!product) return;
+        
+        product.composition = parseFloat(value);
+        
+        // 発注数と金額を再計算
+        const budget = this.getBudgetForDay(
+            document.getElementById('target-day')?.value || 'today'
+        );
+        const allocatedAmount = (budget * product.composition) / 100;
+        product.quantity = Math.floor(allocatedAmount / product.price);
+        product.amount = product.quantity * product.price;
+        this.markDirty();
+        
+        // UI更新
+        this.updateSummaryCards();
+        this.updateCompositionChart();
+        
+        // イベント発火
+        eventBus.emit('order.productUpdated', {
+            row: product,
+            column: 'composition',
+            value: product.composition
+        });
+    }
+
     /**
      * 商品更新ハンドラー
      * @param {Object} row - 更新された行データ
@@ -382,6 +543,7 @@ class OrderSimulation {
             const budget = this.getBudgetForDay(document.getElementById('target-day').value);
             row.composition = budget > 0 ? (row.amount / budget) * 100 : 0;
         }
+        this.markDirty();
         
         // テーブルを更新
         this.productTable.updateData(this.orderData);
@@ -391,9 +553,7 @@ class OrderSimulation {
         this.updateCompositionChart();
         
         // イベント発火
-        if (window.eventBus) {
-            window.eventBus.emit('order.productUpdated', { row, column, value });
-        }
+        eventBus.emit('order.productUpdated', { row, column, value });
     }
 
     /**
@@ -412,6 +572,9 @@ class OrderSimulation {
             if (row.orderUnit && row.quantity % row.orderUnit !== 0) {
                 constraints.push('<span class="constraint-warning">発注倍数</span>');
             }
+            if (row.orderUnitType === 'case' && row.caseSize > 1 && row.quantity % row.caseSize !== 0) {
+                constraints.push('<span class="constraint-warning">ケース入数</span>');
+            }
             if (constraints.length === 0) {
                 constraints.push('<span class="constraint-ok">OK</span>');
             }
@@ -438,6 +601,8 @@ class OrderSimulation {
      * @param {HTMLElement} valueElement - 値要素
      */
     editBudget(budgetKey, valueElement) {
+        if (!PermissionService.check('order.edit', { screen: 'SIM-001', action: '予算変更' })) return;
+        
         const currentValue = this.budgetData[budgetKey];
         const input = document.createElement('input');
         input.type = 'number';
@@ -451,6 +616,7 @@ class OrderSimulation {
         
         const saveBudget = () => {
             const newValue = parseInt(input.value) || currentValue;
+            if (newValue !== currentValue) this.markDirty();
             this.budgetData[budgetKey] = newValue;
             
             const newValueElement = document.createElement('div');
@@ -466,9 +632,7 @@ class OrderSimulation {
             this.updateSummaryCards();
             
             // イベント発火
-            if (window.eventBus) {
-                window.eventBus.emit('order.budgetUpdated', { budgetKey, value: newValue });
-            }
+            eventBus.emit('order.budgetUpdated', { budgetKey, value: newValue });
         };
         
         input.addEventListener('blur', saveBudget);
@@ -570,6 +734,10 @@ class OrderSimulation {
             this.calculateOrders();
         });
         
+        document.getElementById('recommend-btn')?.addEventListener('click', () => {
+            this.recommendOrders();
+        });
+        
         document.getElementById('optimize-btn')?.addEventListener('click', () => {
             this.optimizeOrders();
         });
@@ -608,9 +776,7 @@ class OrderSimulation {
     async syncPerformanceData() {
         try {
             // イベントバスで実績データを要求
-            if (window.eventBus) {
-                window.eventBus.emit('order.requestPerformanceData');
-            }
+            eventBus.emit('order.requestPerformanceData');
             
             Alert.success('実績データと同期しました').mount();
             
@@ -630,6 +796,7 @@ class OrderSimulation {
             row.quantity = Math.floor(allocatedAmount / row.price);
             row.amount = row.quantity * row.price;
         });
+        this.markDirty();
         
         this.productTable.updateData(this.orderData);
         this.updateSummaryCards();
@@ -638,28 +805,338 @@ class OrderSimulation {
         Alert.success('発注数を再計算しました').mount();
     }
 
+    /**
+     * 推奨発注数の計算（推奨方式で平均販売数 / 新聞売り子モデルを切り替える）
+     * 新聞売り子モデルでは期待ロス・期待欠品・サービス率もあわせて表示する
+     * @returns {Promise<void>}
+     */
+    async recommendOrders() {
+        try {
+            const mode = document.getElementById('recommend-mode')?.value || 'average';
+            const day = document.getElementById('target-day')?.value || 'today';
+            const step = this.getTargetStep(day);
+            const targetDate = this.getTargetDate(day);
+            const budget = this.getBudgetForDay(day);
+
+            // 原価は発注行に持たないため商品マスタから引く
+            const products = await dataRepository.getProducts();
+            const hourlyCurve = HistoricalDataService.buildHourlyCurve(this.history);
+
+            const results = this.orderData.map(row => {
+                const product = products.find(item => item.code === row.code) || {};
+                const history = this.history.flatMap(data => data.products
+                    .filter(item => item.code === row.code)
+                    .map(item => ({ ...item, date: data.date })));
+                const productForecast = this.demandForecasts ? this.demandForecasts.find(item => item.code === row.code) : null;
+
+                const result = OrderService.calculateRecommendedOrder({
+                    code: row.code,
+                    name: row.name,
+                    category: product.category,
+                    price: row.price,
+                    cost: product.cost,
+                    currentStock: row.currentStock,
+                    expectedSales: row.forecast || 0
+                }, history, {}, {
+                    mode,
+                    useEstimatedDemand: true,
+                    hourlyCurve,
+                    targetDate,
+                    forecast: ForecastService.toOrderForecast(productForecast, step),
+                    record: false
+                });
+                this.recommendationLogs.set(row.code, result.forecastLog);
+
+                row.quantity = result.recommendedQuantity > 0 ?
+                    OrderService.adjustQuantityToConstraints(result.recommendedQuantity, this.getRowConstraints(row)) : 0;
+                row.amount = row.quantity * row.price;
+                row.composition = budget > 0 ? (row.amount / budget) * 100 : 0;
+                return { row, result };
+            });
+            this.markDirty();
+
+            this.productTable.updateData(this.orderData);
+            this.updateSummaryCards();
+            this.updateCompositionChart();
+            this.renderRecommendationResult(mode, results);
+
+            Alert.success('推奨発注数を反映しました').mount();
+
+        } catch (error) {
+            console.error('Order recommendation failed:', error);
+            Alert.error('推奨発注数の計算に失敗しました').mount();
+        }
+    }
+
+    /**
+     * 推奨発注数の結果（新聞売り子モデルは期待ロス・期待欠品・サービス率）を表示
+     * @param {string} mode - 'average' | 'newsvendor'
+     * @param {Array} results - [{ row, result: OrderService.calculateRecommendedOrder の結果 }]
+     */
+    renderRecommendationResult(mode, results) {
+        const container = document.getElementById('recommendation-result');
+        if (!container) return;
+
+        const percent = value => `${Math.round(value * 1000) / 10}%`;
+        const cells = result => result.mode === 'newsvendor' ? `
+                <td>${result.expectedDemand}</td>
+                <td>${result.expectedWaste}</td>
+                <td>${result.expectedLostSales}</td>
+                <td>${percent(result.serviceLevel)}</td>
+                <td>${percent(result.criticalRatio)}</td>
+                <td></td>
+            ` : `
+                <td>${result.adjustedSales}</td>
+                <td>-</td>
+                <td>-</td>
+                <td>-</td>
+                <td>-</td>
+                <td>${HtmlUtils.escape(result.fallbackReason || '')}</td>
+            `;
+
+        container.innerHTML = `
+            <h3>🤖 推奨発注数（${mode === 'newsvendor' ? '利益最大化' : '平均販売数'}）</h3>
+            <table class="optimization-table">
+                <thead>
+                    <tr><th>商品</th><th>推奨</th><th>発注数</th><th>予測需要</th><th>期待ロス</th><th>期待欠品</th><th>サービス率</th><th>臨界比</th><th>備考</th></tr>
+                </thead>
+                <tbody>
+                    ${results.map(({ row, result }) => `
+                        <tr>
+                            <td>${HtmlUtils.escape(row.code)} ${HtmlUtils.escape(row.name)}</td>
+                            <td>${result.recommendedQuantity}</td>
+                            <td>${row.quantity}</td>
+                            ${cells(result)}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
     /**
      * 発注最適化
      */
     optimizeOrders() {
-        // AI的最適化ロジックのモック
-        Alert.info('発注最適化機能は今後実装予定です').mount();
+        try {
+            const budget = this.getBudgetForDay(document.getElementById('target-day').value);
+            const lines = this.orderData.map(row => ({
+                code: row.code,
+                name: row.name,
+                price: row.price,
+                quantity: row.quantity,
+                composition: row.composition,
+                forecast: row.forecast,
+                currentStock: row.currentStock,
+                constraints: this.getRowConstraints(row)
+            }));
+
+            const result = OrderService.optimizeOrders(lines, budget);
+
+            result.lines.forEach(line => {
+                const row = this.orderData.find(item => item.code === line.code);
+                if (!row) return;
+                row.quantity = line.quantity;
+                row.amount = line.amount;
+                row.composition = budget > 0 ? (row.amount / budget) * 100 : 0;
+            });
+            this.markDirty();
+
+            this.productTable.updateData(this.orderData);
+            this.updateSummaryCards();
+            this.updateCompositionChart();
+            this.renderOptimizationResult(result);
+
+            eventBus.emit('order.optimized', result);
+
+            Alert.success(`発注数を最適化しました（予算消化率 ${result.budgetUsage.toFixed(1)}%）`).mount();
+
+        } catch (error) {
+            console.error('Order optimization failed:', error);
+            Alert.error('発注最適化に失敗しました').mount();
+        }
+    }
+
+    /**
+     * 最適化結果（変更行と制約理由）を表示
+     * @param {Object} result - OrderService.optimizeOrdersの結果
+     */
+    renderOptimizationResult(result) {
+        const container = document.getElementById('optimization-result');
+        if (!container) return;
+
+        const changed = result.lines.filter(line => line.changed);
+        const formatter = new Intl.NumberFormat('ja-JP', { style: 'currency', currency: 'JPY' });
+
+        container.innerHTML = `
+            <h3>⚡ 最適化結果</h3>
+            <p>合計 ${formatter.format(result.totalAmount)} / 予算 ${formatter.format(result.budget)}（${result.budgetUsage.toFixed(1)}%）</p>
+            ${changed.length === 0 ? '<p>変更された商品はありません</p>' : `
+                <table class="optimization-table">
+                    <thead>
+                        <tr><th>商品</th><th>変更前</th><th>変更後</th><th>目標</th><th>理由</th></tr>
+                    </thead>
+                    <tbody>
+                        ${changed.map(line => `
+                            <tr class="binding-${HtmlUtils.escape(line.binding)}">
+                                <td>${HtmlUtils.escape(line.code)} ${HtmlUtils.escape(line.name)}</td>
+                                <td>${line.previousQuantity}</td>
+                                <td>${line.quantity}</td>
+                                <td>${line.target}</td>
+                                <td>${HtmlUtils.escape(line.reason)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        `;
+    }
+
+    /**
+     * 編集権限がなければ発注を変更・保存する操作を無効にする（参照のみ）
+     */
+    applyPermissions() {
+        if (PermissionService.can('order.edit')) return;
+        
+        const message = PermissionService.getDeniedMessage('order.edit');
+        ['recommend-btn', 'optimize-btn', 'save-order-btn'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.disabled = true;
+                element.title = message;
+            }
+        });
+    }
+
+    /**
+     * サーバーで受け付けられなかった発注を読み込んだことを通知
+     */
+    notifyRejected() {
+        if (!this.rejectedEntry) return;
+        
+        Alert.warning(`送信エラーになった発注を表示しています。修正して保存し直してください。<br>${HtmlUtils.escape(this.rejectedEntry.lastError).replace(/\n/g, '<br>')}`, { autoClose: null }).mount();
+    }
+
+    /**
+     * 発注行の発注制約（商品マスタの最小発注数・発注倍数・ケース入数）
+     * @param {Object} row - 発注行
+     * @returns {Object} OrderService の制約条件
+     */
+    getRowConstraints(row) {
+        return {
+            minOrderQuantity: row.minOrder || 0,
+            orderUnit: row.orderUnit || 1,
+            caseSize: row.caseSize || 1,
+            orderUnitType: row.orderUnitType || 'piece',
+            isOrderable: row.isOrderable !== false
+        };
+    }
+
+    /**
+     * 発注制約に違反している発注行（発注数0は取り消しのため対象外。サーバーと同じ判定）
+     * @returns {Array} [{ row, result }]
+     */
+    getConstraintViolations() {
+        return this.orderData
+            .filter(row => Number(row.quantity) > 0)
+            .map(row => ({ row, result: OrderService.validateOrderConstraints(Number(row.quantity), this.getRowConstraints(row)) }))
+            .filter(({ result }) => !result.valid);
+    }
+
+    /**
+     * 発注制約の違反を表示し、制約に合わせて調整してから保存するか確認
+     * @param {Array} violations - getConstraintViolations() の戻り値
+     */
+    confirmConstraintAdjustment(violations) {
+        const lines = violations.map(({ row, result }) =>
+            `${HtmlUtils.escape(row.code)} ${HtmlUtils.escape(row.name)}: ${HtmlUtils.escape(result.errors.join('／'))}（${row.quantity} → ${result.adjustedQuantity}）`);
+        
+        Alert.confirm(
+            `発注制約を満たしていない商品があるため保存できません。<br>${lines.join('<br>')}<br>制約に合わせて発注数を調整して保存しますか？`,
+            {
+                onConfirm: () => {
+                    violations.forEach(({ row, result }) => {
+                        row.quantity = result.adjustedQuantity;
+                        row.amount = row.quantity * row.price;
+                    });
+                    this.productTable.updateData(this.orderData);
+                    this.updateSummaryCards();
+                    this.updateCompositionChart();
+                    this.saveOrderData();
+                }
+            },
+            { title: '発注制約の確認', confirmLabel: '調整して保存', cancelLabel: '修正する' }
+        ).mount();
     }
 
     /**
      * 発注データ保存
+     * 発注制約の違反はサーバーで必ず拒否されるため、送信待ちに積む前に確認する
      */
     async saveOrderData() {
         try {
-            await this.orderService.saveOrderData(this.orderData, this.budgetData);
-            Alert.success('発注データを保存しました').mount();
+            // 送信は接続回復後に行われることがあるため、権限は送信待ちに積む時点で確認する
+            PermissionService.authorize('order.edit', { screen: 'SIM-001', action: '発注保存' });
+            
+            const violations = this.getConstraintViolations();
+            if (violations.length > 0) {
+                this.confirmConstraintAdjustment(violations);
+                return;
+            }
+            
+            const date = PerformanceInputService.today();
+            const sync = await outboxService.submit('order.save', {
+                date,
+                orderData: this.orderData,
+                budgetData: this.budgetData
+            }, {
+                key: `order:${date}`,
+                label: `発注 ${date}`,
+                href: 'order-simulation-moc.html'
+            });
+            this.rejectedEntry = null;
+            // 送信待ち・競合保留も送信箱に残るため、画面上の変更は保存済みとして扱う
+            this.clearDirty();
+            this.recordForecasts();
+            
+            if (sync.status === 'pending') {
+                Alert.warning('オフラインのため発注を送信待ちに追加しました。接続回復後に自動で送信します').mount();
+            } else if (sync.status === 'conflict') {
+                Alert.warning('他の端末で先に発注が更新されているため送信を保留しました。ヘッダーの同期状態から解決してください').mount();
+            } else if (sync.status === 'rejected') {
+                Alert.error(`発注がサーバーで受け付けられませんでした。修正して保存し直してください。<br>${HtmlUtils.escape(sync.entry.lastError).replace(/\n/g, '<br>')}`).mount();
+            } else {
+                Alert.success('発注データを保存しました').mount();
+            }
             
         } catch (error) {
             console.error('Save order data failed:', error);
-            Alert.error('発注データの保存に失敗しました').mount();
+            Alert.error(PermissionService.isPermissionError(error) ? error.message : '発注データの保存に失敗しました').mount();
         }
     }
 
+    /**
+     * 保存した発注の根拠になった需要予測・推奨を予測ログに記録（締め後の実績で採点する）
+     */
+    recordForecasts() {
+        this.orderData.forEach(row => {
+            if (row.forecastInterval) {
+                ForecastAccuracyService.recordForecast({
+                    source: 'OrderSimulation',
+                    method: `forecast:${row.forecastInterval.method || ''}`,
+                    targetDate: row.forecastInterval.date,
+                    productCode: row.code,
+                    productName: row.name,
+                    forecast: row.forecast,
+                    inputs: { lower: row.forecastInterval.lower, upper: row.forecastInterval.upper, currentStock: row.currentStock, quantity: row.quantity }
+                });
+            }
+        });
+        
+        this.recommendationLogs.forEach(log => ForecastAccuracyService.recordForecast(log));
+        this.recommendationLogs.clear();
+    }
+
     /**
      * 発注書出力
      */
@@ -696,6 +1173,7 @@ class OrderSimulation {
                     this.productTable.updateData(this.orderData);
                     this.updateSummaryCards();
                     this.updateCompositionChart();
+                    this.clearDirty();
                     
                     Alert.success('発注データをリセットしました').mount();
                 } catch (error) {
@@ -766,15 +1244,41 @@ class OrderSimulation {
     changeTargetDay(day) {
         console.log('Target day changed to:', day);
         
+        this.applyDemandForecasts(day);
+        
         // 対象日に応じて予算と計算を更新
         this.updateSummaryCards();
         this.updateCompositionChart();
     }
 
+    /**
+     * 変更フラグ設定
+     */
+    markDirty() {
+        document.body.classList.add('data-dirty');
+    }
+
+    /**
+     * 変更フラグクリア
+     */
+    clearDirty() {
+        document.body.classList.remove('data-dirty');
+    }
+
+    /**
+     * 未保存の変更があるか（ルーターの遷移ガードで使用）
+     * @returns {boolean} 判定結果
+     */
+    hasUnsavedChanges() {
+        return document.body.classList.contains('data-dirty');
+    }
+
     /**
      * システム破棄
      */
     destroy() {
+        this.clearDirty();
+        
         // ヘッダー破棄
         if (this.header) {
             this.header.destroy();
@@ -800,29 +1304,42 @@ class OrderSimulation {
  * OrderSimulationService - 発注シミュレーション用データサービス
  */
 class OrderSimulationService {
-    async getOrderData() {
-        // モックデータ
-        return [
-            { code: '2408', name: 'デンマークCC', price: 1200, currentStock: 5, composition: 15.0, quantity: 8, amount: 9600, minOrder: 5, orderUnit: 1, memo: '' },
-            { code: '1001', name: 'レアチーズC', price: 1000, currentStock: 3, composition: 12.0, quantity: 7, amount: 7000, minOrder: 3, orderUnit: 1, memo: '' },
-            { code: '3201', name: 'カスタードプリン', price: 480, currentStock: 8, composition: 25.0, quantity: 31, amount: 14880, minOrder: 10, orderUnit: 2, memo: '' },
-            { code: '3202', name: 'とろ生カスタード', price: 520, currentStock: 6, composition: 20.0, quantity: 23, amount: 11960, minOrder: 8, orderUnit: 1, memo: '' },
-            { code: '4101', name: 'マンゴー&オレンジ', price: 270, currentStock: 12, composition: 18.0, quantity: 40, amount: 10800, minOrder: 15, orderUnit: 5, memo: '' },
-            { code: '4102', name: 'メロン&白桃', price: 270, currentStock: 10, composition: 10.0, quantity: 22, amount: 5940, minOrder: 15, orderUnit: 5, memo: '' }
-        ];
+    /**
+     * @param {Object} options - { repository }
+     */
+    constructor(options = {}) {
+        this.repository = options.repository || dataRepository;
+    }
+
+    async getOrderData(date = PerformanceInputService.today()) {
+        return this.repository.getOrderData(date);
     }
     
-    async getCompositionData() {
-        return [
-            { category: 'デンマーク関連', percentage: 27 },
-            { category: '洋菓子限定', percentage: 45 },
-            { category: 'ゼリー', percentage: 28 }
-        ];
+    async getCompositionData(date = PerformanceInputService.today()) {
+        return this.repository.getCompositionData(date);
     }
     
-    async saveOrderData(orderData, budgetData) {
-        // API呼び出しのモック
-        return new Promise(resolve => setTimeout(resolve, 1000));
+    /**
+     * 発注を保存（OutboxService の送信処理から呼び出す）
+     * @param {Array} orderData - 発注行
+     * @param {Object} budgetData - 予算
+     * @param {Object} context - { key, baseVersion, force }
+     * @param {string} date - 発注日
+     * @returns {Promise<Object|void>} { version }（サーバーに接続するデータソースのみ）
+     * @throws {Error} status: 409 ほかの端末で先に更新されている場合
+     */
+    async saveOrderData(orderData, budgetData, context = {}, date = PerformanceInputService.today()) {
+        return this.repository.saveOrderData(date, orderData, budgetData, context);
+    }
+
+    /**
+     * サーバーの発注のバージョンを送信待ちの基準として記録（次の送信で競合を判定する）
+     * @param {string} date - 発注日
+     * @returns {Promise<void>}
+     */
+    async trackVersion(date = PerformanceInputService.today()) {
+        const version = await this.repository.getVersion('orders', date);
+        if (version !== null) await outboxService.trackVersion(`order:${date}`, version);
     }
     
     exportOrderToCSV(orderData) {
@@ -845,19 +1362,14 @@ class OrderSimulationService {
     }
 }
 
-// グローバル関数（HTMLから呼び出されるため）
-function handleCompositionChange(code, value) {
-    // 構成比変更のハンドリング
-    console.log('Composition changed:', code, value);
-}
+// 発注の送信処理をアウトボックスに登録（送信待ちはページを開き直しても再送される）
+outboxService.register('order.save', (payload, context) =>
+    new OrderSimulationService().saveOrderData(payload.orderData, payload.budgetData, context, payload.date));
 
-// ES6モジュールエクスポート対応
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { OrderSimulation, OrderSimulationService };
-}
+export { OrderSimulation, OrderSimulationService };
 
-// グローバルスコープでも利用可能
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
 if (typeof window !== 'undefined') {
     window.OrderSimulation = OrderSimulation;
     window.OrderSimulationService = OrderSimulationService;
-}
\ No newline at end of file
+}
@@ -2,6 +2,21 @@
  * PerformanceInput Page - 実績入力ページコンポーネント  
  * MOCアーキテクチャのページレベルコンポーネント
  */
+
+import { eventBus } from '../../utils/EventBus.js';
+import { authService } from '../../services/AuthService.js';
+import BusinessRuleService from '../../services/BusinessRuleService.js';
+import InventoryService from '../../services/InventoryService.js';
+import PerformanceInputService from '../../services/PerformanceInputService.js';
+import { outboxService } from '../../services/OutboxService.js';
+import { PermissionService } from '../../services/PermissionService.js';
+import '../../services/AuditLogService.js'; // 保存・変更イベントを操作ログ（SET-LOG）に記録する
+import Alert from '../../components/ui/Alert.js';
+import Card from '../../components/ui/Card.js';
+import Table from '../../components/ui/Table.js';
+import Header from '../../components/layout/Header.js';
+import HtmlUtils from '../../utils/HtmlUtils.js';
+
 class PerformanceInput {
     constructor(options = {}) {
         this.container = options.container || 'body';
@@ -15,10 +30,16 @@ class PerformanceInput {
         this.saveInterval = options.saveInterval || 30000; // 30秒
         this.saveTimer = null;
         
+        // ディープリンク（#/performance?date=YYYY-MM-DD&product=商品コード）
+        this.initialDate = options.date || null;
+        this.focusProduct = options.product || null;
+        
         // データ
         this.performanceData = null;
         this.hourlySalesData = null;
         this.validationErrors = {};
+        this.reconciliationReasons = {};
+        this.rejectedEntry = null; // 本部で受け付けられなかった送信待ち（画面で修正して保存し直す）
         
         // サービス
         this.performanceService = null;
@@ -30,6 +51,9 @@ class PerformanceInput {
      * @returns {Promise<void>}
      */
     async init() {
+        // 未ログイン・セッション切れならログイン画面へ
+        if (!authService.requireSession()) return;
+
         try {
             // サービスの初期化
             this.performanceService = new PerformanceInputService();
@@ -47,12 +71,20 @@ class PerformanceInput {
             // テーブルの構築
             this.buildMainTable();
             this.buildHourlySalesTable();
+            if (this.focusProduct && this.mainTable) {
+                this.mainTable.focusRow(row => row.code === this.focusProduct);
+            }
+            this.renderCarryOverWarnings();
+            this.renderReconciliation();
+            this.renderShrinkageSummary();
             
             // サマリーカードの構築
             this.buildSummaryCards();
             
             // イベントリスナーの設定
             this.attachEventListeners();
+            this.applyPermissions();
+            this.notifyRejected();
             
             // 自動保存の開始
             if (this.autoSave) {
@@ -60,9 +92,7 @@ class PerformanceInput {
             }
             
             // ページ読み込み完了イベント
-            if (window.eventBus) {
-                window.eventBus.emit('performance.loaded');
-            }
+            eventBus.emit('performance.loaded');
             
         } catch (error) {
             console.error('PerformanceInput initialization failed:', error);
@@ -89,7 +119,7 @@ class PerformanceInput {
                                 <div class="info-grid">
                                     <div class="info-item">
                                         <label>対象日</label>
-                                        <input type="date" id="target-date" class="form-input" value="${new Date().toISOString().slice(0, 10)}">
+                                        <input type="date" id="target-date" class="form-input" value="${this.initialDate || new Date().toISOString().slice(0, 10)}">
                                     </div>
                                     <div class="info-item">
                                         <label>天気</label>
@@ -119,10 +149,20 @@ class PerformanceInput {
                         <section class="performance-data">
                             <div class="container">
                                 <h2 class="section-title">📊 商品別実績入力</h2>
+                                <div id="carryover-warnings"></div>
                                 <div id="main-table-container"></div>
                             </div>
                         </section>
                         
+                        <!-- Stock Reconciliation -->
+                        <section class="performance-reconciliation">
+                            <div class="container">
+                                <h2 class="section-title">🧮 棚卸照合</h2>
+                                <div id="reconciliation-container"></div>
+                                <div id="shrinkage-summary-container"></div>
+                            </div>
+                        </section>
+                        
                         <!-- Hourly Sales Table -->
                         <section class="hourly-sales">
                             <div class="container">
@@ -161,7 +201,8 @@ class PerformanceInput {
                 { label: '発注シミュレーション', icon: '🔄', href: 'order-simulation-moc.html' },
                 { label: '洋生ノート', icon: '🧁', href: 'western-confection-note-moc.html' },
                 { label: '過去データ分析', icon: '📈', href: 'historical-analysis-moc.html' },
-                { label: 'マスタメンテナンス', icon: '🔧', href: 'master-maintenance-moc.html' }
+                { label: 'マスタメンテナンス', icon: '🔧', href: 'master-maintenance-moc.html' },
+                { label: '操作ログ', icon: '📜', href: 'audit-log-moc.html' }
             ]
         });
         
@@ -174,13 +215,35 @@ class PerformanceInput {
      */
     async loadInitialData() {
         try {
-            const [performanceData, hourlySalesData] = await Promise.all([
-                this.performanceService.getTodayPerformance(),
-                this.performanceService.getHourlySales()
+            const targetDate = this.getTargetDate();
+            const [performanceData, hourlySalesData, dailySummary] = await Promise.all([
+                this.performanceService.getTodayPerformance(targetDate),
+                this.performanceService.getHourlySales(targetDate),
+                this.performanceService.getDailySummary(targetDate).catch(() => null)
             ]);
             
             this.performanceData = performanceData;
             this.hourlySalesData = hourlySalesData;
+            this.applyDailySummary(dailySummary);
+            
+            // 本部で受け付けられなかった実績は、その内容を表示して修正できるようにする
+            this.rejectedEntry = await outboxService.getRejected(`performance:${targetDate}`).catch(() => null);
+            if (this.rejectedEntry) {
+                const payload = this.rejectedEntry.payload;
+                this.performanceData = payload.performance;
+                this.hourlySalesData = payload.hourlySales;
+                this.applyDailySummary({ weather: payload.weather, temperature: payload.temperature });
+            }
+            
+            // 確定済みの照合理由を復元
+            const shrinkage = await this.performanceService.getShrinkageHistory({ from: targetDate, to: targetDate }).catch(() => []);
+            this.reconciliationReasons = {};
+            shrinkage.forEach(entry => {
+                this.reconciliationReasons[entry.product_code] = { reason: entry.reason, memo: entry.memo };
+            });
+            
+            // 本部の実績のバージョンを送信時の競合判定の基準にする（オフライン時は前回送信時の基準のまま）
+            await this.performanceService.trackVersion(targetDate).catch(error => console.warn('Version check failed:', error));
             
         } catch (error) {
             console.error('Initial data load failed:', error);
@@ -188,6 +251,265 @@ class PerformanceInput {
         }
     }
 
+    /**
+     * 対象日を取得
+     * @returns {string} 対象日 (YYYY-MM-DD)
+     */
+    getTargetDate() {
+        return document.getElementById('target-date')?.value || PerformanceInputService.today();
+    }
+
+    /**
+     * 保存済みの天気・気温を入力欄に反映
+     * @param {Object|null} summary - 日次サマリー
+     */
+    applyDailySummary(summary) {
+        if (!summary) return;
+        
+        const weather = document.getElementById('weather');
+        if (weather && summary.weather) {
+            weather.value = summary.weather;
+        }
+        
+        const temperature = document.getElementById('temperature');
+        if (temperature && summary.temperature !== null && summary.temperature !== undefined) {
+            temperature.value = summary.temperature;
+        }
+    }
+
+    /**
+     * 対象日の変更時に保存済み実績を読み込み直す
+     * @returns {Promise<void>}
+     */
+    async reloadForDate() {
+        try {
+            await this.loadInitialData();
+            
+            if (this.mainTable) {
+                this.mainTable.updateData(this.performanceData || []);
+            }
+            
+            if (this.hourlySalesTable) {
+                this.hourlySalesTable.updateData(this.hourlySalesData || []);
+            }
+            
+            this.renderCarryOverWarnings();
+            this.renderReconciliation();
+            this.renderShrinkageSummary();
+            this.updateSummaryCards();
+            this.clearDirty();
+            this.notifyRejected();
+            
+            // SPAシェルではURLの対象日も更新する
+            if (window.router) {
+                window.router.updateParams({ date: this.getTargetDate() });
+            }
+        } catch (error) {
+            console.error('Reload for date failed:', error);
+            Alert.error('対象日の実績の読み込みに失敗しました').mount();
+        }
+    }
+
+    /**
+     * 前日残の繰り越しで検出した欠落・未締めを警告表示
+     */
+    renderCarryOverWarnings() {
+        const container = document.getElementById('carryover-warnings');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        const rows = (this.performanceData || []).filter(row => row.carryOver && row.carryOver.source !== 'none');
+        const skipped = rows.filter(row => row.carryOver.gapDays > 0);
+        const unclosed = rows.filter(row => row.carryOver.unclosed);
+        
+        if (skipped.length > 0) {
+            const messages = skipped.map(row =>
+                `${HtmlUtils.escape(row.name)}: ${row.carryOver.sourceDate} から ${row.carryOver.gapDays}営業日分の実績がありません`
+            );
+            Alert.warning(messages.join('<br>'), {
+                title: '前日残の繰り越しに欠落があります',
+                closable: false,
+                autoClose: null
+            }).mount(container);
+        }
+        
+        if (unclosed.length > 0) {
+            const names = unclosed.map(row => `${HtmlUtils.escape(row.name)}（${row.carryOver.sourceDate}）`).join('、');
+            Alert.warning(`閉店時在庫が未入力のため計算在庫を繰り越しました: ${names}`, {
+                title: '前営業日が締められていません',
+                closable: false,
+                autoClose: null
+            }).mount(container);
+        }
+    }
+
+    /**
+     * 計算在庫と閉店時在庫が一致しない商品を取得
+     * @returns {Array} 差異のある行と照合結果
+     */
+    getStockDiscrepancies() {
+        return (this.performanceData || [])
+            .map(row => ({ row, result: InventoryService.reconcileStock(row.currentStock, row.stockClose) }))
+            .filter(item => item.result.needsReason);
+    }
+
+    /**
+     * 棚卸照合パネルを描画
+     */
+    renderReconciliation() {
+        const container = document.getElementById('reconciliation-container');
+        if (!container) return;
+        
+        const counted = (this.performanceData || []).some(row => row.stockClose !== null && row.stockClose !== undefined);
+        const discrepancies = this.getStockDiscrepancies();
+        
+        if (!counted) {
+            container.innerHTML = '<div class="no-data">閉店時在庫を入力すると当日在庫（計算）と照合します</div>';
+            return;
+        }
+        
+        if (discrepancies.length === 0) {
+            container.innerHTML = '<div class="no-data">✅ すべての商品で計算在庫と閉店時在庫が一致しています</div>';
+            return;
+        }
+        
+        const reasons = InventoryService.getShrinkageReasons();
+        const rowsHtml = discrepancies.map(({ row, result }) => {
+            const selected = this.reconciliationReasons[row.code] || {};
+            const options = reasons.map(reason =>
+                `<option value="${reason.code}" ${selected.reason === reason.code ? 'selected' : ''}>${reason.label}</option>`
+            ).join('');
+            
+            return `
+                <tr data-code="${HtmlUtils.escape(row.code)}">
+                    <td>${HtmlUtils.escape(row.code)}</td>
+                    <td>${HtmlUtils.escape(row.name)}</td>
+                    <td>${row.currentStock}</td>
+                    <td>${row.stockClose}</td>
+                    <td class="${result.difference < 0 ? 'text-error' : 'text-warning'}">${result.difference > 0 ? '+' : ''}${result.difference}</td>
+                    <td>
+                        <select class="form-input reconciliation-reason">
+                            <option value="">理由を選択</option>
+                            ${options}
+                        </select>
+                    </td>
+                    <td><input type="text" class="form-input reconciliation-memo" value="${HtmlUtils.escape(selected.memo)}"></td>
+                </tr>
+            `;
+        }).join('');
+        
+        container.innerHTML = `
+            <div class="table-wrapper">
+                <table class="data-table reconciliation-table">
+                    <thead>
+                        <tr>
+                            <th>商品コード</th>
+                            <th>商品名</th>
+                            <th>当日在庫（計算）</th>
+                            <th>閉店時在庫</th>
+                            <th>差異</th>
+                            <th>理由</th>
+                            <th>メモ</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rowsHtml}</tbody>
+                </table>
+            </div>
+            <div class="actions-bar">
+                <button id="confirm-reconciliation-btn" class="btn btn-primary" ${PermissionService.can('performance.edit') ? '' : 'disabled'}>✅ 照合を確定</button>
+            </div>
+        `;
+    }
+
+    /**
+     * 照合パネルの入力を保持
+     * @param {Event} event - 入力イベント
+     */
+    handleReconciliationInput(event) {
+        const tr = event.target.closest('tr[data-code]');
+        if (!tr) return;
+        
+        const code = tr.dataset.code;
+        this.reconciliationReasons[code] = {
+            reason: tr.querySelector('.reconciliation-reason').value,
+            memo: tr.querySelector('.reconciliation-memo').value
+        };
+    }
+
+    /**
+     * 棚卸照合を確定して差異履歴に保存
+     * @returns {Promise<void>}
+     */
+    async confirmReconciliation() {
+        const discrepancies = this.getStockDiscrepancies();
+        const missing = discrepancies.filter(({ row }) => !(this.reconciliationReasons[row.code] || {}).reason);
+        
+        if (missing.length > 0) {
+            Alert.warning(`理由が未選択の商品があります: ${missing.map(({ row }) => HtmlUtils.escape(row.name)).join('、')}`).mount();
+            return;
+        }
+        
+        try {
+            const entries = discrepancies.map(({ row }) => ({
+                code: row.code,
+                name: row.name,
+                price: row.price,
+                computedStock: row.currentStock,
+                countedStock: row.stockClose,
+                reason: this.reconciliationReasons[row.code].reason,
+                memo: this.reconciliationReasons[row.code].memo
+            }));
+            
+            await this.performanceService.saveShrinkage(this.getTargetDate(), entries);
+            
+            Alert.success(`${entries.length}件の棚卸差異を記録しました`).mount();
+            this.renderShrinkageSummary();
+            
+            eventBus.emit('performance.reconciled', { date: this.getTargetDate(), entries });
+        } catch (error) {
+            console.error('Reconciliation failed:', error);
+            Alert.error(PermissionService.isPermissionError(error) ? error.message : '棚卸照合の保存に失敗しました').mount();
+        }
+    }
+
+    /**
+     * 直近30日の商品別シュリンク集計を描画
+     * @returns {Promise<void>}
+     */
+    async renderShrinkageSummary() {
+        const container = document.getElementById('shrinkage-summary-container');
+        if (!container) return;
+        
+        try {
+            const to = this.getTargetDate();
+            const from = PerformanceInputService.shiftDate(to, -29);
+            const history = await this.performanceService.getShrinkageHistory({ from, to });
+            const summary = InventoryService.generateInventorySummary(this.performanceData || [], history);
+            
+            if (summary.shrinkage.byProduct.length === 0) {
+                container.innerHTML = '';
+                return;
+            }
+            
+            const items = summary.shrinkage.byProduct.map(product => {
+                const reasons = Object.entries(product.byReason)
+                    .map(([code, quantity]) => `${HtmlUtils.escape(InventoryService.getShrinkageReasonLabel(code))} ${quantity}`)
+                    .join(' / ');
+                return `<li>${HtmlUtils.escape(product.productName)}: ${product.quantity}個（¥${product.value.toLocaleString()}、${product.occurrences}回）${reasons ? ` - ${reasons}` : ''}</li>`;
+            }).join('');
+            
+            container.innerHTML = `
+                <div class="shrinkage-summary">
+                    <h3>直近30日のシュリンク: ${summary.shrinkage.totalQuantity}個（¥${summary.shrinkage.totalValue.toLocaleString()}）</h3>
+                    <ul>${items}</ul>
+                </div>
+            `;
+        } catch (error) {
+            console.error('Shrinkage summary failed:', error);
+        }
+    }
+
     /**
      * メインテーブルを構築
      */
@@ -203,6 +525,7 @@ class PerformanceInput {
                 { key: 'sales', label: '販売数', type: 'number', editable: true, required: true },
                 { key: 'waste', label: 'ロス数', type: 'number', editable: true },
                 { key: 'currentStock', label: '当日在庫', type: 'number', footer: 'sum' },
+                { key: 'stockClose', label: '閉店時在庫', type: 'number', editable: true, nullable: true },
                 { key: 'soldoutTime', label: '完売時間', type: 'time', editable: true },
                 { key: 'memo', label: 'メモ', type: 'text', editable: true }
             ];
@@ -211,6 +534,7 @@ class PerformanceInput {
                 columns: columns,
                 data: this.performanceData || [],
                 editable: true,
+                capability: 'performance.edit',
                 sortable: true,
                 validators: this.getPerformanceValidators(),
                 onRowUpdate: this.handleRowUpdate.bind(this),
@@ -247,6 +571,7 @@ class PerformanceInput {
                 columns: columns,
                 data: this.hourlySalesData || [],
                 editable: true,
+                capability: 'performance.edit',
                 onRowUpdate: this.handleHourlySalesUpdate.bind(this),
                 className: 'hourly-sales-table'
             });
@@ -334,17 +659,14 @@ class PerformanceInput {
             },
             
             waste: (value, row) => {
-                const waste = parseInt(value) || 0;
-                const sales = parseInt(row.sales) || 0;
-                const wasteRate = sales > 0 ? (waste / sales) * 100 : 0;
+                // しきい値・計算方法はシステム設定（カテゴリ別ルールを含む）に従う
+                const result = BusinessRuleService.validateWaste({
+                    waste: parseInt(value) || 0,
+                    sales: parseInt(row.sales) || 0,
+                    stock: this.getTotalStock(row)
+                }, this.getProductCategory(row.code));
                 
-                if (wasteRate > 15) {
-                    return { valid: false, message: 'ロス率が異常に高いです（15%超）' };
-                } else if (wasteRate > 5) {
-                    return { valid: false, message: 'ロス率が基準値を超えています（5%超）' };
-                }
-                
-                return { valid: true };
+                return result.valid ? { valid: true } : { valid: false, message: result.message };
             },
             
             soldoutTime: (value) => {
@@ -355,11 +677,48 @@ class PerformanceInput {
                     return { valid: false, message: 'HH:MM形式で入力してください' };
                 }
                 
+                if (!BusinessRuleService.isWithinBusinessHours(value)) {
+                    const hours = BusinessRuleService.getBusinessHours();
+                    return { valid: false, message: `営業時間（${hours.open}〜${hours.close}）外の完売時間です` };
+                }
+                
                 return { valid: true };
+            },
+            
+            currentStock: (value, row) => {
+                if (!row) return { valid: true };
+                
+                // 台帳モードのマイナス在庫は原因の入力値とともにエラーにする
+                return InventoryService.validateStockLevel(parseFloat(value) || 0, 0, {
+                    prevStock: row.prevStock || 0,
+                    delivery: row.delivery || 0,
+                    movement: row.movement || 0,
+                    sales: row.sales || 0,
+                    waste: row.waste || 0
+                });
             }
         };
     }
 
+    /**
+     * 商品のカテゴリを取得（カテゴリ別の業務ルール用）
+     * @param {string} code - 商品コード
+     * @returns {string} カテゴリ名
+     */
+    getProductCategory(code) {
+        const product = (this.performanceService.products || []).find(item => item.code === code);
+        return product ? product.category || '' : '';
+    }
+
+    /**
+     * 総在庫数（前日残＋入荷＋移動）を取得
+     * @param {Object} row - 行データ
+     * @returns {number} 総在庫数
+     */
+    getTotalStock(row) {
+        return (parseFloat(row.prevStock) || 0) + (parseFloat(row.delivery) || 0) + (parseFloat(row.movement) || 0);
+    }
+
     /**
      * 行更新ハンドラー
      * @param {Object} row - 更新された行データ
@@ -374,14 +733,20 @@ class PerformanceInput {
                 const numValue = parseFloat(value) || 0;
                 row[column] = numValue;
                 
+                // 手入力した前日残は繰り越しで上書きしない
+                if (column === 'prevStock') {
+                    row.prevStockSource = 'manual';
+                }
+                
                 // 自動計算の実行
-                if (window.InventoryService && typeof window.InventoryService.calculateCurrentStock === 'function') {
-                    row.currentStock = window.InventoryService.calculateCurrentStock(
+                if (typeof InventoryService.calculateCurrentStock === 'function') {
+                    row.currentStock = InventoryService.calculateCurrentStock(
                         parseFloat(row.prevStock) || 0,
                         parseFloat(row.delivery) || 0,
                         parseFloat(row.movement) || 0,
                         parseFloat(row.sales) || 0,
-                        parseFloat(row.waste) || 0
+                        parseFloat(row.waste) || 0,
+                        { productCode: row.code, productName: row.name, date: this.getTargetDate(), source: 'performance' }
                     );
                 } else {
                     // フォールバック計算
@@ -396,6 +761,11 @@ class PerformanceInput {
                 row[column] = value;
             }
             
+            // 在庫または閉店時在庫が変わったら照合をやり直す
+            if (['prevStock', 'delivery', 'movement', 'sales', 'waste', 'stockClose'].includes(column)) {
+                this.renderReconciliation();
+            }
+            
             // バリデーション実行
             this.validateRow(row);
             
@@ -403,9 +773,7 @@ class PerformanceInput {
             this.updateSummaryCards();
             
             // データ変更イベント発火
-            if (window.eventBus) {
-                window.eventBus.emit('performance.rowUpdated', { row, column, value });
-            }
+            eventBus.emit('performance.rowUpdated', { row, column, value });
             
             // 自動保存フラグ設定
             this.markDirty();
@@ -438,9 +806,7 @@ class PerformanceInput {
             this.updateSummaryCards();
             
             // イベント発火
-            if (window.eventBus) {
-                window.eventBus.emit('performance.hourlySalesUpdated', { row, column, value });
-            }
+            eventBus.emit('performance.hourlySalesUpdated', { row, column, value });
             
             this.markDirty();
         } catch (error) {
@@ -518,7 +884,8 @@ class PerformanceInput {
             
             const totalWaste = performanceData.reduce((sum, row) => sum + (row.waste || 0), 0);
             const totalProduct = performanceData.reduce((sum, row) => sum + (row.sales || 0), 0);
-            const wasteRate = totalProduct > 0 ? (totalWaste / totalProduct) * 100 : 0;
+            const totalStock = performanceData.reduce((sum, row) => sum + this.getTotalStock(row), 0);
+            const wasteRate = BusinessRuleService.calculateWasteRate({ waste: totalWaste, sales: totalProduct, stock: totalStock });
             
             const soldoutCount = performanceData.filter(row => row.soldoutTime && row.soldoutTime.trim()).length;
             
@@ -611,8 +978,25 @@ class PerformanceInput {
             this.resetData();
         });
         
+        // 棚卸照合パネル
+        const reconciliation = document.getElementById('reconciliation-container');
+        if (reconciliation) {
+            reconciliation.addEventListener('change', (e) => this.handleReconciliationInput(e));
+            reconciliation.addEventListener('input', (e) => this.handleReconciliationInput(e));
+            reconciliation.addEventListener('click', (e) => {
+                if (e.target.id === 'confirm-reconciliation-btn') {
+                    this.confirmReconciliation();
+                }
+            });
+        }
+        
+        // 対象日の変更で該当日の実績を読み込む
+        document.getElementById('target-date')?.addEventListener('change', () => {
+            this.reloadForDate();
+        });
+        
         // 基本情報の変更監視
-        ['target-date', 'weather', 'temperature'].forEach(id => {
+        ['weather', 'temperature'].forEach(id => {
             const element = document.getElementById(id);
             if (element) {
                 element.addEventListener('change', () => {
@@ -622,6 +1006,31 @@ class PerformanceInput {
         });
     }
 
+    /**
+     * 入力権限がなければ保存・入力の操作を無効にする（参照のみ）
+     */
+    applyPermissions() {
+        if (PermissionService.can('performance.edit')) return;
+        
+        const message = PermissionService.getDeniedMessage('performance.edit');
+        ['save-btn', 'reset-btn', 'weather', 'temperature'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.disabled = true;
+                element.title = message;
+            }
+        });
+    }
+
+    /**
+     * 本部で受け付けられなかった実績を読み込んだことを通知
+     */
+    notifyRejected() {
+        if (!this.rejectedEntry) return;
+        
+        Alert.warning(`本部への送信がエラーになった実績を表示しています。修正して保存し直してください。<br>${HtmlUtils.escape(this.rejectedEntry.lastError).replace(/\n/g, '<br>')}`, { autoClose: null }).mount();
+    }
+
     /**
      * データ保存
      * @returns {Promise<void>}
@@ -633,22 +1042,38 @@ class PerformanceInput {
             saveBtn.textContent = '💾 保存中...';
             
             const allData = this.getAllData();
-            await this.performanceService.savePerformanceData(allData);
+            const result = await this.performanceService.savePerformanceData(allData);
             
-            Alert.success('データを保存しました').mount();
+            // 本部への送信はアウトボックス経由（オフライン時は接続回復後に自動送信）
+            const sync = await outboxService.submit('performance.save', allData, {
+                key: `performance:${allData.targetDate}`,
+                label: `実績入力 ${allData.targetDate}`,
+                href: `performance-input-moc.html?date=${allData.targetDate}`
+            });
+            this.rejectedEntry = null;
+            
+            if (sync.status === 'pending') {
+                Alert.warning('データを保存しました（オフラインのため本部への送信は接続回復後に自動で行います）').mount();
+            } else if (sync.status === 'conflict') {
+                Alert.warning('データを保存しました（本部側で先に更新されているため送信を保留しました。ヘッダーの同期状態から解決してください）').mount();
+            } else if (sync.status === 'rejected') {
+                Alert.error(`データを保存しましたが、本部で受け付けられませんでした。修正して保存し直してください。<br>${HtmlUtils.escape(sync.entry.lastError).replace(/\n/g, '<br>')}`).mount();
+            } else if (result && result.rolled > 0) {
+                Alert.success(`データを保存しました（以降の${result.rolled}件の前日残を更新）`).mount();
+            } else {
+                Alert.success('データを保存しました').mount();
+            }
             this.clearDirty();
             
             // イベント発火
-            if (window.eventBus) {
-                window.eventBus.emit('performance.saved', allData);
-            }
+            eventBus.emit('performance.saved', allData);
             
         } catch (error) {
             console.error('Save failed:', error);
-            Alert.error('データの保存に失敗しました').mount();
+            Alert.error(PermissionService.isPermissionError(error) ? error.message : 'データの保存に失敗しました').mount();
         } finally {
             const saveBtn = document.getElementById('save-btn');
-            saveBtn.disabled = false;
+            saveBtn.disabled = !PermissionService.can('performance.edit');
             saveBtn.textContent = '💾 データ保存';
         }
     }
@@ -662,9 +1087,7 @@ class PerformanceInput {
             const allData = this.getAllData();
             
             // イベントバスで他システムに通知
-            if (window.eventBus) {
-                window.eventBus.emit('performance.syncToOrder', allData);
-            }
+            eventBus.emit('performance.syncToOrder', allData);
             
             Alert.success('発注システムと同期しました').mount();
             
@@ -682,8 +1105,8 @@ class PerformanceInput {
             let csvData = '';
             
             // InventoryServiceが利用できる場合
-            if (window.InventoryService && typeof window.InventoryService.exportToCSV === 'function') {
-                csvData = window.InventoryService.exportToCSV(this.performanceData || []);
+            if (typeof InventoryService.exportToCSV === 'function') {
+                csvData = InventoryService.exportToCSV(this.performanceData || []);
             } else {
                 // フォールバック：独自実装
                 csvData = this.generateCSVData();
@@ -852,6 +1275,14 @@ class PerformanceInput {
         document.body.classList.remove('data-dirty');
     }
 
+    /**
+     * 未保存の変更があるか（ルーターの遷移ガードで使用）
+     * @returns {boolean} 判定結果
+     */
+    hasUnsavedChanges() {
+        return document.body.classList.contains('data-dirty');
+    }
+
     /**
      * 自動保存開始
      */
@@ -875,6 +1306,7 @@ class PerformanceInput {
         if (this.saveTimer) {
             clearTimeout(this.saveTimer);
         }
+        this.clearDirty();
         
         // ヘッダー破棄
         if (this.header) {
@@ -895,43 +1327,13 @@ class PerformanceInput {
     }
 }
 
-/**
- * PerformanceInputService - 実績入力用データサービス
- */
-class PerformanceInputService {
-    async getTodayPerformance() {
-        // モックデータ（idを追加）
-        return [
-            { id: '2408', code: '2408', name: 'デンマークCC', price: 1200, prevStock: 10, delivery: 8, movement: 0, sales: 12, waste: 1, currentStock: 5, soldoutTime: '18:30', memo: '' },
-            { id: '1001', code: '1001', name: 'レアチーズC', price: 1000, prevStock: 8, delivery: 10, movement: 0, sales: 15, waste: 0, currentStock: 3, soldoutTime: '19:00', memo: '' },
-            { id: '3201', code: '3201', name: 'カスタードプリン', price: 480, prevStock: 15, delivery: 20, movement: 0, sales: 25, waste: 2, currentStock: 8, soldoutTime: '', memo: '' }
-        ];
-    }
-    
-    async getHourlySales() {
-        // モックデータ（idを追加）
-        return [
-            { id: 'h10', hour: '10:00', amount: 45000, customers: 12, composition: '', cumulative: 0 },
-            { id: 'h11', hour: '11:00', amount: 67000, customers: 18, composition: '', cumulative: 0 },
-            { id: 'h12', hour: '12:00', amount: 98000, customers: 25, composition: '', cumulative: 0 },
-            { id: 'h13', hour: '13:00', amount: 123000, customers: 32, composition: '', cumulative: 0 },
-            { id: 'h14', hour: '14:00', amount: 89000, customers: 22, composition: '', cumulative: 0 }
-        ];
-    }
-    
-    async savePerformanceData(data) {
-        // API呼び出しのモック
-        return new Promise(resolve => setTimeout(resolve, 1000));
-    }
-}
+// 本部への送信処理をアウトボックスに登録
+outboxService.register('performance.save', (payload, context) =>
+    new PerformanceInputService().sendPerformanceData(payload, context));
 
-// ES6モジュールエクスポート対応
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { PerformanceInput, PerformanceInputService };
-}
+export default PerformanceInput;
 
-// グローバルスコープでも利用可能
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
 if (typeof window !== 'undefined') {
     window.PerformanceInput = PerformanceInput;
-    window.PerformanceInputService = PerformanceInputService;
-}
\ No newline at end of file
+}
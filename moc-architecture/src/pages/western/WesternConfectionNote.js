@@ -2,6 +2,21 @@
  * WesternConfectionNote Page - 洋生ノートページコンポーネント
  * MOCアーキテクチャのページレベルコンポーネント
  */
+
+import { eventBus } from '../../utils/EventBus.js';
+import { authService } from '../../services/AuthService.js';
+import InventoryService from '../../services/InventoryService.js';
+import { outboxService } from '../../services/OutboxService.js';
+import PerformanceInputService from '../../services/PerformanceInputService.js';
+import { PermissionService } from '../../services/PermissionService.js';
+import '../../services/AuditLogService.js'; // 保存・変更イベントを操作ログ（SET-LOG）に記録する
+import { dataRepository } from '../../repositories/DataRepository.js';
+import HtmlUtils from '../../utils/HtmlUtils.js';
+import Alert from '../../components/ui/Alert.js';
+import Card from '../../components/ui/Card.js';
+import Table from '../../components/ui/Table.js';
+import Header from '../../components/layout/Header.js';
+
 class WesternConfectionNote {
     constructor(options = {}) {
         this.container = options.container || 'body';
@@ -14,28 +29,34 @@ class WesternConfectionNote {
         this.saveInterval = options.saveInterval || 30000; // 30秒
         this.saveTimer = null;
         
+        // ディープリンク（#/western?date=YYYY-MM-DD&product=商品コード）
+        this.focusProduct = options.product || null;
+        
         // データ
         this.confectionData = null;
+        const date = options.date || new Date().toISOString().slice(0, 10);
         this.headerInfo = {
-            date: new Date().toISOString().slice(0, 10),
-            dayOfWeek: this.getDayOfWeek(),
+            date,
+            dayOfWeek: this.getDayOfWeek(new Date(date)),
             weather: '晴れ',
             temperature: 25,
             productCategory: '洋生商品'
         };
         
+        this.rejectedEntry = null; // サーバーで受け付けられなかった送信待ち（画面で修正して保存し直す）
+        
         // サービス
         this.confectionService = null;
     }
 
     /**
      * 曜日を取得
+     * @param {Date} date - 日付（省略時は今日）
      * @returns {string} 曜日
      */
-    getDayOfWeek() {
+    getDayOfWeek(date = new Date()) {
         const days = ['日曜日', '月曜日', '火曜日', '水曜日', '木曜日', '金曜日', '土曜日'];
-        const today = new Date();
-        return days[today.getDay()];
+        return days[date.getDay()];
     }
 
     /**
@@ -43,6 +64,9 @@ class WesternConfectionNote {
      * @returns {Promise<void>}
      */
     async init() {
+        // 未ログイン・セッション切れならログイン画面へ
+        if (!authService.requireSession()) return;
+
         try {
             // サービスの初期化
             this.confectionService = new WesternConfectionService();
@@ -58,12 +82,17 @@ class WesternConfectionNote {
             
             // メインテーブルの構築
             this.buildMainTable();
+            if (this.focusProduct && this.mainTable) {
+                this.mainTable.focusRow(row => row.code === this.focusProduct);
+            }
             
             // サマリーカードの構築
             this.buildSummaryCards();
             
             // イベントリスナーの設定
             this.attachEventListeners();
+            this.applyPermissions();
+            this.notifyRejected();
             
             // 自動保存の開始
             if (this.autoSave) {
@@ -71,9 +100,7 @@ class WesternConfectionNote {
             }
             
             // ページ読み込み完了イベント
-            if (window.eventBus) {
-                window.eventBus.emit('westernConfection.loaded');
-            }
+            eventBus.emit('westernConfection.loaded');
             
         } catch (error) {
             console.error('WesternConfectionNote initialization failed:', error);
@@ -179,7 +206,8 @@ class WesternConfectionNote {
                 { label: '発注シミュレーション', icon: '🔄', href: 'order-simulation-moc.html' },
                 { label: '洋生ノート', icon: '🧁', href: 'western-confection-note-moc.html', active: true },
                 { label: '過去データ分析', icon: '📈', href: 'historical-analysis-moc.html' },
-                { label: 'マスタメンテナンス', icon: '🔧', href: 'master-maintenance-moc.html' }
+                { label: 'マスタメンテナンス', icon: '🔧', href: 'master-maintenance-moc.html' },
+                { label: '操作ログ', icon: '📜', href: 'audit-log-moc.html' }
             ]
         });
         
@@ -192,7 +220,17 @@ class WesternConfectionNote {
      */
     async loadInitialData() {
         try {
-            this.confectionData = await this.confectionService.getConfectionData();
+            this.confectionData = await this.confectionService.getConfectionData(this.headerInfo.date);
+            
+            // サーバーで受け付けられなかったノートは、その内容を表示して修正できるようにする
+            this.rejectedEntry = await outboxService.getRejected(`westernConfection:${this.headerInfo.date}`).catch(() => null);
+            if (this.rejectedEntry) {
+                this.confectionData = this.rejectedEntry.payload.confectionData;
+                this.headerInfo = { ...this.headerInfo, ...this.rejectedEntry.payload.headerInfo };
+            }
+            
+            // サーバーのノートのバージョンを送信時の競合判定の基準にする（オフライン時は前回送信時の基準のまま）
+            await this.confectionService.trackVersion(this.headerInfo.date).catch(error => console.warn('Version check failed:', error));
         } catch (error) {
             console.error('Initial data load failed:', error);
             throw error;
@@ -235,6 +273,7 @@ class WesternConfectionNote {
                 columns: columns,
                 data: this.confectionData || [],
                 editable: true,
+                capability: 'westernConfection.edit',
                 sortable: true,
                 onRowUpdate: this.handleRowUpdate.bind(this),
                 className: 'confection-table'
@@ -345,9 +384,7 @@ class WesternConfectionNote {
             this.updateSummaryCards();
             
             // データ変更イベント発火
-            if (window.eventBus) {
-                window.eventBus.emit('westernConfection.rowUpdated', { row, column, value });
-            }
+            eventBus.emit('westernConfection.rowUpdated', { row, column, value });
             
             // 自動保存フラグ設定
             this.markDirty();
@@ -379,7 +416,15 @@ class WesternConfectionNote {
             const tastingAmount = parseFloat(row.tasting) || 0;
             const dayStockAmount = parseFloat(row.dayStock) || 0;
             
-            row.endStock = Math.max(0, dayStockAmount - tastingAmount - salesActual);
+            const endStock = dayStockAmount - tastingAmount - salesActual;
+            // 台帳モードではマイナスを補正せず在庫差異として記録
+            row.endStock = InventoryService.applyLedger(endStock, {
+                productCode: row.code,
+                productName: row.name,
+                date: this.headerInfo.date,
+                source: 'westernConfection',
+                inputs: { dayStock: dayStockAmount, tasting: tastingAmount, sales: salesActual }
+            });
         } catch (error) {
             console.error('Row calculation failed:', error, row);
             // フォールバック値を設定
@@ -508,15 +553,6 @@ class WesternConfectionNote {
         }
     }
 
-    /**
-     * 曜日取得
-     * @returns {string} 曜日
-     */
-    getDayOfWeek() {
-        const days = ['日曜日', '月曜日', '火曜日', '水曜日', '木曜日', '金曜日', '土曜日'];
-        return days[new Date().getDay()];
-    }
-
     /**
      * イベントリスナーの設定
      */
@@ -560,7 +596,13 @@ class WesternConfectionNote {
                         const date = new Date(e.target.value);
                         const dayOfWeek = ['日曜日', '月曜日', '火曜日', '水曜日', '木曜日', '金曜日', '土曜日'][date.getDay()];
                         document.getElementById('day-of-week').value = dayOfWeek;
+                        this.headerInfo.date = e.target.value;
                         this.headerInfo.dayOfWeek = dayOfWeek;
+                        
+                        // SPAシェルではURLの対象日も更新する
+                        if (window.router) {
+                            window.router.updateParams({ date: e.target.value });
+                        }
                     }
                     
                     this.markDirty();
@@ -573,6 +615,8 @@ class WesternConfectionNote {
      * 商品追加
      */
     addProduct() {
+        if (!PermissionService.check('westernConfection.edit', { screen: 'OTE-001', action: '商品追加' })) return;
+        
         const newProduct = {
             code: '',
             name: '',
@@ -612,33 +656,72 @@ class WesternConfectionNote {
         Alert.success('全ての計算を再実行しました').mount();
     }
 
+    /**
+     * 入力権限がなければ商品追加・保存の操作を無効にする（参照のみ）
+     */
+    applyPermissions() {
+        if (PermissionService.can('westernConfection.edit')) return;
+        
+        const message = PermissionService.getDeniedMessage('westernConfection.edit');
+        ['add-product-btn', 'save-confection-btn', 'sync-to-performance-btn'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.disabled = true;
+                element.title = message;
+            }
+        });
+    }
+
+    /**
+     * サーバーで受け付けられなかったノートを読み込んだことを通知
+     */
+    notifyRejected() {
+        if (!this.rejectedEntry) return;
+        
+        Alert.warning(`送信エラーになった洋生ノートを表示しています。修正して保存し直してください。<br>${HtmlUtils.escape(this.rejectedEntry.lastError).replace(/\n/g, '<br>')}`, { autoClose: null }).mount();
+    }
+
     /**
      * データ保存
      * @returns {Promise<void>}
      */
     async saveData() {
         try {
+            // 送信は接続回復後に行われることがあるため、権限は送信待ちに積む時点で確認する
+            PermissionService.authorize('westernConfection.edit', { screen: 'OTE-001', action: '洋生ノート保存' });
+            
             const saveBtn = document.getElementById('save-confection-btn');
             saveBtn.disabled = true;
             saveBtn.textContent = '💾 保存中...';
             
             const allData = this.getAllData();
-            await this.confectionService.saveConfectionData(allData);
-            
-            Alert.success('洋生ノートデータを保存しました').mount();
+            const sync = await outboxService.submit('westernConfection.save', allData, {
+                key: `westernConfection:${allData.headerInfo.date}`,
+                label: `洋生ノート ${allData.headerInfo.date}`,
+                href: `western-confection-note-moc.html?date=${allData.headerInfo.date}`
+            });
+            this.rejectedEntry = null;
+            
+            if (sync.status === 'pending') {
+                Alert.warning('オフラインのため送信待ちに追加しました。接続回復後に自動で送信します').mount();
+            } else if (sync.status === 'conflict') {
+                Alert.warning('他の端末で先に更新されているため送信を保留しました。ヘッダーの同期状態から解決してください').mount();
+            } else if (sync.status === 'rejected') {
+                Alert.error(`洋生ノートがサーバーで受け付けられませんでした。修正して保存し直してください。<br>${HtmlUtils.escape(sync.entry.lastError).replace(/\n/g, '<br>')}`).mount();
+            } else {
+                Alert.success('洋生ノートデータを保存しました').mount();
+            }
             this.clearDirty();
             
             // イベント発火
-            if (window.eventBus) {
-                window.eventBus.emit('westernConfection.saved', allData);
-            }
+            eventBus.emit('westernConfection.saved', allData);
             
         } catch (error) {
             console.error('Save failed:', error);
-            Alert.error('データの保存に失敗しました').mount();
+            Alert.error(PermissionService.isPermissionError(error) ? error.message : 'データの保存に失敗しました').mount();
         } finally {
             const saveBtn = document.getElementById('save-confection-btn');
-            saveBtn.disabled = false;
+            saveBtn.disabled = !PermissionService.can('westernConfection.edit');
             saveBtn.textContent = '💾 データ保存';
         }
     }
@@ -683,9 +766,7 @@ class WesternConfectionNote {
             const syncData = this.getAllData();
             
             // イベントバスで実績入力システムに通知
-            if (window.eventBus) {
-                window.eventBus.emit('westernConfection.syncToPerformance', syncData);
-            }
+            eventBus.emit('westernConfection.syncToPerformance', syncData);
             
             Alert.success('実績入力システムと同期しました').mount();
             
@@ -756,6 +837,14 @@ class WesternConfectionNote {
         document.body.classList.remove('data-dirty');
     }
 
+    /**
+     * 未保存の変更があるか（ルーターの遷移ガードで使用）
+     * @returns {boolean} 判定結果
+     */
+    hasUnsavedChanges() {
+        return document.body.classList.contains('data-dirty');
+    }
+
     /**
      * 自動保存開始
      */
@@ -779,6 +868,7 @@ class WesternConfectionNote {
         if (this.saveTimer) {
             clearTimeout(this.saveTimer);
         }
+        this.clearDirty();
         
         // ヘッダー破棄
         if (this.header) {
@@ -799,34 +889,29 @@ class WesternConfectionNote {
  * WesternConfectionService - 洋生ノート用データサービス
  */
 class WesternConfectionService {
-    async getConfectionData() {
-        // モックデータ（15列対応）
-        return [
-            // デンマーク関連
-            { code: '2408', name: 'デンマークCC', price: 1200, plan: 8, order: 8, movement: 0, afterMovement: 8, tasting: 1, dayStock: 8, orderRemain: 0, endStock: 6, reservation: 2, special: 1, forecast: 12, soldoutTime: '18:30' },
-            { code: '1001', name: 'レアチーズC', price: 1000, plan: 10, order: 10, movement: 0, afterMovement: 10, tasting: 0, dayStock: 10, orderRemain: 0, endStock: 2, reservation: 3, special: 0, forecast: 15, soldoutTime: '19:00' },
-            
-            // 洋菓子限定
-            { code: '3201', name: 'カスタードプリン', price: 480, plan: 20, order: 20, movement: 0, afterMovement: 20, tasting: 2, dayStock: 20, orderRemain: 0, endStock: 8, reservation: 5, special: 2, forecast: 25, soldoutTime: '' },
-            { code: '3202', name: 'とろ生カスタード', price: 520, plan: 15, order: 15, movement: 0, afterMovement: 15, tasting: 1, dayStock: 15, orderRemain: 0, endStock: 4, reservation: 3, special: 1, forecast: 18, soldoutTime: '' },
-            { code: '3203', name: '復刻カスタードP', price: 500, plan: 12, order: 12, movement: 0, afterMovement: 12, tasting: 1, dayStock: 12, orderRemain: 0, endStock: 3, reservation: 2, special: 0, forecast: 14, soldoutTime: '' },
-            { code: '3301', name: '濃厚あまプリン', price: 550, plan: 10, order: 10, movement: 0, afterMovement: 10, tasting: 1, dayStock: 10, orderRemain: 0, endStock: 2, reservation: 1, special: 0, forecast: 12, soldoutTime: '' },
-            { code: '3401', name: 'マフィン', price: 350, plan: 25, order: 25, movement: 0, afterMovement: 25, tasting: 2, dayStock: 25, orderRemain: 0, endStock: 8, reservation: 4, special: 1, forecast: 28, soldoutTime: '' },
-            { code: '3501', name: '完熟マンゴーP', price: 480, plan: 18, order: 18, movement: 0, afterMovement: 18, tasting: 1, dayStock: 18, orderRemain: 0, endStock: 5, reservation: 2, special: 0, forecast: 20, soldoutTime: '' },
-            
-            // ゼリー
-            { code: '4101', name: 'マンゴー&オレンジ', price: 270, plan: 35, order: 35, movement: 0, afterMovement: 35, tasting: 2, dayStock: 35, orderRemain: 0, endStock: 12, reservation: 6, special: 1, forecast: 40, soldoutTime: '' },
-            { code: '4102', name: 'メロン&白桃', price: 270, plan: 30, order: 30, movement: 0, afterMovement: 30, tasting: 1, dayStock: 30, orderRemain: 0, endStock: 10, reservation: 4, special: 0, forecast: 35, soldoutTime: '' },
-            
-            // その他
-            { code: '5101', name: '白くまプリン', price: 450, plan: 8, order: 8, movement: 0, afterMovement: 8, tasting: 0, dayStock: 8, orderRemain: 0, endStock: 3, reservation: 1, special: 0, forecast: 10, soldoutTime: '' },
-            { code: '5201', name: 'プリンのトルテ', price: 580, plan: 6, order: 6, movement: 0, afterMovement: 6, tasting: 1, dayStock: 6, orderRemain: 0, endStock: 1, reservation: 1, special: 1, forecast: 8, soldoutTime: '' }
-        ];
+    /**
+     * @param {Object} options - { repository }
+     */
+    constructor(options = {}) {
+        this.repository = options.repository || dataRepository;
+    }
+
+    async getConfectionData(date = PerformanceInputService.today()) {
+        return this.repository.getConfectionData(date);
     }
     
-    async saveConfectionData(data) {
-        // API呼び出しのモック
-        return new Promise(resolve => setTimeout(resolve, 1000));
+    async saveConfectionData(data, context = {}) {
+        return this.repository.saveConfectionData(data.headerInfo.date, data, context);
+    }
+
+    /**
+     * サーバーの洋生ノートのバージョンを送信待ちの基準として記録（次の送信で競合を判定する）
+     * @param {string} date - 対象日
+     * @returns {Promise<void>}
+     */
+    async trackVersion(date = PerformanceInputService.today()) {
+        const version = await this.repository.getVersion('confection-notes', date);
+        if (version !== null) await outboxService.trackVersion(`westernConfection:${date}`, version);
     }
     
     exportToCSV(confectionData, headerInfo) {
@@ -852,13 +937,14 @@ class WesternConfectionService {
     }
 }
 
-// ES6モジュールエクスポート対応
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { WesternConfectionNote, WesternConfectionService };
-}
+// 保存処理をアウトボックスに登録（送信待ちはページを開き直しても再送される）
+outboxService.register('westernConfection.save', (payload, context) =>
+    new WesternConfectionService().saveConfectionData(payload, context));
+
+export { WesternConfectionNote, WesternConfectionService };
 
-// グローバルスコープでも利用可能
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
 if (typeof window !== 'undefined') {
     window.WesternConfectionNote = WesternConfectionNote;
     window.WesternConfectionService = WesternConfectionService;
-}
\ No newline at end of file
+}
@@ -0,0 +1,355 @@
+/**
+ * DataRepository - 画面データの取得・保存の窓口（データソースの切り替え）
+ * MOCアーキテクチャのリポジトリ層
+ *
+ * 各画面のサービス（DashboardService・OrderSimulationService・WesternConfectionService・
+ * HistoricalAnalysisService・MasterMaintenanceService）はこのリポジトリだけを呼び出し、
+ * 実際の読み書きはシステム設定 dataSource で選んだアダプターが行う。
+ *   - mock:  シード付きのモックデータ（デモ用・既定）
+ *   - local: 端末内の IndexedDB（オフライン運用）
+ *   - rest:  バックエンドAPI（server/）
+ *
+ * アダプターは次のメソッドを実装する（日付はすべて YYYY-MM-DD）
+ *   getProducts() / saveProduct(product) / deleteProduct(id)
+ *   getCategories() / getSuppliers() / getCustomers()
+ *   importProducts(products, mode) / importCustomers(customers, mode) / importDailyRecords(records, mode) → { created, updated, removed }
+ *     mode は仕様書 §11 の 'append'（追記: 同じキーは更新） | 'overwrite'（上書き: ファイルの内容で置き換え）
+ *   getOrderData(date) / getCompositionData(date) / saveOrderData(date, orderData, budgetData, context)
+ *   getConfectionData(date) / saveConfectionData(date, { headerInfo, confectionData }, context)
+ *   saveDailyRecords(date, records, context)
+ *   getDailySummaries({ startDate, endDate })
+ *   getKPIData(date) / getChartData(date) / getAlertsData(date)
+ *     context は OutboxService の送信情報 { key, baseVersion, force }。サーバーに接続するアダプターは
+ *     { version } を返し、ほかの端末で先に更新されていれば status: 409 のエラーを投げる
+ * 任意: connect(username, password) / disconnect() / saveSettings(settings) / getVersion(resource, date)
+ *     （サーバーに接続するアダプターのみ）
+ */
+
+import { appStore } from '../stores/AppStore.js';
+import { eventBus } from '../utils/EventBus.js';
+import { LocalDataAdapter } from './adapters/LocalDataAdapter.js';
+import { MockDataAdapter } from './adapters/MockDataAdapter.js';
+import { RestDataAdapter, DataSourceError } from './adapters/RestDataAdapter.js';
+
+class DataRepository {
+    constructor() {
+        this.adapter = null;
+        this.adapterKey = null;
+    }
+
+    /**
+     * データソースの一覧
+     * @returns {Object} mode → 表示名
+     */
+    static getModes() {
+        return {
+            mock: 'デモ（モックデータ）',
+            local: '端末内（IndexedDB）',
+            rest: 'サーバー（REST API）'
+        };
+    }
+
+    /**
+     * 設定されているデータソース
+     * @returns {string} 'mock' | 'local' | 'rest'
+     */
+    static getMode() {
+        const mode = appStore.getState('settings.dataSource');
+        return Object.keys(this.getModes()).includes(mode) ? mode : 'mock';
+    }
+
+    /**
+     * データソースのエラーか判定
+     * @param {Error} error - エラー
+     * @returns {boolean} 判定結果
+     */
+    static isDataSourceError(error) {
+        return !!error && error.name === 'DataSourceError';
+    }
+
+    /**
+     * アダプターを作成
+     * @param {string} mode - 'mock' | 'local' | 'rest'
+     * @param {Object} settings - システム設定
+     * @returns {Object} アダプター
+     */
+    static createAdapter(mode, settings = {}) {
+        if (mode === 'rest') {
+            return new RestDataAdapter({ baseUrl: settings.apiBaseUrl });
+        }
+
+        if (mode === 'local') {
+            if (LocalDataAdapter.isAvailable()) {
+                return new LocalDataAdapter();
+            }
+            console.warn('IndexedDBが利用できないため、モックデータで表示します');
+        }
+
+        return new MockDataAdapter({ seed: settings.mockSeed });
+    }
+
+    /**
+     * 現在の設定に対応するアダプター（設定が変わったら作り直す）
+     * @returns {Object} アダプター
+     */
+    getAdapter() {
+        const settings = appStore.getState('settings') || {};
+        const mode = DataRepository.getMode();
+        const key = [mode, settings.apiBaseUrl || '', settings.mockSeed || ''].join('|');
+
+        if (!this.adapter || this.adapterKey !== key) {
+            this.adapter = DataRepository.createAdapter(mode, settings);
+            this.adapterKey = key;
+            eventBus.emit('dataSource.changed', { mode: this.adapter.mode });
+        }
+        return this.adapter;
+    }
+
+    /**
+     * データソースにログイン（REST API のみ。ほかのデータソースでは何もしない）
+     * @param {string} username - ユーザーID
+     * @param {string} password - パスワード
+     * @returns {Promise<void>}
+     */
+    async connect(username, password) {
+        const adapter = this.getAdapter();
+        if (typeof adapter.connect === 'function') {
+            await adapter.connect(username, password);
+        }
+    }
+
+    /**
+     * データソースからログアウト
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        const adapter = this.getAdapter();
+        if (typeof adapter.disconnect === 'function') {
+            await adapter.disconnect();
+        }
+    }
+
+    /**
+     * サーバーで適用する業務ルール（在庫台帳モード）を保存（REST API のみ。ほかのデータソースでは何もしない）
+     * @param {Object} settings - システム設定
+     * @returns {Promise<void>}
+     */
+    async saveSettings(settings) {
+        const adapter = this.getAdapter();
+        if (typeof adapter.saveSettings === 'function') {
+            await adapter.saveSettings(settings);
+        }
+    }
+
+    // ========== マスタ ==========
+
+    /**
+     * 商品マスタ
+     * @returns {Promise<Array>} 商品配列
+     */
+    getProducts() {
+        return this.getAdapter().getProducts();
+    }
+
+    /**
+     * 商品を保存（id がなければ新規登録）
+     * @param {Object} product - 商品
+     * @returns {Promise<Object>} 保存した商品
+     */
+    saveProduct(product) {
+        return this.getAdapter().saveProduct(product);
+    }
+
+    /**
+     * 商品を削除
+     * @param {number} id - 商品ID
+     * @returns {Promise<void>}
+     */
+    deleteProduct(id) {
+        return this.getAdapter().deleteProduct(id);
+    }
+
+    /**
+     * 商品を一括登録
+     * @param {Array} products - 商品配列
+     * @param {string} mode - 'append'（同じ商品コードは更新） | 'overwrite'（ファイルにない商品を削除）
+     * @returns {Promise<Object>} { created, updated, removed }
+     */
+    importProducts(products, mode = 'append') {
+        return this.getAdapter().importProducts(products, mode);
+    }
+
+    /**
+     * 得意先マスタ
+     * @returns {Promise<Array>} 得意先配列 [{ code, name, segment }]
+     */
+    getCustomers() {
+        return this.getAdapter().getCustomers();
+    }
+
+    /**
+     * 得意先を一括登録
+     * @param {Array} customers - 得意先配列
+     * @param {string} mode - 'append'（同じ得意先コードは更新） | 'overwrite'（ファイルにない得意先を削除）
+     * @returns {Promise<Object>} { created, updated, removed }
+     */
+    importCustomers(customers, mode = 'append') {
+        return this.getAdapter().importCustomers(customers, mode);
+    }
+
+    /**
+     * カテゴリマスタ
+     * @returns {Promise<Array>} カテゴリ配列
+     */
+    getCategories() {
+        return this.getAdapter().getCategories();
+    }
+
+    /**
+     * 仕入先マスタ
+     * @returns {Promise<Array>} 仕入先配列
+     */
+    getSuppliers() {
+        return this.getAdapter().getSuppliers();
+    }
+
+    // ========== 発注・洋生ノート ==========
+
+    /**
+     * 発注行
+     * @param {string} date - 発注日
+     * @returns {Promise<Array>} 発注行配列
+     */
+    getOrderData(date) {
+        return this.getAdapter().getOrderData(date);
+    }
+
+    /**
+     * カテゴリ構成比
+     * @param {string} date - 発注日
+     * @returns {Promise<Array>} [{ category, percentage }]
+     */
+    getCompositionData(date) {
+        return this.getAdapter().getCompositionData(date);
+    }
+
+    /**
+     * 発注を保存
+     * @param {string} date - 発注日
+     * @param {Array} orderData - 発注行
+     * @param {Object} budgetData - 予算
+     * @param {Object} context - { key, baseVersion, force }（OutboxService の送信情報）
+     * @returns {Promise<Object|void>} { version }（サーバーに接続するアダプターのみ）
+     */
+    saveOrderData(date, orderData, budgetData, context = {}) {
+        return this.getAdapter().saveOrderData(date, orderData, budgetData, context);
+    }
+
+    /**
+     * 洋生ノートの行
+     * @param {string} date - 対象日
+     * @returns {Promise<Array>} 洋生ノート行配列
+     */
+    getConfectionData(date) {
+        return this.getAdapter().getConfectionData(date);
+    }
+
+    /**
+     * 洋生ノートを保存
+     * @param {string} date - 対象日
+     * @param {Object} data - { headerInfo, confectionData }
+     * @param {Object} context - { key, baseVersion, force }（OutboxService の送信情報）
+     * @returns {Promise<Object|void>} { version }（サーバーに接続するアダプターのみ）
+     */
+    saveConfectionData(date, data, context = {}) {
+        return this.getAdapter().saveConfectionData(date, data, context);
+    }
+
+    // ========== 実績 ==========
+
+    /**
+     * 日次実績（daily_records）を一括登録
+     * @param {Array} records - daily_record 形式の配列
+     * @param {string} mode - 'append'（同じ日付・商品は更新） | 'overwrite'（ファイルに含まれる日付の実績を置き換え）
+     * @returns {Promise<Object>} { created, updated, removed }
+     */
+    importDailyRecords(records, mode = 'append') {
+        return this.getAdapter().importDailyRecords(records, mode);
+    }
+
+    /**
+     * 実績入力で保存した1日分の実績を送信
+     * @param {string} date - 対象日
+     * @param {Array} records - daily_record 形式の配列
+     * @param {Object} context - { key, baseVersion, force }（OutboxService の送信情報）
+     * @returns {Promise<Object|void>} { version }（サーバーに接続するアダプターのみ）
+     */
+    saveDailyRecords(date, records, context = {}) {
+        return this.getAdapter().saveDailyRecords(date, records, context);
+    }
+
+    /**
+     * 日付ごとの更新バージョン（REST API のみ。ほかのデータソースでは null）
+     * @param {string} resource - 'orders' | 'daily-reports' | 'confection-notes'
+     * @param {string} date - 対象日
+     * @returns {Promise<number|null>} バージョン
+     */
+    async getVersion(resource, date) {
+        const adapter = this.getAdapter();
+        return typeof adapter.getVersion === 'function' ? adapter.getVersion(resource, date) : null;
+    }
+
+    // ========== 過去データ・ダッシュボード ==========
+
+    /**
+     * 日別の過去データ
+     * @param {Object} criteria - { startDate, endDate }
+     * @returns {Promise<Array>} 日別サマリー配列
+     */
+    getDailySummaries(criteria) {
+        return this.getAdapter().getDailySummaries(criteria);
+    }
+
+    /**
+     * ダッシュボードのKPI
+     * @param {string} date - 対象日
+     * @returns {Promise<Array>} KPI配列
+     */
+    getKPIData(date) {
+        return this.getAdapter().getKPIData(date);
+    }
+
+    /**
+     * ダッシュボードのチャート
+     * @param {string} date - 対象日
+     * @returns {Promise<Object>} { hourlySales, categoryComposition }
+     */
+    getChartData(date) {
+        return this.getAdapter().getChartData(date);
+    }
+
+    /**
+     * ダッシュボードのアラート
+     * @param {string} date - 対象日
+     * @returns {Promise<Array>} アラート配列
+     */
+    getAlertsData(date) {
+        return this.getAdapter().getAlertsData(date);
+    }
+}
+
+// シングルトンインスタンスを作成
+const dataRepository = new DataRepository();
+
+// ログアウト時はサーバーのトークンも破棄する
+eventBus.on('auth.logout', () => {
+    dataRepository.disconnect().catch(error => console.warn('データソースからのログアウトに失敗しました:', error));
+});
+
+export { DataRepository, dataRepository, DataSourceError };
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.DataRepository = DataRepository;
+    window.dataRepository = dataRepository;
+}
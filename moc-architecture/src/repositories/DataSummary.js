@@ -0,0 +1,171 @@
+/**
+ * DataSummary - 実績データの集計（過去データ分析・ダッシュボード向け）
+ * MOCアーキテクチャのリポジトリ層
+ *
+ * 端末内（IndexedDB）・REST API のどちらから読んだ実績も、
+ * PerformanceInputService.getHistoricalData() と同じ日別の形
+ *   { date, weather, temperature, hourlySales: [{ amount, customers }], products: [{ category, price, sales, waste, soldoutTime }] }
+ * にそろえてから、ここで画面表示用の値に集計する。
+ */
+
+class DataSummary {
+    /**
+     * 曜日（日〜土）
+     * @param {string} date - YYYY-MM-DD
+     * @returns {string} 曜日
+     */
+    static getDayOfWeek(date) {
+        return ['日', '月', '火', '水', '木', '金', '土'][new Date(`${date}T00:00:00`).getDay()];
+    }
+
+    /**
+     * 日付をずらす
+     * @param {string} date - YYYY-MM-DD
+     * @param {number} days - 日数（負数で過去）
+     * @returns {string} YYYY-MM-DD
+     */
+    static shiftDate(date, days) {
+        const shifted = new Date(`${date}T00:00:00Z`);
+        shifted.setUTCDate(shifted.getUTCDate() + days);
+        return shifted.toISOString().slice(0, 10);
+    }
+
+    /**
+     * 期間内の日付一覧
+     * @param {string} startDate - 開始日
+     * @param {string} endDate - 終了日
+     * @returns {Array} YYYY-MM-DD の配列
+     */
+    static getDates(startDate, endDate) {
+        const dates = [];
+        for (let date = startDate; date && date <= endDate; date = this.shiftDate(date, 1)) {
+            dates.push(date);
+        }
+        return dates;
+    }
+
+    /**
+     * 1日分の実績を過去データ分析の行に集計
+     * @param {Object} day - 日別の実績
+     * @returns {Object} { date, dayOfWeek, weather, temperature, totalSales, totalCustomers, avgCustomerSpend, totalItems, soldoutCount, wasteRate, soldoutTime, category, reservations, specialOrders }
+     */
+    static summarizeDay(day) {
+        const products = day.products || [];
+        const hourlySales = day.hourlySales || [];
+
+        const productSales = products.reduce((sum, item) => sum + (item.sales || 0) * (item.price || 0), 0);
+        const hourlyAmount = hourlySales.reduce((sum, item) => sum + (item.amount || 0), 0);
+        const totalSales = hourlyAmount || productSales;
+        const totalCustomers = hourlySales.reduce((sum, item) => sum + (item.customers || 0), 0);
+        const totalItems = products.reduce((sum, item) => sum + (item.sales || 0), 0);
+        const totalWaste = products.reduce((sum, item) => sum + (item.waste || 0), 0);
+        const soldoutTimes = products.map(item => item.soldoutTime).filter(Boolean).sort();
+
+        return {
+            date: day.date,
+            dayOfWeek: this.getDayOfWeek(day.date),
+            weather: day.weather || '',
+            temperature: day.temperature ?? null,
+            totalSales,
+            totalCustomers,
+            avgCustomerSpend: totalCustomers > 0 ? totalSales / totalCustomers : 0,
+            totalItems,
+            soldoutCount: soldoutTimes.length,
+            wasteRate: totalItems + totalWaste > 0 ? (totalWaste / (totalItems + totalWaste)) * 100 : 0,
+            soldoutTime: soldoutTimes[0] || null,
+            category: this.getTopCategory(products),
+            reservations: 0,
+            specialOrders: products.reduce((sum, item) => sum + (item.specialOrder || 0), 0)
+        };
+    }
+
+    /**
+     * 売上金額の最も大きいカテゴリ
+     * @param {Array} products - 商品別の実績
+     * @returns {string} カテゴリ
+     */
+    static getTopCategory(products) {
+        const totals = this.getCategoryTotals(products);
+        return Object.keys(totals).sort((a, b) => totals[b] - totals[a])[0] || '';
+    }
+
+    /**
+     * カテゴリ別の売上金額
+     * @param {Array} products - 商品別の実績
+     * @returns {Object} カテゴリ → 金額
+     */
+    static getCategoryTotals(products) {
+        return products.reduce((totals, item) => {
+            const category = item.category || 'その他';
+            totals[category] = (totals[category] || 0) + (item.sales || 0) * (item.price || 0);
+            return totals;
+        }, {});
+    }
+
+    /**
+     * ダッシュボードのKPI
+     * @param {Object|null} today - 当日の実績
+     * @param {Object|null} yesterday - 前日の実績
+     * @param {Object} options - { budget: 日予算, inventoryValue: 在庫金額 }
+     * @returns {Array} KPI配列
+     */
+    static buildKpis(today, yesterday, options = {}) {
+        const current = today ? this.summarizeDay(today) : null;
+        const previous = yesterday ? this.summarizeDay(yesterday) : null;
+        const trend = key => (current && previous && previous[key] > 0 ?
+            Math.round(((current[key] - previous[key]) / previous[key]) * 100) : 0);
+        const yen = value => `¥${Math.round(value).toLocaleString('ja-JP')}`;
+
+        return [
+            { key: 'customers', icon: '👥', label: '客数', value: current && current.totalCustomers > 0 ? String(current.totalCustomers) : '-', trend: trend('totalCustomers') },
+            { key: 'sales', icon: '💰', label: '売上', value: current ? yen(current.totalSales) : '-', trend: trend('totalSales') },
+            { key: 'inventory', icon: '📦', label: '在庫合計', value: options.inventoryValue !== undefined ? yen(options.inventoryValue) : '-', trend: 0 },
+            { key: 'soldout', icon: '🔥', label: '完売件数', value: current ? String(current.soldoutCount) : '-', trend: trend('soldoutCount') },
+            {
+                key: 'budget',
+                icon: '🎯',
+                label: '予算進捗',
+                value: current && options.budget > 0 ? `${Math.round((current.totalSales / options.budget) * 100)}%` : '-',
+                trend: 0
+            }
+        ];
+    }
+
+    /**
+     * ダッシュボードのチャート
+     * @param {Object|null} day - 当日の実績
+     * @returns {Object} { hourlySales, categoryComposition }
+     */
+    static buildChartData(day) {
+        const totals = this.getCategoryTotals(day ? day.products || [] : []);
+        const total = Object.values(totals).reduce((sum, value) => sum + value, 0);
+
+        return {
+            hourlySales: (day ? day.hourlySales || [] : []).map(item => ({
+                hour: parseInt(item.hour, 10),
+                amount: item.amount || 0
+            })),
+            categoryComposition: total > 0 ?
+                Object.entries(totals).map(([category, amount]) => ({ category, percentage: Math.round((amount / total) * 100) })) :
+                []
+        };
+    }
+
+    /**
+     * 実績の入力状況のアラート
+     * @param {Object|null} day - 当日の実績
+     * @param {string} date - 対象日
+     * @returns {Array} アラート配列
+     */
+    static buildAlerts(day, date) {
+        if (!day || (day.products || []).length === 0) {
+            return [{ type: 'info', title: '実績未入力', message: `${date} の実績はまだ入力されていません。` }];
+        }
+
+        return day.products
+            .filter(item => item.sales > 0 && item.stock === 0 && !item.soldoutTime)
+            .map(item => ({ type: 'error', title: '完売時間記録漏れ', message: `${item.name}の完売時間が記録されていません。` }));
+    }
+}
+
+export { DataSummary };
@@ -0,0 +1,349 @@
+/**
+ * LocalDataAdapter - 端末内（IndexedDB）のデータアダプター
+ * MOCアーキテクチャのリポジトリ層
+ *
+ * マスタ・発注・洋生ノートを IndexedDB（moc_data_db）に保存し、オフラインでも同じ画面で利用できるようにする。
+ * 初回はモックの商品・カテゴリ・仕入先・得意先マスタを登録する。
+ * 過去データ分析・ダッシュボードは実績入力（PerformanceInputService）の daily_records から集計し、
+ * 実績のCSV取込みも daily_records に保存する。
+ */
+
+import { appStore } from '../../stores/AppStore.js';
+import PerformanceInputService from '../../services/PerformanceInputService.js';
+import { DataSummary } from '../DataSummary.js';
+import { MockDataAdapter } from './MockDataAdapter.js';
+
+class LocalDataAdapter {
+    /**
+     * @param {Object} options - { dbName, dbVersion, performanceService }
+     */
+    constructor(options = {}) {
+        this.mode = 'local';
+        this.dbName = options.dbName || 'moc_data_db';
+        this.dbVersion = options.dbVersion || 2;
+        this.performanceService = options.performanceService || new PerformanceInputService();
+        this.dbPromise = null;
+    }
+
+    /**
+     * IndexedDBが利用可能か判定
+     * @returns {boolean} 利用可否
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    // ========== マスタ ==========
+
+    async getProducts() {
+        const products = await this.runTransaction('products', 'readonly', tx => tx.objectStore('products').getAll());
+        return products || [];
+    }
+
+    async saveProduct(product) {
+        const record = { ...product };
+        if (record.id === undefined || record.id === null) delete record.id;
+
+        const id = await this.runTransaction('products', 'readwrite', tx => tx.objectStore('products').put(record));
+        return { ...record, id };
+    }
+
+    async deleteProduct(id) {
+        await this.runTransaction('products', 'readwrite', tx => tx.objectStore('products').delete(id));
+    }
+
+    async importProducts(products, mode = 'append') {
+        const current = await this.getProducts();
+        const codes = new Set(products.map(product => product.code));
+        const removed = mode === 'overwrite' ? current.filter(product => !codes.has(product.code)) : [];
+        const result = { created: 0, updated: 0, removed: removed.length };
+
+        await this.runTransaction('products', 'readwrite', tx => {
+            const store = tx.objectStore('products');
+            removed.forEach(product => store.delete(product.id));
+            products.forEach(product => {
+                const existing = current.find(item => item.code === product.code);
+                const record = existing ? { ...existing, ...product, id: existing.id } : { ...product };
+                if (!existing) delete record.id;
+
+                store.put(record);
+                result[existing ? 'updated' : 'created']++;
+            });
+        });
+        return result;
+    }
+
+    async getCustomers() {
+        const customers = await this.runTransaction('customers', 'readonly', tx => tx.objectStore('customers').getAll());
+        return customers || [];
+    }
+
+    async importCustomers(customers, mode = 'append') {
+        const current = await this.getCustomers();
+        const codes = new Set(customers.map(customer => customer.code));
+        const removed = mode === 'overwrite' ? current.filter(customer => !codes.has(customer.code)) : [];
+        const result = { created: 0, updated: 0, removed: removed.length };
+
+        await this.runTransaction('customers', 'readwrite', tx => {
+            const store = tx.objectStore('customers');
+            removed.forEach(customer => store.delete(customer.code));
+            customers.forEach(customer => {
+                const existing = current.find(item => item.code === customer.code);
+                store.put(existing ? { ...existing, ...customer } : { ...customer });
+                result[existing ? 'updated' : 'created']++;
+            });
+        });
+        return result;
+    }
+
+    async getCategories() {
+        const categories = await this.runTransaction('categories', 'readonly', tx => tx.objectStore('categories').getAll());
+        return (categories || []).sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+    }
+
+    async getSuppliers() {
+        const suppliers = await this.runTransaction('suppliers', 'readonly', tx => tx.objectStore('suppliers').getAll());
+        return suppliers || [];
+    }
+
+    // ========== 発注 ==========
+
+    /**
+     * 発注行（保存済みの発注がなければ有効な商品から作成し、前営業日の在庫を現在在庫にする）
+     * @param {string} date - 発注日
+     * @returns {Promise<Array>} 発注行配列
+     */
+    async getOrderData(date) {
+        const saved = await this.runTransaction('orders', 'readonly', tx => tx.objectStore('orders').get(date));
+        if (saved) return saved.orderData;
+
+        const products = (await this.getProducts()).filter(product => product.status === 'active');
+        const carryOver = await this.getCarryOver(date, products.map(product => product.code));
+        const composition = products.length > 0 ? Math.round((100 / products.length) * 10) / 10 : 0;
+
+        return products.map(product => ({
+            code: product.code,
+            name: product.name,
+            price: product.price,
+            currentStock: carryOver[product.code]?.prevStock || 0,
+            composition,
+            quantity: 0,
+            amount: 0,
+            minOrder: product.minOrder,
+            orderUnit: product.orderUnit,
+            forecast: 0,
+            caseSize: product.caseSize || 1,
+            orderUnitType: product.orderUnitType || 'piece',
+            memo: ''
+        }));
+    }
+
+    /**
+     * カテゴリ構成比（有効な商品数の比率）
+     * @returns {Promise<Array>} 構成比配列
+     */
+    async getCompositionData() {
+        const [products, categories] = await Promise.all([this.getProducts(), this.getCategories()]);
+        const active = products.filter(product => product.status === 'active');
+
+        return categories
+            .map(category => ({
+                category: category.name,
+                percentage: active.length > 0 ?
+                    Math.round((active.filter(product => product.categoryId === category.id).length / active.length) * 100) : 0
+            }))
+            .filter(item => item.percentage > 0);
+    }
+
+    async saveOrderData(date, orderData, budgetData) {
+        await this.runTransaction('orders', 'readwrite', tx =>
+            tx.objectStore('orders').put({ date, orderData, budgetData, savedAt: new Date().toISOString() }));
+    }
+
+    // ========== 洋生ノート ==========
+
+    /**
+     * 洋生ノートの行（保存済みのノートがなければ有効な商品の空行）
+     * @param {string} date - 対象日
+     * @returns {Promise<Array>} 洋生ノート行配列
+     */
+    async getConfectionData(date) {
+        const saved = await this.runTransaction('confectionNotes', 'readonly', tx => tx.objectStore('confectionNotes').get(date));
+        if (saved) return saved.confectionData;
+
+        const products = (await this.getProducts()).filter(product => product.status === 'active');
+        return products.map(product => ({
+            code: product.code, name: product.name, price: product.price,
+            plan: 0, order: 0, movement: 0, afterMovement: 0, tasting: 0, dayStock: 0, orderRemain: 0,
+            endStock: 0, reservation: 0, special: 0, forecast: 0, soldoutTime: ''
+        }));
+    }
+
+    async saveConfectionData(date, data) {
+        await this.runTransaction('confectionNotes', 'readwrite', tx =>
+            tx.objectStore('confectionNotes').put({
+                date,
+                headerInfo: data.headerInfo,
+                confectionData: data.confectionData,
+                savedAt: new Date().toISOString()
+            }));
+    }
+
+    // ========== 実績 ==========
+
+    async importDailyRecords(records, mode = 'append') {
+        return this.performanceService.importRecords(records, mode);
+    }
+
+    /**
+     * 実績入力の保存内容は PerformanceInputService が daily_records に保存済みのため、送信先はない
+     * @returns {Promise<void>}
+     */
+    async saveDailyRecords() {}
+
+    // ========== 過去データ・ダッシュボード ==========
+
+    async getDailySummaries(criteria) {
+        const days = await this.getDays(criteria.startDate, criteria.endDate);
+        return days.map(day => DataSummary.summarizeDay(day)).sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    async getKPIData(date) {
+        const days = await this.getDays(DataSummary.shiftDate(date, -1), date);
+        const rows = days.some(day => day.date === date) ? await this.performanceService.getTodayPerformance(date) : [];
+
+        return DataSummary.buildKpis(
+            days.find(day => day.date === date) || null,
+            days.find(day => day.date !== date) || null,
+            {
+                budget: appStore.getState('settings.defaultBudget'),
+                inventoryValue: rows.length > 0 ? rows.reduce((sum, row) => sum + (row.currentStock || 0) * (row.price || 0), 0) : undefined
+            }
+        );
+    }
+
+    async getChartData(date) {
+        const [day] = await this.getDays(date, date);
+        return DataSummary.buildChartData(day || null);
+    }
+
+    async getAlertsData(date) {
+        const [day] = await this.getDays(date, date);
+        return DataSummary.buildAlerts(day || null, date);
+    }
+
+    /**
+     * daily_records を日別に取得
+     * @param {string} from - 開始日
+     * @param {string} to - 終了日
+     * @returns {Promise<Array>} 日別の実績
+     */
+    async getDays(from, to) {
+        if (!PerformanceInputService.isAvailable()) return [];
+        return this.performanceService.getHistoricalData({ from, to });
+    }
+
+    /**
+     * 前営業日の在庫（実績入力の繰越と同じ値）
+     * @param {string} date - 対象日
+     * @param {Array} codes - 商品コード
+     * @returns {Promise<Object>} 商品コード → { prevStock }
+     */
+    async getCarryOver(date, codes) {
+        try {
+            return await this.performanceService.getCarryOver(date, codes);
+        } catch (error) {
+            console.warn('Carry-over could not be calculated:', error);
+            return {};
+        }
+    }
+
+    // ========== データベース ==========
+
+    /**
+     * データベースを開く（初回・バージョンアップ時は不足しているストアを作成し、モックのマスタを登録）
+     * @returns {Promise<IDBDatabase>} データベース
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        if (!LocalDataAdapter.isAvailable()) {
+            return Promise.reject(new Error('IndexedDBが利用できません'));
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                const tx = event.target.transaction;
+
+                if (!db.objectStoreNames.contains('products')) {
+                    const store = db.createObjectStore('products', { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('code', 'code', { unique: true });
+                    MockDataAdapter.getInitialProducts().forEach(product => store.put(product));
+                }
+
+                if (!db.objectStoreNames.contains('categories')) {
+                    db.createObjectStore('categories', { keyPath: 'id' });
+                    MockDataAdapter.getInitialCategories().forEach(category => tx.objectStore('categories').put(category));
+                }
+
+                if (!db.objectStoreNames.contains('suppliers')) {
+                    db.createObjectStore('suppliers', { keyPath: 'id' });
+                    MockDataAdapter.getInitialSuppliers().forEach(supplier => tx.objectStore('suppliers').put(supplier));
+                }
+
+                if (!db.objectStoreNames.contains('customers')) {
+                    db.createObjectStore('customers', { keyPath: 'code' });
+                    MockDataAdapter.getInitialCustomers().forEach(customer => tx.objectStore('customers').put(customer));
+                }
+
+                if (!db.objectStoreNames.contains('orders')) {
+                    db.createObjectStore('orders', { keyPath: 'date' });
+                }
+
+                if (!db.objectStoreNames.contains('confectionNotes')) {
+                    db.createObjectStore('confectionNotes', { keyPath: 'date' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * トランザクション内で処理を実行
+     * @param {string|Array} storeNames - ストア名
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} callback - (tx) => IDBRequest|any
+     * @returns {Promise<any>} リクエスト結果
+     */
+    async runTransaction(storeNames, mode, callback) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            const request = callback(tx);
+            if (request && 'onsuccess' in request) {
+                request.onsuccess = () => { result = request.result; };
+            } else {
+                result = request;
+            }
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('トランザクションが中断されました'));
+        });
+    }
+}
+
+export { LocalDataAdapter };
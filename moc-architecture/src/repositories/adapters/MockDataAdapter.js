@@ -0,0 +1,419 @@
+/**
+ * MockDataAdapter - デモ用のモックデータアダプター
+ * MOCアーキテクチャのリポジトリ層
+ *
+ * 各画面の初期表示データ（固定値）と、シード付き乱数で生成する過去データを返す。
+ * 同じシード・同じ日付なら常に同じ値になるため、デモや画面確認の結果を再現できる。
+ * 保存した内容はページを開いている間だけメモリ上に保持する。
+ */
+
+import { DataSummary } from '../DataSummary.js';
+
+class MockDataAdapter {
+    /**
+     * @param {Object} options - { seed: 乱数のシード }
+     */
+    constructor(options = {}) {
+        this.mode = 'mock';
+        this.seed = String(options.seed || 'moc');
+
+        this.products = MockDataAdapter.getInitialProducts();
+        this.customers = MockDataAdapter.getInitialCustomers();
+        this.orders = new Map();
+        this.confectionNotes = new Map();
+        this.dailyRecords = new Map();
+    }
+
+    // ========== 固定データ ==========
+
+    /**
+     * 商品マスタ
+     * @returns {Array} 商品配列
+     */
+    static getInitialProducts() {
+        return [
+            { id: 1, code: '2408', name: 'デンマークCC', categoryId: 'denmark', price: 1200, cost: 800, supplierId: 'supplier1', minOrder: 5, orderUnit: 1, caseSize: 1, orderUnitType: 'piece', status: 'active' },
+            { id: 2, code: '1001', name: 'レアチーズC', categoryId: 'denmark', price: 1000, cost: 650, supplierId: 'supplier1', minOrder: 3, orderUnit: 1, caseSize: 1, orderUnitType: 'piece', status: 'active' },
+            { id: 3, code: '3201', name: 'カスタードプリン', categoryId: 'confection', price: 480, cost: 320, supplierId: 'supplier2', minOrder: 10, orderUnit: 2, caseSize: 6, orderUnitType: 'case', status: 'active' }
+        ];
+    }
+
+    /**
+     * カテゴリマスタ
+     * @returns {Array} カテゴリ配列
+     */
+    static getInitialCategories() {
+        return [
+            { id: 'denmark', name: 'デンマーク関連', description: 'デンマーク系商品', sortOrder: 1, status: 'active' },
+            { id: 'confection', name: '洋菓子限定', description: 'プリン・マフィン等', sortOrder: 2, status: 'active' },
+            { id: 'jelly', name: 'ゼリー', description: 'ゼリー系商品', sortOrder: 3, status: 'active' }
+        ];
+    }
+
+    /**
+     * 仕入先マスタ
+     * @returns {Array} 仕入先配列
+     */
+    static getInitialSuppliers() {
+        return [
+            { id: 'supplier1', code: 'S001', name: '洋菓子工房ABC', contactName: '田中太郎', phone: '03-1234-5678', email: 'tanaka@abc.com', address: '東京都渋谷区...', paymentTerms: '月末締め翌月末払い', status: 'active' },
+            { id: 'supplier2', code: 'S002', name: 'スイーツファクトリー', contactName: '佐藤花子', phone: '03-9876-5432', email: 'sato@factory.com', address: '東京都新宿区...', paymentTerms: '15日締め当月末払い', status: 'active' }
+        ];
+    }
+
+    /**
+     * 得意先マスタ
+     * @returns {Array} 得意先配列
+     */
+    static getInitialCustomers() {
+        return [
+            { code: 'C001', name: '本店', segment: '直営' },
+            { code: 'C002', name: '駅前店', segment: '直営' },
+            { code: 'C101', name: 'カフェ・ミモザ', segment: '卸' }
+        ];
+    }
+
+    /**
+     * 発注シミュレーションの発注行
+     * @returns {Array} 発注行配列
+     */
+    static getInitialOrderLines() {
+        return [
+            { code: '2408', name: 'デンマークCC', price: 1200, currentStock: 5, composition: 15.0, quantity: 8, amount: 9600, minOrder: 5, orderUnit: 1, forecast: 12, caseSize: 1, orderUnitType: 'piece', memo: '' },
+            { code: '1001', name: 'レアチーズC', price: 1000, currentStock: 3, composition: 12.0, quantity: 7, amount: 7000, minOrder: 3, orderUnit: 1, forecast: 10, caseSize: 1, orderUnitType: 'piece', memo: '' },
+            { code: '3201', name: 'カスタードプリン', price: 480, currentStock: 8, composition: 25.0, quantity: 31, amount: 14880, minOrder: 10, orderUnit: 2, forecast: 32, caseSize: 6, orderUnitType: 'case', memo: '' },
+            { code: '3202', name: 'とろ生カスタード', price: 520, currentStock: 6, composition: 20.0, quantity: 23, amount: 11960, minOrder: 8, orderUnit: 1, forecast: 24, caseSize: 1, orderUnitType: 'piece', memo: '' },
+            { code: '4101', name: 'マンゴー&オレンジ', price: 270, currentStock: 12, composition: 18.0, quantity: 40, amount: 10800, minOrder: 15, orderUnit: 5, forecast: 45, caseSize: 1, orderUnitType: 'piece', memo: '' },
+            { code: '4102', name: 'メロン&白桃', price: 270, currentStock: 10, composition: 10.0, quantity: 22, amount: 5940, minOrder: 15, orderUnit: 5, forecast: 20, caseSize: 1, orderUnitType: 'piece', memo: '' }
+        ];
+    }
+
+    /**
+     * 発注シミュレーションのカテゴリ構成比
+     * @returns {Array} 構成比配列
+     */
+    static getInitialCompositions() {
+        return [
+            { category: 'デンマーク関連', percentage: 27 },
+            { category: '洋菓子限定', percentage: 45 },
+            { category: 'ゼリー', percentage: 28 }
+        ];
+    }
+
+    /**
+     * 洋生ノートの行（15列）
+     * @returns {Array} 洋生ノート行配列
+     */
+    static getInitialConfectionLines() {
+        return [
+            // デンマーク関連
+            { code: '2408', name: 'デンマークCC', price: 1200, plan: 8, order: 8, movement: 0, afterMovement: 8, tasting: 1, dayStock: 8, orderRemain: 0, endStock: 6, reservation: 2, special: 1, forecast: 12, soldoutTime: '18:30' },
+            { code: '1001', name: 'レアチーズC', price: 1000, plan: 10, order: 10, movement: 0, afterMovement: 10, tasting: 0, dayStock: 10, orderRemain: 0, endStock: 2, reservation: 3, special: 0, forecast: 15, soldoutTime: '19:00' },
+
+            // 洋菓子限定
+            { code: '3201', name: 'カスタードプリン', price: 480, plan: 20, order: 20, movement: 0, afterMovement: 20, tasting: 2, dayStock: 20, orderRemain: 0, endStock: 8, reservation: 5, special: 2, forecast: 25, soldoutTime: '' },
+            { code: '3202', name: 'とろ生カスタード', price: 520, plan: 15, order: 15, movement: 0, afterMovement: 15, tasting: 1, dayStock: 15, orderRemain: 0, endStock: 4, reservation: 3, special: 1, forecast: 18, soldoutTime: '' },
+            { code: '3203', name: '復刻カスタードP', price: 500, plan: 12, order: 12, movement: 0, afterMovement: 12, tasting: 1, dayStock: 12, orderRemain: 0, endStock: 3, reservation: 2, special: 0, forecast: 14, soldoutTime: '' },
+            { code: '3301', name: '濃厚あまプリン', price: 550, plan: 10, order: 10, movement: 0, afterMovement: 10, tasting: 1, dayStock: 10, orderRemain: 0, endStock: 2, reservation: 1, special: 0, forecast: 12, soldoutTime: '' },
+            { code: '3401', name: 'マフィン', price: 350, plan: 25, order: 25, movement: 0, afterMovement: 25, tasting: 2, dayStock: 25, orderRemain: 0, endStock: 8, reservation: 4, special: 1, forecast: 28, soldoutTime: '' },
+            { code: '3501', name: '完熟マンゴーP', price: 480, plan: 18, order: 18, movement: 0, afterMovement: 18, tasting: 1, dayStock: 18, orderRemain: 0, endStock: 5, reservation: 2, special: 0, forecast: 20, soldoutTime: '' },
+
+            // ゼリー
+            { code: '4101', name: 'マンゴー&オレンジ', price: 270, plan: 35, order: 35, movement: 0, afterMovement: 35, tasting: 2, dayStock: 35, orderRemain: 0, endStock: 12, reservation: 6, special: 1, forecast: 40, soldoutTime: '' },
+            { code: '4102', name: 'メロン&白桃', price: 270, plan: 30, order: 30, movement: 0, afterMovement: 30, tasting: 1, dayStock: 30, orderRemain: 0, endStock: 10, reservation: 4, special: 0, forecast: 35, soldoutTime: '' },
+
+            // その他
+            { code: '5101', name: '白くまプリン', price: 450, plan: 8, order: 8, movement: 0, afterMovement: 8, tasting: 0, dayStock: 8, orderRemain: 0, endStock: 3, reservation: 1, special: 0, forecast: 10, soldoutTime: '' },
+            { code: '5201', name: 'プリンのトルテ', price: 580, plan: 6, order: 6, movement: 0, afterMovement: 6, tasting: 1, dayStock: 6, orderRemain: 0, endStock: 1, reservation: 1, special: 1, forecast: 8, soldoutTime: '' }
+        ];
+    }
+
+    /**
+     * ダッシュボードのKPI
+     * @returns {Array} KPI配列
+     */
+    static getInitialKpis() {
+        return [
+            { key: 'customers', icon: '👥', label: '客数', value: '342', trend: 12 },
+            { key: 'sales', icon: '💰', label: '売上', value: '¥1,234,567', trend: 8 },
+            { key: 'inventory', icon: '📦', label: '在庫合計', value: '¥892,340', trend: -3 },
+            { key: 'soldout', icon: '🔥', label: '完売件数', value: '15', trend: 25 },
+            { key: 'budget', icon: '🎯', label: '予算進捗', value: '78%', trend: 5 }
+        ];
+    }
+
+    /**
+     * ダッシュボードのチャート
+     * @returns {Object} { hourlySales, categoryComposition }
+     */
+    static getInitialChartData() {
+        return {
+            hourlySales: [
+                { hour: 10, amount: 45000 },
+                { hour: 11, amount: 67000 },
+                { hour: 12, amount: 98000 },
+                { hour: 13, amount: 123000 },
+                { hour: 14, amount: 89000 },
+                { hour: 15, amount: 76000 },
+                { hour: 16, amount: 54000 },
+                { hour: 17, amount: 87000 },
+                { hour: 18, amount: 134000 },
+                { hour: 19, amount: 92000 }
+            ],
+            categoryComposition: [
+                { category: 'ケーキ', percentage: 35 },
+                { category: 'プリン', percentage: 28 },
+                { category: 'ゼリー', percentage: 18 },
+                { category: 'その他', percentage: 19 }
+            ]
+        };
+    }
+
+    /**
+     * ダッシュボードのアラート
+     * @returns {Array} アラート配列
+     */
+    static getInitialAlerts() {
+        return [
+            { type: 'warning', title: '在庫不足警告', message: 'カスタードプリンの在庫が5個を下回りました。' },
+            { type: 'error', title: '完売時間記録漏れ', message: 'デンマークCCの完売時間が記録されていません。' },
+            { type: 'info', title: 'ロス率通知', message: '本日のロス率が基準値（5%）を若干上回っています。' }
+        ];
+    }
+
+    // ========== シード付き乱数 ==========
+
+    /**
+     * シード付き乱数生成器（mulberry32）
+     * @param {string} seedText - シード文字列
+     * @returns {Function} () => 0以上1未満の乱数
+     */
+    static createRandom(seedText) {
+        // FNV-1a で文字列を32bitのシードに変換
+        let seed = 0x811c9dc5;
+        for (let i = 0; i < seedText.length; i++) {
+            seed ^= seedText.charCodeAt(i);
+            seed = Math.imul(seed, 0x01000193);
+        }
+
+        return () => {
+            seed = (seed + 0x6d2b79f5) | 0;
+            let t = seed;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * 1日分の過去データを生成（同じシード・日付なら同じ値）
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Object} 日別サマリー
+     */
+    generateDailySummary(date) {
+        const random = MockDataAdapter.createRandom(`${this.seed}:${date}`);
+        const day = new Date(`${date}T00:00:00`).getDay();
+
+        const baseSales = 80000 + random() * 40000;
+        const weatherBonus = random() > 0.3 ? 1.2 : 0.8; // 天気による影響
+        const dayBonus = day === 0 || day === 6 ? 1.3 : 1.0; // 土日ボーナス
+        const totalSales = Math.floor(baseSales * weatherBonus * dayBonus);
+        const totalCustomers = 150 + Math.floor(random() * 100);
+
+        return {
+            date,
+            dayOfWeek: DataSummary.getDayOfWeek(date),
+            weather: ['晴れ', '曇り', '雨'][Math.floor(random() * 3)],
+            temperature: 18 + Math.floor(random() * 15),
+            totalSales,
+            totalCustomers,
+            avgCustomerSpend: totalCustomers > 0 ? totalSales / totalCustomers : 0,
+            totalItems: 200 + Math.floor(random() * 150),
+            soldoutCount: Math.floor(random() * 8),
+            wasteRate: random() * 10,
+            soldoutTime: random() > 0.5 ? `${17 + Math.floor(random() * 3)}:${String(Math.floor(random() * 60)).padStart(2, '0')}` : null,
+            category: ['デンマーク関連', '洋菓子限定', 'ゼリー'][Math.floor(random() * 3)],
+            reservations: Math.floor(random() * 7),
+            specialOrders: Math.floor(random() * 2)
+        };
+    }
+
+    // ========== マスタ ==========
+
+    async getProducts() {
+        return this.products.map(product => ({ ...product }));
+    }
+
+    async saveProduct(product) {
+        const index = this.products.findIndex(item => item.id === product.id);
+        const saved = index >= 0 ?
+            { ...this.products[index], ...product } :
+            { ...product, id: Math.max(0, ...this.products.map(item => item.id)) + 1 };
+
+        if (index >= 0) {
+            this.products[index] = saved;
+        } else {
+            this.products.push(saved);
+        }
+        return { ...saved };
+    }
+
+    async deleteProduct(id) {
+        this.products = this.products.filter(product => product.id !== id);
+    }
+
+    async importProducts(products, mode = 'append') {
+        const codes = new Set(products.map(product => product.code));
+        const result = { created: 0, updated: 0, removed: 0 };
+
+        if (mode === 'overwrite') {
+            result.removed = this.products.filter(product => !codes.has(product.code)).length;
+            this.products = this.products.filter(product => codes.has(product.code));
+        }
+
+        for (const product of products) {
+            const current = this.products.find(item => item.code === product.code);
+            await this.saveProduct(current ? { ...product, id: current.id } : product);
+            result[current ? 'updated' : 'created']++;
+        }
+        return result;
+    }
+
+    async getCustomers() {
+        return this.customers.map(customer => ({ ...customer }));
+    }
+
+    async importCustomers(customers, mode = 'append') {
+        const previous = new Set(this.customers.map(customer => customer.code));
+        const codes = new Set(customers.map(customer => customer.code));
+        const kept = mode === 'overwrite' ? this.customers.filter(customer => codes.has(customer.code)) : this.customers;
+        const current = new Map(kept.map(customer => [customer.code, customer]));
+        const result = { created: 0, updated: 0, removed: this.customers.length - kept.length };
+
+        customers.forEach(customer => {
+            current.set(customer.code, { ...current.get(customer.code), ...customer });
+            result[previous.has(customer.code) ? 'updated' : 'created']++;
+        });
+
+        this.customers = Array.from(current.values());
+        return result;
+    }
+
+    async getCategories() {
+        return MockDataAdapter.getInitialCategories();
+    }
+
+    async getSuppliers() {
+        return MockDataAdapter.getInitialSuppliers();
+    }
+
+    // ========== 発注 ==========
+
+    async getOrderData(date) {
+        const saved = this.orders.get(date);
+        return saved ? saved.orderData.map(line => ({ ...line })) : MockDataAdapter.getInitialOrderLines();
+    }
+
+    async getCompositionData() {
+        return MockDataAdapter.getInitialCompositions();
+    }
+
+    async saveOrderData(date, orderData, budgetData) {
+        this.orders.set(date, { orderData: orderData.map(line => ({ ...line })), budgetData: { ...budgetData } });
+    }
+
+    // ========== 洋生ノート ==========
+
+    async getConfectionData(date) {
+        const saved = this.confectionNotes.get(date);
+        return saved ? saved.map(line => ({ ...line })) : MockDataAdapter.getInitialConfectionLines();
+    }
+
+    async saveConfectionData(date, data) {
+        this.confectionNotes.set(date, data.confectionData.map(line => ({ ...line })));
+    }
+
+    // ========== 実績 ==========
+
+    /**
+     * 日次実績の取込み（取り込んだ日は過去データ分析で生成データの代わりに使う）
+     * @param {Array} records - daily_record 形式の配列
+     * @param {string} mode - 'append'（同じ日付・商品を置き換え） | 'overwrite'（ファイル内の日付を置き換え）
+     * @returns {Promise<Object>} { created, updated, removed }
+     */
+    async importDailyRecords(records, mode = 'append') {
+        const result = { created: 0, updated: 0, removed: 0 };
+        const byDate = new Map();
+        records.forEach(record => {
+            if (!byDate.has(record.date)) byDate.set(record.date, []);
+            byDate.get(record.date).push({ ...record });
+        });
+
+        byDate.forEach((imported, date) => {
+            const current = new Map((this.dailyRecords.get(date) || []).map(record => [record.product_code, record]));
+            const codes = new Set(imported.map(record => record.product_code));
+
+            imported.forEach(record => result[current.has(record.product_code) ? 'updated' : 'created']++);
+            if (mode === 'overwrite') {
+                result.removed += [...current.keys()].filter(code => !codes.has(code)).length;
+                current.clear();
+            }
+
+            imported.forEach(record => current.set(record.product_code, record));
+            this.dailyRecords.set(date, Array.from(current.values()));
+        });
+        return result;
+    }
+
+    /**
+     * 実績入力の保存内容（取り込んだ日と同じく過去データ分析に反映する）
+     * @param {string} date - 対象日
+     * @param {Array} records - daily_record 形式の配列
+     * @returns {Promise<void>}
+     */
+    async saveDailyRecords(date, records) {
+        await this.importDailyRecords(records.map(record => ({ ...record, date })), 'append');
+    }
+
+    // ========== 過去データ・ダッシュボード ==========
+
+    async getDailySummaries(criteria) {
+        const categories = MockDataAdapter.getInitialCategories();
+        const toDay = (date, records) => ({
+            date,
+            weather: '',
+            temperature: null,
+            hourlySales: [],
+            products: records.map(record => {
+                const product = this.products.find(item => item.code === record.product_code) || {};
+                const category = categories.find(item => item.id === product.categoryId);
+                return {
+                    category: category ? category.name : (product.categoryId || ''),
+                    price: record.price ?? product.price ?? 0,
+                    sales: record.sold || 0,
+                    waste: record.loss || 0,
+                    soldoutTime: record.soldout_time || '',
+                    specialOrder: record.special_order || 0
+                };
+            })
+        });
+
+        return DataSummary.getDates(criteria.startDate, criteria.endDate).map(date => (this.dailyRecords.has(date) ?
+            DataSummary.summarizeDay(toDay(date, this.dailyRecords.get(date))) :
+            this.generateDailySummary(date)));
+    }
+
+    async getKPIData() {
+        return MockDataAdapter.getInitialKpis();
+    }
+
+    async getChartData() {
+        return MockDataAdapter.getInitialChartData();
+    }
+
+    async getAlertsData() {
+        return MockDataAdapter.getInitialAlerts();
+    }
+}
+
+export { MockDataAdapter };
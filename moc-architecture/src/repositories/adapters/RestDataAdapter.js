@@ -0,0 +1,600 @@
+/**
+ * RestDataAdapter - バックエンドAPI（server/）のデータアダプター
+ * MOCアーキテクチャのリポジトリ層
+ *
+ * 企画書.md §3 のAPI（/api/products, /api/daily-reports, /api/orders, /api/master/products）と
+ * 洋生ノートAPI（/api/confection-notes）・得意先マスタAPI（/api/master/customers）・
+ * システム設定API（/api/settings）を呼び出す。
+ * 認証トークンはログイン時に connect() で取得し、端末に保持する。
+ * 発注・実績の保存は読み込んだ（または前回送信した）バージョンを base_version として送り、
+ * ほかの端末で先に更新されていればサーバーが 409 を返す（OutboxService が競合として保留する）。
+ * APIの項目名（snake_case）は画面の項目名（camelCase）に変換して返す。
+ * APIにない項目（客数・時間帯別売上・仕入先マスタ）は空または「-」になる。
+ */
+
+import { appStore } from '../../stores/AppStore.js';
+import EventWeatherService from '../../services/EventWeatherService.js';
+import { DataSummary } from '../DataSummary.js';
+
+/**
+ * データソースのエラー（APIのエラーレスポンス）
+ */
+class DataSourceError extends Error {
+    /**
+     * @param {number} status - HTTPステータス
+     * @param {string} message - 画面表示用メッセージ
+     * @param {Array} errors - 項目別のエラー [{ field, code, message }]
+     */
+    constructor(status, message, errors = []) {
+        super(message);
+        this.name = 'DataSourceError';
+        this.status = status;
+        this.errors = errors;
+    }
+}
+
+class RestDataAdapter {
+    /**
+     * @param {Object} options - { baseUrl: APIのURL（省略時は画面と同じオリジン）, tokenKey }
+     */
+    constructor(options = {}) {
+        this.mode = 'rest';
+        this.baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+        this.tokenKey = options.tokenKey || 'moc_api_token';
+    }
+
+    /**
+     * APIのステータスごとの表示メッセージ
+     * @returns {Object} status → メッセージ
+     */
+    static getStatusMessages() {
+        return {
+            400: '入力内容に誤りがあります',
+            401: 'サーバーにログインしていません。ログインし直してください',
+            403: 'この操作を行う権限がありません',
+            404: '対象のデータが見つかりません',
+            409: 'ほかの端末で先に更新されています',
+            423: 'サーバーのアカウントがロックされています'
+        };
+    }
+
+    // ========== 認証 ==========
+
+    /**
+     * サーバーにログインしてトークンを保持
+     * @param {string} username - ユーザーID
+     * @param {string} password - パスワード
+     * @returns {Promise<Object>} ユーザー
+     */
+    async connect(username, password) {
+        const result = await this.request('POST', '/auth/login', { username, password });
+        localStorage.setItem(this.tokenKey, result.token);
+        await this.loadSettings();
+        return result.user;
+    }
+
+    /**
+     * サーバーの在庫台帳モードを画面の設定に反映（画面とAPIで同じ在庫計算にする）
+     * @returns {Promise<void>}
+     */
+    async loadSettings() {
+        const settings = await this.request('GET', '/settings');
+        appStore.updateSettings({ strictLedger: settings.strict_ledger === true });
+    }
+
+    /**
+     * 在庫台帳モードをサーバーに保存
+     * @param {Object} settings - システム設定
+     * @returns {Promise<void>}
+     */
+    async saveSettings(settings) {
+        if (settings.strictLedger === undefined) return;
+        await this.request('PUT', '/settings', { strict_ledger: settings.strictLedger === true });
+    }
+
+    /**
+     * サーバーからログアウトしてトークンを破棄
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        if (!localStorage.getItem(this.tokenKey)) return;
+
+        try {
+            await this.request('POST', '/auth/logout');
+        } catch (error) {
+            console.warn('API logout failed:', error);
+        } finally {
+            localStorage.removeItem(this.tokenKey);
+        }
+    }
+
+    // ========== マスタ ==========
+
+    async getProducts() {
+        const rows = await this.request('GET', '/master/products');
+        return rows.map(row => RestDataAdapter.toProduct(row));
+    }
+
+    async saveProduct(product) {
+        const body = RestDataAdapter.toApiProduct(product);
+        const saved = product.id ?
+            await this.request('PUT', `/master/products/${encodeURIComponent(product.id)}`, body) :
+            await this.request('POST', '/master/products', body);
+        return RestDataAdapter.toProduct(saved);
+    }
+
+    async deleteProduct(id) {
+        await this.request('DELETE', `/master/products/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * 商品の一括登録（上書き時はファイルにない商品を削除。実績・発注のある商品はサーバーで廃止になる）
+     * 1回のリクエストで送り、サーバーで途中のエラーがあればすべて取り消される
+     * @param {Array} products - 商品配列（空欄の項目は登録済みの値を残す）
+     * @param {string} mode - 'append' | 'overwrite'
+     * @returns {Promise<Object>} { created, updated, removed }
+     */
+    async importProducts(products, mode = 'append') {
+        const current = await this.getProducts();
+
+        return this.request('POST', '/master/products/import', {
+            mode,
+            products: products.map(product => {
+                const existing = current.find(item => item.code === String(product.code));
+                return RestDataAdapter.toApiProduct(existing ? { ...existing, ...product } : product);
+            })
+        });
+    }
+
+    async getCustomers() {
+        const rows = await this.request('GET', '/master/customers');
+        return rows.map(row => ({ code: row.customer_code, name: row.name, segment: row.segment }));
+    }
+
+    async importCustomers(customers, mode = 'append') {
+        return this.request('POST', '/master/customers/import', {
+            mode,
+            customers: customers.map(customer => ({ customer_code: customer.code, name: customer.name, segment: customer.segment }))
+        });
+    }
+
+    /**
+     * カテゴリ（APIにカテゴリマスタがないため、商品のカテゴリIDから作成）
+     * @returns {Promise<Array>} カテゴリ配列
+     */
+    async getCategories() {
+        const products = await this.getActiveProducts();
+        return [...new Set(products.map(product => product.categoryId).filter(Boolean))]
+            .map((id, index) => ({ id, name: id, description: '', sortOrder: index + 1, status: 'active' }));
+    }
+
+    async getSuppliers() {
+        return [];
+    }
+
+    // ========== 発注 ==========
+
+    async getOrderData(date) {
+        const [products, orders, stocks] = await Promise.all([
+            this.getActiveProducts(),
+            this.request('GET', `/orders?date=${date}`),
+            this.getPreviousStocks(date)
+        ]);
+        const composition = products.length > 0 ? Math.round((100 / products.length) * 10) / 10 : 0;
+
+        return products.map(product => {
+            const quantity = orders.find(order => order.product_id === product.id)?.quantity || 0;
+            return {
+                productId: product.id,
+                code: product.code,
+                name: product.name,
+                price: product.price,
+                currentStock: stocks[product.id] || 0,
+                composition,
+                quantity,
+                amount: quantity * product.price,
+                minOrder: product.minOrder,
+                orderUnit: product.orderUnit,
+                forecast: 0,
+                caseSize: product.caseSize,
+                orderUnitType: product.orderUnitType,
+                memo: ''
+            };
+        });
+    }
+
+    async getCompositionData() {
+        const products = await this.getActiveProducts();
+        const counts = products.reduce((result, product) => {
+            const category = product.categoryId || 'その他';
+            result[category] = (result[category] || 0) + 1;
+            return result;
+        }, {});
+
+        return Object.entries(counts).map(([category, count]) => ({ category, percentage: Math.round((count / products.length) * 100) }));
+    }
+
+    /**
+     * 発注を登録（発注数0の行も送り、取り消しとして扱う。発注制約は画面で送信待ちに積む前に確認済み）
+     * @param {string} date - 発注日
+     * @param {Array} orderData - 発注行
+     * @param {Object} budgetData - 予算（APIに項目がないため送らない）
+     * @param {Object} context - { baseVersion, force }（OutboxService の送信情報）
+     * @returns {Promise<Object>} { version }
+     * @throws {DataSourceError} 409 ほかの端末で先に更新されている場合
+     */
+    async saveOrderData(date, orderData, budgetData, context = {}) {
+        const ids = await this.resolveProductIds(orderData);
+        // 端末内だけで登録した商品（サーバーの商品マスタにない商品）は送らない
+        const items = orderData
+            .map((line, index) => ({ product_id: ids[index], quantity: Number(line.quantity) || 0 }))
+            .filter(item => item.product_id);
+
+        const result = await this.request('POST', '/orders', {
+            order_date: date,
+            items,
+            ...RestDataAdapter.toBaseVersion(context)
+        }, { raw: true });
+        return { version: result.version };
+    }
+
+    /**
+     * 日付ごとの更新バージョン（次の保存の base_version）
+     * @param {string} resource - 'orders' | 'daily-reports' | 'confection-notes'
+     * @param {string} date - 対象日
+     * @returns {Promise<number>} バージョン
+     */
+    async getVersion(resource, date) {
+        const result = await this.request('GET', `/${resource}?date=${date}`, null, { raw: true });
+        return result.version || 0;
+    }
+
+    // ========== 洋生ノート ==========
+
+    /**
+     * 洋生ノートの行（保存済みのノートがなければ発注数と移動数の実績から作成）
+     * @param {string} date - 対象日
+     * @returns {Promise<Array>} 洋生ノート行配列
+     */
+    async getConfectionData(date) {
+        const [products, notes, orders, reports] = await Promise.all([
+            this.getActiveProducts(),
+            this.request('GET', `/confection-notes?date=${date}`),
+            this.request('GET', `/orders?date=${date}`),
+            this.request('GET', `/daily-reports?date=${date}`)
+        ]);
+
+        return products.map(product => {
+            const note = notes.find(item => item.product_id === product.id);
+            const order = note ? note.order_quantity : orders.find(item => item.product_id === product.id)?.quantity || 0;
+            const report = reports.find(item => item.product_id === product.id);
+            const movement = note ? note.movement_quantity : report ? report.movement_quantity : 0;
+
+            return {
+                productId: product.id,
+                code: product.code,
+                name: product.name,
+                price: product.price,
+                plan: note ? note.plan_quantity : order,
+                order,
+                movement,
+                afterMovement: order + movement,
+                tasting: note ? note.tasting_quantity : 0,
+                dayStock: order + movement,
+                orderRemain: note ? note.order_remain : 0,
+                endStock: note ? note.end_stock : 0,
+                reservation: note ? note.reservation_quantity : 0,
+                special: note ? note.special_quantity : 0,
+                forecast: note ? note.forecast_quantity : 0,
+                soldoutTime: note ? note.soldout_time : ''
+            };
+        });
+    }
+
+    /**
+     * 洋生ノートを保存（予想は実績ではないため /api/daily-reports には送らない）
+     * @param {string} date - 対象日
+     * @param {Object} data - { headerInfo, confectionData }
+     * @param {Object} context - { baseVersion, force }（OutboxService の送信情報）
+     * @returns {Promise<Object>} { version }
+     * @throws {DataSourceError} 409 ほかの端末で先に更新されている場合
+     */
+    async saveConfectionData(date, data, context = {}) {
+        const rows = data.confectionData;
+        const ids = await this.resolveProductIds(rows);
+        const quantity = value => Math.max(0, Math.round(Number(value) || 0));
+        const integer = value => Math.round(Number(value) || 0);
+
+        const result = await this.request('POST', '/confection-notes', {
+            note_date: date,
+            items: rows.map((row, index) => ({
+                product_id: ids[index],
+                plan_quantity: quantity(row.plan),
+                order_quantity: quantity(row.order),
+                movement_quantity: integer(row.movement),
+                tasting_quantity: quantity(row.tasting),
+                order_remain: quantity(row.orderRemain),
+                end_stock: integer(row.endStock),
+                reservation_quantity: quantity(row.reservation),
+                special_quantity: quantity(row.special),
+                forecast_quantity: quantity(row.forecast),
+                soldout_time: row.soldoutTime || ''
+            })),
+            ...RestDataAdapter.toBaseVersion(context)
+        }, { raw: true });
+        return { version: result.version };
+    }
+
+    // ========== 実績 ==========
+
+    /**
+     * 実績入力の保存内容を送信（前日残・当日在庫はサーバーで計算）
+     * @param {string} date - 対象日
+     * @param {Array} records - daily_record 形式の配列
+     * @param {Object} context - { baseVersion, force }（OutboxService の送信情報）
+     * @returns {Promise<Object>} { version }
+     * @throws {DataSourceError} 409 ほかの端末で先に更新されている場合
+     */
+    async saveDailyRecords(date, records, context = {}) {
+        const ids = await this.resolveProductIds(records.map(record => ({ code: record.product_code })));
+        // 端末内だけで登録した商品（サーバーの商品マスタにない商品）は送らない
+        const items = records
+            .map((record, index) => RestDataAdapter.toReportItem(record, ids[index]))
+            .filter(item => item.product_id);
+
+        const result = await this.request('POST', '/daily-reports', {
+            report_date: date,
+            items,
+            ...RestDataAdapter.toBaseVersion(context)
+        }, { raw: true });
+        return { version: result.version };
+    }
+
+    /**
+     * 日次実績の取込み（日付ごとに /api/daily-reports へ送る。前日残・当日在庫はサーバーで計算）
+     * @param {Array} records - daily_record 形式の配列
+     * @param {string} mode - 'append'（同じ日付・商品を置き換え） | 'overwrite'（ファイル内の日付を置き換え）
+     * @returns {Promise<Object>} { created, updated, removed }
+     */
+    async importDailyRecords(records, mode = 'append') {
+        const ids = await this.resolveProductIds(records.map(record => ({ code: record.product_code })));
+        const unknown = [...new Set(records.filter((record, index) => !ids[index]).map(record => record.product_code))];
+        if (unknown.length > 0) {
+            throw new DataSourceError(400, `サーバーの商品マスタにない商品コードです: ${unknown.join(', ')}`);
+        }
+
+        const dates = [...new Set(records.map(record => record.date))].sort();
+        const existing = await this.request('GET', `/daily-reports?from=${dates[0]}&to=${dates[dates.length - 1]}`);
+        const result = { created: 0, updated: 0, removed: 0 };
+
+        for (const date of dates) {
+            const items = [];
+            records.forEach((record, index) => {
+                if (record.date === date) items.push(RestDataAdapter.toReportItem(record, ids[index]));
+            });
+
+            const saved = existing.filter(report => report.report_date === date);
+            const productIds = new Set(items.map(item => item.product_id));
+            const updated = saved.filter(report => productIds.has(report.product_id)).length;
+            result.updated += updated;
+            result.created += items.length - updated;
+            if (mode === 'overwrite') result.removed += saved.length - updated;
+
+            await this.request('POST', '/daily-reports', { report_date: date, items, replace: mode === 'overwrite' });
+        }
+        return result;
+    }
+
+    // ========== 過去データ・ダッシュボード ==========
+
+    async getDailySummaries(criteria) {
+        const days = await this.getDays(criteria.startDate, criteria.endDate);
+        return days.map(day => DataSummary.summarizeDay(day));
+    }
+
+    async getKPIData(date) {
+        const days = await this.getDays(DataSummary.shiftDate(date, -1), date);
+        const today = days.find(day => day.date === date) || null;
+
+        return DataSummary.buildKpis(today, days.find(day => day.date !== date) || null, {
+            budget: appStore.getState('settings.defaultBudget'),
+            inventoryValue: today ? today.products.reduce((sum, item) => sum + item.stock * item.price, 0) : undefined
+        });
+    }
+
+    async getChartData(date) {
+        const [day] = await this.getDays(date, date);
+        return DataSummary.buildChartData(day || null);
+    }
+
+    async getAlertsData(date) {
+        const [day] = await this.getDays(date, date);
+        return DataSummary.buildAlerts(day || null, date);
+    }
+
+    /**
+     * 期間内の実績を日別の形（DataSummary の入力形式）に変換
+     * @param {string} from - 開始日
+     * @param {string} to - 終了日
+     * @returns {Promise<Array>} 日別の実績
+     */
+    async getDays(from, to) {
+        const [products, reports] = await Promise.all([
+            this.request('GET', '/products').then(rows => rows.map(row => RestDataAdapter.toProduct(row))),
+            this.request('GET', `/daily-reports?from=${from}&to=${to}`)
+        ]);
+        const days = new Map();
+
+        reports.forEach(report => {
+            if (!days.has(report.report_date)) {
+                const weather = EventWeatherService.getByDate(report.report_date);
+                days.set(report.report_date, {
+                    date: report.report_date,
+                    weather: weather ? weather.weather : '',
+                    temperature: weather ? weather.temperature : null,
+                    hourlySales: [],
+                    products: []
+                });
+            }
+
+            const product = products.find(item => item.id === report.product_id) || {};
+            days.get(report.report_date).products.push({
+                code: product.code || '',
+                name: product.name || '',
+                category: product.categoryId || '',
+                price: product.price || 0,
+                orderQuantity: report.delivery_quantity,
+                sales: report.sales_quantity,
+                waste: report.loss_quantity,
+                stock: report.ending_inventory,
+                soldoutTime: ''
+            });
+        });
+
+        return Array.from(days.values()).sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // ========== 内部処理 ==========
+
+    /**
+     * 発注・実績の入力対象の商品（廃止を除く）
+     * @returns {Promise<Array>} 商品配列
+     */
+    async getActiveProducts() {
+        const rows = await this.request('GET', '/products');
+        return rows.map(row => RestDataAdapter.toProduct(row)).filter(product => product.status === 'active');
+    }
+
+    /**
+     * 前営業日の当日在庫（過去14日以内の直近の実績）
+     * @param {string} date - 対象日
+     * @returns {Promise<Object>} 商品ID → 在庫
+     */
+    async getPreviousStocks(date) {
+        const reports = await this.request('GET', `/daily-reports?from=${DataSummary.shiftDate(date, -14)}&to=${DataSummary.shiftDate(date, -1)}`);
+        return reports
+            .sort((a, b) => a.report_date.localeCompare(b.report_date))
+            .reduce((stocks, report) => ({ ...stocks, [report.product_id]: report.ending_inventory }), {});
+    }
+
+    /**
+     * 行の商品IDを解決（モック・端末内で作成した行は商品コードから引く）
+     * @param {Array} rows - { productId?, code } の配列
+     * @returns {Promise<Array>} 商品ID配列
+     */
+    async resolveProductIds(rows) {
+        if (rows.every(row => row.productId)) return rows.map(row => row.productId);
+
+        const products = (await this.request('GET', '/products')).map(row => RestDataAdapter.toProduct(row));
+        return rows.map(row => row.productId || products.find(product => product.code === String(row.code))?.id || null);
+    }
+
+    /**
+     * APIを呼び出す
+     * @param {string} method - HTTPメソッド
+     * @param {string} path - /api 以下のパス
+     * @param {Object|null} body - リクエストボディ
+     * @param {Object} options - { raw: true ならレスポンス全体（version など data 以外の項目を使う場合） }
+     * @returns {Promise<any>} レスポンスの data（data がなければレスポンス全体）
+     * @throws {DataSourceError} APIがエラーを返した場合（通信できない場合は通常のエラー）
+     */
+    async request(method, path, body = null, options = {}) {
+        const token = localStorage.getItem(this.tokenKey);
+        const response = await fetch(`${this.baseUrl}/api${path}`, {
+            method,
+            headers: {
+                ...(body ? { 'Content-Type': 'application/json' } : {}),
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined,
+            cache: 'no-store'
+        });
+
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const errors = result.errors || [];
+            const message = errors.length > 0 ?
+                errors.map(error => `${error.field}: ${error.message}`).join('\n') :
+                RestDataAdapter.getStatusMessages()[response.status] || `サーバーでエラーが発生しました（${response.status}）`;
+
+            if (response.status === 401) localStorage.removeItem(this.tokenKey);
+            throw new DataSourceError(response.status, message, errors);
+        }
+
+        return options.raw || result.data === undefined ? result : result.data;
+    }
+
+    /**
+     * 送信情報から base_version を作成（競合時の上書き・アウトボックスを使わない送信では確認しない）
+     * @param {Object} context - { baseVersion, force }
+     * @returns {Object} { base_version } または空
+     */
+    static toBaseVersion(context = {}) {
+        if (context.force || context.baseVersion === null || context.baseVersion === undefined) return {};
+        return { base_version: context.baseVersion };
+    }
+
+    /**
+     * daily_record をAPIの実績明細に変換
+     * @param {Object} record - daily_record
+     * @param {number|null} productId - サーバーの商品ID
+     * @returns {Object} { product_id, delivery_quantity, movement_quantity, sales_quantity, loss_quantity }
+     */
+    static toReportItem(record, productId) {
+        const quantity = value => Math.max(0, Math.round(Number(value) || 0));
+        return {
+            product_id: productId,
+            delivery_quantity: quantity(record.inbound),
+            movement_quantity: Math.round(Number(record.transfer) || 0),
+            sales_quantity: quantity(record.sold),
+            loss_quantity: quantity(record.loss)
+        };
+    }
+
+    /**
+     * APIの商品を画面の項目名に変換
+     * @param {Object} row - APIの商品
+     * @returns {Object} 商品
+     */
+    static toProduct(row) {
+        return {
+            id: row.id,
+            code: row.code,
+            name: row.name,
+            categoryId: row.category_id,
+            price: row.price,
+            cost: row.cost,
+            supplierId: '',
+            minOrder: row.min_order_quantity,
+            orderUnit: row.order_unit,
+            caseSize: row.case_size,
+            orderUnitType: row.order_unit_type,
+            status: row.status
+        };
+    }
+
+    /**
+     * 画面の商品をAPIの項目名に変換
+     * @param {Object} product - 商品
+     * @returns {Object} APIの商品
+     */
+    static toApiProduct(product) {
+        const integer = (value, fallback) => (value === '' || value === undefined || value === null ? fallback : Number(value));
+
+        return {
+            code: String(product.code ?? ''),
+            name: product.name,
+            category_id: product.categoryId || '',
+            price: integer(product.price, 0),
+            cost: integer(product.cost, 0),
+            min_order_quantity: integer(product.minOrder, 0),
+            order_unit: integer(product.orderUnit, 1),
+            case_size: integer(product.caseSize, 1),
+            order_unit_type: product.orderUnitType || 'piece',
+            status: product.status || 'active'
+        };
+    }
+}
+
+export { RestDataAdapter, DataSourceError };
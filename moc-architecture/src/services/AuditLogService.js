@@ -0,0 +1,452 @@
+/**
+ * AuditLogService - 操作ログ（監査ログ, SET-LOG）
+ * MOCアーキテクチャのサービス層
+ *
+ * 仕様書.md の audit_logs（timestamp, user_id, action, screen_id, payload_summary）に対応する。
+ * EventBus のミドルウェアとして各画面が発火する業務イベント（実績保存・洋生ノート保存・
+ * 発注数/予算の変更・マスタ編集）を捕捉し、変更前後の差分とともに IndexedDB に追記する。
+ *
+ * - ログは追記のみ（更新・削除の手段は用意しない）
+ * - 変更前の値はイベントの before、なければ前回記録したときの状態（snapshots）から求める
+ * - 記録はイベントの配信を待たせないよう、キューで順番に非同期で行う
+ */
+
+import { eventBus } from '../utils/EventBus.js';
+import { AuthService, authService } from './AuthService.js';
+
+class AuditLogService {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'moc_audit_db';
+        this.dbVersion = options.dbVersion || 1;
+        this.maxSummaryLength = options.maxSummaryLength || 200;
+
+        this.dbPromise = null;
+        this.queue = Promise.resolve();
+        this.started = false;
+
+        this.capture = this.capture.bind(this);
+    }
+
+    /**
+     * IndexedDBが利用可能か判定
+     * @returns {boolean} 利用可否
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * 画面ID → 画面名（仕様書.md の画面一覧）
+     * @returns {Object} 画面名
+     */
+    static getScreenLabels() {
+        return {
+            'IRY-001': '実績入力',
+            'SIM-001': '発注シミュレーション',
+            'OTE-001': '洋生ノート',
+            'MST-PRD': '商品マスタ',
+            'MST-CST': '得意先マスタ',
+            'MST-ETC': 'イベント・気象',
+            'MST-USR': 'ユーザー管理',
+            'SET-SYS': 'システム設定'
+        };
+    }
+
+    /**
+     * 記録対象のイベントと記録方法
+     * イベント名 → { screen, action, key(data), target(data), state(data), before?(data) }
+     * state は差分を取る項目を「表示名 → 値」のオブジェクトで返す（入れ子は「.」でつなぐ）
+     * @returns {Object} ルール
+     */
+    static getRules() {
+        const rowLabel = row => `${row.code} ${row.name || ''}`.trim();
+
+        return {
+            'performance.saved': {
+                screen: 'IRY-001',
+                action: '実績保存',
+                key: data => `performance:${data.targetDate}`,
+                target: data => `実績入力 ${data.targetDate}`,
+                state: data => ({
+                    天気: data.weather,
+                    気温: data.temperature,
+                    ...Object.fromEntries((data.performance || []).map(row => [rowLabel(row), {
+                        前日残: row.prevStock,
+                        入荷: row.delivery,
+                        移動: row.movement,
+                        販売数: row.sales,
+                        ロス数: row.waste,
+                        閉店時在庫: row.stockClose,
+                        完売時間: row.soldoutTime,
+                        メモ: row.memo
+                    }]))
+                })
+            },
+            'performance.reconciled': {
+                screen: 'IRY-001',
+                action: '棚卸照合',
+                key: data => `reconciliation:${data.date}`,
+                target: data => `棚卸照合 ${data.date}`,
+                state: data => Object.fromEntries((data.entries || []).map(entry => [rowLabel(entry), {
+                    理論在庫: entry.computedStock,
+                    実在庫: entry.countedStock,
+                    理由: entry.reason,
+                    メモ: entry.memo
+                }]))
+            },
+            'westernConfection.saved': {
+                screen: 'OTE-001',
+                action: '洋生ノート保存',
+                key: data => `westernConfection:${data.headerInfo.date}`,
+                target: data => `洋生ノート ${data.headerInfo.date}`,
+                state: data => ({
+                    天気: data.headerInfo.weather,
+                    気温: data.headerInfo.temperature,
+                    ...Object.fromEntries((data.confectionData || []).map(row => [rowLabel(row), {
+                        計画数: row.plan,
+                        発注数: row.order,
+                        移動数: row.movement,
+                        試食: row.tasting,
+                        予約: row.reservation,
+                        特注: row.special,
+                        予想実績: row.forecast,
+                        完売時間: row.soldoutTime
+                    }]))
+                })
+            },
+            'order.productUpdated': {
+                screen: 'SIM-001',
+                action: '発注数変更',
+                key: data => `order:${data.row.code}`,
+                target: data => `発注 ${rowLabel(data.row)}`,
+                state: data => ({
+                    構成比: data.row.composition,
+                    発注数: data.row.quantity,
+                    金額: data.row.amount
+                })
+            },
+            'order.budgetUpdated': {
+                screen: 'SIM-001',
+                action: '予算変更',
+                key: data => `orderBudget:${data.budgetKey}`,
+                target: data => `発注予算 ${{ today: '当日', tomorrow: '翌日', dayAfter: '翌々日' }[data.budgetKey] || data.budgetKey}`,
+                state: data => ({ 予算: data.value })
+            },
+            // マスタ編集は MasterMaintenanceService が { entity, key, action, screen, label, before, after } で発火する
+            'master.updated': {
+                screen: data => data.screen,
+                action: data => data.action,
+                key: data => `master:${data.entity}:${data.key}`,
+                target: data => data.label || `${data.entity} ${data.key}`,
+                state: data => data.after,
+                before: data => data.before
+            }
+        };
+    }
+
+    /**
+     * 変更前後の差分
+     * @param {Object|null} before - 変更前の状態
+     * @param {Object|null} after - 変更後の状態
+     * @returns {Array} [{ field, before, after }]
+     */
+    static diff(before, after) {
+        const previous = this.flatten(before);
+        const current = this.flatten(after);
+        const fields = [...new Set([...Object.keys(previous), ...Object.keys(current)])];
+        const isEmpty = value => value === undefined || value === null || value === '';
+
+        return fields
+            .filter(field => !(isEmpty(previous[field]) && isEmpty(current[field])))
+            .filter(field => String(previous[field] ?? '') !== String(current[field] ?? ''))
+            .map(field => ({
+                field,
+                before: isEmpty(previous[field]) ? '' : previous[field],
+                after: isEmpty(current[field]) ? '' : current[field]
+            }));
+    }
+
+    /**
+     * 入れ子のオブジェクトを「親.子」のキーに平坦化
+     * @param {Object|null} value - 状態
+     * @param {string} prefix - キーの接頭辞
+     * @returns {Object} 平坦化した状態
+     */
+    static flatten(value, prefix = '') {
+        if (!value || typeof value !== 'object') return {};
+
+        return Object.entries(value).reduce((flat, [key, item]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (item && typeof item === 'object' && !Array.isArray(item)) {
+                Object.assign(flat, this.flatten(item, path));
+            } else {
+                flat[path] = Array.isArray(item) ? item.join(' / ') : item;
+            }
+            return flat;
+        }, {});
+    }
+
+    /**
+     * 一覧表示・CSV出力用の概要
+     * @param {string} target - 対象
+     * @param {Array} changes - 差分
+     * @param {number} maxLength - 最大文字数
+     * @returns {string} 概要
+     */
+    static summarize(target, changes, maxLength = 200) {
+        if (changes.length === 0) return `${target}（変更なし）`;
+
+        const summary = `${target}（${changes.length}項目）${changes.map(change => this.formatChange(change)).join('、')}`;
+        return summary.length > maxLength ? `${summary.slice(0, maxLength - 1)}…` : summary;
+    }
+
+    /**
+     * 差分1件の表示形式（例: 「販売数: 5→7」）
+     * @param {Object} change - { field, before, after }
+     * @returns {string} 表示文字列
+     */
+    static formatChange(change) {
+        const format = value => (value === '' ? '(空)' : value);
+        return `${change.field}: ${format(change.before)}→${format(change.after)}`;
+    }
+
+    // ========== 記録 ==========
+
+    /**
+     * EventBus のミドルウェアとして登録
+     */
+    start() {
+        if (this.started || !AuditLogService.isAvailable()) return;
+        this.started = true;
+
+        eventBus.use(this.capture);
+    }
+
+    /**
+     * ミドルウェア: 記録対象のイベントを記録キューに積む（イベントはそのまま配信する）
+     * @param {Object} event - { name, data, timestamp, id }
+     */
+    capture(event) {
+        const rule = AuditLogService.getRules()[event.name];
+        if (!rule || !event.data) return;
+
+        let entry;
+        try {
+            // 発火後に画面側でデータが書き換わるため、状態はこの時点で複製しておく
+            entry = this.buildEntry(event, rule);
+        } catch (error) {
+            console.warn('操作ログの作成に失敗しました:', event.name, error);
+            return;
+        }
+
+        this.queue = this.queue
+            .then(() => this.append(entry))
+            .catch(error => console.warn('操作ログの記録に失敗しました:', error));
+    }
+
+    /**
+     * イベントから記録内容を作成
+     * @param {Object} event - イベント
+     * @param {Object} rule - getRules() の要素
+     * @returns {Object} 記録内容（差分は append で求める）
+     */
+    buildEntry(event, rule) {
+        const data = event.data;
+        const user = authService.getCurrentUser();
+        const resolve = value => (typeof value === 'function' ? value(data) : value);
+        const clone = value => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+        return {
+            timestamp: new Date(event.timestamp || Date.now()).toISOString(),
+            user_id: user ? user.username : '',
+            user_role: user ? user.role : '',
+            action: resolve(rule.action),
+            screen_id: resolve(rule.screen) || '',
+            event: event.name,
+            key: rule.key(data),
+            target: rule.target(data),
+            state: clone(rule.state(data)),
+            before: rule.before ? { value: clone(rule.before(data)) } : null
+        };
+    }
+
+    /**
+     * 差分を求めてログを追記し、今回の状態を次回の比較用に保存
+     * @param {Object} entry - buildEntry() の戻り値
+     * @returns {Promise<Object>} 追記したログ
+     */
+    async append(entry) {
+        const { key, state, before, ...log } = entry;
+        const snapshot = before ? null :
+            await this.runTransaction('snapshots', 'readonly', tx => tx.objectStore('snapshots').get(key));
+
+        const changes = AuditLogService.diff(before ? before.value : (snapshot ? snapshot.state : null), state);
+        const record = {
+            ...log,
+            payload_summary: AuditLogService.summarize(log.target, changes, this.maxSummaryLength),
+            changes
+        };
+
+        await this.runTransaction(['auditLogs', 'snapshots'], 'readwrite', tx => {
+            tx.objectStore('snapshots').put({ key, state, updatedAt: record.timestamp });
+            tx.objectStore('auditLogs').add(record);
+        });
+
+        eventBus.emit('audit.recorded', record);
+        return record;
+    }
+
+    /**
+     * 記録待ちのログがすべて書き込まれるまで待つ
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.queue;
+    }
+
+    // ========== 参照 ==========
+
+    /**
+     * ログを取得（新しい順）
+     * @param {Object} filters - { username, screen, from: YYYY-MM-DD, to: YYYY-MM-DD, limit }
+     * @returns {Promise<Array>} ログ
+     */
+    async getLogs(filters = {}) {
+        await this.flush();
+        const logs = await this.runTransaction('auditLogs', 'readonly', tx => tx.objectStore('auditLogs').getAll());
+        const toDate = timestamp => AuditLogService.formatDate(new Date(timestamp));
+
+        return (logs || [])
+            .filter(log => !filters.username || log.user_id === filters.username)
+            .filter(log => !filters.screen || log.screen_id === filters.screen)
+            .filter(log => !filters.from || toDate(log.timestamp) >= filters.from)
+            .filter(log => !filters.to || toDate(log.timestamp) <= filters.to)
+            .sort((a, b) => b.id - a.id)
+            .slice(0, filters.limit || 1000);
+    }
+
+    /**
+     * ログに記録されているユーザーID一覧（絞り込み用）
+     * @returns {Promise<Array>} ユーザーID配列
+     */
+    async getUsernames() {
+        const logs = await this.getLogs({ limit: Infinity });
+        return [...new Set(logs.map(log => log.user_id).filter(Boolean))].sort();
+    }
+
+    /**
+     * CSV出力（仕様書.md の audit_logs の列＋変更内容）
+     * @param {Array} logs - ログ
+     * @returns {string} CSV文字列
+     */
+    static toCSV(logs = []) {
+        const screenLabels = this.getScreenLabels();
+        const roleLabels = AuthService.getRoleLabels();
+        const escape = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+        const headers = ['timestamp', 'user_id', '権限', 'action', 'screen_id', '画面', 'payload_summary', '変更内容'];
+
+        return [
+            headers.join(','),
+            ...logs.map(log => [
+                log.timestamp,
+                log.user_id,
+                roleLabels[log.user_role] || log.user_role,
+                log.action,
+                log.screen_id,
+                screenLabels[log.screen_id] || '',
+                log.payload_summary,
+                (log.changes || []).map(change => this.formatChange(change)).join('\n')
+            ].map(escape).join(','))
+        ].join('\r\n');
+    }
+
+    /**
+     * 日付を YYYY-MM-DD（端末のタイムゾーン）に変換
+     * @param {Date} date - 日付
+     * @returns {string} YYYY-MM-DD
+     */
+    static formatDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // ========== 内部処理 ==========
+
+    /**
+     * データベースを開く（初回はストアを作成）
+     * @returns {Promise<IDBDatabase>} データベース
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        if (!AuditLogService.isAvailable()) {
+            return Promise.reject(new Error('IndexedDBが利用できません'));
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains('auditLogs')) {
+                    const store = db.createObjectStore('auditLogs', { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('timestamp', 'timestamp', { unique: false });
+                    store.createIndex('user_id', 'user_id', { unique: false });
+                    store.createIndex('screen_id', 'screen_id', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains('snapshots')) {
+                    db.createObjectStore('snapshots', { keyPath: 'key' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * トランザクション内で処理を実行
+     * @param {string|Array} storeNames - ストア名
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} callback - (tx) => IDBRequest|any
+     * @returns {Promise<any>} リクエスト結果
+     */
+    async runTransaction(storeNames, mode, callback) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            const request = callback(tx);
+            if (request && 'onsuccess' in request) {
+                request.onsuccess = () => { result = request.result; };
+            } else {
+                result = request;
+            }
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('トランザクションが中断されました'));
+        });
+    }
+}
+
+// シングルトンインスタンスを作成（読み込んだ画面の業務イベントを記録する）
+const auditLogService = new AuditLogService();
+auditLogService.start();
+
+export { AuditLogService, auditLogService };
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.AuditLogService = AuditLogService;
+    window.auditLogService = auditLogService;
+}
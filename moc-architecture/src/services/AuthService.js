@@ -0,0 +1,853 @@
+/**
+ * AuthService - ログイン認証・セッション管理（LGN-001）
+ * MOCアーキテクチャのサービス層
+ *
+ * 仕様書 LGN-001「ユーザID/パスワード（最小8文字、5回失敗でロック）」に対応する。
+ * - パスワードは端末内で PBKDF2（SHA-256・ユーザーごとのソルト）で派生した値のみを保存する
+ * - 連続5回の失敗でアカウントをロックし、管理者がマスタメンテナンスで解除する
+ * - 一定時間操作がなければセッションを終了してログイン画面へ戻す
+ * - ログイン試行・ログアウトはすべてログイン履歴（IndexedDB）に記録する
+ *
+ * オフライン（VPN切断中）でもログインできるよう、認証は端末内で完結させている。
+ */
+
+import { eventBus } from '../utils/EventBus.js';
+import { appStore } from '../stores/AppStore.js';
+import { PermissionService } from './PermissionService.js';
+
+class AuthService {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'moc_auth_db';
+        this.dbVersion = options.dbVersion || 1;
+        this.sessionKey = options.sessionKey || 'moc_session';
+        // login-moc.html は moc-architecture 直下
+        this.loginPage = options.loginPage || new URL('../../login-moc.html', import.meta.url).href;
+
+        this.dbPromise = null;
+        this.seedPromise = null;
+        this.timeoutTimer = null;
+        this.lastTouchedAt = 0;
+        this.started = false;
+
+        this.handleActivity = this.handleActivity.bind(this);
+        this.handleStorage = this.handleStorage.bind(this);
+    }
+
+    /**
+     * IndexedDBが利用可能か判定
+     * @returns {boolean} 利用可否
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * 認証ポリシー
+     * @returns {Object} ポリシー
+     */
+    static getPolicy() {
+        return {
+            minPasswordLength: 8,
+            maxFailedAttempts: 5,
+            sessionTimeoutMinutes: 30,
+            kdfIterations: 100000
+        };
+    }
+
+    /**
+     * 権限の表示名
+     * @returns {Object} role → 表示名
+     */
+    static getRoleLabels() {
+        return {
+            admin: '管理者',
+            manager: 'マネージャー',
+            staff: 'スタッフ',
+            readonly: '参照のみ'
+        };
+    }
+
+    /**
+     * ログイン結果の表示名
+     * @returns {Object} result → 表示名
+     */
+    static getResultLabels() {
+        return {
+            success: '成功',
+            invalid: '認証失敗',
+            locked: 'ロック中',
+            suspended: '停止中',
+            inactive: '無効',
+            passwordChangeRequired: 'パスワード変更要求',
+            logout: 'ログアウト',
+            timeout: 'タイムアウト',
+            forbidden: '権限なし'
+        };
+    }
+
+    /**
+     * 初期パスワード（初期ユーザー・パスワード初期化時。初回ログイン時に変更を求める）
+     * @returns {string} 初期パスワード
+     */
+    static getInitialPassword() {
+        return 'moc-initial';
+    }
+
+    /**
+     * 初期ユーザー（ユーザーが1件もない場合に登録）
+     * @returns {Array} ユーザー配列
+     */
+    static getInitialUsers() {
+        return [
+            { username: 'admin', email: 'admin@company.com', displayName: '管理者', role: 'admin', status: 'active' },
+            { username: 'manager', email: 'manager@company.com', displayName: 'マネージャー', role: 'manager', status: 'active' },
+            { username: 'staff1', email: 'staff1@company.com', displayName: 'スタッフ1', role: 'staff', status: 'active' }
+        ];
+    }
+
+    /**
+     * セッションのタイムアウト（分）
+     * マスタメンテナンスのシステム設定 sessionTimeoutMinutes で変更可能
+     * @returns {number} 分
+     */
+    static getSessionTimeoutMinutes() {
+        const minutes = parseInt(appStore.getState('settings.sessionTimeoutMinutes'), 10);
+        return minutes > 0 ? minutes : this.getPolicy().sessionTimeoutMinutes;
+    }
+
+    // ========== パスワード ==========
+
+    /**
+     * パスワードポリシーの検証
+     * @param {string} password - パスワード
+     * @param {Object} options - { username: ユーザーIDと同一を禁止 }
+     * @returns {Object} { isValid, errors }
+     */
+    static validatePassword(password, options = {}) {
+        const policy = this.getPolicy();
+        const errors = [];
+        const value = password || '';
+
+        if (value.length < policy.minPasswordLength) {
+            errors.push(`パスワードは${policy.minPasswordLength}文字以上で入力してください`);
+        }
+        if (options.username && value === options.username) {
+            errors.push('ユーザーIDと同じパスワードは使用できません');
+        }
+        if (value === this.getInitialPassword()) {
+            errors.push('初期パスワードは使用できません');
+        }
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    /**
+     * パスワードから資格情報を派生（PBKDF2-SHA256）
+     * @param {string} password - パスワード
+     * @param {string} salt - ソルト（16進数。省略時は新規生成）
+     * @param {number} iterations - 反復回数
+     * @returns {Promise<Object>} { algorithm, iterations, salt, hash }
+     */
+    static async deriveCredential(password, salt = null, iterations = this.getPolicy().kdfIterations) {
+        const subtle = globalThis.crypto && globalThis.crypto.subtle;
+        if (!subtle) {
+            throw new Error('この環境では暗号化機能（Web Crypto）が利用できません（HTTPS または localhost で開いてください）');
+        }
+
+        const saltHex = salt || this.toHex(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+        const key = await subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = await subtle.deriveBits(
+            { name: 'PBKDF2', salt: this.fromHex(saltHex), iterations, hash: 'SHA-256' },
+            key,
+            256
+        );
+
+        return { algorithm: 'PBKDF2-SHA256', iterations, salt: saltHex, hash: this.toHex(new Uint8Array(bits)) };
+    }
+
+    /**
+     * パスワードを資格情報と照合
+     * @param {string} password - 入力されたパスワード
+     * @param {Object} credential - 保存済みの資格情報
+     * @returns {Promise<boolean>} 一致すればtrue
+     */
+    static async verifyPassword(password, credential) {
+        if (!credential) return false;
+
+        const derived = await this.deriveCredential(password, credential.salt, credential.iterations);
+
+        // 比較時間で一致した桁数が推測されないよう、全桁を比較する
+        let diff = derived.hash.length ^ credential.hash.length;
+        for (let i = 0; i < derived.hash.length; i++) {
+            diff |= derived.hash.charCodeAt(i) ^ (credential.hash.charCodeAt(i) || 0);
+        }
+        return diff === 0;
+    }
+
+    /**
+     * バイト列を16進数文字列に変換
+     * @param {Uint8Array} bytes - バイト列
+     * @returns {string} 16進数文字列
+     */
+    static toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * 16進数文字列をバイト列に変換
+     * @param {string} hex - 16進数文字列
+     * @returns {Uint8Array} バイト列
+     */
+    static fromHex(hex) {
+        return new Uint8Array(hex.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+    }
+
+    // ========== ログイン・ログアウト ==========
+
+    /**
+     * ログイン
+     * @param {string} username - ユーザーID
+     * @param {string} password - パスワード
+     * @returns {Promise<Object>} { success, result, message, user, remainingAttempts }
+     */
+    async login(username, password) {
+        await this.ensureSeeded();
+
+        const policy = AuthService.getPolicy();
+        const user = await this.getUserRecord(username);
+
+        // 存在しないユーザーとパスワード誤りは同じ応答にする（ユーザーIDの推測を防ぐ）
+        if (!user) {
+            await this.recordHistory(username, 'login', 'invalid');
+            return { success: false, result: 'invalid', message: 'ユーザーIDまたはパスワードが正しくありません' };
+        }
+
+        if (user.lockedAt) {
+            await this.recordHistory(username, 'login', 'locked');
+            return { success: false, result: 'locked', message: 'アカウントがロックされています。管理者にロック解除を依頼してください' };
+        }
+
+        if (user.status !== 'active') {
+            const result = user.status === 'suspended' ? 'suspended' : 'inactive';
+            await this.recordHistory(username, 'login', result);
+            return { success: false, result, message: 'このアカウントは利用できません。管理者に確認してください' };
+        }
+
+        const valid = (password || '').length >= policy.minPasswordLength &&
+            await AuthService.verifyPassword(password, user.credential);
+
+        if (!valid) {
+            const { failedAttempts, locked } = await this.registerFailure(user);
+
+            if (locked) {
+                return {
+                    success: false,
+                    result: 'locked',
+                    message: `${policy.maxFailedAttempts}回続けて失敗したため、アカウントをロックしました。管理者にロック解除を依頼してください`
+                };
+            }
+
+            const remainingAttempts = policy.maxFailedAttempts - failedAttempts;
+            return {
+                success: false,
+                result: 'invalid',
+                message: `ユーザーIDまたはパスワードが正しくありません（あと${remainingAttempts}回失敗するとロックされます）`,
+                remainingAttempts
+            };
+        }
+
+        if (user.mustChangePassword) {
+            await this.putUserRecord({ ...user, failedAttempts: 0 });
+            await this.recordHistory(username, 'login', 'passwordChangeRequired');
+            return { success: false, result: 'passwordChangeRequired', message: '初回ログインのため、パスワードを変更してください' };
+        }
+
+        const now = new Date().toISOString();
+        await this.putUserRecord({ ...user, failedAttempts: 0, lastLogin: now });
+        await this.recordHistory(username, 'login', 'success');
+
+        const sessionUser = this.toSessionUser(user);
+        this.createSession(sessionUser);
+        eventBus.emit('auth.login', sessionUser);
+
+        return { success: true, result: 'success', user: sessionUser };
+    }
+
+    /**
+     * ログアウト
+     * @param {string} reason - 'logout' | 'timeout'
+     * @returns {Promise<void>}
+     */
+    async logout(reason = 'logout') {
+        const session = this.readSession();
+        this.clearSession();
+
+        if (session) {
+            try {
+                await this.recordHistory(session.user.username, 'logout', reason);
+            } catch (error) {
+                console.warn('ログイン履歴の記録に失敗しました:', error);
+            }
+            eventBus.emit('auth.logout', { username: session.user.username, reason });
+        }
+    }
+
+    /**
+     * パスワード変更（初回ログイン時・利用者自身による変更）
+     * @param {string} username - ユーザーID
+     * @param {string} currentPassword - 現在のパスワード
+     * @param {string} newPassword - 新しいパスワード
+     * @returns {Promise<Object>} { success, errors }
+     */
+    async changePassword(username, currentPassword, newPassword) {
+        const user = await this.getUserRecord(username);
+        if (!user || user.lockedAt) {
+            return { success: false, errors: ['現在のパスワードが正しくありません'] };
+        }
+
+        // 現在のパスワードの誤りもログイン失敗と同様に数える（変更画面からの総当たりを防ぐ）
+        if (!(await AuthService.verifyPassword(currentPassword, user.credential))) {
+            const { locked } = await this.registerFailure(user, 'パスワード変更');
+            return {
+                success: false,
+                errors: [locked ? 'アカウントがロックされました。管理者にロック解除を依頼してください' : '現在のパスワードが正しくありません']
+            };
+        }
+
+        const validation = AuthService.validatePassword(newPassword, { username });
+        if (currentPassword === newPassword) {
+            validation.errors.push('現在と同じパスワードは使用できません');
+        }
+        if (validation.errors.length > 0) {
+            return { success: false, errors: validation.errors };
+        }
+
+        await this.putUserRecord({
+            ...user,
+            credential: await AuthService.deriveCredential(newPassword),
+            mustChangePassword: false,
+            passwordChangedAt: new Date().toISOString()
+        });
+        eventBus.emit('auth.passwordChanged', { username });
+
+        return { success: true, errors: [] };
+    }
+
+    /**
+     * 認証失敗を記録（上限に達したらロック）
+     * @param {Object} user - ユーザーレコード
+     * @param {string} context - 履歴の補足（例: 'パスワード変更'）
+     * @returns {Promise<Object>} { failedAttempts, locked }
+     */
+    async registerFailure(user, context = '') {
+        const failedAttempts = (user.failedAttempts || 0) + 1;
+        const locked = failedAttempts >= AuthService.getPolicy().maxFailedAttempts;
+
+        await this.putUserRecord({
+            ...user,
+            failedAttempts,
+            lockedAt: locked ? new Date().toISOString() : null
+        });
+        await this.recordHistory(
+            user.username,
+            'login',
+            locked ? 'locked' : 'invalid',
+            [context, `失敗 ${failedAttempts}回目`].filter(Boolean).join(' ')
+        );
+
+        if (locked) {
+            eventBus.emit('auth.locked', { username: user.username });
+        }
+        return { failedAttempts, locked };
+    }
+
+    // ========== セッション ==========
+
+    /**
+     * セッションを作成
+     * @param {Object} user - セッションに保持するユーザー情報
+     */
+    createSession(user) {
+        const now = Date.now();
+        localStorage.setItem(this.sessionKey, JSON.stringify({ user, startedAt: now, lastActivityAt: now }));
+        this.lastTouchedAt = now;
+        appStore.setCurrentUser(user);
+    }
+
+    /**
+     * 保存されたセッションを読み込み（期限切れでもそのまま返す）
+     * @returns {Object|null} { user, startedAt, lastActivityAt }
+     */
+    readSession() {
+        try {
+            const saved = localStorage.getItem(this.sessionKey);
+            return saved ? JSON.parse(saved) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 有効なセッションを取得
+     * @returns {Object|null} セッション（未ログイン・期限切れは null）
+     */
+    getSession() {
+        const session = this.readSession();
+        if (!session || this.isExpired(session)) return null;
+        return session;
+    }
+
+    /**
+     * ログイン中のユーザーを取得
+     * @returns {Object|null} ユーザー情報
+     */
+    getCurrentUser() {
+        const session = this.getSession();
+        return session ? session.user : null;
+    }
+
+    /**
+     * 操作のない時間がタイムアウトを超えたか判定
+     * @param {Object} session - セッション
+     * @returns {boolean} 期限切れならtrue
+     */
+    isExpired(session) {
+        const timeout = AuthService.getSessionTimeoutMinutes() * 60 * 1000;
+        return Date.now() - session.lastActivityAt > timeout;
+    }
+
+    /**
+     * セッションを破棄
+     */
+    clearSession() {
+        localStorage.removeItem(this.sessionKey);
+        this.stopMonitoring();
+        appStore.setCurrentUser(null);
+    }
+
+    /**
+     * ログイン必須の画面で呼び出す（未ログイン・期限切れならログイン画面へ移動）
+     * @returns {boolean} ログイン済みならtrue
+     */
+    requireSession() {
+        const session = this.readSession();
+
+        if (!session) {
+            this.redirectToLogin();
+            return false;
+        }
+
+        if (this.isExpired(session)) {
+            this.logout('timeout').finally(() => this.redirectToLogin('timeout'));
+            return false;
+        }
+
+        const current = appStore.getState('currentUser');
+        if (!current || current.username !== session.user.username) {
+            appStore.setCurrentUser(session.user);
+        }
+        this.touch(true);
+        this.startMonitoring();
+        return true;
+    }
+
+    /**
+     * ログイン画面へ移動（ログイン後に元の画面へ戻れるよう return を付ける）
+     * @param {string} reason - 'timeout' など
+     */
+    redirectToLogin(reason = '') {
+        const url = new URL(this.loginPage);
+        const current = window.location.href;
+        if (current.split('?')[0].split('#')[0] !== url.href) {
+            url.searchParams.set('return', current);
+        }
+        if (reason) url.searchParams.set('reason', reason);
+
+        window.location.href = url.href;
+    }
+
+    /**
+     * ログイン後の移動先を取得（同一オリジンのURLのみ許可）
+     * @param {string} returnUrl - return パラメータ
+     * @returns {string} 移動先URL
+     */
+    resolveReturnUrl(returnUrl) {
+        const fallback = new URL('index-moc.html', this.loginPage).href;
+        if (!returnUrl) return fallback;
+
+        try {
+            const url = new URL(returnUrl, this.loginPage);
+            return url.origin === new URL(this.loginPage).origin ? url.href : fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    /**
+     * 最終操作時刻を更新（書き込みは10秒に1回まで）
+     * @param {boolean} force - 間引かずに更新
+     */
+    touch(force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastTouchedAt < 10000) return;
+
+        const session = this.readSession();
+        if (!session) return;
+
+        session.lastActivityAt = now;
+        localStorage.setItem(this.sessionKey, JSON.stringify(session));
+        this.lastTouchedAt = now;
+    }
+
+    /**
+     * 操作の監視とタイムアウト判定を開始
+     */
+    startMonitoring() {
+        if (this.started || typeof window === 'undefined') return;
+        this.started = true;
+
+        ['pointerdown', 'keydown'].forEach(type => document.addEventListener(type, this.handleActivity, true));
+        window.addEventListener('storage', this.handleStorage);
+
+        this.timeoutTimer = setInterval(() => this.checkTimeout(), 30000);
+    }
+
+    /**
+     * 操作の監視を停止
+     */
+    stopMonitoring() {
+        if (!this.started) return;
+        this.started = false;
+
+        ['pointerdown', 'keydown'].forEach(type => document.removeEventListener(type, this.handleActivity, true));
+        window.removeEventListener('storage', this.handleStorage);
+
+        clearInterval(this.timeoutTimer);
+        this.timeoutTimer = null;
+    }
+
+    /**
+     * 利用者の操作ハンドラー
+     */
+    handleActivity() {
+        this.touch();
+    }
+
+    /**
+     * 他のタブでのログアウトを反映
+     * @param {StorageEvent} event - storage イベント
+     */
+    handleStorage(event) {
+        if (event.key === this.sessionKey && !event.newValue) {
+            this.stopMonitoring();
+            appStore.setCurrentUser(null);
+            this.redirectToLogin();
+        }
+    }
+
+    /**
+     * タイムアウト判定（操作がなければログアウトしてログイン画面へ）
+     */
+    async checkTimeout() {
+        const session = this.readSession();
+        if (!session) {
+            this.stopMonitoring();
+            return;
+        }
+        if (!this.isExpired(session)) return;
+
+        await this.logout('timeout');
+        this.redirectToLogin('timeout');
+    }
+
+    // ========== ユーザー管理 ==========
+
+    /**
+     * ユーザー一覧を取得（資格情報は含めない）
+     * @returns {Promise<Array>} ユーザー配列
+     */
+    async getUsers() {
+        await this.ensureSeeded();
+        const users = await this.runTransaction('users', 'readonly', tx => tx.objectStore('users').getAll());
+        return (users || [])
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map(user => this.toPublicUser(user));
+    }
+
+    /**
+     * ユーザーを登録・更新（新規ユーザーは初期パスワードで登録し、初回ログイン時に変更を求める）
+     * @param {Object} data - { username, displayName, email, role, status }
+     * @returns {Promise<Object>} 保存したユーザー
+     */
+    async saveUser(data) {
+        PermissionService.authorize('users.manage', { screen: 'MST-USR', action: 'ユーザー登録・更新' });
+        await this.ensureSeeded();
+
+        const username = (data.username || '').trim();
+        if (!/^[A-Za-z0-9._-]{3,32}$/.test(username)) {
+            throw new Error('ユーザーIDは3〜32文字の英数字・記号（. _ -）で入力してください');
+        }
+        if (!AuthService.getRoleLabels()[data.role]) {
+            throw new Error('権限が正しくありません');
+        }
+
+        const existing = await this.getUserRecord(username);
+        const user = existing ?
+            { ...existing, ...this.pickEditable(data) } :
+            await this.buildUser({ ...data, username });
+
+        await this.putUserRecord(user);
+        return this.toPublicUser(user);
+    }
+
+    /**
+     * ロックを解除
+     * @param {string} username - ユーザーID
+     * @returns {Promise<void>}
+     */
+    async unlockUser(username) {
+        PermissionService.authorize('users.manage', { screen: 'MST-USR', action: 'ロック解除' });
+        const user = await this.getUserRecord(username);
+        if (!user) throw new Error(`ユーザーが見つかりません: ${username}`);
+
+        await this.putUserRecord({ ...user, failedAttempts: 0, lockedAt: null });
+        eventBus.emit('auth.unlocked', { username });
+    }
+
+    /**
+     * パスワードを初期化（初期パスワードに戻し、ロックも解除する）
+     * @param {string} username - ユーザーID
+     * @returns {Promise<void>}
+     */
+    async resetPassword(username) {
+        PermissionService.authorize('users.manage', { screen: 'MST-USR', action: 'パスワード初期化' });
+        const user = await this.getUserRecord(username);
+        if (!user) throw new Error(`ユーザーが見つかりません: ${username}`);
+
+        await this.putUserRecord({
+            ...user,
+            credential: await AuthService.deriveCredential(AuthService.getInitialPassword()),
+            mustChangePassword: true,
+            failedAttempts: 0,
+            lockedAt: null
+        });
+    }
+
+    // ========== ログイン履歴 ==========
+
+    /**
+     * ログイン履歴を記録
+     * @param {string} username - ユーザーID（入力値）
+     * @param {string} event - 'login' | 'logout' | 'denied'（権限のない操作）
+     * @param {string} result - getResultLabels() のキー
+     * @param {string} detail - 補足
+     * @returns {Promise<void>}
+     */
+    recordHistory(username, event, result, detail = '') {
+        const entry = {
+            username: username || '',
+            event,
+            result,
+            detail,
+            online: typeof navigator === 'undefined' || navigator.onLine !== false,
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : '',
+            at: new Date().toISOString()
+        };
+
+        eventBus.emit('auth.history', entry);
+        return this.runTransaction('loginHistory', 'readwrite', tx => tx.objectStore('loginHistory').add(entry));
+    }
+
+    /**
+     * ログイン履歴を取得（新しい順）
+     * @param {Object} options - { username, limit }
+     * @returns {Promise<Array>} 履歴
+     */
+    async getLoginHistory(options = {}) {
+        const limit = options.limit || 200;
+        const entries = await this.runTransaction('loginHistory', 'readonly', tx => tx.objectStore('loginHistory').getAll());
+
+        return (entries || [])
+            .filter(entry => !options.username || entry.username === options.username)
+            .sort((a, b) => b.id - a.id)
+            .slice(0, limit);
+    }
+
+    // ========== 内部処理 ==========
+
+    /**
+     * ユーザーが1件もなければ初期ユーザーを登録
+     * @returns {Promise<void>}
+     */
+    ensureSeeded() {
+        if (this.seedPromise) return this.seedPromise;
+
+        this.seedPromise = (async () => {
+            const count = await this.runTransaction('users', 'readonly', tx => tx.objectStore('users').count());
+            if (count > 0) return;
+
+            const users = await Promise.all(AuthService.getInitialUsers().map(user => this.buildUser(user)));
+            await this.runTransaction('users', 'readwrite', tx => {
+                const store = tx.objectStore('users');
+                users.forEach(user => store.put(user));
+            });
+        })().catch(error => {
+            this.seedPromise = null;
+            throw error;
+        });
+
+        return this.seedPromise;
+    }
+
+    /**
+     * 新規ユーザーのレコードを作成
+     * @param {Object} data - ユーザー情報
+     * @returns {Promise<Object>} ユーザーレコード
+     */
+    async buildUser(data) {
+        return {
+            username: data.username,
+            ...this.pickEditable(data),
+            credential: await AuthService.deriveCredential(AuthService.getInitialPassword()),
+            mustChangePassword: true,
+            failedAttempts: 0,
+            lockedAt: null,
+            lastLogin: null,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * 管理者が編集できる項目のみ取り出す
+     * @param {Object} data - 入力データ
+     * @returns {Object} { displayName, email, role, status }
+     */
+    pickEditable(data) {
+        return {
+            displayName: data.displayName || data.username,
+            email: data.email || '',
+            role: data.role || 'staff',
+            status: data.status || 'active'
+        };
+    }
+
+    /**
+     * 画面表示用のユーザー情報（資格情報を除く）
+     * @param {Object} user - ユーザーレコード
+     * @returns {Object} ユーザー情報
+     */
+    toPublicUser(user) {
+        const { credential, ...rest } = user;
+        return { id: user.username, ...rest, locked: !!user.lockedAt };
+    }
+
+    /**
+     * セッションに保持するユーザー情報（ヘッダー表示・権限判定に使用）
+     * @param {Object} user - ユーザーレコード
+     * @returns {Object} { username, name, role, roleLabel, avatar }
+     */
+    toSessionUser(user) {
+        return {
+            username: user.username,
+            name: user.displayName || user.username,
+            role: user.role,
+            roleLabel: AuthService.getRoleLabels()[user.role] || user.role,
+            avatar: '👤'
+        };
+    }
+
+    /**
+     * ユーザーレコードを取得（資格情報を含む）
+     * @param {string} username - ユーザーID
+     * @returns {Promise<Object|null>} ユーザーレコード
+     */
+    async getUserRecord(username) {
+        if (!username) return null;
+        const user = await this.runTransaction('users', 'readonly', tx => tx.objectStore('users').get(username));
+        return user || null;
+    }
+
+    /**
+     * ユーザーレコードを保存
+     * @param {Object} user - ユーザーレコード
+     * @returns {Promise<void>}
+     */
+    putUserRecord(user) {
+        return this.runTransaction('users', 'readwrite', tx => tx.objectStore('users').put(user));
+    }
+
+    /**
+     * データベースを開く（初回はストアを作成）
+     * @returns {Promise<IDBDatabase>} データベース
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        if (!AuthService.isAvailable()) {
+            return Promise.reject(new Error('IndexedDBが利用できません'));
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains('users')) {
+                    db.createObjectStore('users', { keyPath: 'username' });
+                }
+
+                if (!db.objectStoreNames.contains('loginHistory')) {
+                    const store = db.createObjectStore('loginHistory', { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('username', 'username', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * トランザクション内で処理を実行
+     * @param {string|Array} storeNames - ストア名
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} callback - (tx) => IDBRequest|any
+     * @returns {Promise<any>} リクエスト結果
+     */
+    async runTransaction(storeNames, mode, callback) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            const request = callback(tx);
+            if (request && 'onsuccess' in request) {
+                request.onsuccess = () => { result = request.result; };
+            } else {
+                result = request;
+            }
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('トランザクションが中断されました'));
+        });
+    }
+}
+
+// シングルトンインスタンスを作成
+const authService = new AuthService();
+
+export { AuthService, authService };
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.AuthService = AuthService;
+    window.authService = authService;
+}
@@ -0,0 +1,245 @@
+/**
+ * BusinessRuleService - 業務ルール（ロス率しきい値・計算式・営業時間）の一元管理
+ * MOCアーキテクチャのサービス層 - マスタメンテナンスのシステム設定を全画面・全サービスで共有する
+ *
+ * 設定は AppStore の settings（localStorage: moc_app_settings）に保存される
+ *   wasteRateThreshold      ロス率の警告しきい値（%）
+ *   wasteRateErrorThreshold ロス率の異常しきい値（%）
+ *   wasteRateBasis          ロス率の分母 'handled'（販売数+ロス数）| 'sales'（販売数）| 'stock'（総在庫数）
+ *   workingHours            営業時間 'HH:MM-HH:MM'
+ *   categoryRules           カテゴリ別の上書き { カテゴリ名: { wasteRateThreshold, wasteRateErrorThreshold, wasteRateBasis } }
+ */
+
+import { eventBus } from '../utils/EventBus.js';
+import { appStore } from '../stores/AppStore.js';
+import { PermissionService } from './PermissionService.js';
+
+class BusinessRuleService {
+
+    /**
+     * 既定のルール
+     * @returns {Object} ルール
+     */
+    static getDefaultRules() {
+        return {
+            wasteRateThreshold: 5,
+            wasteRateErrorThreshold: 15,
+            wasteRateBasis: 'handled',
+            workingHours: '10:00-20:00',
+            categoryRules: {}
+        };
+    }
+
+    /**
+     * ロス率の分母の表示名
+     * @returns {Object} basis → 表示名
+     */
+    static getWasteRateBasisLabels() {
+        return {
+            handled: '販売数＋ロス数',
+            sales: '販売数',
+            stock: '総在庫数'
+        };
+    }
+
+    /**
+     * 有効なルールを取得（カテゴリ指定時はカテゴリ別の上書きを適用）
+     * @param {string} category - カテゴリ名
+     * @returns {Object} ルール
+     */
+    static getRules(category = '') {
+        const settings = this.loadSettings();
+        const rules = { ...this.getDefaultRules() };
+
+        ['wasteRateThreshold', 'wasteRateErrorThreshold', 'wasteRateBasis', 'workingHours', 'categoryRules'].forEach(key => {
+            if (settings[key] !== undefined && settings[key] !== null && settings[key] !== '') {
+                rules[key] = settings[key];
+            }
+        });
+
+        const override = category && rules.categoryRules ? rules.categoryRules[category] : null;
+        if (override) {
+            Object.keys(override).forEach(key => {
+                if (override[key] !== undefined && override[key] !== null && override[key] !== '') {
+                    rules[key] = override[key];
+                }
+            });
+        }
+
+        rules.wasteRateThreshold = Number(rules.wasteRateThreshold);
+        rules.wasteRateErrorThreshold = Math.max(rules.wasteRateThreshold, Number(rules.wasteRateErrorThreshold));
+        return rules;
+    }
+
+    // ========== ロス率 ==========
+
+    /**
+     * ロス率を計算（分母は設定の計算方法に従う）
+     * @param {Object} values - { waste, sales, stock }
+     * @param {string} category - カテゴリ名
+     * @returns {number} ロス率（%）
+     */
+    static calculateWasteRate(values = {}, category = '') {
+        const { wasteRateBasis } = this.getRules(category);
+        const waste = Number(values.waste) || 0;
+        const sales = Number(values.sales) || 0;
+
+        const denominators = {
+            handled: sales + waste,
+            sales,
+            stock: Number(values.stock) || 0
+        };
+        const denominator = denominators[wasteRateBasis] !== undefined ? denominators[wasteRateBasis] : denominators.handled;
+
+        return denominator > 0 ? (waste / denominator) * 100 : 0;
+    }
+
+    /**
+     * ロス率を判定
+     * @param {number} rate - ロス率（%）
+     * @param {string} category - カテゴリ名
+     * @returns {Object} { valid, level: 'normal' | 'warning' | 'error', message, rate, threshold }
+     */
+    static evaluateWasteRate(rate, category = '') {
+        const rules = this.getRules(category);
+        const value = rate || 0;
+        const result = { rate: value, threshold: rules.wasteRateThreshold, errorThreshold: rules.wasteRateErrorThreshold };
+
+        if (value <= rules.wasteRateThreshold) {
+            return { ...result, valid: true, level: 'normal', message: '' };
+        }
+        if (value <= rules.wasteRateErrorThreshold) {
+            return {
+                ...result,
+                valid: false,
+                level: 'warning',
+                message: `ロス率が基準値(${rules.wasteRateThreshold}%)を超えています: ${value.toFixed(1)}%`
+            };
+        }
+        return {
+            ...result,
+            valid: false,
+            level: 'error',
+            message: `ロス率が異常値です(${rules.wasteRateErrorThreshold}%超): ${value.toFixed(1)}%`
+        };
+    }
+
+    /**
+     * ロス数からロス率を計算して判定
+     * @param {Object} values - { waste, sales, stock }
+     * @param {string} category - カテゴリ名
+     * @returns {Object} evaluateWasteRate の結果
+     */
+    static validateWaste(values = {}, category = '') {
+        return this.evaluateWasteRate(this.calculateWasteRate(values, category), category);
+    }
+
+    // ========== 営業時間 ==========
+
+    /**
+     * 営業時間を取得
+     * @returns {Object} { open: 'HH:MM', close: 'HH:MM', openMinutes, closeMinutes }
+     */
+    static getBusinessHours() {
+        const parse = value => /^(\d{1,2}):(\d{2})\s*[-〜~]\s*(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+        const match = parse(this.getRules().workingHours) || parse(this.getDefaultRules().workingHours);
+        const open = `${match[1].padStart(2, '0')}:${match[2]}`;
+        const close = `${match[3].padStart(2, '0')}:${match[4]}`;
+
+        return {
+            open,
+            close,
+            openMinutes: Number(match[1]) * 60 + Number(match[2]),
+            closeMinutes: Number(match[3]) * 60 + Number(match[4])
+        };
+    }
+
+    /**
+     * 時刻が営業時間内か
+     * @param {string} time - HH:MM
+     * @returns {boolean} 判定結果
+     */
+    static isWithinBusinessHours(time) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+        if (!match) return false;
+
+        const minutes = Number(match[1]) * 60 + Number(match[2]);
+        const hours = this.getBusinessHours();
+        return minutes >= hours.openMinutes && minutes <= hours.closeMinutes;
+    }
+
+    // ========== 設定 ==========
+
+    /**
+     * カテゴリ別ルールの入力（1行に「カテゴリ,警告%,異常%[,計算方法]」）を解析
+     * @param {string} text - 入力文字列
+     * @returns {Object} { rules, errors }
+     */
+    static parseCategoryRules(text = '') {
+        const rules = {};
+        const errors = [];
+        const basisKeys = Object.keys(this.getWasteRateBasisLabels());
+
+        String(text).split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) return;
+
+            const [category, warning, error, basis] = line.split(',').map(value => value.trim());
+            const rule = {};
+            if (warning !== undefined && warning !== '') rule.wasteRateThreshold = Number(warning);
+            if (error !== undefined && error !== '') rule.wasteRateErrorThreshold = Number(error);
+            if (basis) rule.wasteRateBasis = basis;
+
+            if (!category) {
+                errors.push(`${index + 1}行目: カテゴリ名がありません`);
+            } else if (Object.values(rule).some(value => typeof value === 'number' && (isNaN(value) || value < 0))) {
+                errors.push(`${index + 1}行目: しきい値は0以上の数値で入力してください`);
+            } else if (basis && !basisKeys.includes(basis)) {
+                errors.push(`${index + 1}行目: 計算方法は ${basisKeys.join(' / ')} のいずれかです`);
+            } else {
+                rules[category] = rule;
+            }
+        });
+
+        return { rules, errors };
+    }
+
+    /**
+     * カテゴリ別ルールを入力用の文字列に変換
+     * @param {Object} rules - カテゴリ別ルール
+     * @returns {string} 入力文字列
+     */
+    static formatCategoryRules(rules = {}) {
+        return Object.entries(rules || {}).map(([category, rule]) => [
+            category,
+            rule.wasteRateThreshold !== undefined ? rule.wasteRateThreshold : '',
+            rule.wasteRateErrorThreshold !== undefined ? rule.wasteRateErrorThreshold : '',
+            rule.wasteRateBasis || ''
+        ].join(',').replace(/,+$/, '')).join('\n');
+    }
+
+    /**
+     * 設定を保存（システム設定の変更権限が必要）
+     * @param {Object} settings - 設定
+     */
+    static saveSettings(settings) {
+        PermissionService.authorize('settings.edit', { screen: 'SET-SYS', action: '業務ルールの保存' });
+        appStore.updateSettings(settings);
+
+        eventBus.emit('businessRules.updated', this.getRules());
+    }
+
+    /**
+     * 設定を読み込み
+     * @returns {Object} 設定
+     */
+    static loadSettings() {
+        return appStore.getState('settings') || {};
+    }
+}
+
+export default BusinessRuleService;
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.BusinessRuleService = BusinessRuleService;
+}
@@ -0,0 +1,378 @@
+/**
+ * CalendarService - 祝日・催事カレンダー
+ * MOCアーキテクチャのサービス層 - 前年比較の日付合わせ（祝日↔祝日、催事↔催事、曜日合わせ）
+ */
+
+import EventWeatherService from './EventWeatherService.js';
+
+class CalendarService {
+
+    // ========== 祝日 ==========
+
+    /**
+     * 指定年の国民の祝日を計算（振替休日・国民の休日を含む）
+     * @param {number} year - 年
+     * @returns {Map} 'YYYY-MM-DD' → 祝日名
+     */
+    static getHolidays(year) {
+        if (!this.holidayCache) this.holidayCache = new Map();
+        if (this.holidayCache.has(year)) return this.holidayCache.get(year);
+
+        const holidays = new Map();
+        const add = (month, day, name) => holidays.set(this.formatDate(year, month, day), name);
+        const addNthMonday = (month, nth, name) => add(month, this.getNthMonday(year, month, nth), name);
+
+        add(1, 1, '元日');
+        addNthMonday(1, 2, '成人の日');
+        add(2, 11, '建国記念の日');
+        if (year >= 2020) add(2, 23, '天皇誕生日');
+        add(3, this.getVernalEquinoxDay(year), '春分の日');
+        add(4, 29, '昭和の日');
+        add(5, 3, '憲法記念日');
+        add(5, 4, 'みどりの日');
+        add(5, 5, 'こどもの日');
+
+        // 東京オリンピック・パラリンピックに伴う移動（2020・2021年）
+        const moved = {
+            2020: { marine: [7, 23], mountain: [8, 10], sports: [7, 24] },
+            2021: { marine: [7, 22], mountain: [8, 8], sports: [7, 23] }
+        }[year];
+
+        if (moved) {
+            add(...moved.marine, '海の日');
+            add(...moved.mountain, '山の日');
+            add(...moved.sports, 'スポーツの日');
+        } else {
+            addNthMonday(7, 3, '海の日');
+            if (year >= 2016) add(8, 11, '山の日');
+            addNthMonday(10, 2, year >= 2020 ? 'スポーツの日' : '体育の日');
+        }
+
+        addNthMonday(9, 3, '敬老の日');
+        add(9, this.getAutumnalEquinoxDay(year), '秋分の日');
+        add(11, 3, '文化の日');
+        add(11, 23, '勤労感謝の日');
+        if (year >= 1989 && year <= 2018) add(12, 23, '天皇誕生日');
+
+        if (year === 2019) {
+            add(4, 30, '国民の休日');
+            add(5, 1, '天皇の即位の日');
+            add(5, 2, '国民の休日');
+            add(10, 22, '即位礼正殿の儀の行われる日');
+        }
+
+        // 国民の休日（祝日に挟まれた平日）
+        Array.from(holidays.keys()).forEach(date => {
+            const next = this.shiftDate(date, 1);
+            const afterNext = this.shiftDate(date, 2);
+            if (!holidays.has(next) && holidays.has(afterNext) && this.getWeekday(next) !== 0) {
+                holidays.set(next, '国民の休日');
+            }
+        });
+
+        // 振替休日（日曜の祝日の後の最初の平日）
+        Array.from(holidays.keys()).sort().forEach(date => {
+            if (this.getWeekday(date) !== 0) return;
+            let substitute = this.shiftDate(date, 1);
+            while (holidays.has(substitute)) {
+                substitute = this.shiftDate(substitute, 1);
+            }
+            holidays.set(substitute, '振替休日');
+        });
+
+        const sorted = new Map(Array.from(holidays.entries()).sort(([a], [b]) => a.localeCompare(b)));
+        this.holidayCache.set(year, sorted);
+        return sorted;
+    }
+
+    /**
+     * 祝日名を取得
+     * @param {string} date - YYYY-MM-DD
+     * @returns {string|null} 祝日名
+     */
+    static getHolidayName(date) {
+        return this.getHolidays(Number(date.slice(0, 4))).get(date) || null;
+    }
+
+    /**
+     * 振替休日・国民の休日は元になった祝日の名前に読み替える
+     * @param {string} date - YYYY-MM-DD（祝日）
+     * @returns {string|null} 祝日名
+     */
+    static getOriginalHolidayName(date) {
+        let current = date;
+        let name = this.getHolidayName(current);
+
+        while (name === '振替休日' || name === '国民の休日') {
+            current = this.shiftDate(current, -1);
+            const previous = this.getHolidayName(current);
+            if (!previous) return name;
+            if (name === '国民の休日' || this.getWeekday(current) === 0) return previous;
+        }
+
+        return name;
+    }
+
+    /**
+     * 春分日（1980〜2099年の近似式）
+     * @param {number} year - 年
+     * @returns {number} 3月の日
+     */
+    static getVernalEquinoxDay(year) {
+        return Math.floor(20.8431 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+    }
+
+    /**
+     * 秋分日（1980〜2099年の近似式）
+     * @param {number} year - 年
+     * @returns {number} 9月の日
+     */
+    static getAutumnalEquinoxDay(year) {
+        return Math.floor(23.2488 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+    }
+
+    /**
+     * 第N月曜日
+     * @param {number} year - 年
+     * @param {number} month - 月(1-12)
+     * @param {number} nth - 第何週
+     * @returns {number} 日
+     */
+    static getNthMonday(year, month, nth) {
+        const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+        const firstMonday = 1 + ((8 - firstWeekday) % 7);
+        return firstMonday + (nth - 1) * 7;
+    }
+
+    // ========== 繁忙期・催事 ==========
+
+    /**
+     * 毎年の繁忙期（祝日ではないが通常日と比較すべきでない期間）
+     * @returns {Array} [{ key, name, from: 'MM-DD', to: 'MM-DD' }]
+     */
+    static getSeasonalPeriods() {
+        return [
+            { key: 'new_year', name: '年始', from: '01-01', to: '01-03' },
+            { key: 'golden_week', name: 'ゴールデンウィーク', from: '04-29', to: '05-06' },
+            { key: 'obon', name: 'お盆', from: '08-13', to: '08-16' },
+            { key: 'christmas', name: 'クリスマス', from: '12-23', to: '12-25' },
+            { key: 'year_end', name: '年末', from: '12-28', to: '12-31' }
+        ];
+    }
+
+    /**
+     * 繁忙期を判定
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Object|null} { key, name, offset: 期間初日からの日数 }
+     */
+    static getSeason(date) {
+        const monthDay = date.slice(5);
+        const period = this.getSeasonalPeriods().find(item => monthDay >= item.from && monthDay <= item.to);
+        if (!period) return null;
+
+        const start = `${date.slice(0, 4)}-${period.from}`;
+        return { key: period.key, name: period.name, offset: this.diffDays(start, date) };
+    }
+
+    /**
+     * 店舗催事・競合催事を取得（イベント・気象マスタ EventWeatherService から）
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Array} [{ type: 'store' | 'competitor', name }]
+     */
+    static getEvents(date) {
+        const record = this.getEventStore().getByDate(date);
+        if (!record) return [];
+
+        const events = [];
+        if (record.special_sale) events.push({ type: 'store', name: record.special_sale });
+        if (record.competitor_event) events.push({ type: 'competitor', name: record.competitor_event });
+        return events;
+    }
+
+    /**
+     * 催事データの取得元
+     * @returns {Object} EventWeatherService
+     */
+    static getEventStore() {
+        return EventWeatherService;
+    }
+
+    // ========== 日付情報 ==========
+
+    /**
+     * 日付の区分情報を取得
+     * @param {string|Date} date - 日付
+     * @returns {Object} { date, weekday, holiday, season, events, dayType }
+     */
+    static getDayInfo(date) {
+        const key = this.toDateString(date);
+        const weekday = this.getWeekday(key);
+        const holiday = this.getHolidayName(key);
+        const season = this.getSeason(key);
+        const events = this.getEvents(key);
+
+        let dayType = 'weekday';
+        if (holiday) dayType = 'holiday';
+        else if (weekday === 0 || weekday === 6) dayType = 'weekend';
+
+        return { date: key, weekday, holiday, season, events, dayType };
+    }
+
+    /**
+     * 祝日・繁忙期・催事のいずれにも当たらない通常日か
+     * @param {Object} info - getDayInfo の結果
+     * @returns {boolean} 判定結果
+     */
+    static isOrdinaryDay(info) {
+        return !info.holiday && !info.season && info.events.length === 0;
+    }
+
+    // ========== 前年の日付合わせ ==========
+
+    /**
+     * 前年の比較対象日を求める
+     * 1. 祝日 → 前年の同じ祝日
+     * 2. 繁忙期 → 前年の同じ期間の同じ日目
+     * 3. 催事 → 前年の同名催事、なければ同種の催事（52週前の前後5週以内で最も近い日）
+     * 4. それ以外 → 52週前の同曜日（祝日・催事に当たる場合は前後の週の通常日にずらす）
+     * @param {string|Date} date - 対象日
+     * @returns {Object} { date, matchType: 'holiday' | 'season' | 'event' | 'weekday', reason }
+     */
+    static findPreviousYearDate(date) {
+        const info = this.getDayInfo(date);
+        const previousYear = Number(info.date.slice(0, 4)) - 1;
+        const weekdayAligned = this.shiftDate(info.date, -364);
+
+        if (info.holiday) {
+            const name = this.getOriginalHolidayName(info.date);
+            const match = Array.from(this.getHolidays(previousYear).entries()).find(([, holidayName]) => holidayName === name);
+            if (match) {
+                return { date: match[0], matchType: 'holiday', reason: `前年の${name}` };
+            }
+        }
+
+        if (info.season) {
+            const period = this.getSeasonalPeriods().find(item => item.key === info.season.key);
+            const matched = this.shiftDate(`${previousYear}-${period.from}`, info.season.offset);
+            return { date: matched, matchType: 'season', reason: `前年の${info.season.name}（${info.season.offset + 1}日目）` };
+        }
+
+        if (info.events.length > 0) {
+            const match = this.findPreviousEvent(info.events, weekdayAligned);
+            if (match) return match;
+        }
+
+        return this.findOrdinaryWeekday(weekdayAligned, info);
+    }
+
+    /**
+     * 前年の催事日を探す
+     * @param {Array} events - 対象日の催事
+     * @param {string} around - 探索の中心日（52週前）
+     * @returns {Object|null} { date, matchType, reason }
+     */
+    static findPreviousEvent(events, around) {
+        const candidates = [];
+        for (let offset = -35; offset <= 35; offset++) {
+            const candidate = this.shiftDate(around, offset);
+            this.getEvents(candidate).forEach(event => candidates.push({ date: candidate, offset, event }));
+        }
+
+        for (const target of events) {
+            const sameName = candidates.filter(item => item.event.type === target.type && item.event.name === target.name);
+            const sameType = candidates.filter(item => item.event.type === target.type);
+            const pool = sameName.length > 0 ? sameName : sameType;
+            if (pool.length === 0) continue;
+
+            const nearest = pool.reduce((best, item) => (Math.abs(item.offset) < Math.abs(best.offset) ? item : best));
+            return {
+                date: nearest.date,
+                matchType: 'event',
+                reason: `前年の${target.type === 'store' ? '店舗催事' : '競合催事'}（${nearest.event.name}）`
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * 52週前の同曜日を基準に、祝日・繁忙期・催事でない日を探す
+     * @param {string} aligned - 52週前の日付
+     * @param {Object} info - 対象日の区分情報
+     * @returns {Object} { date, matchType, reason }
+     */
+    static findOrdinaryWeekday(aligned, info) {
+        for (const weeks of [0, -1, 1, -2, 2]) {
+            const candidate = this.shiftDate(aligned, weeks * 7);
+            if (this.isOrdinaryDay(this.getDayInfo(candidate))) {
+                return {
+                    date: candidate,
+                    matchType: 'weekday',
+                    reason: weeks === 0 ? '前年の同週同曜日' : `前年の同曜日（祝日・催事を避けて${Math.abs(weeks)}週${weeks > 0 ? '後' : '前'}）`
+                };
+            }
+        }
+
+        return { date: aligned, matchType: 'weekday', reason: '前年の同週同曜日' };
+    }
+
+    /**
+     * 2つの日付が前年比較で同じ区分か（祝日同士・催事同士・通常日同士）
+     * @param {string|Date} a - 日付
+     * @param {string|Date} b - 日付
+     * @returns {boolean} 判定結果
+     */
+    static isComparable(a, b) {
+        const infoA = this.getDayInfo(a);
+        const infoB = this.getDayInfo(b);
+
+        if (infoA.weekday !== infoB.weekday && !(infoA.holiday && infoB.holiday)) return false;
+        if (!!infoA.holiday !== !!infoB.holiday) return false;
+        if ((infoA.season && infoA.season.key) !== (infoB.season && infoB.season.key)) return false;
+
+        const typesA = infoA.events.map(event => event.type).sort().join(',');
+        const typesB = infoB.events.map(event => event.type).sort().join(',');
+        return typesA === typesB;
+    }
+
+    // ========== 日付ユーティリティ ==========
+
+    /**
+     * 日付を 'YYYY-MM-DD' に変換（Dateはローカル日付として扱う）
+     * @param {string|Date} date - 日付
+     * @returns {string} YYYY-MM-DD
+     */
+    static toDateString(date) {
+        if (typeof date === 'string') return date.slice(0, 10);
+        return this.formatDate(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    }
+
+    static formatDate(year, month, day) {
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    static shiftDate(date, days) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+    }
+
+    static diffDays(from, to) {
+        const toUTC = value => {
+            const [year, month, day] = value.split('-').map(Number);
+            return Date.UTC(year, month - 1, day);
+        };
+        return Math.round((toUTC(to) - toUTC(from)) / (1000 * 60 * 60 * 24));
+    }
+
+    static getWeekday(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    }
+}
+
+export default CalendarService;
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.CalendarService = CalendarService;
+}
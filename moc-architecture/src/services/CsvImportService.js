@@ -0,0 +1,335 @@
+/**
+ * CsvImportService - CSV取込み（仕様書 §11: products / customers / daily_records の追記・上書き）
+ * MOCアーキテクチャのサービス層 - ファイルの読込み・見出しと項目の対応付け・行ごとの検証を行う
+ *
+ * 取込みの流れ:
+ *   1. readFile(file) で文字コード（UTF-8 / Shift_JIS）を判定して読み込む
+ *   2. parse(text) で見出し行と明細行に分け、guessMapping() で見出しから項目を推定する
+ *   3. preview() で全行を検証し、新規・更新・削除の件数とエラー一覧を作る（データは変更しない）
+ *   4. preview().records を MasterMaintenanceService.importRecords() に渡して登録する
+ *
+ * 空欄の項目は既存の値を変更しない（新規登録になる行と、既存データを事前に取得しない実績の行は既定値を入れる）。
+ */
+
+import CsvParser from '../utils/CsvParser.js';
+
+class CsvImportService {
+
+    /**
+     * 取込み対象の定義
+     * fields: { key, label, aliases, type: text|code|integer|number|date|time|enum, required, min, options, default }
+     * @returns {Object} 対象 → { label, screen, capability, keys, overwriteHelp, fields }
+     */
+    static getTargets() {
+        return {
+            products: {
+                label: '商品マスタ',
+                screen: 'MST-PRD',
+                capability: 'master.edit',
+                keys: ['code'],
+                overwriteHelp: 'ファイルにない商品は削除します（サーバーでは実績・発注のある商品は廃止になります）',
+                fields: [
+                    { key: 'code', label: '商品コード', aliases: ['product_code', '商品C'], type: 'code', required: true },
+                    { key: 'name', label: '商品名', aliases: ['name'], type: 'text', required: true },
+                    { key: 'categoryId', label: 'カテゴリID', aliases: ['category', 'category_id', 'カテゴリ'], type: 'text', default: '' },
+                    { key: 'price', label: '単価', aliases: ['price'], type: 'integer', required: true, min: 0 },
+                    { key: 'cost', label: '仕入価格', aliases: ['cost', '原価'], type: 'integer', min: 0, default: 0 },
+                    { key: 'supplierId', label: '仕入先ID', aliases: ['supplier', 'supplier_id', '仕入先'], type: 'text', default: '' },
+                    { key: 'minOrder', label: '最小発注数', aliases: ['min_qty', '最小'], type: 'integer', min: 0, default: 1 },
+                    { key: 'orderUnit', label: '発注単位', aliases: ['step_qty', '発注倍数', '倍数'], type: 'integer', min: 1, default: 1 },
+                    { key: 'caseSize', label: 'ケース入数', aliases: ['case_qty', 'case_size'], type: 'integer', min: 1, default: 1 },
+                    { key: 'orderUnitType', label: '発注区分', aliases: ['order_unit', 'order_unit_type', '単位'], type: 'enum', options: { piece: ['piece', 'バラ'], case: ['case', 'ケース'] }, default: 'piece' },
+                    { key: 'status', label: 'ステータス', aliases: ['status', '状態'], type: 'enum', options: { active: ['active', '有効'], inactive: ['inactive', '無効'], discontinued: ['discontinued', '廃止'] }, default: 'active' }
+                ]
+            },
+            customers: {
+                label: '得意先マスタ',
+                screen: 'MST-CST',
+                capability: 'master.edit',
+                keys: ['code'],
+                overwriteHelp: 'ファイルにない得意先は削除します',
+                fields: [
+                    { key: 'code', label: '得意先コード', aliases: ['customer_code', '得意先C'], type: 'code', required: true },
+                    { key: 'name', label: '得意先名', aliases: ['name', '名称'], type: 'text', required: true },
+                    { key: 'segment', label: '区分', aliases: ['segment', 'セグメント'], type: 'text', default: '' }
+                ]
+            },
+            daily_records: {
+                label: '日次実績',
+                screen: 'IRY-001',
+                capability: 'performance.edit',
+                keys: ['date', 'product_code'],
+                overwriteHelp: 'ファイルに含まれる日付の実績をすべて置き換えます（ファイルにない商品のその日の実績は削除）',
+                fields: [
+                    { key: 'date', label: '日付', aliases: ['date', '年月日'], type: 'date', required: true },
+                    { key: 'product_code', label: '商品コード', aliases: ['product_code', '商品C', 'code'], type: 'code', required: true },
+                    { key: 'product_name', label: '商品名', aliases: ['product_name', 'name'], type: 'text' },
+                    { key: 'price', label: '単価', aliases: ['price'], type: 'integer', min: 0 },
+                    { key: 'prev_stock', label: '前日残', aliases: ['prev_stock'], type: 'number', min: 0, default: null },
+                    { key: 'inbound', label: '入荷', aliases: ['inbound', '入荷数'], type: 'number', min: 0, default: 0 },
+                    { key: 'transfer', label: '移動', aliases: ['transfer', '移動数'], type: 'number', default: 0 },
+                    { key: 'sold', label: '販売', aliases: ['sold', '販売数'], type: 'number', required: true, min: 0 },
+                    { key: 'loss', label: 'ロス', aliases: ['loss', 'ロス数'], type: 'number', min: 0, default: 0 },
+                    { key: 'stock_close', label: '閉店在庫', aliases: ['stock_close', '閉店時在庫'], type: 'number', min: 0, default: null },
+                    { key: 'special_order', label: '特注', aliases: ['special_order'], type: 'number', min: 0, default: 0 },
+                    { key: 'soldout_time', label: '完売時間', aliases: ['soldout_time'], type: 'time', default: '' }
+                ]
+            }
+        };
+    }
+
+    /**
+     * 取込み方法
+     * @returns {Object} mode → 表示名
+     */
+    static getModes() {
+        return {
+            append: '追記（同じキーの行は更新）',
+            overwrite: '上書き（ファイルの内容で置き換え）'
+        };
+    }
+
+    /**
+     * 行の判定結果の表示名
+     * @returns {Object} action → 表示名
+     */
+    static getActionLabels() {
+        return { create: '新規', update: '更新', import: '取込', error: 'エラー' };
+    }
+
+    // ========== 読込み ==========
+
+    /**
+     * CSVファイルを読み込む
+     * @param {File|Blob} file - CSVファイル
+     * @returns {Promise<Object>} { name, text, encoding: 'utf-8' | 'shift_jis' }
+     */
+    static async readFile(file) {
+        const { text, encoding } = CsvParser.decode(await file.arrayBuffer());
+        return { name: file.name || '', text, encoding };
+    }
+
+    /**
+     * CSVを見出し行と明細行に分ける
+     * @param {string} text - CSV文字列
+     * @returns {Object} { headers, rows: [{ line, values }], errors }
+     */
+    static parse(text) {
+        const parsed = CsvParser.parse(text);
+        if (parsed.rows.length === 0) {
+            return { headers: [], rows: [], errors: ['CSVが空です', ...parsed.errors] };
+        }
+
+        const [header, ...rows] = parsed.rows;
+        return { headers: header.values.map(value => value.trim()), rows, errors: parsed.errors };
+    }
+
+    // ========== 項目の対応付け ==========
+
+    /**
+     * 見出しから項目の対応を推定（項目名・表示名・別名が一致する列。1つの列は1項目にだけ割り当てる）
+     * @param {string} target - 取込み対象
+     * @param {Array} headers - 見出し
+     * @returns {Object} 項目 → 列番号（対応する列がなければ -1）
+     */
+    static guessMapping(target, headers) {
+        const normalize = value => String(value || '').trim().toLowerCase().replace(/\s+/g, '');
+        const normalized = headers.map(normalize);
+        const used = new Set();
+        const mapping = {};
+
+        this.getTargets()[target].fields.forEach(field => {
+            const names = [field.key, field.label, ...(field.aliases || [])].map(normalize);
+            const column = normalized.findIndex((header, index) => !used.has(index) && names.includes(header));
+            mapping[field.key] = column;
+            if (column >= 0) used.add(column);
+        });
+
+        return mapping;
+    }
+
+    /**
+     * 対応付けの検証（必須項目の列がない・同じ列を複数の項目に割り当てている）
+     * @param {string} target - 取込み対象
+     * @param {Object} mapping - 項目 → 列番号
+     * @param {Array} headers - 見出し
+     * @returns {Array} エラーメッセージ配列
+     */
+    static validateMapping(target, mapping, headers = []) {
+        const errors = [];
+        const columns = new Map();
+
+        this.getTargets()[target].fields.forEach(field => {
+            const column = mapping[field.key];
+            if (column === undefined || column < 0) {
+                if (field.required) errors.push(`「${field.label}」の列を選択してください`);
+                return;
+            }
+            if (columns.has(column)) {
+                errors.push(`列「${headers[column] || column + 1}」が「${columns.get(column)}」と「${field.label}」に割り当てられています`);
+            }
+            columns.set(column, field.label);
+        });
+
+        return errors;
+    }
+
+    // ========== 検証・プレビュー ==========
+
+    /**
+     * 取込み内容の確認（ドライラン。データは変更しない）
+     * 上書きはエラーの行があると実行できない（ファイルにない扱いで既存データが削除されるため）
+     * @param {string} target - 取込み対象
+     * @param {Object} parsed - parse() の戻り値
+     * @param {Object} mapping - 項目 → 列番号
+     * @param {Object} options - { mode, existing: 既存データ（実績など事前に取得しない場合は null） }
+     * @returns {Object} { rows: [{ line, record, errors, action }], records, counts: { create, update, import, remove, error }, errors, blocked }
+     */
+    static preview(target, parsed, mapping, options = {}) {
+        const definition = this.getTargets()[target];
+        const mode = options.mode || 'append';
+        const existing = options.existing || null;
+        const counts = { create: 0, update: 0, import: 0, remove: 0, error: 0 };
+
+        const mappingErrors = this.validateMapping(target, mapping, parsed.headers);
+        if (mappingErrors.length > 0) {
+            return { rows: [], records: [], counts, errors: [...parsed.errors, ...mappingErrors], blocked: mappingErrors[0] };
+        }
+
+        const existingKeys = existing ? new Set(existing.map(item => this.getKey(target, item))) : null;
+        const seen = new Map();
+
+        const rows = parsed.rows.map(({ line, values }) => {
+            const record = {};
+            const errors = [];
+
+            definition.fields.forEach(field => {
+                const column = mapping[field.key];
+                if (column === undefined || column < 0) return;
+
+                const result = this.convert(field, values[column]);
+                if (result.error) {
+                    errors.push({ field: field.key, label: field.label, message: result.error });
+                } else if (result.value !== undefined) {
+                    record[field.key] = result.value;
+                }
+            });
+
+            const key = this.getKey(target, record);
+            if (errors.length === 0 && seen.has(key)) {
+                const label = definition.keys.map(keyField => definition.fields.find(field => field.key === keyField).label).join('・');
+                errors.push({ field: definition.keys[0], label, message: `${label}が同じ行が ${seen.get(key)}行目にあります` });
+            }
+            if (!seen.has(key)) seen.set(key, line);
+
+            let action = 'error';
+            if (errors.length === 0) {
+                action = existingKeys === null ? 'import' : (existingKeys.has(key) ? 'update' : 'create');
+            }
+            if (action === 'create' || action === 'import') {
+                definition.fields.forEach(field => {
+                    if (record[field.key] === undefined && field.default !== undefined) record[field.key] = field.default;
+                });
+            }
+
+            counts[action]++;
+            return { line, record, errors, action };
+        });
+
+        const records = rows.filter(row => row.action !== 'error').map(row => row.record);
+        if (mode === 'overwrite' && existingKeys) {
+            const importedKeys = new Set(records.map(record => this.getKey(target, record)));
+            counts.remove = [...existingKeys].filter(key => !importedKeys.has(key)).length;
+        }
+
+        let blocked = null;
+        if (records.length === 0) {
+            blocked = '取り込める行がありません';
+        } else if (mode === 'overwrite' && counts.error > 0) {
+            blocked = '上書きはエラーの行を修正してから実行してください';
+        }
+
+        return { rows, records, counts, errors: parsed.errors, blocked };
+    }
+
+    /**
+     * 1項目の値を変換・検証
+     * @param {Object} field - 項目の定義
+     * @param {string} raw - CSVの値
+     * @returns {Object} { value } または { error }（空欄は value: undefined）
+     */
+    static convert(field, raw) {
+        const text = String(raw ?? '').trim();
+        if (text === '') {
+            return field.required ? { error: `${field.label}を入力してください` } : { value: undefined };
+        }
+
+        switch (field.type) {
+            case 'code':
+                return /^[0-9A-Za-z-]+$/.test(text) ? { value: text } : { error: `${field.label}は半角英数字で入力してください` };
+
+            case 'integer':
+            case 'number': {
+                const value = Number(text.replace(/[,¥円]/g, ''));
+                if (!Number.isFinite(value)) return { error: `${field.label}は数値で入力してください: ${text}` };
+                if (field.type === 'integer' && !Number.isInteger(value)) return { error: `${field.label}は整数で入力してください: ${text}` };
+                if (field.min !== undefined && value < field.min) return { error: `${field.label}は${field.min}以上で入力してください: ${text}` };
+                return { value };
+            }
+
+            case 'date': {
+                const match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/.exec(text);
+                const value = match ? `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}` : '';
+                const date = new Date(`${value}T00:00:00Z`);
+                return match && !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value ?
+                    { value } : { error: `${field.label}は YYYY-MM-DD 形式で入力してください: ${text}` };
+            }
+
+            case 'time': {
+                const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+                return match && Number(match[1]) <= 23 && Number(match[2]) <= 59 ?
+                    { value: `${match[1].padStart(2, '0')}:${match[2]}` } :
+                    { error: `${field.label}は 00:00〜23:59 の HH:MM 形式で入力してください: ${text}` };
+            }
+
+            case 'enum': {
+                const value = Object.keys(field.options).find(option =>
+                    field.options[option].some(alias => alias.toLowerCase() === text.toLowerCase()));
+                return value ? { value } : { error: `${field.label}は ${Object.values(field.options).map(aliases => aliases.join('/')).join('、')} のいずれかで入力してください: ${text}` };
+            }
+
+            default:
+                return { value: text };
+        }
+    }
+
+    /**
+     * 行のキー（商品コード・得意先コード、実績は日付＋商品コード）
+     * @param {string} target - 取込み対象
+     * @param {Object} record - レコード
+     * @returns {string} キー
+     */
+    static getKey(target, record) {
+        return this.getTargets()[target].keys.map(key => record[key] ?? '').join('|');
+    }
+
+    /**
+     * エラー一覧をCSVに変換（修正用にダウンロードする）
+     * @param {Object} preview - preview() の戻り値
+     * @returns {string} CSV文字列
+     */
+    static toErrorCSV(preview) {
+        return CsvParser.stringify([
+            ['行', '項目', 'エラー'],
+            ...preview.errors.map(error => ['', '', error]),
+            ...preview.rows.flatMap(row => row.errors.map(error => [row.line, error.label, error.message]))
+        ]);
+    }
+}
+
+export default CsvImportService;
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.CsvImportService = CsvImportService;
+}
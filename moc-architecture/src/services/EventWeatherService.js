@@ -0,0 +1,244 @@
+/**
+ * EventWeatherService - イベント・気象データ管理（MST-ETC）
+ * MOCアーキテクチャのサービス層 - 特招会・競合催事・天気・気温を日付単位で保持する
+ * 気象庁CSVから取り込んだ日は天気概況と最高/最低気温も保持する
+ * 書き込みはマスタ編集権限（master.edit）が必要
+ */
+
+import CsvParser from '../utils/CsvParser.js';
+import { PermissionService } from './PermissionService.js';
+
+class EventWeatherService {
+
+    /**
+     * 指定日のレコードを取得
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Object|null} { date, special_sale, competitor_event, weather, temperature, temperature_max, temperature_min, weather_summary }
+     */
+    static getByDate(date) {
+        return this.loadRecords().find(record => record.date === date) || null;
+    }
+
+    /**
+     * 期間内のレコードを取得
+     * @param {string} from - 開始日 (YYYY-MM-DD)
+     * @param {string} to - 終了日 (YYYY-MM-DD)
+     * @returns {Array} レコード配列（日付順）
+     */
+    static getRange(from, to) {
+        return this.loadRecords()
+            .filter(record => (!from || record.date >= from) && (!to || record.date <= to))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * レコードを保存（同じ日付は上書き）
+     * @param {Object} record - { date, special_sale, competitor_event, weather, temperature }
+     * @returns {Object} 保存したレコード
+     */
+    static save(record) {
+        PermissionService.authorize('master.edit', { screen: 'MST-ETC', action: 'イベント・気象の保存' });
+        const normalized = this.normalize(record);
+        const records = this.loadRecords().filter(item => item.date !== normalized.date);
+        records.push(normalized);
+        this.saveRecords(records);
+        return normalized;
+    }
+
+    /**
+     * レコードを検証して保存形式に揃える
+     * @param {Object} record - レコード
+     * @returns {Object} 正規化したレコード
+     */
+    static normalize(record) {
+        const errors = this.validate(record);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        const toNumber = value => (value === '' || value === undefined || value === null ? null : Number(value));
+        return {
+            date: record.date,
+            special_sale: record.special_sale || '',
+            competitor_event: record.competitor_event || '',
+            weather: record.weather || '',
+            temperature: toNumber(record.temperature),
+            temperature_max: toNumber(record.temperature_max),
+            temperature_min: toNumber(record.temperature_min),
+            weather_summary: record.weather_summary || ''
+        };
+    }
+
+    /**
+     * 気象データを取り込む（特招会・競合催事はそのまま残し、天気と気温だけを更新）
+     * @param {Array} records - [{ date, weather, weather_summary, temperature, temperature_max, temperature_min }]
+     * @returns {number} 取込み件数
+     */
+    static mergeWeather(records = []) {
+        PermissionService.authorize('master.edit', { screen: 'MST-ETC', action: '気象データの取込' });
+        const byDate = new Map(this.loadRecords().map(record => [record.date, record]));
+        records.forEach(record => {
+            const current = byDate.get(record.date) || {};
+            byDate.set(record.date, this.normalize({
+                ...current,
+                date: record.date,
+                weather: record.weather || current.weather,
+                weather_summary: record.weather_summary,
+                temperature: record.temperature,
+                temperature_max: record.temperature_max,
+                temperature_min: record.temperature_min
+            }));
+        });
+        this.saveRecords(Array.from(byDate.values()));
+        return records.length;
+    }
+
+    /**
+     * レコードを削除
+     * @param {string} date - YYYY-MM-DD
+     * @returns {boolean} 削除したか
+     */
+    static remove(date) {
+        PermissionService.authorize('master.edit', { screen: 'MST-ETC', action: 'イベント・気象の削除' });
+        const records = this.loadRecords();
+        const remaining = records.filter(record => record.date !== date);
+        if (remaining.length === records.length) return false;
+
+        this.saveRecords(remaining);
+        return true;
+    }
+
+    /**
+     * レコードを検証
+     * @param {Object} record - レコード
+     * @returns {Array} エラーメッセージ配列
+     */
+    static validate(record) {
+        const errors = [];
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(record.date || '') || isNaN(new Date(record.date).getTime())) {
+            errors.push(`日付が不正です: ${record.date || '(空)'}`);
+        }
+        ['temperature', 'temperature_max', 'temperature_min'].forEach(key => {
+            const value = record[key];
+            if (value !== '' && value !== undefined && value !== null && isNaN(Number(value))) {
+                errors.push(`気温は数値で入力してください: ${value}`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * CSVを解析（見出しは 日付,特招会,競合催事,天気,気温[,最高気温,最低気温,天気概況] または events_weather の列名）
+     * @param {string} csvText - CSV文字列
+     * @returns {Object} { records, errors }
+     */
+    static parseCSV(csvText) {
+        const headerMap = {
+            '日付': 'date', date: 'date',
+            '特招会': 'special_sale', special_sale: 'special_sale',
+            '競合催事': 'competitor_event', competitor_event: 'competitor_event',
+            '天気': 'weather', weather: 'weather',
+            '気温': 'temperature', temperature: 'temperature',
+            '最高気温': 'temperature_max', temperature_max: 'temperature_max',
+            '最低気温': 'temperature_min', temperature_min: 'temperature_min',
+            '天気概況': 'weather_summary', weather_summary: 'weather_summary'
+        };
+
+        const parsed = CsvParser.parse(csvText);
+        if (parsed.rows.length === 0) return { records: [], errors: ['CSVが空です', ...parsed.errors] };
+
+        const headers = parsed.rows[0].values.map(h => headerMap[h.trim()] || null);
+        if (!headers.includes('date')) return { records: [], errors: ['日付列がありません'] };
+
+        const records = [];
+        const errors = [...parsed.errors];
+        parsed.rows.slice(1).forEach(({ line, values }) => {
+            const record = {};
+            headers.forEach((key, column) => {
+                if (key) record[key] = (values[column] || '').trim();
+            });
+            record.date = (record.date || '').split(/[-/]/).map((part, i) => (i === 0 ? part : part.padStart(2, '0'))).join('-');
+
+            const rowErrors = this.validate(record);
+            if (rowErrors.length > 0) {
+                errors.push(...rowErrors.map(error => `${line}行目: ${error}`));
+            } else {
+                records.push(record);
+            }
+        });
+
+        return { records, errors };
+    }
+
+    /**
+     * レコードを一括取込み（同じ日付は上書き）
+     * @param {Array} records - レコード配列
+     * @returns {number} 取込み件数
+     */
+    static importRecords(records = []) {
+        PermissionService.authorize('master.edit', { screen: 'MST-ETC', action: 'イベント・気象のCSV取込' });
+        const byDate = new Map(this.loadRecords().map(record => [record.date, record]));
+        records.forEach(record => {
+            const normalized = this.normalize(record);
+            byDate.set(normalized.date, normalized);
+        });
+        this.saveRecords(Array.from(byDate.values()));
+        return records.length;
+    }
+
+    /**
+     * CSV出力
+     * @param {Array} records - レコード配列
+     * @returns {string} CSV文字列
+     */
+    static toCSV(records = []) {
+        const headers = ['日付', '特招会', '競合催事', '天気', '気温', '最高気温', '最低気温', '天気概況'];
+        return CsvParser.stringify([
+            headers,
+            ...records.map(record => [
+                record.date,
+                record.special_sale || '',
+                record.competitor_event || '',
+                record.weather || '',
+                record.temperature,
+                record.temperature_max,
+                record.temperature_min,
+                record.weather_summary || ''
+            ])
+        ]);
+    }
+
+    /**
+     * レコードを読み込み
+     * @returns {Array} レコード配列
+     */
+    static loadRecords() {
+        try {
+            if (typeof localStorage === 'undefined') return [];
+            return JSON.parse(localStorage.getItem('moc_events_weather') || '[]');
+        } catch (error) {
+            console.warn('イベント・気象データの読み込みに失敗しました:', error);
+            return [];
+        }
+    }
+
+    /**
+     * レコードを保存
+     * @param {Array} records - レコード配列
+     */
+    static saveRecords(records) {
+        try {
+            if (typeof localStorage === 'undefined') return;
+            localStorage.setItem('moc_events_weather', JSON.stringify(records));
+        } catch (error) {
+            console.warn('イベント・気象データの保存に失敗しました:', error);
+        }
+    }
+}
+
+export default EventWeatherService;
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.EventWeatherService = EventWeatherService;
+}
@@ -0,0 +1,228 @@
+/**
+ * ForecastAccuracyService - 推奨数量の記録と予測精度評価
+ * MOCアーキテクチャのサービス層 - 推奨時の入力を保存し、締め後の実績で採点する
+ */
+
+import { eventBus } from '../utils/EventBus.js';
+
+class ForecastAccuracyService {
+
+    /**
+     * 予測ログを記録
+     * 画面の表示ごとではなく、発注の保存など予測を採用した時点で記録する
+     * 同じ発生元・対象日・商品の予測は最新のもので置き換える（締め前の保存し直しを想定）。
+     * 採点済みのログは実績・誤差が失われるため置き換えない
+     * @param {Object} entry - { source, method, targetDate, productCode, productName, category, forecast, inputs }
+     * @returns {Object|null} 記録したログ（商品コードがない・採点済みの場合はnull）
+     */
+    static recordForecast(entry = {}) {
+        if (!entry.productCode || typeof entry.forecast !== 'number') return null;
+
+        const targetDate = entry.targetDate || this.getDefaultTargetDate();
+        const id = `${entry.source || 'unknown'}:${targetDate}:${entry.productCode}`;
+        const logs = this.loadLogs();
+        if (logs.some(item => item.id === id && item.scoredAt !== null)) return null;
+
+        const log = {
+            id,
+            source: entry.source || 'unknown',
+            method: entry.method || '',
+            targetDate,
+            productCode: String(entry.productCode),
+            productName: entry.productName || '',
+            category: entry.category || '',
+            forecast: Math.round(entry.forecast * 10) / 10,
+            inputs: entry.inputs || {},
+            createdAt: new Date().toISOString(),
+            actual: null,
+            waste: null,
+            scoredAt: null
+        };
+
+        this.saveLogs([...logs.filter(item => item.id !== id), log]);
+
+        eventBus.emit('forecast.recorded', log);
+
+        return log;
+    }
+
+    /**
+     * 締めた日の実績で予測ログを採点
+     * @param {string} date - 対象日 (YYYY-MM-DD)
+     * @param {Array} actuals - [{ productCode, sales, waste }]
+     * @returns {Array} 採点したログ
+     */
+    static scoreDay(date, actuals = []) {
+        const byCode = new Map(actuals.map(actual => [String(actual.productCode), actual]));
+        const scored = [];
+
+        const logs = this.loadLogs().map(log => {
+            if (log.targetDate !== date || !byCode.has(log.productCode)) return log;
+
+            const actual = byCode.get(log.productCode);
+            const updated = {
+                ...log,
+                actual: actual.sales || 0,
+                waste: actual.waste || 0,
+                category: log.category || actual.category || '',
+                scoredAt: new Date().toISOString()
+            };
+            scored.push(updated);
+            return updated;
+        });
+
+        if (scored.length > 0) {
+            this.saveLogs(logs);
+
+            eventBus.emit('forecast.scored', { date, count: scored.length });
+        }
+
+        return scored;
+    }
+
+    /**
+     * 予測ログを取得
+     * @param {Object} filters - { from, to, source, productCode, scored }
+     * @returns {Array} ログ配列（対象日順）
+     */
+    static getLogs(filters = {}) {
+        return this.loadLogs()
+            .filter(log => (!filters.from || log.targetDate >= filters.from) &&
+                (!filters.to || log.targetDate <= filters.to) &&
+                (!filters.source || log.source === filters.source) &&
+                (!filters.productCode || log.productCode === filters.productCode) &&
+                (filters.scored === undefined || (log.scoredAt !== null) === filters.scored))
+            .sort((a, b) => a.targetDate.localeCompare(b.targetDate));
+    }
+
+    /**
+     * 予測精度レポートを作成（商品別・カテゴリ別・曜日別）
+     * @param {Object} filters - getLogs と同じ条件
+     * @param {Object} options - { overForecastWeight }
+     * @returns {Object} { overall, byProduct, byCategory, byDayOfWeek, pending }
+     */
+    static getAccuracyReport(filters = {}, options = {}) {
+        const logs = this.getLogs(filters);
+        const scored = logs.filter(log => log.scoredAt !== null);
+        const dayNames = ['日', '月', '火', '水', '木', '金', '土'];
+
+        const group = keyOf => {
+            const groups = new Map();
+            scored.forEach(log => {
+                const key = keyOf(log);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(log);
+            });
+            return Array.from(groups.entries()).map(([key, items]) => ({
+                key,
+                ...this.calculateMetrics(items.map(item => ({ forecast: item.forecast, actual: item.actual, waste: item.waste })), options)
+            }));
+        };
+
+        return {
+            overall: this.calculateMetrics(scored.map(log => ({ forecast: log.forecast, actual: log.actual, waste: log.waste })), options),
+            byProduct: group(log => `${log.productCode} ${log.productName}`.trim()),
+            byCategory: group(log => log.category || '未分類'),
+            byDayOfWeek: group(log => dayNames[this.getDayOfWeek(log.targetDate)])
+                .sort((a, b) => dayNames.indexOf(a.key) - dayNames.indexOf(b.key)),
+            pending: logs.length - scored.length
+        };
+    }
+
+    /**
+     * 予測と実績の組から精度指標を計算
+     * MAPE: 実績0の日を除く平均絶対誤差率(%)
+     * バイアス: 平均誤差（予測 - 実績、正なら過大予測）と総実績に対する比率(%)
+     * 過大予測加重誤差: 過大予測を overForecastWeight 倍して合計した絶対誤差の総実績比(%)
+     * 実ロス率: 実績とともに記録したロス数の（販売数 + ロス数）に対する比率(%)。ロスの記録がなければ null
+     * @param {Array} pairs - [{ forecast, actual, waste? }]
+     * @param {Object} options - { overForecastWeight: 過大予測の重み（既定2） }
+     * @returns {Object} { count, mape, bias, biasPercent, overForecastWeightedError, wasteRate }
+     */
+    static calculateMetrics(pairs = [], options = {}) {
+        const { overForecastWeight = 2 } = options;
+        const valid = pairs.filter(pair => typeof pair.forecast === 'number' && typeof pair.actual === 'number');
+
+        if (valid.length === 0) {
+            return { count: 0, mape: null, bias: null, biasPercent: null, overForecastWeightedError: null, wasteRate: null };
+        }
+
+        const nonZero = valid.filter(pair => pair.actual > 0);
+        const totalActual = valid.reduce((sum, pair) => sum + pair.actual, 0);
+        const totalError = valid.reduce((sum, pair) => sum + (pair.forecast - pair.actual), 0);
+        const weightedError = valid.reduce((sum, pair) => {
+            const error = pair.forecast - pair.actual;
+            return sum + (error > 0 ? error * overForecastWeight : -error);
+        }, 0);
+        const withWaste = valid.filter(pair => typeof pair.waste === 'number');
+        const totalWaste = withWaste.reduce((sum, pair) => sum + pair.waste, 0);
+        const wasteBase = withWaste.reduce((sum, pair) => sum + pair.actual + pair.waste, 0);
+        const round = value => Math.round(value * 10) / 10 || 0;
+
+        return {
+            count: valid.length,
+            mape: nonZero.length > 0 ?
+                round(nonZero.reduce((sum, pair) => sum + Math.abs(pair.forecast - pair.actual) / pair.actual, 0) / nonZero.length * 100) :
+                null,
+            bias: round(totalError / valid.length),
+            biasPercent: totalActual > 0 ? round(totalError / totalActual * 100) : null,
+            overForecastWeightedError: totalActual > 0 ? round(weightedError / totalActual * 100) : null,
+            wasteRate: wasteBase > 0 ? round(totalWaste / wasteBase * 100) : null
+        };
+    }
+
+    /**
+     * 既定の対象日（翌日分の発注を想定）
+     * @returns {string} YYYY-MM-DD
+     */
+    static getDefaultTargetDate() {
+        const date = new Date();
+        date.setDate(date.getDate() + 1);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * 曜日番号を取得
+     * @param {string} date - YYYY-MM-DD
+     * @returns {number} 0(日)〜6(土)
+     */
+    static getDayOfWeek(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(year, month - 1, day).getDay();
+    }
+
+    /**
+     * 予測ログを読み込み
+     * @returns {Array} ログ配列
+     */
+    static loadLogs() {
+        try {
+            if (typeof localStorage === 'undefined') return [];
+            return JSON.parse(localStorage.getItem('moc_forecast_logs') || '[]');
+        } catch (error) {
+            console.warn('予測ログの読み込みに失敗しました:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 予測ログを保存（直近2000件まで保持）
+     * @param {Array} logs - ログ配列
+     */
+    static saveLogs(logs) {
+        try {
+            if (typeof localStorage === 'undefined') return;
+            localStorage.setItem('moc_forecast_logs', JSON.stringify(logs.slice(-2000)));
+        } catch (error) {
+            console.warn('予測ログの保存に失敗しました:', error);
+        }
+    }
+}
+
+export default ForecastAccuracyService;
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.ForecastAccuracyService = ForecastAccuracyService;
+}
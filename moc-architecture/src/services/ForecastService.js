@@ -0,0 +1,559 @@
+/**
+ * ForecastService - 指数平滑法による需要予測
+ * MOCアーキテクチャのサービス層 - daily_records の履歴から商品別・カテゴリ別に予測
+ */
+
+import ForecastAccuracyService from './ForecastAccuracyService.js';
+import HistoricalDataService from './HistoricalDataService.js';
+
+class ForecastService {
+
+    /**
+     * 予測手法の表示名
+     * @returns {Object} 手法コード: 表示名
+     */
+    static getMethodLabels() {
+        return {
+            simple: '単純指数平滑',
+            holt: 'Holt（トレンド）',
+            holt_winters: 'Holt-Winters（週次季節性）'
+        };
+    }
+
+    /**
+     * バックテストで比較する手法の表示名（ベースライン含む）
+     * @returns {Object} 手法コード: 表示名
+     */
+    static getBacktestMethodLabels() {
+        return {
+            naive_weekly: '前週同曜日',
+            moving_average: '直近7日平均',
+            ...this.getMethodLabels()
+        };
+    }
+
+    /**
+     * 信頼水準に対応する正規分布の両側z値
+     * @param {number} level - 信頼水準 (0.8, 0.9, 0.95, 0.99)
+     * @returns {number} z値
+     */
+    static getZScore(level = 0.8) {
+        const table = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+        return table[level] || 1.2816;
+    }
+
+    // ========== 時系列の作成 ==========
+
+    /**
+     * 過去データから日次時系列を作成
+     * 過去データは PerformanceInputService.getHistoricalData の形式 [{ date, products: [{ code, sales, ... }] }]
+     * 記録のない日は前週同曜日の値（なければ平均）で補完する
+     * @param {Array} historicalData - 過去データ
+     * @param {Object} options - { productCodes: 対象商品（省略時は全商品）, valueField: 'sales' | 'amount', useEstimatedDemand, hourlyCurve }
+     * @returns {Object} { dates, values, imputed }
+     */
+    static buildDailySeries(historicalData = [], options = {}) {
+        const { productCodes = null, valueField = 'sales' } = options;
+        let source = historicalData || [];
+
+        if (options.useEstimatedDemand) {
+            source = HistoricalDataService.applyDemandEstimates(source, options);
+        }
+
+        const totals = new Map();
+        source.forEach(day => {
+            const value = (day.products || [])
+                .filter(product => !productCodes || productCodes.includes(product.code))
+                .reduce((sum, product) => {
+                    const quantity = product.sales || 0;
+                    return sum + (valueField === 'amount' ? quantity * (product.price || 0) : quantity);
+                }, 0);
+            totals.set(day.date, (totals.get(day.date) || 0) + value);
+        });
+
+        const observed = Array.from(totals.keys()).sort();
+        if (observed.length === 0) {
+            return { dates: [], values: [], imputed: 0 };
+        }
+
+        const dates = [];
+        for (let date = observed[0]; date <= observed[observed.length - 1]; date = ForecastService.shiftDate(date, 1)) {
+            dates.push(date);
+        }
+
+        const mean = observed.reduce((sum, date) => sum + totals.get(date), 0) / observed.length;
+        let imputed = 0;
+        const values = [];
+        dates.forEach((date, index) => {
+            if (totals.has(date)) {
+                values.push(totals.get(date));
+            } else {
+                values.push(index >= 7 ? values[index - 7] : mean);
+                imputed++;
+            }
+        });
+
+        return { dates, values, imputed };
+    }
+
+    // ========== 指数平滑モデル ==========
+
+    /**
+     * モデルを当てはめる（1期先予測の残差を計算）
+     * @param {Array} values - 時系列
+     * @param {string} method - 'simple' | 'holt' | 'holt_winters'
+     * @param {Object} params - { alpha, beta, gamma, seasonLength }
+     * @returns {Object} { level, trend, seasonals, fitted, residuals, sse }
+     */
+    static fit(values, method = 'simple', params = {}) {
+        const { alpha = 0.3, beta = 0.1, gamma = 0.1, seasonLength = 7 } = params;
+        const useTrend = method === 'holt' || method === 'holt_winters';
+        const useSeason = method === 'holt_winters';
+        const m = seasonLength;
+
+        // 初期値
+        let level;
+        let trend = 0;
+        let seasonals = [];
+        let start;
+
+        if (useSeason) {
+            const firstSeason = values.slice(0, m);
+            const secondSeason = values.slice(m, 2 * m);
+            const firstMean = firstSeason.reduce((sum, v) => sum + v, 0) / m;
+            const secondMean = secondSeason.reduce((sum, v) => sum + v, 0) / m;
+            level = firstMean;
+            trend = (secondMean - firstMean) / m;
+            seasonals = firstSeason.map(v => v - firstMean);
+            start = m;
+        } else if (useTrend) {
+            level = values[0];
+            trend = values.length > 1 ? values[1] - values[0] : 0;
+            start = 1;
+        } else {
+            level = values[0];
+            start = 1;
+        }
+
+        const fitted = [];
+        const residuals = [];
+
+        for (let t = start; t < values.length; t++) {
+            const season = useSeason ? seasonals[t % m] : 0;
+            const prediction = level + trend + season;
+            const error = values[t] - prediction;
+            fitted.push(prediction);
+            residuals.push(error);
+
+            const previousLevel = level;
+            if (useSeason) {
+                level = alpha * (values[t] - season) + (1 - alpha) * (level + trend);
+                trend = beta * (level - previousLevel) + (1 - beta) * trend;
+                seasonals[t % m] = gamma * (values[t] - level) + (1 - gamma) * season;
+            } else if (useTrend) {
+                level = alpha * values[t] + (1 - alpha) * (level + trend);
+                trend = beta * (level - previousLevel) + (1 - beta) * trend;
+            } else {
+                level = alpha * values[t] + (1 - alpha) * level;
+            }
+        }
+
+        const sse = residuals.reduce((sum, e) => sum + e * e, 0);
+
+        return {
+            level,
+            trend: useTrend ? trend : 0,
+            seasonals: useSeason ? seasonals : [],
+            nextSeasonIndex: values.length % m,
+            fitted,
+            residuals,
+            sse
+        };
+    }
+
+    /**
+     * 平滑化係数をグリッドサーチで推定（1期先予測の二乗誤差最小）
+     * @param {Array} values - 時系列
+     * @param {string} method - 予測手法
+     * @param {number} seasonLength - 季節周期
+     * @returns {Object} { alpha, beta, gamma, seasonLength }
+     */
+    static optimizeParameters(values, method, seasonLength = 7) {
+        const grid = [0.1, 0.2, 0.3, 0.5, 0.7, 0.9];
+        const smallGrid = [0.05, 0.1, 0.2, 0.3];
+        const betas = method === 'simple' ? [0] : smallGrid;
+        const gammas = method === 'holt_winters' ? smallGrid : [0];
+
+        let best = null;
+        grid.forEach(alpha => {
+            betas.forEach(beta => {
+                gammas.forEach(gamma => {
+                    const params = { alpha, beta, gamma, seasonLength };
+                    const { sse } = this.fit(values, method, params);
+                    if (!best || sse < best.sse) {
+                        best = { sse, params };
+                    }
+                });
+            });
+        });
+
+        return best.params;
+    }
+
+    /**
+     * データ量から使用可能な手法を判定
+     * @param {number} length - 時系列長
+     * @param {number} seasonLength - 季節周期
+     * @returns {Array} 手法コード配列
+     */
+    static getAvailableMethods(length, seasonLength = 7) {
+        const methods = [];
+        if (length >= 2) methods.push('simple');
+        if (length >= 4) methods.push('holt');
+        if (length >= seasonLength * 2 + 2) methods.push('holt_winters');
+        return methods;
+    }
+
+    /**
+     * 時系列を予測
+     * method が 'auto' の場合は使用可能な手法の中からAICが最小のものを選ぶ
+     * @param {Array} values - 時系列
+     * @param {Object} options - { method, horizon, confidenceLevel, seasonLength, params }
+     * @returns {Object} { method, params, points: [{ step, forecast, lower, upper }], total, sigma, aic, n }
+     */
+    static forecastSeries(values, options = {}) {
+        const { method = 'auto', horizon = 7, confidenceLevel = 0.8, seasonLength = 7 } = options;
+        const series = (values || []).map(v => Math.max(0, Number(v) || 0));
+        const available = this.getAvailableMethods(series.length, seasonLength);
+
+        if (available.length === 0) {
+            const value = series.length > 0 ? series[0] : 0;
+            return this.buildFlatForecast(value, horizon, confidenceLevel);
+        }
+
+        if (method !== 'auto' && !available.includes(method)) {
+            throw new Error(`${this.getMethodLabels()[method] || method}にはデータが不足しています（${series.length}日分）`);
+        }
+
+        const candidates = method === 'auto' ? available : [method];
+        const paramCounts = { simple: 1, holt: 2, holt_winters: 3 + seasonLength };
+
+        const models = candidates.map(candidate => {
+            const params = options.params || this.optimizeParameters(series, candidate, seasonLength);
+            const model = this.fit(series, candidate, params);
+            const n = model.residuals.length;
+            const aic = n > 0 ? n * Math.log(Math.max(model.sse, 1e-9) / n) + 2 * paramCounts[candidate] : Infinity;
+            return { method: candidate, params, model, aic, n };
+        });
+
+        const chosen = models.reduce((best, current) => (current.aic < best.aic ? current : best));
+        return this.project(chosen, horizon, confidenceLevel, seasonLength);
+    }
+
+    /**
+     * 当てはめたモデルから将来値と予測区間を計算
+     * 予測区間は指数平滑状態空間モデルの誤差分散 σ²(1 + Σ c_j²) で近似する
+     * @param {Object} chosen - { method, params, model, aic, n }
+     * @param {number} horizon - 予測期間
+     * @param {number} confidenceLevel - 信頼水準
+     * @param {number} seasonLength - 季節周期
+     * @returns {Object} 予測結果
+     */
+    static project(chosen, horizon, confidenceLevel, seasonLength) {
+        const { method, params, model, aic, n } = chosen;
+        const { alpha, beta = 0, gamma = 0 } = params;
+        const sigma = n > 0 ? Math.sqrt(model.sse / n) : 0;
+        const z = this.getZScore(confidenceLevel);
+
+        const points = [];
+        let cumulative = 0;
+        let totalVariance = 0;
+
+        for (let h = 1; h <= horizon; h++) {
+            const season = method === 'holt_winters' ?
+                model.seasonals[(model.nextSeasonIndex + h - 1) % seasonLength] : 0;
+            const forecast = Math.max(0, model.level + h * model.trend + season);
+
+            if (h > 1) {
+                const j = h - 1;
+                const seasonal = method === 'holt_winters' && j % seasonLength === 0 ? gamma : 0;
+                cumulative += Math.pow(alpha * (1 + j * beta) + seasonal, 2);
+            }
+            const variance = sigma * sigma * (1 + cumulative);
+            totalVariance += variance;
+            const margin = z * Math.sqrt(variance);
+
+            points.push({
+                step: h,
+                forecast: Math.round(forecast * 10) / 10,
+                lower: Math.round(Math.max(0, forecast - margin) * 10) / 10,
+                upper: Math.round((forecast + margin) * 10) / 10,
+                stdDev: Math.round(Math.sqrt(variance) * 100) / 100
+            });
+        }
+
+        const totalForecast = points.reduce((sum, point) => sum + point.forecast, 0);
+        const totalMargin = z * Math.sqrt(totalVariance);
+
+        return {
+            method,
+            methodLabel: this.getMethodLabels()[method],
+            params,
+            points,
+            total: {
+                forecast: Math.round(totalForecast * 10) / 10,
+                lower: Math.round(Math.max(0, totalForecast - totalMargin) * 10) / 10,
+                upper: Math.round((totalForecast + totalMargin) * 10) / 10
+            },
+            sigma: Math.round(sigma * 100) / 100,
+            confidenceLevel,
+            aic: Number.isFinite(aic) ? Math.round(aic * 100) / 100 : null,
+            n
+        };
+    }
+
+    /**
+     * データ不足時の一定値予測
+     * @param {number} value - 予測値
+     * @param {number} horizon - 予測期間
+     * @param {number} confidenceLevel - 信頼水準
+     * @returns {Object} 予測結果
+     */
+    static buildFlatForecast(value, horizon, confidenceLevel) {
+        const points = Array.from({ length: horizon }, (_, index) => ({
+            step: index + 1,
+            forecast: value,
+            lower: value,
+            upper: value,
+            stdDev: 0
+        }));
+
+        return {
+            method: 'naive',
+            methodLabel: 'データ不足（直近値）',
+            params: {},
+            points,
+            total: { forecast: value * horizon, lower: value * horizon, upper: value * horizon },
+            sigma: 0,
+            confidenceLevel,
+            aic: null,
+            n: 0
+        };
+    }
+
+    // ========== 商品別・カテゴリ別予測 ==========
+
+    /**
+     * 商品別・カテゴリ別に予測
+     * @param {Array} historicalData - 過去データ
+     * @param {Object} options - { products: [{ code, name, category, price }], horizon, method, confidenceLevel, useEstimatedDemand, hourlyCurve }
+     * @returns {Object} { startDate, dates, products: [...], categories: [...] }
+     */
+    static forecastByProductAndCategory(historicalData = [], options = {}) {
+        const { horizon = 7 } = options;
+        const products = options.products || this.collectProducts(historicalData);
+        const lastDate = (historicalData || []).reduce((max, day) => (day.date > max ? day.date : max), '');
+        const startDate = lastDate ? this.shiftDate(lastDate, 1) : '';
+        const dates = startDate ? Array.from({ length: horizon }, (_, index) => this.shiftDate(startDate, index)) : [];
+
+        const run = (codes, meta) => {
+            const series = this.buildDailySeries(historicalData, { ...options, productCodes: codes });
+            const result = this.forecastSeries(series.values, options);
+            return {
+                ...meta,
+                ...result,
+                points: result.points.map((point, index) => ({ ...point, date: dates[index] || '' })),
+                history: series.values.length,
+                imputed: series.imputed
+            };
+        };
+
+        const productForecasts = products.map(product => run([product.code], {
+            code: product.code,
+            name: product.name || product.code,
+            category: product.category || '',
+            price: product.price || 0
+        }));
+
+        const categoryCodes = {};
+        products.forEach(product => {
+            const category = product.category || '未分類';
+            if (!categoryCodes[category]) categoryCodes[category] = [];
+            categoryCodes[category].push(product.code);
+        });
+
+        const categoryForecasts = Object.keys(categoryCodes).map(category => run(categoryCodes[category], {
+            category,
+            productCodes: categoryCodes[category]
+        }));
+
+        return {
+            startDate,
+            dates,
+            products: productForecasts,
+            categories: categoryForecasts
+        };
+    }
+
+    /**
+     * 過去データに含まれる商品一覧を取得
+     * @param {Array} historicalData - 過去データ
+     * @returns {Array} [{ code, name, category, price }]
+     */
+    static collectProducts(historicalData = []) {
+        const products = new Map();
+        (historicalData || []).forEach(day => {
+            (day.products || []).forEach(product => {
+                if (!products.has(product.code)) {
+                    products.set(product.code, {
+                        code: product.code,
+                        name: product.name || '',
+                        category: product.category || '',
+                        price: product.price || 0
+                    });
+                }
+            });
+        });
+        return Array.from(products.values());
+    }
+
+    /**
+     * 予測結果を OrderService.calculateRecommendedOrder 向けの需要予測に変換
+     * @param {Object} productForecast - forecastByProductAndCategory の商品別結果
+     * @param {number} step - 何日先か（1始まり）
+     * @returns {Object|null} { mean, stdDev, lower, upper, method, date }
+     */
+    static toOrderForecast(productForecast, step = 1) {
+        const point = productForecast && productForecast.points ? productForecast.points[step - 1] : null;
+        if (!point) return null;
+
+        return {
+            mean: point.forecast,
+            stdDev: point.stdDev,
+            lower: point.lower,
+            upper: point.upper,
+            method: productForecast.method,
+            date: point.date || ''
+        };
+    }
+
+    // ========== バックテスト ==========
+
+    /**
+     * ローリング・オリジンによるバックテスト
+     * 各時点までのデータだけで予測し、horizon日先の実績と比較する
+     * 比較用に前週同曜日（naive_weekly）と直近7日平均（moving_average）も評価する
+     * @param {Array} values - 時系列
+     * @param {Object} options - { methods, horizon, minTrain, maxOrigins, seasonLength }
+     * @returns {Object} 手法コード: [{ forecast, actual }]
+     */
+    static backtestSeries(values, options = {}) {
+        const {
+            methods = ['naive_weekly', 'moving_average', 'simple', 'holt', 'holt_winters'],
+            horizon = 1,
+            minTrain = 14,
+            maxOrigins = 28,
+            seasonLength = 7
+        } = options;
+
+        const pairs = {};
+        methods.forEach(method => { pairs[method] = []; });
+
+        const lastOrigin = values.length - horizon;
+        const firstOrigin = Math.max(minTrain, lastOrigin - maxOrigins + 1);
+
+        for (let origin = firstOrigin; origin <= lastOrigin; origin++) {
+            const train = values.slice(0, origin);
+            const actual = values[origin + horizon - 1];
+
+            methods.forEach(method => {
+                const forecast = this.backtestForecast(train, method, horizon, seasonLength);
+                if (forecast !== null) {
+                    pairs[method].push({ forecast, actual });
+                }
+            });
+        }
+
+        return pairs;
+    }
+
+    /**
+     * バックテスト1回分の予測値
+     * @param {Array} train - 学習データ
+     * @param {string} method - 手法
+     * @param {number} horizon - 何日先か
+     * @param {number} seasonLength - 季節周期
+     * @returns {number|null} 予測値（データ不足ならnull）
+     */
+    static backtestForecast(train, method, horizon, seasonLength) {
+        if (method === 'naive_weekly') {
+            const index = train.length - seasonLength + ((horizon - 1) % seasonLength);
+            return index >= 0 ? train[index] : null;
+        }
+        if (method === 'moving_average') {
+            const recent = train.slice(-seasonLength);
+            return recent.length > 0 ? recent.reduce((sum, v) => sum + v, 0) / recent.length : null;
+        }
+        if (!this.getAvailableMethods(train.length, seasonLength).includes(method)) {
+            return null;
+        }
+        const result = this.forecastSeries(train, { method, horizon, seasonLength });
+        return result.points[horizon - 1].forecast;
+    }
+
+    /**
+     * 商品別にバックテストを行い手法を比較
+     * @param {Array} historicalData - 過去データ
+     * @param {Object} options - backtestSeries のオプション + { products, useEstimatedDemand, overForecastWeight }
+     * @returns {Object} { methods, overall: [{ method, label, ...指標 }], products: [{ code, name, results, best }] }
+     */
+    static backtestByProduct(historicalData = [], options = {}) {
+        const labels = this.getBacktestMethodLabels();
+        const products = options.products || this.collectProducts(historicalData);
+        const allPairs = {};
+
+        const productResults = products.map(product => {
+            const series = this.buildDailySeries(historicalData, { ...options, productCodes: [product.code] });
+            const pairs = this.backtestSeries(series.values, options);
+
+            const results = Object.keys(pairs).map(method => {
+                allPairs[method] = (allPairs[method] || []).concat(pairs[method]);
+                return { method, label: labels[method], ...ForecastAccuracyService.calculateMetrics(pairs[method], options) };
+            });
+            const best = results
+                .filter(result => result.count > 0 && result.overForecastWeightedError !== null)
+                .reduce((min, result) => (!min || result.overForecastWeightedError < min.overForecastWeightedError ? result : min), null);
+
+            return { code: product.code, name: product.name || product.code, results, best: best ? best.method : null };
+        });
+
+        return {
+            methods: Object.keys(allPairs),
+            overall: Object.keys(allPairs).map(method => ({
+                method,
+                label: labels[method],
+                ...ForecastAccuracyService.calculateMetrics(allPairs[method], options)
+            })),
+            products: productResults
+        };
+    }
+
+    /**
+     * 日付をずらす
+     * @param {string} date - YYYY-MM-DD
+     * @param {number} days - 日数
+     * @returns {string} YYYY-MM-DD
+     */
+    static shiftDate(date, days) {
+        const [year, month, day] = date.split('-').map(Number);
+        const shifted = new Date(Date.UTC(year, month - 1, day + days));
+        return shifted.toISOString().slice(0, 10);
+    }
+}
+
+export default ForecastService;
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.ForecastService = ForecastService;
+}
@@ -0,0 +1,1092 @@
+/**
+ * HistoricalDataService - 過去実績データ管理ビジネスロジック
+ * MOCアーキテクチャのサービス層 - 洋生ノート仕様対応
+ */
+
+import CalendarService from './CalendarService.js';
+import EventWeatherService from './EventWeatherService.js';
+import ForecastAccuracyService from './ForecastAccuracyService.js';
+
+class HistoricalDataService {
+    
+    /**
+     * 前年同曜日のデータを取得
+     * CalendarService で祝日↔祝日、催事↔催事の日付を合わせ、
+     * 通常日は前年の祝日・繁忙期・催事の日を比較対象から除く
+     * @param {Date} targetDate - 対象日
+     * @param {Array} historicalData - 過去データ
+     * @returns {Array} 前年同曜日データ（日付合わせの結果は alignment に付与、合わせた日が先頭）
+     */
+    static getPreviousYearSameDayData(targetDate, historicalData = []) {
+        if (!targetDate || !historicalData || historicalData.length === 0) return [];
+
+        const targetMonth = targetDate.getMonth();
+        const previousYear = targetDate.getFullYear() - 1;
+        const target = CalendarService.toDateString(targetDate);
+        const aligned = CalendarService.findPreviousYearDate(target);
+
+        const matches = historicalData.map(data => {
+            const date = String(data.date).slice(0, 10);
+            if (date === aligned.date) {
+                return { ...data, alignment: { matchType: aligned.matchType, reason: aligned.reason } };
+            }
+            if (Number(date.slice(0, 4)) === previousYear &&
+                Number(date.slice(5, 7)) - 1 === targetMonth &&
+                CalendarService.isComparable(target, date)) {
+                return { ...data, alignment: { matchType: 'comparable', reason: '前年同月の同区分日' } };
+            }
+            return null;
+        }).filter(Boolean);
+
+        return matches.sort((a, b) => {
+            const alignedA = String(a.date).slice(0, 10) === aligned.date ? 1 : 0;
+            const alignedB = String(b.date).slice(0, 10) === aligned.date ? 1 : 0;
+            return alignedB - alignedA || new Date(b.date) - new Date(a.date);
+        });
+    }
+
+    /**
+     * 直近N日間の実績データを取得
+     * @param {Date} fromDate - 基準日
+     * @param {number} days - 取得日数
+     * @param {Array} historicalData - 過去データ
+     * @returns {Array} 直近実績データ
+     */
+    static getRecentData(fromDate, days = 7, historicalData = []) {
+        if (!fromDate || !historicalData || historicalData.length === 0) return [];
+
+        const endDate = new Date(fromDate);
+        const startDate = new Date(fromDate);
+        startDate.setDate(startDate.getDate() - days);
+
+        return historicalData.filter(data => {
+            const dataDate = new Date(data.date);
+            return dataDate >= startDate && dataDate <= endDate;
+        }).sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    /**
+     * 同じ曜日の過去データを取得
+     * @param {Date} targetDate - 対象日
+     * @param {number} weeks - 取得週数
+     * @param {Array} historicalData - 過去データ
+     * @returns {Array} 同曜日データ
+     */
+    static getSameDayOfWeekData(targetDate, weeks = 4, historicalData = []) {
+        if (!targetDate || !historicalData || historicalData.length === 0) return [];
+
+        const targetDayOfWeek = targetDate.getDay();
+        const endDate = new Date(targetDate);
+        const startDate = new Date(targetDate);
+        startDate.setDate(startDate.getDate() - (weeks * 7));
+
+        return historicalData.filter(data => {
+            const dataDate = new Date(data.date);
+            return (
+                dataDate >= startDate &&
+                dataDate < endDate &&
+                dataDate.getDay() === targetDayOfWeek
+            );
+        }).sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    /**
+     * 参考実績サマリーを生成
+     * @param {Array} referenceData - 参考データ
+     * @param {string} productCode - 商品コード
+     * @param {Object} options - { useEstimatedDemand: 完売日の販売数を推定需要に置き換える, hourlyCurve }
+     * @returns {Object} 参考実績サマリー
+     */
+    static generateReferenceSummary(referenceData, productCode, options = {}) {
+        if (options.useEstimatedDemand) {
+            referenceData = this.applyDemandEstimates(referenceData, options);
+        }
+
+        if (!referenceData || referenceData.length === 0) {
+            return {
+                productCode,
+                dataCount: 0,
+                averageOrder: 0,
+                averageSales: 0,
+                averageWaste: 0,
+                maxOrder: 0,
+                minOrder: 0,
+                trend: 'no_data',
+                reliability: 0
+            };
+        }
+
+        const productData = referenceData.map(data => {
+            const product = data.products?.find(p => p.code === productCode);
+            return product || { orderQuantity: 0, sales: 0, waste: 0 };
+        }).filter(p => p.orderQuantity > 0 || p.sales > 0);
+
+        if (productData.length === 0) {
+            return {
+                productCode,
+                dataCount: 0,
+                averageOrder: 0,
+                averageSales: 0,
+                averageWaste: 0,
+                maxOrder: 0,
+                minOrder: 0,
+                trend: 'no_data',
+                reliability: 0
+            };
+        }
+
+        const orders = productData.map(p => p.orderQuantity || 0);
+        const sales = productData.map(p => p.sales || 0);
+        const wastes = productData.map(p => p.waste || 0);
+        const observedSales = productData.map(p => (p.observedSales !== undefined ? p.observedSales : p.sales) || 0);
+        const lostSales = productData.map(p => p.lostSales || 0);
+
+        const averageOrder = orders.reduce((sum, qty) => sum + qty, 0) / orders.length;
+        const averageSales = sales.reduce((sum, qty) => sum + qty, 0) / sales.length;
+        const averageWaste = wastes.reduce((sum, qty) => sum + qty, 0) / wastes.length;
+        const maxOrder = Math.max(...orders);
+        const minOrder = Math.min(...orders.filter(o => o > 0));
+
+        // トレンド分析（直近3データポイントの傾向）
+        const trend = this.analyzeTrend(orders.slice(0, 3));
+        
+        // 信頼性スコア（データ数と分散に基づく）
+        const reliability = this.calculateReliabilityScore(orders);
+
+        return {
+            productCode,
+            dataCount: productData.length,
+            averageOrder: Math.round(averageOrder * 10) / 10,
+            averageSales: Math.round(averageSales * 10) / 10,
+            averageWaste: Math.round(averageWaste * 10) / 10,
+            maxOrder,
+            minOrder: minOrder === Infinity ? 0 : minOrder,
+            trend,
+            reliability,
+            lastOrderDate: referenceData[0]?.date || '',
+            varianceOrder: this.calculateVariance(orders),
+            demandBasis: options.useEstimatedDemand ? 'estimated_demand' : 'observed_sales',
+            averageObservedSales: Math.round((observedSales.reduce((sum, qty) => sum + qty, 0) / observedSales.length) * 10) / 10,
+            averageLostSales: Math.round((lostSales.reduce((sum, qty) => sum + qty, 0) / lostSales.length) * 10) / 10,
+            soldoutDays: productData.filter(p => p.censored).length
+        };
+    }
+
+    /**
+     * 季節調整係数を計算
+     * @param {Date} targetDate - 対象日
+     * @param {Array} historicalData - 過去データ
+     * @param {string} productCode - 商品コード
+     * @param {Object} options - { useEstimatedDemand, hourlyCurve }
+     * @returns {number} 季節調整係数
+     */
+    static calculateSeasonalFactor(targetDate, historicalData = [], productCode, options = {}) {
+        if (!targetDate || !historicalData || historicalData.length === 0) return 1.0;
+        if (options.useEstimatedDemand) {
+            historicalData = this.applyDemandEstimates(historicalData, options);
+        }
+
+        const targetMonth = targetDate.getMonth();
+        const yearlyData = {};
+
+        // 月別データを集計
+        historicalData.forEach(data => {
+            const dataDate = new Date(data.date);
+            const month = dataDate.getMonth();
+            const year = dataDate.getFullYear();
+            
+            if (!yearlyData[year]) yearlyData[year] = {};
+            if (!yearlyData[year][month]) yearlyData[year][month] = [];
+            
+            const product = data.products?.find(p => p.code === productCode);
+            if (product) {
+                yearlyData[year][month].push(product.sales || 0);
+            }
+        });
+
+        // 各年の月平均を計算
+        const monthlyAverages = [];
+        const annualAverages = [];
+        
+        Object.keys(yearlyData).forEach(year => {
+            let annualTotal = 0;
+            let annualCount = 0;
+            
+            Object.keys(yearlyData[year]).forEach(month => {
+                const monthData = yearlyData[year][month];
+                const monthAvg = monthData.reduce((sum, val) => sum + val, 0) / monthData.length;
+                annualTotal += monthAvg;
+                annualCount++;
+                
+                if (parseInt(month) === targetMonth) {
+                    monthlyAverages.push(monthAvg);
+                }
+            });
+            
+            if (annualCount > 0) {
+                annualAverages.push(annualTotal / annualCount);
+            }
+        });
+
+        if (monthlyAverages.length === 0 || annualAverages.length === 0) return 1.0;
+
+        const targetMonthAvg = monthlyAverages.reduce((sum, val) => sum + val, 0) / monthlyAverages.length;
+        const overallAvg = annualAverages.reduce((sum, val) => sum + val, 0) / annualAverages.length;
+
+        return overallAvg > 0 ? Math.round((targetMonthAvg / overallAvg) * 100) / 100 : 1.0;
+    }
+
+    /**
+     * 天気による影響係数を計算
+     * @param {string} weather - 天気 ('sunny', 'cloudy', 'rainy', etc.)
+     * @param {Array} historicalData - 過去データ
+     * @param {string} productCode - 商品コード
+     * @param {Object} options - { useEstimatedDemand, hourlyCurve, targetDate: 天気未指定時にイベント・気象マスタから引く対象日 }
+     * @returns {number} 天気影響係数
+     */
+    static calculateWeatherFactor(weather, historicalData = [], productCode, options = {}) {
+        if (!weather && options.targetDate) {
+            const record = this.getEventWeatherRecord(options.targetDate);
+            weather = record ? record.weather : '';
+        }
+        if (!weather || !historicalData || historicalData.length === 0) return 1.0;
+        if (options.useEstimatedDemand) {
+            historicalData = this.applyDemandEstimates(historicalData, options);
+        }
+
+        const weatherData = {
+            sunny: [],
+            cloudy: [],
+            rainy: [],
+            snowy: [],
+            other: []
+        };
+
+        // 天気別データを分類（催事のある日は催事係数と二重に効かないよう除外）
+        historicalData.forEach(data => {
+            const record = this.getEventWeatherRecord(data.date);
+            if (record && (record.special_sale || record.competitor_event)) return;
+
+            const weatherCondition = this.normalizeWeather(data.weather || (record && record.weather));
+            const product = this.getProductEntry(data, productCode);
+            
+            if (product && weatherData[weatherCondition]) {
+                weatherData[weatherCondition].push(product.sales || 0);
+            }
+        });
+
+        // 各天気の平均売上を計算
+        const weatherAverages = {};
+        Object.keys(weatherData).forEach(condition => {
+            if (weatherData[condition].length > 0) {
+                weatherAverages[condition] = weatherData[condition].reduce((sum, val) => sum + val, 0) / weatherData[condition].length;
+            }
+        });
+
+        // 全体平均を計算
+        const allSales = Object.values(weatherData).flat();
+        if (allSales.length === 0) return 1.0;
+        
+        const overallAvg = allSales.reduce((sum, val) => sum + val, 0) / allSales.length;
+        const normalizedWeather = this.normalizeWeather(weather);
+        
+        const weatherAvg = weatherAverages[normalizedWeather];
+        
+        return (weatherAvg && overallAvg > 0) ? Math.round((weatherAvg / overallAvg) * 100) / 100 : 1.0;
+    }
+
+    /**
+     * 催事による影響係数を計算（イベント・気象マスタの特招会・競合催事から自動算出）
+     * 特招会の日・競合催事の日それぞれについて、催事のない日の平均販売数との比を掛け合わせる
+     * @param {Date|string} targetDate - 対象日
+     * @param {Array} historicalData - 過去データ
+     * @param {string} productCode - 商品コード
+     * @param {Object} options - { useEstimatedDemand, hourlyCurve }
+     * @returns {number} 催事影響係数
+     */
+    static calculateEventFactor(targetDate, historicalData = [], productCode, options = {}) {
+        const target = this.getEventWeatherRecord(targetDate);
+        if (!target || (!target.special_sale && !target.competitor_event)) return 1.0;
+        if (!historicalData || historicalData.length === 0) return 1.0;
+        if (options.useEstimatedDemand) {
+            historicalData = this.applyDemandEstimates(historicalData, options);
+        }
+
+        const sales = { special_sale: [], competitor_event: [], none: [] };
+        historicalData.forEach(data => {
+            const product = this.getProductEntry(data, productCode);
+            if (!product) return;
+
+            const record = this.getEventWeatherRecord(data.date) || {};
+            const specialSale = data.special_sale || record.special_sale;
+            const competitorEvent = data.competitor_event || record.competitor_event;
+
+            if (specialSale) sales.special_sale.push(product.sales || 0);
+            if (competitorEvent) sales.competitor_event.push(product.sales || 0);
+            if (!specialSale && !competitorEvent) sales.none.push(product.sales || 0);
+        });
+
+        const average = values => values.reduce((sum, val) => sum + val, 0) / values.length;
+        if (sales.none.length === 0) return 1.0;
+        const baseAvg = average(sales.none);
+        if (baseAvg <= 0) return 1.0;
+
+        let factor = 1.0;
+        ['special_sale', 'competitor_event'].forEach(type => {
+            if (target[type] && sales[type].length > 0) {
+                factor *= average(sales[type]) / baseAvg;
+            }
+        });
+
+        return Math.round(factor * 100) / 100;
+    }
+
+    /**
+     * 気温に対する販売数の反応モデルを作成（最小二乗法による単回帰）
+     * 商品別: 販売数 = a + b × 気温
+     * カテゴリ別: 商品ごとに平均販売数で割った相対販売数を合算して回帰し、1℃あたりの増減率を求める
+     * （ゼリーは暑いほど売れ、生クリーム系は暑いほど落ちるなど、カテゴリで向きが異なるため）
+     * @param {Array} historicalData - 過去データ（日別 { date, temperature, products: [{ code, category, sales }] }）
+     * @param {Object} options - { categories: { 商品コード: カテゴリ }, useEstimatedDemand, hourlyCurve }
+     * @returns {Object} { products, categories, productCategories, days: 気温のある日数 }
+     */
+    static buildTemperatureModel(historicalData = [], options = {}) {
+        if (options.useEstimatedDemand) {
+            historicalData = this.applyDemandEstimates(historicalData, options);
+        }
+
+        const productPoints = new Map();
+        const productCategories = { ...(options.categories || {}) };
+        let days = 0;
+
+        (historicalData || []).forEach(data => {
+            const temperature = this.getDayTemperature(data);
+            if (temperature === null || !Array.isArray(data.products)) return;
+            days++;
+
+            data.products.forEach(product => {
+                if (!product.code) return;
+                if (!productPoints.has(product.code)) productPoints.set(product.code, []);
+                productPoints.get(product.code).push({ x: temperature, y: product.sales || 0 });
+                if (!productCategories[product.code] && product.category) {
+                    productCategories[product.code] = product.category;
+                }
+            });
+        });
+
+        const products = {};
+        const categoryPoints = new Map();
+        productPoints.forEach((points, code) => {
+            const fit = this.fitLinearRegression(points);
+            if (fit) products[code] = fit;
+
+            const meanSales = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+            const category = productCategories[code];
+            if (!category || meanSales <= 0) return;
+            if (!categoryPoints.has(category)) categoryPoints.set(category, []);
+            points.forEach(point => categoryPoints.get(category).push({ x: point.x, y: point.y / meanSales }));
+        });
+
+        const categories = {};
+        categoryPoints.forEach((points, category) => {
+            const fit = this.fitLinearRegression(points);
+            if (fit) categories[category] = fit;
+        });
+
+        return { products, categories, productCategories, days };
+    }
+
+    /**
+     * 単回帰の当てはめ
+     * @param {Array} points - [{ x: 気温, y: 販売数 }]
+     * @returns {Object|null} { intercept, slope, meanTemperature, meanSales, n, r2, slopeStdError, tValue, confidence }
+     */
+    static fitLinearRegression(points = []) {
+        const n = points.length;
+        if (n < 3) return null;
+
+        const meanX = points.reduce((sum, point) => sum + point.x, 0) / n;
+        const meanY = points.reduce((sum, point) => sum + point.y, 0) / n;
+        const sxx = points.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+        const sxy = points.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0);
+        const syy = points.reduce((sum, point) => sum + (point.y - meanY) ** 2, 0);
+        if (sxx === 0) return null;
+
+        const slope = sxy / sxx;
+        const intercept = meanY - slope * meanX;
+        const residual = Math.max(0, syy - slope * sxy);
+        const r2 = syy > 0 ? 1 - residual / syy : 0;
+        const slopeStdError = Math.sqrt(residual / Math.max(1, n - 2) / sxx);
+        const tValue = slopeStdError > 0 ? slope / slopeStdError : 0;
+
+        return {
+            intercept,
+            slope,
+            meanTemperature: meanX,
+            meanSales: meanY,
+            n,
+            r2: Math.round(r2 * 1000) / 1000,
+            slopeStdError,
+            tValue: Math.round(tValue * 100) / 100,
+            confidence: this.evaluateRegressionConfidence(n, r2, tValue)
+        };
+    }
+
+    /**
+     * 回帰の信頼度を判定
+     * high: 30件以上かつ傾きが有意（|t| ≥ 2）で R² ≥ 0.3
+     * medium: 14件以上かつ傾きが有意
+     * low: それ以外
+     * @param {number} n - データ数
+     * @param {number} r2 - 決定係数
+     * @param {number} tValue - 傾きのt値
+     * @returns {string} 'high' | 'medium' | 'low'
+     */
+    static evaluateRegressionConfidence(n, r2, tValue) {
+        const significant = Math.abs(tValue) >= 2;
+        if (n >= 30 && significant && r2 >= 0.3) return 'high';
+        if (n >= 14 && significant) return 'medium';
+        return 'low';
+    }
+
+    /**
+     * 気温による影響係数を計算（固定の補正率の代わりに、過去データから推定した反応を使う）
+     * データが十分な商品は商品別の回帰、不足する商品はカテゴリ別の回帰を使う
+     * 係数は過去平均気温の日の販売数を1.0とした比率。気温のある日が minDays に満たない場合は補正しない（'insufficient'）
+     * @param {number} temperature - 対象日の気温
+     * @param {Object} model - buildTemperatureModel の結果
+     * @param {string} productCode - 商品コード
+     * @param {Object} options - { minDays: 回帰に必要な日数（既定14）, minProductPoints: 商品別回帰に必要な件数（既定14）, minFactor, maxFactor }
+     * @returns {Object} { factor, source: 'product' | 'category' | 'insufficient' | 'none', confidence, changePerDegree: 1℃あたりの増減率(%), n }
+     */
+    static calculateTemperatureFactor(temperature, model, productCode, options = {}) {
+        const { minDays = 14, minProductPoints = 14, minFactor = 0.5, maxFactor = 1.5 } = options;
+        const none = { factor: 1.0, source: 'none', confidence: 'low', changePerDegree: 0, n: 0 };
+        if (typeof temperature !== 'number' || isNaN(temperature) || !model) return none;
+        if (typeof model.days === 'number' && model.days < minDays) {
+            return { ...none, source: 'insufficient', n: model.days };
+        }
+
+        const clamp = value => Math.round(Math.min(maxFactor, Math.max(minFactor, value)) * 100) / 100;
+        const product = model.products[productCode];
+        const category = model.categories[model.productCategories[productCode]];
+
+        // 商品別の傾きが有意でない場合は、カテゴリ別の回帰があればそちらを優先する
+        const productUsable = product && product.meanSales > 0 && product.n >= minProductPoints &&
+            (product.confidence !== 'low' || !category);
+        if (productUsable) {
+            const predicted = product.intercept + product.slope * temperature;
+            return {
+                factor: clamp(predicted / product.meanSales),
+                source: 'product',
+                confidence: product.confidence,
+                changePerDegree: Math.round(product.slope / product.meanSales * 1000) / 10,
+                n: product.n
+            };
+        }
+
+        if (category) {
+            return {
+                factor: clamp(category.intercept + category.slope * temperature),
+                source: 'category',
+                confidence: category.confidence,
+                changePerDegree: Math.round(category.slope * 1000) / 10,
+                n: category.n
+            };
+        }
+
+        return none;
+    }
+
+    /**
+     * 日別データの気温を取得（入力がない日はイベント・気象マスタの平均気温、なければ最高気温）
+     * @param {Object} data - 日別データ
+     * @returns {number|null} 気温
+     */
+    static getDayTemperature(data) {
+        if (data && typeof data.temperature === 'number' && !isNaN(data.temperature)) return data.temperature;
+
+        const record = data ? this.getEventWeatherRecord(data.date) : null;
+        if (!record) return null;
+        if (typeof record.temperature === 'number') return record.temperature;
+        if (typeof record.temperature_max === 'number') return record.temperature_max;
+        return null;
+    }
+
+    /**
+     * イベント・気象マスタ（EventWeatherService）のレコードを取得
+     * @param {Date|string} date - 日付
+     * @returns {Object|null} { date, special_sale, competitor_event, weather, temperature }
+     */
+    static getEventWeatherRecord(date) {
+        if (!date) return null;
+
+        const key = date instanceof Date ?
+            `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}` :
+            String(date).slice(0, 10);
+        return EventWeatherService.getByDate(key);
+    }
+
+    /**
+     * 日別データから商品データを取得（商品別の平坦なデータはそのまま返す）
+     * @param {Object} data - 日別データ
+     * @param {string} productCode - 商品コード
+     * @returns {Object|null} 商品データ
+     */
+    static getProductEntry(data, productCode) {
+        if (!data) return null;
+        if (Array.isArray(data.products)) return data.products.find(p => p.code === productCode) || null;
+        return data;
+    }
+
+    /**
+     * 参考実績に基づく推奨発注数量を計算
+     * @param {Object} referenceData - 参考データサマリー
+     * @param {Object} adjustmentFactors - 調整要因
+     * @param {Object} options - { useEstimatedDemand: 平均発注数ではなく推定需要（generateReferenceSummaryのaverageSales）を基準にする, targetDate, productName, category, record: falseで予測ログに記録しない }
+     * @returns {Object} 推奨発注数量
+     */
+    static calculateRecommendedQuantity(referenceData, adjustmentFactors = {}, options = {}) {
+        const {
+            seasonalFactor = 1.0,
+            weatherFactor = 1.0,
+            eventFactor = 1.0,
+            temperatureFactor = 1.0,
+            userAdjustment = 1.0
+        } = adjustmentFactors;
+
+        const baseQuantity = options.useEstimatedDemand ?
+            (referenceData.averageSales || 0) :
+            (referenceData.averageOrder || 0);
+        
+        if (baseQuantity === 0) {
+            return {
+                recommendedQuantity: 0,
+                confidence: 0,
+                adjustments: {
+                    seasonal: 0,
+                    weather: 0,
+                    event: 0,
+                    temperature: 0,
+                    user: 0,
+                    total: 1.0
+                }
+            };
+        }
+
+        const totalFactor = seasonalFactor * weatherFactor * eventFactor * temperatureFactor * userAdjustment;
+        const recommendedQuantity = Math.round(baseQuantity * totalFactor);
+        
+        // 信頼度は参考データの信頼性と調整要因の妥当性を考慮
+        const confidence = Math.min(
+            referenceData.reliability || 0.5,
+            this.calculateAdjustmentConfidence(adjustmentFactors)
+        );
+
+        const result = {
+            baseQuantity: Math.round(baseQuantity),
+            baseType: options.useEstimatedDemand ? 'estimated_demand' : 'average_order',
+            recommendedQuantity: Math.max(0, recommendedQuantity),
+            confidence: Math.round(confidence * 100) / 100,
+            adjustments: {
+                seasonal: Math.round((seasonalFactor - 1) * 100 * 10) / 10,
+                weather: Math.round((weatherFactor - 1) * 100 * 10) / 10,
+                event: Math.round((eventFactor - 1) * 100 * 10) / 10,
+                temperature: Math.round((temperatureFactor - 1) * 100 * 10) / 10,
+                user: Math.round((userAdjustment - 1) * 100 * 10) / 10,
+                total: Math.round(totalFactor * 100) / 100
+            },
+            factors: adjustmentFactors
+        };
+
+        if (options.record !== false) {
+            ForecastAccuracyService.recordForecast({
+                source: 'HistoricalDataService',
+                method: result.baseType,
+                targetDate: options.targetDate,
+                productCode: referenceData.productCode,
+                productName: options.productName || referenceData.name,
+                category: options.category,
+                forecast: result.recommendedQuantity,
+                inputs: {
+                    baseQuantity: result.baseQuantity,
+                    dataCount: referenceData.dataCount || 0,
+                    reliability: referenceData.reliability || 0,
+                    factors: adjustmentFactors
+                }
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * 参考実績データの品質を評価
+     * @param {Array} referenceData - 参考データ
+     * @returns {Object} データ品質評価
+     */
+    static evaluateDataQuality(referenceData) {
+        if (!referenceData || referenceData.length === 0) {
+            return {
+                score: 0,
+                level: 'poor',
+                issues: ['データが存在しません'],
+                recommendations: ['実績データの蓄積が必要です']
+            };
+        }
+
+        const issues = [];
+        const recommendations = [];
+        let score = 100;
+
+        // データ量の評価
+        if (referenceData.length < 3) {
+            issues.push('参考データが少ない（3件未満）');
+            recommendations.push('より多くの過去データの蓄積が必要です');
+            score -= 30;
+        } else if (referenceData.length < 7) {
+            issues.push('参考データがやや少ない（7件未満）');
+            score -= 15;
+        }
+
+        // データの新しさ評価
+        const latestDate = new Date(Math.max(...referenceData.map(d => new Date(d.date))));
+        const daysSinceLatest = (new Date() - latestDate) / (1000 * 60 * 60 * 24);
+        
+        if (daysSinceLatest > 30) {
+            issues.push('最新データが古い（30日以上前）');
+            recommendations.push('最新の実績データの更新が必要です');
+            score -= 20;
+        } else if (daysSinceLatest > 14) {
+            issues.push('最新データがやや古い（14日以上前）');
+            score -= 10;
+        }
+
+        // データの一貫性評価
+        const dataConsistency = this.evaluateDataConsistency(referenceData);
+        if (dataConsistency < 0.7) {
+            issues.push('データの一貫性が低い');
+            recommendations.push('データ入力の精度向上が必要です');
+            score -= 15;
+        }
+
+        // 最終スコアとレベル決定
+        score = Math.max(0, score);
+        let level;
+        if (score >= 80) level = 'excellent';
+        else if (score >= 60) level = 'good';
+        else if (score >= 40) level = 'fair';
+        else level = 'poor';
+
+        return {
+            score,
+            level,
+            issues,
+            recommendations,
+            dataCount: referenceData.length,
+            latestDate: latestDate.toISOString().split('T')[0],
+            consistency: Math.round(dataConsistency * 100) / 100
+        };
+    }
+
+    // ========== 完売日の需要推定（需要の打ち切り補正） ==========
+
+    /**
+     * 時間帯別売上から店舗の時間帯別売上カーブを作成
+     * 複数日のhourlySales（またはhourly_sales_json）を日ごとに構成比へ正規化して平均する
+     * @param {Array} historicalData - 過去データ [{ hourlySales | hourly_sales_json }]
+     * @returns {Array} [{ hour: 'HH:MM', share }]（shareの合計は1）
+     */
+    static buildHourlyCurve(historicalData = []) {
+        const totals = {};
+        let days = 0;
+
+        (historicalData || []).forEach(data => {
+            const hourly = this.getHourlySales(data);
+            const dayTotal = hourly.reduce((sum, row) => sum + (parseFloat(row.amount) || 0), 0);
+            if (dayTotal <= 0) return;
+
+            hourly.forEach(row => {
+                if (!row.hour) return;
+                totals[row.hour] = (totals[row.hour] || 0) + (parseFloat(row.amount) || 0) / dayTotal;
+            });
+            days++;
+        });
+
+        if (days === 0) return this.getDefaultHourlyCurve();
+
+        return Object.keys(totals)
+            .sort((a, b) => this.parseTimeToMinutes(a) - this.parseTimeToMinutes(b))
+            .map(hour => ({ hour, share: totals[hour] / days }));
+    }
+
+    /**
+     * 時間帯別データがない場合の既定カーブ（10:00〜21:00営業）
+     * @returns {Array} [{ hour, share }]
+     */
+    static getDefaultHourlyCurve() {
+        const weights = [4, 7, 10, 9, 11, 12, 10, 11, 12, 9, 5];
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        return weights.map((w, index) => ({
+            hour: `${String(10 + index).padStart(2, '0')}:00`,
+            share: w / total
+        }));
+    }
+
+    /**
+     * 指定時刻までに売れる1日の売上構成比（時間帯内は線形補間）
+     * @param {string} time - 時刻 'HH:MM'
+     * @param {Array} curve - 時間帯別売上カーブ
+     * @returns {number} 構成比（0-1）
+     */
+    static calculateShareBefore(time, curve = []) {
+        const minutes = this.parseTimeToMinutes(time);
+        if (minutes === null || curve.length === 0) return 1;
+
+        return curve.reduce((share, point) => {
+            const start = this.parseTimeToMinutes(point.hour);
+            if (start === null || minutes <= start) return share;
+            const elapsed = Math.min(60, minutes - start);
+            return share + point.share * (elapsed / 60);
+        }, 0);
+    }
+
+    /**
+     * 完売時間から真の需要を推定
+     * 完売時刻までに売れるはずの構成比で販売数を割り戻し、完売後の販売機会損失を求める
+     * @param {number} sales - 実販売数
+     * @param {string} soldoutTime - 完売時間 'HH:MM'（空なら完売なし）
+     * @param {Array} curve - 時間帯別売上カーブ
+     * @param {Object} options - { maxMultiplier: 推定需要の上限倍率, minShare: 推定に用いる最小構成比 }
+     * @returns {Object} { observedSales, estimatedDemand, lostSales, censored, shareBeforeSoldout }
+     */
+    static estimateDemand(sales, soldoutTime, curve = this.getDefaultHourlyCurve(), options = {}) {
+        const { maxMultiplier = 3.0, minShare = 0.05 } = options;
+        const observedSales = Math.max(0, sales || 0);
+        const shareBeforeSoldout = soldoutTime ? this.calculateShareBefore(soldoutTime, curve) : 1;
+
+        if (!soldoutTime || observedSales === 0 || shareBeforeSoldout >= 1) {
+            return {
+                observedSales,
+                estimatedDemand: observedSales,
+                lostSales: 0,
+                censored: false,
+                shareBeforeSoldout: 1
+            };
+        }
+
+        const multiplier = Math.min(maxMultiplier, 1 / Math.max(minShare, shareBeforeSoldout));
+        const estimatedDemand = Math.max(observedSales, Math.round(observedSales * multiplier * 10) / 10);
+
+        return {
+            observedSales,
+            estimatedDemand,
+            lostSales: Math.round((estimatedDemand - observedSales) * 10) / 10,
+            censored: true,
+            shareBeforeSoldout: Math.round(shareBeforeSoldout * 1000) / 1000
+        };
+    }
+
+    /**
+     * 過去データの販売数を推定需要に置き換えたコピーを返す
+     * 元の販売数はobservedSales、推定した欠品数はlostSalesに残す
+     * 日別データ（products配列を持つ）と商品別の平坦なデータ（salesを直接持つ）の両方に対応
+     * @param {Array} historicalData - 過去データ
+     * @param {Object} options - { hourlyCurve: 省略時は過去データの時間帯別売上から作成 }
+     * @returns {Array} 推定需要適用済みデータ
+     */
+    static applyDemandEstimates(historicalData = [], options = {}) {
+        if (!historicalData || historicalData.length === 0) return [];
+
+        const curve = options.hourlyCurve || this.buildHourlyCurve(historicalData);
+        const unconstrain = item => {
+            if (item.observedSales !== undefined) return { ...item };
+            const estimate = this.estimateDemand(item.sales || 0, this.getSoldoutTime(item), curve, options);
+            return {
+                ...item,
+                sales: estimate.estimatedDemand,
+                observedSales: estimate.observedSales,
+                lostSales: estimate.lostSales,
+                censored: estimate.censored
+            };
+        };
+
+        return historicalData.map(data => (
+            Array.isArray(data.products) ?
+                { ...data, products: data.products.map(unconstrain) } :
+                unconstrain(data)
+        ));
+    }
+
+    /**
+     * 完売時間を取得（soldoutTime / soldout_time の両表記に対応）
+     * @param {Object} item - 商品データ
+     * @returns {string} 完売時間
+     */
+    static getSoldoutTime(item) {
+        return (item && (item.soldoutTime || item.soldout_time)) || '';
+    }
+
+    /**
+     * 日別データから時間帯別売上を取得
+     * @param {Object} data - 日別データ
+     * @returns {Array} 時間帯別売上
+     */
+    static getHourlySales(data) {
+        if (!data) return [];
+        if (Array.isArray(data.hourlySales)) return data.hourlySales;
+        if (data.hourly_sales_json) {
+            try {
+                const parsed = JSON.parse(data.hourly_sales_json);
+                return Array.isArray(parsed) ? parsed : [];
+            } catch (error) {
+                return [];
+            }
+        }
+        return [];
+    }
+
+    /**
+     * 'HH:MM' を0時からの分に変換
+     * @param {string} time - 時刻
+     * @returns {number|null} 分
+     */
+    static parseTimeToMinutes(time) {
+        const match = /^(\d{1,2}):(\d{2})/.exec(String(time || '').trim());
+        if (!match) return null;
+        return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    }
+
+    // ヘルパーメソッド
+    static analyzeTrend(data) {
+        if (!data || data.length < 2) return 'stable';
+        
+        let increasing = 0;
+        let decreasing = 0;
+        
+        for (let i = 1; i < data.length; i++) {
+            if (data[i] > data[i-1]) increasing++;
+            else if (data[i] < data[i-1]) decreasing++;
+        }
+        
+        if (increasing > decreasing) return 'increasing';
+        if (decreasing > increasing) return 'decreasing';
+        return 'stable';
+    }
+
+    static calculateReliabilityScore(data) {
+        if (!data || data.length === 0) return 0;
+        if (data.length === 1) return 0.3;
+        
+        const variance = this.calculateVariance(data);
+        const avg = data.reduce((sum, val) => sum + val, 0) / data.length;
+        const cv = avg > 0 ? Math.sqrt(variance) / avg : 1; // 変動係数
+        
+        // データ数による基礎スコア
+        let score = Math.min(data.length / 10, 0.8);
+        
+        // 変動係数による調整（低いほど高スコア）
+        score *= Math.max(0.2, 1 - cv);
+        
+        return Math.round(score * 100) / 100;
+    }
+
+    static calculateVariance(data) {
+        if (!data || data.length === 0) return 0;
+        
+        const avg = data.reduce((sum, val) => sum + val, 0) / data.length;
+        const variance = data.reduce((sum, val) => sum + Math.pow(val - avg, 2), 0) / data.length;
+        
+        return Math.round(variance * 100) / 100;
+    }
+
+    /**
+     * 天気を区分に正規化
+     * 気象庁の天気概況（晴後曇、曇一時雨、雨時々雪 など）は、
+     * 雪・みぞれを含めば snowy、「後」で区切った各時間帯の主な天気（一時・時々より前）に雨があれば rainy、
+     * それ以外は最初の時間帯の主な天気で判定する
+     * @param {string} weather - 天気（画面入力・英語表記・天気概況）
+     * @returns {string} 'sunny' | 'cloudy' | 'rainy' | 'snowy' | 'other'
+     */
+    static normalizeWeather(weather) {
+        if (!weather) return 'other';
+        
+        const w = String(weather).toLowerCase().replace(/\s/g, '');
+        if (w.includes('sunny') || w.includes('clear')) return 'sunny';
+        if (w.includes('cloudy')) return 'cloudy';
+        if (w.includes('rain')) return 'rainy';
+        if (w.includes('snow')) return 'snowy';
+
+        if (/雪|みぞれ|ゆき/.test(w)) return 'snowy';
+
+        const periods = w.replace(/[（(].*?[)）]/g, '').split('後');
+        const mainWeather = period => period.split(/一時|時々|、|,/)[0];
+        if (periods.some(period => /雨|雷/.test(mainWeather(period)))) return 'rainy';
+
+        const first = mainWeather(periods[0]);
+        if (first.includes('晴')) return 'sunny';
+        if (first.includes('曇')) return 'cloudy';
+        if (w.includes('雨')) return 'rainy';
+        return 'other';
+    }
+
+    static calculateAdjustmentConfidence(factors) {
+        const {
+            seasonalFactor = 1.0,
+            weatherFactor = 1.0,
+            eventFactor = 1.0,
+            temperatureFactor = 1.0,
+            userAdjustment = 1.0
+        } = factors;
+
+        // 極端な調整値は信頼度を下げる
+        const extremeFactors = [seasonalFactor, weatherFactor, eventFactor, temperatureFactor, userAdjustment]
+            .filter(factor => factor < 0.5 || factor > 2.0);
+        
+        const confidence = Math.max(0.1, 1.0 - (extremeFactors.length * 0.15));
+        return confidence;
+    }
+
+    static evaluateDataConsistency(data) {
+        if (!data || data.length < 2) return 1.0;
+
+        // 各商品の数量データの変動係数を計算
+        const productCodes = new Set();
+        data.forEach(d => {
+            if (d.products) {
+                d.products.forEach(p => productCodes.add(p.code));
+            }
+        });
+
+        let totalConsistency = 0;
+        let productCount = 0;
+
+        productCodes.forEach(code => {
+            const quantities = data.map(d => {
+                const product = d.products?.find(p => p.code === code);
+                return product ? (product.sales || 0) : 0;
+            }).filter(q => q > 0);
+
+            if (quantities.length >= 2) {
+                const avg = quantities.reduce((sum, q) => sum + q, 0) / quantities.length;
+                const cv = avg > 0 ? Math.sqrt(this.calculateVariance(quantities)) / avg : 1;
+                
+                // 変動係数が低いほど一貫性が高い
+                totalConsistency += Math.max(0, 1 - cv);
+                productCount++;
+            }
+        });
+
+        return productCount > 0 ? totalConsistency / productCount : 1.0;
+    }
+
+    /**
+     * 参考実績データをフォーマット
+     * @param {Array} referenceData - 参考データ
+     * @param {Date} targetDate - 対象日
+     * @param {Object} options - { useEstimatedDemand, hourlyCurve }
+     * @returns {Object} フォーマット済み参考実績
+     */
+    static formatReferenceData(referenceData, targetDate, options = {}) {
+        if (!referenceData || referenceData.length === 0) {
+            return {
+                targetDate: targetDate ? targetDate.toISOString().split('T')[0] : '',
+                dataType: 'no_data',
+                summary: '参考データがありません',
+                products: []
+            };
+        }
+
+        if (options.useEstimatedDemand) {
+            referenceData = this.applyDemandEstimates(referenceData, options);
+        }
+
+        const dataType = this.determineDataType(referenceData, targetDate);
+        const productSummaries = new Map();
+
+        // 商品別サマリー生成
+        referenceData.forEach(data => {
+            if (data.products) {
+                data.products.forEach(product => {
+                    if (!productSummaries.has(product.code)) {
+                        productSummaries.set(product.code, {
+                            code: product.code,
+                            name: product.name,
+                            data: []
+                        });
+                    }
+                    productSummaries.get(product.code).data.push({
+                        code: product.code,
+                        date: data.date,
+                        orderQuantity: product.orderQuantity || 0,
+                        sales: product.sales || 0,
+                        waste: product.waste || 0,
+                        observedSales: product.observedSales,
+                        lostSales: product.lostSales || 0,
+                        censored: !!product.censored,
+                        soldoutTime: this.getSoldoutTime(product),
+                        weather: data.weather
+                    });
+                });
+            }
+        });
+
+        // 各商品の統計を計算
+        const products = Array.from(productSummaries.values()).map(product => {
+            const summary = this.generateReferenceSummary(
+                product.data.map(d => ({ products: [d] })), 
+                product.code
+            );
+            summary.demandBasis = options.useEstimatedDemand ? 'estimated_demand' : 'observed_sales';
+            
+            return {
+                ...summary,
+                name: product.name,
+                recentData: product.data.slice(0, 3) // 直近3件
+            };
+        });
+
+        return {
+            targetDate: targetDate ? targetDate.toISOString().split('T')[0] : '',
+            dataType,
+            summary: this.generateDataTypeSummary(dataType, referenceData.length),
+            totalDataPoints: referenceData.length,
+            dateRange: {
+                from: referenceData[referenceData.length - 1]?.date || '',
+                to: referenceData[0]?.date || ''
+            },
+            products: products.sort((a, b) => b.averageOrder - a.averageOrder)
+        };
+    }
+
+    static determineDataType(referenceData, targetDate) {
+        if (!referenceData || referenceData.length === 0) return 'no_data';
+        if (!targetDate) return 'general';
+
+        const targetDayOfWeek = targetDate.getDay();
+        const sameDayOfWeek = referenceData.filter(data => 
+            new Date(data.date).getDay() === targetDayOfWeek
+        ).length;
+
+        if (sameDayOfWeek === referenceData.length) return 'same_day_of_week';
+        if (sameDayOfWeek > 0) return 'mixed';
+        return 'general';
+    }
+
+    static generateDataTypeSummary(dataType, count) {
+        const messages = {
+            'no_data': '参考データがありません',
+            'same_day_of_week': `同じ曜日の過去データ ${count}件`,
+            'mixed': `過去データ ${count}件（同曜日含む）`,
+            'general': `過去データ ${count}件`
+        };
+        return messages[dataType] || `参考データ ${count}件`;
+    }
+}
+
+export default HistoricalDataService;
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.HistoricalDataService = HistoricalDataService;
+}
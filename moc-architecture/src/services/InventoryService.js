@@ -2,6 +2,11 @@
  * InventoryService - 在庫管理ビジネスロジック
  * MOCアーキテクチャのサービス層
  */
+
+import { eventBus } from '../utils/EventBus.js';
+import { appStore } from '../stores/AppStore.js';
+import BusinessRuleService from './BusinessRuleService.js';
+
 class InventoryService {
     
     /**
@@ -11,11 +16,178 @@ class InventoryService {
      * @param {number} movement - 移動数
      * @param {number} sales - 販売数
      * @param {number} waste - ロス数
-     * @returns {number} 当日在庫
+     * @param {Object} context - 台帳モード用の記録情報 { productCode, productName, date, source, strict }
+     * @returns {number} 当日在庫（台帳モードでは符号付き）
      */
-    static calculateCurrentStock(prevStock, delivery, movement, sales, waste) {
+    static calculateCurrentStock(prevStock, delivery, movement, sales, waste, context = {}) {
         const result = (prevStock || 0) + (delivery || 0) + (movement || 0) - (sales || 0) - (waste || 0);
-        return Math.max(0, result); // マイナス在庫は0に補正
+
+        return this.applyLedger(result, {
+            ...context,
+            inputs: { prevStock: prevStock || 0, delivery: delivery || 0, movement: movement || 0, sales: sales || 0, waste: waste || 0 }
+        });
+    }
+
+    // ========== 在庫台帳モード ==========
+
+    /**
+     * 台帳モード（マイナス在庫を補正しない）が有効か判定
+     * @returns {boolean} 有効ならtrue
+     */
+    static isStrictLedger() {
+        return appStore.getState('settings.strictLedger') === true;
+    }
+
+    /**
+     * 在庫計算結果に台帳モードを適用
+     * 通常モードではマイナスを0に補正し、台帳モードでは符号付きのまま差異として記録する
+     * @param {number} result - 計算上の在庫
+     * @param {Object} context - { productCode, productName, date, source, inputs, strict, record }
+     * @returns {number} 在庫
+     */
+    static applyLedger(result, context = {}) {
+        const strict = context.strict !== undefined ? context.strict : this.isStrictLedger();
+
+        if (!strict) {
+            return Math.max(0, result); // マイナス在庫は0に補正
+        }
+
+        if (context.record === false) {
+            return result;
+        }
+
+        if (result < 0) {
+            this.recordVariance({ ...context, stock: result });
+        } else if (context.productCode) {
+            this.resolveVariance(context);
+        }
+
+        return result;
+    }
+
+    /**
+     * 在庫差異を記録（同一商品・日付・画面の未解決差異は上書き）
+     * @param {Object} variance - { productCode, productName, date, source, inputs, stock }
+     * @returns {Object} 記録した差異
+     */
+    static recordVariance(variance) {
+        const variances = this.loadVariances();
+        const key = this.getVarianceKey(variance);
+        const entry = {
+            id: `var-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+            key,
+            productCode: variance.productCode || '',
+            productName: variance.productName || variance.productCode || '',
+            date: variance.date || new Date().toISOString().slice(0, 10),
+            source: variance.source || 'unknown',
+            inputs: variance.inputs || {},
+            stock: variance.stock,
+            message: `${variance.productName || variance.productCode || '商品'}の在庫が${variance.stock}になりました（${this.describeInputs(variance.inputs)}）`,
+            detectedAt: new Date().toISOString(),
+            resolved: false
+        };
+
+        const index = variances.findIndex(v => v.key === key && !v.resolved);
+        if (index !== -1) {
+            entry.id = variances[index].id;
+            variances[index] = entry;
+        } else {
+            variances.push(entry);
+        }
+
+        this.saveVariances(variances);
+
+        eventBus.emit('inventory.varianceRecorded', entry);
+
+        return entry;
+    }
+
+    /**
+     * 入力修正により解消した差異を解決済みにする
+     * @param {Object} context - { productCode, date, source }
+     */
+    static resolveVariance(context) {
+        const variances = this.loadVariances();
+        const key = this.getVarianceKey(context);
+        let changed = false;
+
+        variances.forEach(v => {
+            if (v.key === key && !v.resolved) {
+                v.resolved = true;
+                v.resolvedAt = new Date().toISOString();
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.saveVariances(variances);
+
+            eventBus.emit('inventory.varianceResolved', { key });
+        }
+    }
+
+    /**
+     * 記録済みの在庫差異を取得
+     * @param {Object} filter - { resolved, productCode, date }
+     * @returns {Array} 差異一覧（新しい順）
+     */
+    static getVariances(filter = {}) {
+        return this.loadVariances()
+            .filter(v => filter.resolved === undefined || v.resolved === filter.resolved)
+            .filter(v => !filter.productCode || v.productCode === filter.productCode)
+            .filter(v => !filter.date || v.date === filter.date)
+            .sort((a, b) => b.detectedAt.localeCompare(a.detectedAt));
+    }
+
+    /**
+     * 差異の識別キーを生成
+     * @param {Object} context - { productCode, date, source }
+     * @returns {string} キー
+     */
+    static getVarianceKey(context) {
+        return [context.source || 'unknown', context.date || '', context.productCode || ''].join(':');
+    }
+
+    /**
+     * 差異の原因となった入力を文字列化
+     * @param {Object} inputs - 入力値
+     * @returns {string} 説明文
+     */
+    static describeInputs(inputs = {}) {
+        const labels = {
+            prevStock: '前日残', delivery: '入荷', movement: '移動', sales: '販売', waste: 'ロス',
+            dayStock: '当日在庫残', tasting: '試食'
+        };
+        return Object.entries(inputs)
+            .map(([key, value]) => `${labels[key] || key}${value}`)
+            .join(' / ');
+    }
+
+    /**
+     * 在庫差異を読み込み
+     * @returns {Array} 差異一覧
+     */
+    static loadVariances() {
+        try {
+            if (typeof localStorage === 'undefined') return [];
+            return JSON.parse(localStorage.getItem('moc_inventory_variances') || '[]');
+        } catch (error) {
+            console.warn('在庫差異の読み込みに失敗しました:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 在庫差異を保存（直近500件まで保持）
+     * @param {Array} variances - 差異一覧
+     */
+    static saveVariances(variances) {
+        try {
+            if (typeof localStorage === 'undefined') return;
+            localStorage.setItem('moc_inventory_variances', JSON.stringify(variances.slice(-500)));
+        } catch (error) {
+            console.warn('在庫差異の保存に失敗しました:', error);
+        }
     }
 
     /**
@@ -41,11 +213,17 @@ class InventoryService {
 
     /**
      * ロス率バリデーション
+     * しきい値を指定しない場合は業務ルール（BusinessRuleService）のしきい値で判定する
      * @param {number} wasteRate - ロス率
-     * @param {number} threshold - しきい値（デフォルト5%）
+     * @param {number} threshold - 警告しきい値（省略時は業務ルール）
+     * @param {string} category - カテゴリ名（カテゴリ別ルール用）
      * @returns {Object} バリデーション結果
      */
-    static validateWasteRate(wasteRate, threshold = 5) {
+    static validateWasteRate(wasteRate, threshold = null, category = '') {
+        if (threshold === null) {
+            return BusinessRuleService.evaluateWasteRate(wasteRate || 0, category);
+        }
+
         const rate = wasteRate || 0;
         
         if (rate <= threshold) {
@@ -69,16 +247,19 @@ class InventoryService {
      * 在庫レベルのバリデーション
      * @param {number} stock - 在庫数
      * @param {number} minLevel - 最小在庫レベル
+     * @param {Object} inputs - 在庫計算の入力値（マイナス時の原因表示用）
      * @returns {Object} バリデーション結果
      */
-    static validateStockLevel(stock, minLevel = 0) {
+    static validateStockLevel(stock, minLevel = 0, inputs = null) {
         const currentStock = stock || 0;
         
         if (currentStock < 0) {
             return { 
                 valid: false, 
                 level: 'error', 
-                message: 'マイナス在庫は許可されません' 
+                message: inputs ?
+                    `マイナス在庫は許可されません: ${currentStock}（${this.describeInputs(inputs)}）` :
+                    'マイナス在庫は許可されません'
             };
         } else if (currentStock < minLevel) {
             return { 
@@ -111,12 +292,12 @@ class InventoryService {
             };
         }
 
-        const [hours, minutes] = soldoutTime.split(':').map(Number);
-        if (hours < 10 || hours > 20) {
+        if (!BusinessRuleService.isWithinBusinessHours(soldoutTime)) {
+            const businessHours = BusinessRuleService.getBusinessHours();
             return { 
                 valid: false, 
                 level: 'warning', 
-                message: '営業時間外の完売時間です' 
+                message: `営業時間外の完売時間です（営業時間 ${businessHours.open}〜${businessHours.close}）` 
             };
         }
 
@@ -226,16 +407,18 @@ class InventoryService {
     /**
      * 在庫データの統計サマリーを生成
      * @param {Array} inventoryData - 在庫データ
+     * @param {Array} shrinkageHistory - 棚卸差異履歴（省略可）
      * @returns {Object} 統計サマリー
      */
-    static generateInventorySummary(inventoryData) {
+    static generateInventorySummary(inventoryData, shrinkageHistory = []) {
         if (!inventoryData || inventoryData.length === 0) {
             return {
                 totalItems: 0,
                 totalValue: 0,
                 averageStock: 0,
                 wasteRate: 0,
-                topProducts: []
+                topProducts: [],
+                shrinkage: this.summarizeShrinkage(shrinkageHistory)
             };
         }
 
@@ -261,7 +444,104 @@ class InventoryService {
             totalValue: Math.round(totalValue),
             averageStock: Math.round(averageStock),
             wasteRate: Math.round(wasteRate * 100) / 100,
-            topProducts
+            topProducts,
+            shrinkage: this.summarizeShrinkage(shrinkageHistory)
+        };
+    }
+
+    // ========== 棚卸照合 ==========
+
+    /**
+     * 棚卸差異の理由コード一覧
+     * @returns {Array} 理由コード { code, label }
+     */
+    static getShrinkageReasons() {
+        return [
+            { code: 'theft', label: '盗難' },
+            { code: 'tasting', label: '試食' },
+            { code: 'miscount', label: '数え間違い' },
+            { code: 'unrecorded_transfer', label: '移動未記録' }
+        ];
+    }
+
+    /**
+     * 棚卸差異の理由コードの表示名（一覧にない理由コードはコードのまま表示）
+     * @param {string} code - 理由コード
+     * @returns {string} 表示名
+     */
+    static getShrinkageReasonLabel(code) {
+        const reason = this.getShrinkageReasons().find(item => item.code === code);
+        return reason ? reason.label : code;
+    }
+
+    /**
+     * 計算在庫と閉店時在庫（実地）を照合
+     * @param {number} computedStock - 計算上の当日在庫
+     * @param {number|null} countedStock - 閉店時在庫（未入力はnull）
+     * @returns {Object} 照合結果 { counted, difference, shrinkage, needsReason }
+     */
+    static reconcileStock(computedStock, countedStock) {
+        if (countedStock === null || countedStock === undefined || countedStock === '') {
+            return { counted: false, difference: 0, shrinkage: 0, needsReason: false };
+        }
+
+        const difference = (parseFloat(countedStock) || 0) - (computedStock || 0);
+        return {
+            counted: true,
+            difference,
+            shrinkage: Math.max(0, -difference),
+            needsReason: difference !== 0
+        };
+    }
+
+    /**
+     * 棚卸差異履歴を商品別・理由別に集計
+     * @param {Array} history - 差異履歴 [{ date, product_code, product_name, price, difference, reason }]
+     * @returns {Object} 集計結果 { totalQuantity, totalValue, byReason, byProduct }
+     */
+    static summarizeShrinkage(history = []) {
+        const byReason = {};
+        const products = {};
+        let totalQuantity = 0;
+        let totalValue = 0;
+
+        (history || []).forEach(entry => {
+            // 不足分（計算より実地が少ない）をシュリンクとして集計
+            const quantity = Math.max(0, -(entry.difference || 0));
+            const value = quantity * (entry.price || 0);
+            const code = entry.product_code;
+
+            totalQuantity += quantity;
+            totalValue += value;
+            byReason[entry.reason] = (byReason[entry.reason] || 0) + quantity;
+
+            if (!products[code]) {
+                products[code] = {
+                    productCode: code,
+                    productName: entry.product_name || code,
+                    quantity: 0,
+                    value: 0,
+                    occurrences: 0,
+                    byReason: {},
+                    lastDate: entry.date
+                };
+            }
+
+            const product = products[code];
+            product.quantity += quantity;
+            product.value += value;
+            product.occurrences++;
+            product.byReason[entry.reason] = (product.byReason[entry.reason] || 0) + quantity;
+            if (entry.date > product.lastDate) {
+                product.lastDate = entry.date;
+            }
+        });
+
+        return {
+            totalQuantity,
+            totalValue: Math.round(totalValue),
+            byReason,
+            byProduct: Object.values(products).sort((a, b) => b.value - a.value)
         };
     }
 
@@ -275,13 +555,15 @@ class InventoryService {
         const alerts = [];
         const {
             lowStockThreshold = 5,
-            wasteRateThreshold = 5,
+            wasteRateThreshold = null,
             overStockThreshold = 100
         } = thresholds;
 
         inventoryData.forEach(item => {
             const stock = item.currentStock || 0;
-            const wasteRate = this.calculateWasteRate(item.waste, stock);
+            const wasteRate = BusinessRuleService.calculateWasteRate({ waste: item.waste, sales: item.sales, stock }, item.category);
+            const wasteThreshold = wasteRateThreshold !== null ? wasteRateThreshold :
+                BusinessRuleService.getRules(item.category).wasteRateThreshold;
 
             // 低在庫アラート
             if (stock <= lowStockThreshold && stock > 0) {
@@ -293,6 +575,16 @@ class InventoryService {
                 });
             }
 
+            // マイナス在庫アラート（台帳モード）
+            if (stock < 0) {
+                alerts.push({
+                    type: 'negative_stock',
+                    level: 'error',
+                    product: item.name,
+                    message: `マイナス在庫: ${item.name} (${stock}個)`
+                });
+            }
+
             // 在庫切れアラート
             if (stock === 0) {
                 alerts.push({
@@ -314,7 +606,7 @@ class InventoryService {
             }
 
             // ロス率アラート
-            if (wasteRate > wasteRateThreshold) {
+            if (wasteRate > wasteThreshold) {
                 alerts.push({
                     type: 'high_waste',
                     level: 'warning',
@@ -351,7 +643,7 @@ class InventoryService {
             item.movement || 0,
             item.sales || 0,
             item.waste || 0,
-            this.calculateCurrentStock(item.prevStock, item.delivery, item.movement, item.sales, item.waste),
+            this.calculateCurrentStock(item.prevStock, item.delivery, item.movement, item.sales, item.waste, { record: false }),
             item.soldoutTime || ''
         ]);
 
@@ -361,12 +653,9 @@ class InventoryService {
     }
 }
 
-// ES6モジュールエクスポート対応
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = InventoryService;
-}
+export default InventoryService;
 
-// グローバルスコープでも利用可能
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
 if (typeof window !== 'undefined') {
     window.InventoryService = InventoryService;
-}
\ No newline at end of file
+}
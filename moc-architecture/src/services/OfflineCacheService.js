@@ -0,0 +1,225 @@
+/**
+ * OfflineCacheService - Service Worker の登録と更新管理
+ * MOCアーキテクチャのサービス層
+ *
+ * sw.js を登録し、アプリがキャッシュから起動しているか・キャッシュのバージョン・
+ * 更新の待機状況を管理する。新しいバージョンは入力途中に切り替えないよう、
+ * 未保存の変更（body.data-dirty）や送信中のデータがない時点で有効化・再読み込みする。
+ * 適用のタイミング: 更新の検出時・画面遷移時・画面が非表示になった時・ヘッダーからの操作時
+ */
+
+import { eventBus } from '../utils/EventBus.js';
+import { outboxService } from './OutboxService.js';
+
+class OfflineCacheService {
+    constructor(options = {}) {
+        // sw.js は moc-architecture 直下（スコープを全画面に合わせるため）
+        this.scriptUrl = options.scriptUrl || new URL('../../sw.js', import.meta.url).href;
+
+        this.registration = null;
+        this.controlledAtLoad = false;
+        this.version = null;
+        this.updateReady = false;
+        this.reloadPending = false;
+        this.started = false;
+
+        this.handleSafeMoment = this.handleSafeMoment.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleControllerChange = this.handleControllerChange.bind(this);
+    }
+
+    /**
+     * Service Worker が利用可能か判定（HTTPS または localhost でのみ有効）
+     * @returns {boolean} 利用可否
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+    }
+
+    // ========== 開始 ==========
+
+    /**
+     * Service Worker を登録し、更新の監視を開始
+     * @returns {Promise<void>}
+     */
+    async start() {
+        if (this.started || !OfflineCacheService.isSupported()) return;
+        this.started = true;
+
+        // 読み込み時点で制御されていれば、この画面はキャッシュから配信されている
+        this.controlledAtLoad = !!navigator.serviceWorker.controller;
+
+        navigator.serviceWorker.addEventListener('controllerchange', this.handleControllerChange);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        // 画面遷移（SPAシェル）を更新適用のタイミングとする
+        eventBus.on('route.changed', this.handleSafeMoment);
+
+        try {
+            this.registration = await navigator.serviceWorker.register(this.scriptUrl);
+            this.watchRegistration(this.registration);
+            this.version = await this.requestVersion();
+        } catch (error) {
+            console.warn('Service Workerの登録に失敗しました:', error);
+        }
+
+        this.emitStatus();
+    }
+
+    /**
+     * 新しいバージョンのインストールを監視
+     * @param {ServiceWorkerRegistration} registration - 登録情報
+     */
+    watchRegistration(registration) {
+        // 前回の表示中にインストール済みのものがあれば待機中として扱う
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.markUpdateReady();
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // 初回インストール（controller なし）は更新ではない
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.markUpdateReady();
+                }
+            });
+        });
+    }
+
+    // ========== 更新 ==========
+
+    /**
+     * 更新の待機状態にする
+     */
+    markUpdateReady() {
+        this.updateReady = true;
+        eventBus.emit('offlineCache.updateReady');
+        this.emitStatus();
+        this.applyUpdate();
+    }
+
+    /**
+     * 更新を適用してよい状態か判定
+     * @returns {boolean} 未保存の入力・送信中のデータがなければtrue
+     */
+    isSafeToUpdate() {
+        const dirty = typeof document !== 'undefined' && document.body.classList.contains('data-dirty');
+        return !dirty && !outboxService.sending;
+    }
+
+    /**
+     * 待機中の更新を適用（安全なタイミングでなければ次の機会に回す）
+     * @param {Object} options - { force: 確認済みとして即時適用 }
+     * @returns {boolean} 適用を開始したらtrue
+     */
+    applyUpdate(options = {}) {
+        if (!options.force && !this.isSafeToUpdate()) return false;
+
+        if (this.reloadPending) {
+            window.location.reload();
+            return true;
+        }
+
+        const waiting = this.registration && this.registration.waiting;
+        if (!this.updateReady || !waiting) return false;
+
+        waiting.postMessage({ type: 'SKIP_WAITING' });
+        return true;
+    }
+
+    /**
+     * 更新適用のタイミングで呼ばれるハンドラー
+     */
+    handleSafeMoment() {
+        if (this.updateReady || this.reloadPending) {
+            this.applyUpdate();
+        }
+    }
+
+    /**
+     * 画面が非表示になったら更新を適用
+     */
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') {
+            this.handleSafeMoment();
+        }
+    }
+
+    /**
+     * 新しいバージョンが有効になったら再読み込み（入力途中なら保存後に回す）
+     * 初回インストール直後の clients.claim() でも発生するため、更新待ちのときだけ扱う
+     */
+    handleControllerChange() {
+        if (!this.updateReady) {
+            this.requestVersion().then(version => {
+                this.version = version;
+                this.emitStatus();
+            });
+            return;
+        }
+
+        this.updateReady = false;
+        this.reloadPending = true;
+        this.emitStatus();
+        this.applyUpdate();
+    }
+
+    // ========== 状態 ==========
+
+    /**
+     * 有効な Service Worker にキャッシュのバージョンを問い合わせ
+     * @returns {Promise<string|null>} バージョン（未制御の場合は null）
+     */
+    requestVersion() {
+        const controller = navigator.serviceWorker.controller;
+        if (!controller) return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            const channel = new MessageChannel();
+            const timer = setTimeout(() => resolve(null), 3000);
+
+            channel.port1.onmessage = (event) => {
+                clearTimeout(timer);
+                resolve(event.data ? event.data.version : null);
+            };
+            controller.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+        });
+    }
+
+    /**
+     * キャッシュの状況を取得
+     * @returns {Object} { supported, fromCache, version, updateReady }
+     */
+    getStatus() {
+        const supported = OfflineCacheService.isSupported();
+
+        return {
+            supported,
+            fromCache: supported && this.controlledAtLoad,
+            version: this.version,
+            updateReady: this.updateReady || this.reloadPending
+        };
+    }
+
+    /**
+     * キャッシュの状況の変更を通知
+     */
+    emitStatus() {
+        eventBus.emit('offlineCache.statusChanged', this.getStatus());
+    }
+}
+
+// シングルトンインスタンスを作成
+const offlineCacheService = new OfflineCacheService();
+offlineCacheService.start();
+
+export { OfflineCacheService, offlineCacheService };
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.OfflineCacheService = OfflineCacheService;
+    window.offlineCacheService = offlineCacheService;
+}
@@ -0,0 +1,595 @@
+/**
+ * OutboxService - オフライン時の送信待ちキュー（アウトボックス）
+ * MOCアーキテクチャのサービス層
+ *
+ * 仕様書の「オフライン時の限定動作」「VPN再接続時の処理」に対応する。
+ * 保存・発注などの更新処理を IndexedDB に積んでから送信し、オフラインや
+ * 送信失敗のときはキューに残して、接続回復時に登録順で再送する。
+ *
+ * 送信処理は register(type, handler) で種類ごとに登録する
+ *   handler(payload, { key, baseVersion, force }) => Promise<{ version }|any>
+ *   競合時は status: 409（または name: 'ConflictError'）のエラーを投げる
+ *   409 以外の 4xx（入力エラー・権限なし・商品なしなど）は再送しても通らないため「拒否」として保留し、
+ *   再送するのは通信エラーと 5xx だけにする
+ * 基準バージョンは画面で読み込んだサーバーのバージョン（trackVersion）か、前回送信後のバージョン
+ */
+
+import { eventBus } from '../utils/EventBus.js';
+
+class OutboxService {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'moc_outbox_db';
+        this.dbVersion = options.dbVersion || 1;
+        this.retryInterval = options.retryInterval || 30000;
+
+        this.handlers = new Map();
+        this.dbPromise = null;
+        this.flushPromise = null;
+        this.retryTimer = null;
+        this.sending = false;
+        this.started = false;
+
+        this.handleOnline = this.handleOnline.bind(this);
+        this.handleOffline = this.handleOffline.bind(this);
+    }
+
+    /**
+     * IndexedDBが利用可能か判定
+     * @returns {boolean} 利用可否
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * オンライン状態か判定
+     * @returns {boolean} オンラインならtrue
+     */
+    static isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    /**
+     * 競合エラーか判定
+     * @param {Error} error - 送信処理のエラー
+     * @returns {boolean} 競合ならtrue
+     */
+    static isConflict(error) {
+        return !!error && (error.status === 409 || error.name === 'ConflictError' || error.conflict === true);
+    }
+
+    /**
+     * サーバーに拒否されたエラーか判定（409 以外の 4xx。再送しても結果が変わらない）
+     * @param {Error} error - 送信処理のエラー
+     * @returns {boolean} 拒否ならtrue
+     */
+    static isRejection(error) {
+        if (!error || OutboxService.isConflict(error)) return false;
+        return Number.isInteger(error.status) && error.status >= 400 && error.status < 500;
+    }
+
+    // ========== 開始・停止 ==========
+
+    /**
+     * 接続状態の監視を開始し、残っている送信待ちを再送
+     */
+    start() {
+        if (this.started || typeof window === 'undefined') return;
+        this.started = true;
+
+        window.addEventListener('online', this.handleOnline);
+        window.addEventListener('offline', this.handleOffline);
+
+        // 各ページの送信処理が登録されてから再送する
+        setTimeout(() => this.flush(), 0);
+    }
+
+    /**
+     * 接続状態の監視を停止
+     */
+    stop() {
+        if (!this.started) return;
+        this.started = false;
+
+        window.removeEventListener('online', this.handleOnline);
+        window.removeEventListener('offline', this.handleOffline);
+        this.clearRetry();
+    }
+
+    /**
+     * 接続回復ハンドラー
+     */
+    handleOnline() {
+        eventBus.emit('outbox.online');
+        this.flush();
+    }
+
+    /**
+     * 切断ハンドラー
+     */
+    handleOffline() {
+        eventBus.emit('outbox.offline');
+        this.emitStatus();
+    }
+
+    // ========== 送信処理の登録 ==========
+
+    /**
+     * 送信処理を登録
+     * @param {string} type - 更新の種類（例: 'performance.save'）
+     * @param {Function} handler - (payload, context) => Promise
+     */
+    register(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    // ========== キュー操作 ==========
+
+    /**
+     * 更新をキューに追加
+     * @param {string} type - 更新の種類
+     * @param {Object} payload - 送信データ
+     * @param {Object} options - { key: 競合判定の単位（例: 'performance:2026-10-19'）, label: 表示名, href: 修正する画面 }
+     * @returns {Promise<Object>} 追加したエントリー
+     */
+    async enqueue(type, payload, options = {}) {
+        const key = options.key || type;
+        const now = new Date().toISOString();
+        const version = await this.getVersion(key);
+
+        // 拒否された同じキーの更新は、修正して保存し直した今回の更新で置き換える
+        const rejected = (await this.getEntries()).filter(entry => entry.key === key && entry.status === 'rejected');
+        for (const entry of rejected) {
+            await this.removeEntry(entry.id);
+        }
+
+        const entry = {
+            type,
+            key,
+            label: options.label || key,
+            href: options.href || '',
+            payload: this.clone(payload),
+            baseVersion: version ? version.version : 0,
+            status: 'pending',
+            attempts: 0,
+            lastError: '',
+            createdAt: now,
+            updatedAt: now
+        };
+
+        entry.id = await this.runTransaction('outbox', 'readwrite', tx => tx.objectStore('outbox').add(entry));
+        eventBus.emit('outbox.queued', entry);
+        this.emitStatus();
+        return entry;
+    }
+
+    /**
+     * 更新をキューに追加して送信を試みる
+     * IndexedDBが使えない環境では直接送信する
+     * @param {string} type - 更新の種類
+     * @param {Object} payload - 送信データ
+     * @param {Object} options - enqueue のオプション
+     * @returns {Promise<Object>} { status: 'sent' | 'pending' | 'conflict' | 'rejected', entry }
+     */
+    async submit(type, payload, options = {}) {
+        if (!OutboxService.isAvailable()) {
+            const handler = this.handlers.get(type);
+            if (!handler) throw new Error(`送信処理が登録されていません: ${type}`);
+            await handler(payload, { key: options.key || type, baseVersion: null, force: false });
+            return { status: 'sent', entry: null };
+        }
+
+        const entry = await this.enqueue(type, payload, options);
+
+        // 実行中の送信は追加前のキューを読んでいるため、完了を待ってから送り直す
+        if (this.flushPromise) await this.flushPromise;
+        await this.flush();
+
+        const current = await this.getEntry(entry.id);
+        return { status: current ? current.status : 'sent', entry: current || entry };
+    }
+
+    /**
+     * 送信待ちを登録順に送信（実行中の場合は完了を待つ）
+     * 同じキーの更新は順序を守り、競合・拒否・送信処理未登録のキーは後続も保留する
+     * @returns {Promise<Object>} { sent, failed, conflicts, rejected }
+     */
+    flush() {
+        if (this.flushPromise) return this.flushPromise;
+
+        this.flushPromise = this.processQueue().finally(() => {
+            this.flushPromise = null;
+            this.sending = false;
+            this.emitStatus();
+        });
+        return this.flushPromise;
+    }
+
+    /**
+     * キューを処理
+     * @returns {Promise<Object>} { sent, failed, conflicts, rejected }
+     */
+    async processQueue() {
+        const result = { sent: 0, failed: 0, conflicts: 0, rejected: 0 };
+        if (!OutboxService.isAvailable() || !OutboxService.isOnline()) return result;
+
+        this.clearRetry();
+        this.sending = true;
+        this.emitStatus();
+
+        const entries = await this.getEntries();
+        const heldKeys = new Set(entries.filter(entry => entry.status !== 'pending').map(entry => entry.key));
+
+        for (const queued of entries) {
+            if (queued.status !== 'pending' || heldKeys.has(queued.key)) continue;
+
+            // 先に送信した同じキーの更新で基準バージョンが進んでいるため読み直す
+            const entry = await this.getEntry(queued.id);
+            if (!entry) continue;
+
+            const handler = this.handlers.get(entry.type);
+            if (!handler) {
+                heldKeys.add(entry.key);
+                continue;
+            }
+
+            // 送信中に切断された場合は残りを次回に回す
+            if (!OutboxService.isOnline()) break;
+
+            const outcome = await this.send(entry, handler);
+            if (outcome === 'sent') {
+                result.sent++;
+            } else if (outcome === 'conflict') {
+                result.conflicts++;
+                heldKeys.add(entry.key);
+            } else if (outcome === 'rejected') {
+                // 再送しても通らないため、このキーだけ保留して他のキーの送信は続ける
+                result.rejected++;
+                heldKeys.add(entry.key);
+            } else {
+                // 通信エラー・5xx は接続断とみなし、順序を守るため以降の送信を止めて再試行を予約
+                result.failed++;
+                this.scheduleRetry();
+                break;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * 1件送信
+     * @param {Object} entry - エントリー
+     * @param {Function} handler - 送信処理
+     * @param {boolean} force - 競合を無視して上書き
+     * @returns {Promise<string>} 'sent' | 'conflict' | 'rejected' | 'failed'
+     */
+    async send(entry, handler, force = false) {
+        try {
+            const response = await handler(entry.payload, { key: entry.key, baseVersion: entry.baseVersion, force });
+            const version = response && response.version !== undefined ? response.version : entry.baseVersion + 1;
+
+            await this.markSent(entry, version);
+            eventBus.emit('outbox.sent', { id: entry.id, type: entry.type, key: entry.key, label: entry.label });
+            return 'sent';
+        } catch (error) {
+            const conflict = OutboxService.isConflict(error);
+            const rejected = OutboxService.isRejection(error);
+            await this.saveEntry({
+                ...entry,
+                status: conflict ? 'conflict' : rejected ? 'rejected' : 'pending',
+                attempts: entry.attempts + 1,
+                lastError: error.message || String(error),
+                updatedAt: new Date().toISOString()
+            });
+
+            if (conflict) {
+                eventBus.emit('outbox.conflict', { id: entry.id, type: entry.type, key: entry.key, label: entry.label, message: error.message });
+                return 'conflict';
+            }
+
+            if (rejected) {
+                eventBus.emit('outbox.rejected', { id: entry.id, type: entry.type, key: entry.key, label: entry.label, message: error.message });
+                return 'rejected';
+            }
+
+            console.warn(`送信に失敗しました（${entry.label}）:`, error);
+            return 'failed';
+        }
+    }
+
+    /**
+     * 送信済みにする（キューから削除し、同じキーの後続の基準バージョンを進める）
+     * @param {Object} entry - 送信したエントリー
+     * @param {number} version - 送信後のバージョン
+     * @returns {Promise<void>}
+     */
+    markSent(entry, version) {
+        return this.runTransaction(['outbox', 'versions'], 'readwrite', tx => {
+            const outbox = tx.objectStore('outbox');
+            outbox.delete(entry.id);
+            tx.objectStore('versions').put({ key: entry.key, version, sentAt: new Date().toISOString() });
+
+            // 同じ端末で続けて保存した更新は、いま送信した内容を基準にする
+            outbox.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                const next = cursor.value;
+                if (next.key === entry.key && next.id > entry.id && next.baseVersion === entry.baseVersion) {
+                    cursor.update({ ...next, baseVersion: version });
+                }
+                cursor.continue();
+            };
+        });
+    }
+
+    /**
+     * 競合を解決
+     * @param {number} id - エントリーID
+     * @param {string} strategy - 'overwrite'（この端末の内容で上書き） | 'discard'（この端末の更新を破棄）
+     * @returns {Promise<string>} 'sent' | 'discarded' | 'conflict' | 'failed'
+     */
+    async resolveConflict(id, strategy) {
+        const entry = await this.getEntry(id);
+        if (!entry || entry.status !== 'conflict') return 'failed';
+
+        if (strategy === 'discard') {
+            await this.removeEntry(id);
+            eventBus.emit('outbox.discarded', { id, key: entry.key, label: entry.label });
+            this.flush();
+            return 'discarded';
+        }
+
+        const handler = this.handlers.get(entry.type);
+        if (!handler || !OutboxService.isOnline()) return 'failed';
+
+        const outcome = await this.send({ ...entry, status: 'pending' }, handler, true);
+        this.flush();
+        return outcome;
+    }
+
+    /**
+     * 拒否された更新を破棄
+     * 修正する場合は、画面で getRejected() の内容を読み込んで保存し直す（enqueue が置き換える）
+     * @param {number} id - エントリーID
+     * @returns {Promise<string>} 'discarded' | 'failed'
+     */
+    async discardRejected(id) {
+        const entry = await this.getEntry(id);
+        if (!entry || entry.status !== 'rejected') return 'failed';
+
+        await this.removeEntry(id);
+        eventBus.emit('outbox.discarded', { id, key: entry.key, label: entry.label });
+        this.flush();
+        return 'discarded';
+    }
+
+    /**
+     * 画面で読み込んだサーバーのバージョンを記録（次に積む更新の基準にする）
+     * 同じキーの送信待ち・競合が残っている場合は、その更新の基準を優先して記録しない
+     * （拒否された更新はサーバーに反映されないため、保存し直すときの基準は最新にする）
+     * @param {string} key - キー
+     * @param {number} version - サーバーのバージョン
+     * @returns {Promise<void>}
+     */
+    async trackVersion(key, version) {
+        if (!OutboxService.isAvailable()) return;
+
+        const entries = await this.getEntries();
+        if (entries.some(entry => entry.key === key && entry.status !== 'rejected')) return;
+
+        const current = await this.getVersion(key);
+        await this.runTransaction('versions', 'readwrite', tx =>
+            tx.objectStore('versions').put({ key, version, sentAt: current ? current.sentAt : null }));
+    }
+
+    // ========== 参照 ==========
+
+    /**
+     * キューのエントリーを取得（登録順）
+     * @returns {Promise<Array>} エントリー配列
+     */
+    async getEntries() {
+        if (!OutboxService.isAvailable()) return [];
+        const entries = await this.runTransaction('outbox', 'readonly', tx => tx.objectStore('outbox').getAll());
+        return (entries || []).sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * エントリーを1件取得
+     * @param {number} id - エントリーID
+     * @returns {Promise<Object|null>} エントリー
+     */
+    async getEntry(id) {
+        const entry = await this.runTransaction('outbox', 'readonly', tx => tx.objectStore('outbox').get(id));
+        return entry || null;
+    }
+
+    /**
+     * 拒否された更新を取得（画面で修正するために読み込む）
+     * @param {string} key - キー
+     * @returns {Promise<Object|null>} 最後に拒否されたエントリー
+     */
+    async getRejected(key) {
+        if (!OutboxService.isAvailable()) return null;
+        const entries = await this.getEntries();
+        return entries.filter(entry => entry.key === key && entry.status === 'rejected').pop() || null;
+    }
+
+    /**
+     * 送信状況を取得
+     * @returns {Promise<Object>} { online, sending, pending, conflicts, rejected, lastSentAt }
+     */
+    async getStatus() {
+        let entries = [];
+        let lastSentAt = null;
+        try {
+            entries = await this.getEntries();
+            lastSentAt = await this.getLastSentAt();
+        } catch (error) {
+            console.warn('送信待ちキューの読み込みに失敗しました:', error);
+        }
+
+        return {
+            online: OutboxService.isOnline(),
+            sending: this.sending,
+            pending: entries.filter(entry => entry.status === 'pending').length,
+            conflicts: entries.filter(entry => entry.status === 'conflict'),
+            rejected: entries.filter(entry => entry.status === 'rejected'),
+            lastSentAt
+        };
+    }
+
+    /**
+     * 最後に送信が完了した日時を取得（ページを開き直しても保持される）
+     * @returns {Promise<string|null>} ISO形式の日時
+     */
+    async getLastSentAt() {
+        if (!OutboxService.isAvailable()) return null;
+        const versions = await this.runTransaction('versions', 'readonly', tx => tx.objectStore('versions').getAll());
+        return (versions || []).reduce((latest, version) => (!latest || version.sentAt > latest ? version.sentAt : latest), null);
+    }
+
+    /**
+     * 送信状況の変更を通知
+     */
+    async emitStatus() {
+        eventBus.emit('outbox.statusChanged', await this.getStatus());
+    }
+
+    // ========== 内部処理 ==========
+
+    /**
+     * 再送を予約
+     */
+    scheduleRetry() {
+        this.clearRetry();
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flush();
+        }, this.retryInterval);
+    }
+
+    /**
+     * 再送の予約を解除
+     */
+    clearRetry() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+    }
+
+    /**
+     * 送信済みバージョンを取得
+     * @param {string} key - キー
+     * @returns {Promise<Object|null>} { key, version, sentAt }
+     */
+    async getVersion(key) {
+        const version = await this.runTransaction('versions', 'readonly', tx => tx.objectStore('versions').get(key));
+        return version || null;
+    }
+
+    /**
+     * エントリーを保存
+     * @param {Object} entry - エントリー
+     * @returns {Promise<void>}
+     */
+    saveEntry(entry) {
+        return this.runTransaction('outbox', 'readwrite', tx => tx.objectStore('outbox').put(entry));
+    }
+
+    /**
+     * エントリーを削除
+     * @param {number} id - エントリーID
+     * @returns {Promise<void>}
+     */
+    removeEntry(id) {
+        return this.runTransaction('outbox', 'readwrite', tx => tx.objectStore('outbox').delete(id));
+    }
+
+    /**
+     * IndexedDBに保存できる形に複製（関数・DOM参照を除く）
+     * @param {Object} payload - 送信データ
+     * @returns {Object} 複製
+     */
+    clone(payload) {
+        return JSON.parse(JSON.stringify(payload === undefined ? null : payload));
+    }
+
+    /**
+     * データベースを開く（初回はストアを作成）
+     * @returns {Promise<IDBDatabase>} データベース
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        if (!OutboxService.isAvailable()) {
+            return Promise.reject(new Error('IndexedDBが利用できません'));
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains('outbox')) {
+                    const store = db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('key', 'key', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains('versions')) {
+                    db.createObjectStore('versions', { keyPath: 'key' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * トランザクション内で処理を実行
+     * @param {string|Array} storeNames - ストア名
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} callback - (tx) => IDBRequest|any
+     * @returns {Promise<any>} リクエスト結果
+     */
+    async runTransaction(storeNames, mode, callback) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            const request = callback(tx);
+            if (request && 'onsuccess' in request) {
+                request.onsuccess = () => { result = request.result; };
+            } else {
+                result = request;
+            }
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('トランザクションが中断されました'));
+        });
+    }
+}
+
+// シングルトンインスタンスを作成
+const outboxService = new OutboxService();
+outboxService.start();
+
+export { OutboxService, outboxService };
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.OutboxService = OutboxService;
+    window.outboxService = outboxService;
+}
@@ -0,0 +1,788 @@
+/**
+ * PerformanceInputService - 実績入力データサービス
+ * MOCアーキテクチャのサービス層
+ *
+ * 仕様書 §6 の daily_records を IndexedDB に保存し、オフラインでも
+ * 日付別・商品別に実績を参照できるようにする。
+ * 本部（データソース）への送信は OutboxService 経由で DataRepository.saveDailyRecords を呼び出す。
+ */
+
+import { appStore } from '../stores/AppStore.js';
+import { dataRepository } from '../repositories/DataRepository.js';
+import EventWeatherService from './EventWeatherService.js';
+import ForecastAccuracyService from './ForecastAccuracyService.js';
+import InventoryService from './InventoryService.js';
+import { outboxService } from './OutboxService.js';
+import { PermissionService } from './PermissionService.js';
+
+class PerformanceInputService {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'moc_store_db';
+        this.dbVersion = options.dbVersion || 2;
+        this.products = options.products || PerformanceInputService.getDefaultProducts();
+        this.hours = options.hours || ['10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00', '17:00', '18:00', '19:00', '20:00'];
+        this.closedWeekdays = options.closedWeekdays ||
+            appStore.getState('settings.closedWeekdays') || [];
+        this.repository = options.repository || dataRepository;
+        this.dbPromise = null;
+    }
+
+    /**
+     * 初期表示用の商品一覧
+     * @returns {Array} 商品配列
+     */
+    static getDefaultProducts() {
+        return [
+            { code: '2408', name: 'デンマークCC', price: 1200, category: 'デンマーク関連' },
+            { code: '1001', name: 'レアチーズC', price: 1000, category: 'デンマーク関連' },
+            { code: '3201', name: 'カスタードプリン', price: 480, category: '洋菓子限定' }
+        ];
+    }
+
+    /**
+     * IndexedDBが利用可能か判定
+     * @returns {boolean} 利用可否
+     */
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    // ========== データベース ==========
+
+    /**
+     * データベースを開く（初回はストアを作成）
+     * @returns {Promise<IDBDatabase>} データベース
+     */
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        if (!PerformanceInputService.isAvailable()) {
+            return Promise.reject(new Error('IndexedDBが利用できません'));
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains('daily_records')) {
+                    const store = db.createObjectStore('daily_records', { keyPath: ['date', 'product_code'] });
+                    store.createIndex('date', 'date', { unique: false });
+                    store.createIndex('product_code', 'product_code', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains('daily_summaries')) {
+                    db.createObjectStore('daily_summaries', { keyPath: 'date' });
+                }
+
+                if (!db.objectStoreNames.contains('shrinkage')) {
+                    const store = db.createObjectStore('shrinkage', { keyPath: ['date', 'product_code'] });
+                    store.createIndex('product_code', 'product_code', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * トランザクション内で処理を実行
+     * @param {string|Array} storeNames - ストア名
+     * @param {string} mode - 'readonly' | 'readwrite'
+     * @param {Function} callback - (tx) => IDBRequest|any
+     * @returns {Promise<any>} リクエスト結果
+     */
+    async runTransaction(storeNames, mode, callback) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            const request = callback(tx);
+            if (request && 'onsuccess' in request) {
+                request.onsuccess = () => { result = request.result; };
+            } else {
+                result = request;
+            }
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('トランザクションが中断されました'));
+        });
+    }
+
+    // ========== daily_records 参照 ==========
+
+    /**
+     * 指定日の daily_records を取得
+     * @param {string} date - 対象日 (YYYY-MM-DD)
+     * @returns {Promise<Array>} レコード配列
+     */
+    getRecordsByDate(date) {
+        return this.runTransaction('daily_records', 'readonly', tx =>
+            tx.objectStore('daily_records').index('date').getAll(date)
+        );
+    }
+
+    /**
+     * 指定商品の daily_records を日付順に取得
+     * @param {string} productCode - 商品コード
+     * @param {Object} range - 期間 { from, to }（省略時は全期間）
+     * @returns {Promise<Array>} レコード配列
+     */
+    async getRecordsByProduct(productCode, range = {}) {
+        const records = await this.runTransaction('daily_records', 'readonly', tx =>
+            tx.objectStore('daily_records').index('product_code').getAll(productCode)
+        );
+
+        return (records || [])
+            .filter(record => (!range.from || record.date >= range.from) && (!range.to || record.date <= range.to))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * 単一の daily_record を取得
+     * @param {string} date - 対象日
+     * @param {string} productCode - 商品コード
+     * @returns {Promise<Object|undefined>} レコード
+     */
+    getRecord(date, productCode) {
+        return this.runTransaction('daily_records', 'readonly', tx =>
+            tx.objectStore('daily_records').get([date, productCode])
+        );
+    }
+
+    /**
+     * 日次サマリー（天気・気温・時間帯別売上）を取得
+     * @param {string} date - 対象日
+     * @returns {Promise<Object|undefined>} サマリー
+     */
+    getDailySummary(date) {
+        return this.runTransaction('daily_summaries', 'readonly', tx =>
+            tx.objectStore('daily_summaries').get(date)
+        );
+    }
+
+    /**
+     * 期間内の実績を HistoricalDataService の過去データ形式で取得
+     * 完売時間と時間帯別売上を含むため、HistoricalDataService.applyDemandEstimates で需要推定に使える
+     * @param {Object} range - 期間 { from, to }（省略時は全期間）
+     * @returns {Promise<Array>} [{ date, weather, temperature, hourlySales, products: [{ code, name, category, price, orderQuantity, sales, waste, soldoutTime }] }]（新しい順）
+     */
+    async getHistoricalData(range = {}) {
+        const [records, summaries] = await this.runTransaction(['daily_records', 'daily_summaries'], 'readonly', tx => {
+            const result = [];
+            const recordRequest = tx.objectStore('daily_records').getAll();
+            const summaryRequest = tx.objectStore('daily_summaries').getAll();
+            recordRequest.onsuccess = () => { result[0] = recordRequest.result; };
+            summaryRequest.onsuccess = () => { result[1] = summaryRequest.result; };
+            return result;
+        });
+
+        const inRange = item => (!range.from || item.date >= range.from) && (!range.to || item.date <= range.to);
+        const days = new Map();
+
+        (summaries || []).filter(inRange).forEach(summary => {
+            days.set(summary.date, {
+                date: summary.date,
+                weather: summary.weather || '',
+                temperature: summary.temperature,
+                hourlySales: PerformanceInputService.parseJSON(summary.hourly_sales_json, []),
+                products: []
+            });
+        });
+
+        (records || []).filter(inRange).forEach(record => {
+            if (!days.has(record.date)) {
+                days.set(record.date, { date: record.date, weather: '', temperature: null, hourlySales: [], products: [] });
+            }
+            const product = this.products.find(item => item.code === record.product_code) || {};
+            days.get(record.date).products.push({
+                code: record.product_code,
+                name: record.product_name || product.name || '',
+                category: product.category || '',
+                price: record.price || product.price || 0,
+                orderQuantity: record.inbound || 0,
+                sales: record.sold || 0,
+                waste: record.loss || 0,
+                soldoutTime: record.soldout_time || ''
+            });
+        });
+
+        // 天気・気温の入力がない日はイベント・気象マスタ（気象庁CSV取込み分）で補う
+        days.forEach(day => {
+            const stored = EventWeatherService.getByDate(day.date);
+            if (!stored) return;
+            if (!day.weather) day.weather = stored.weather || stored.weather_summary;
+            if (day.temperature === null || day.temperature === undefined) day.temperature = stored.temperature;
+        });
+
+        return Array.from(days.values()).sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    /**
+     * daily_records を一括保存
+     * @param {Array} records - レコード配列
+     * @returns {Promise<void>}
+     */
+    putRecords(records) {
+        return this.runTransaction('daily_records', 'readwrite', tx => {
+            const store = tx.objectStore('daily_records');
+            records.forEach(record => store.put(record));
+        });
+    }
+
+    // ========== 画面向けAPI ==========
+
+    /**
+     * 対象日の実績を画面行形式で取得
+     * @param {string} date - 対象日（省略時は本日）
+     * @returns {Promise<Array>} 実績行配列
+     */
+    async getTodayPerformance(date = PerformanceInputService.today()) {
+        let records = [];
+        try {
+            records = await this.getRecordsByDate(date);
+        } catch (error) {
+            console.warn('daily_records could not be read:', error);
+        }
+
+        const rows = (records || []).map(record => PerformanceInputService.toRow(record));
+
+        // 記録のない商品は空行で補完
+        this.products.forEach(product => {
+            if (!rows.some(row => row.code === product.code)) {
+                rows.push(PerformanceInputService.createEmptyRow(product));
+            }
+        });
+
+        // 前営業日の閉店時在庫を前日残に繰り越す
+        let carryOver = {};
+        try {
+            carryOver = await this.getCarryOver(date, rows.map(row => row.code));
+        } catch (error) {
+            console.warn('Carry-over could not be calculated:', error);
+        }
+
+        rows.forEach(row => PerformanceInputService.applyCarryOver(row, carryOver[row.code], date));
+
+        return rows;
+    }
+
+    /**
+     * 対象日の時間帯別売上を取得
+     * @param {string} date - 対象日（省略時は本日）
+     * @returns {Promise<Array>} 時間帯別売上配列
+     */
+    async getHourlySales(date = PerformanceInputService.today()) {
+        let summary = null;
+        try {
+            summary = await this.getDailySummary(date);
+        } catch (error) {
+            console.warn('daily_summaries could not be read:', error);
+        }
+
+        const saved = summary ? PerformanceInputService.parseJSON(summary.hourly_sales_json, []) : [];
+        if (saved.length > 0) return saved;
+
+        return this.hours.map(hour => ({
+            id: `h${hour.slice(0, 2)}`,
+            hour,
+            amount: 0,
+            customers: 0,
+            composition: '',
+            cumulative: 0
+        }));
+    }
+
+    /**
+     * 実績データを保存
+     * @param {Object} data - PerformanceInput.getAllData() の戻り値
+     * @returns {Promise<Object>} 保存結果 { date, count, rolled, scored }
+     * @throws {PermissionError} 実績の入力権限がない場合
+     */
+    async savePerformanceData(data) {
+        PermissionService.authorize('performance.edit', { screen: 'IRY-001', action: '実績保存' });
+
+        const date = data.targetDate || PerformanceInputService.today();
+        const rows = data.performance || [];
+        const totalAmount = rows.reduce((sum, row) => sum + (parseFloat(row.sales) || 0) * (parseFloat(row.price) || 0), 0);
+        const records = rows.map(row => PerformanceInputService.toRecord(row, date, totalAmount));
+
+        const summary = {
+            date,
+            weather: data.weather || '',
+            temperature: data.temperature !== undefined && data.temperature !== '' ? parseFloat(data.temperature) : null,
+            hourly_sales_json: JSON.stringify(data.hourlySales || []),
+            updated_at: new Date().toISOString()
+        };
+
+        await this.runTransaction(['daily_records', 'daily_summaries'], 'readwrite', tx => {
+            const recordStore = tx.objectStore('daily_records');
+            records.forEach(record => recordStore.put(record));
+            tx.objectStore('daily_summaries').put(summary);
+        });
+
+        // 過去日の修正は以降の日の前日残へ反映する
+        const rolled = await this.rollForward(date, records);
+
+        // 締めた日の実績で推奨時の予測を採点する
+        const scored = this.scoreForecasts(date, records);
+
+        return { date, count: records.length, rolled, scored };
+    }
+
+    /**
+     * CSVから取り込んだ daily_records を保存（仕様書 §11 の追記/上書き）
+     * - append: 同じ日付・商品の記録だけを置き換え、ほかの記録は残す
+     * - overwrite: ファイルに含まれる日付の記録をすべて削除してから登録する
+     * 当日在庫・売上金額・構成比は取り込んだ値から計算し、以降の日の前日残へ繰り越す
+     * @param {Array} records - [{ date, product_code, product_name, price, prev_stock, inbound, transfer, sold, loss, stock_close, special_order, soldout_time }]
+     * @param {string} mode - 'append' | 'overwrite'
+     * @returns {Promise<Object>} { created, updated, removed }
+     * @throws {PermissionError} 実績の入力権限がない場合
+     */
+    async importRecords(records, mode = 'append') {
+        PermissionService.authorize('performance.edit', { screen: 'IRY-001', action: '実績のCSV取込' });
+
+        const dates = [...new Set(records.map(record => record.date))].sort();
+        const existing = new Map();
+        const carryOver = {};
+        for (const date of dates) {
+            (await this.getRecordsByDate(date) || []).forEach(record => existing.set(`${record.date}|${record.product_code}`, record));
+
+            // 前日残の列がない行は前営業日の閉店時在庫を使う（取り込んだ日どうしは rollForward で繰り越す）
+            const missing = records.filter(record => record.date === date && (record.prev_stock === null || record.prev_stock === undefined));
+            carryOver[date] = missing.length > 0 ? await this.getCarryOver(date, missing.map(record => record.product_code)) : {};
+        }
+
+        const importedAt = new Date().toISOString();
+        const totals = {};
+        records.forEach(record => {
+            totals[record.date] = (totals[record.date] || 0) + (record.sold || 0) * (record.price || 0);
+        });
+
+        const saved = records.map(record => {
+            const current = existing.get(`${record.date}|${record.product_code}`) || {};
+            const product = this.products.find(item => item.code === record.product_code) || {};
+            const price = record.price ?? current.price ?? product.price ?? 0;
+            const hasPrevStock = record.prev_stock !== null && record.prev_stock !== undefined;
+            const next = {
+                ...current,
+                ...record,
+                product_name: record.product_name || current.product_name || product.name || '',
+                price,
+                prev_stock: hasPrevStock ? record.prev_stock : (carryOver[record.date][record.product_code]?.prevStock || 0),
+                prev_stock_source: hasPrevStock ? 'manual' : 'carried',
+                sales_amount: (record.sold || 0) * price,
+                share: totals[record.date] > 0 ? Math.round((((record.sold || 0) * price) / totals[record.date]) * 1000) / 10 : 0,
+                hourly_sales_json: current.hourly_sales_json || '[]',
+                memo: current.memo || '',
+                updated_at: importedAt
+            };
+            return {
+                ...next,
+                stock_today: InventoryService.calculateCurrentStock(
+                    ...[next.prev_stock, next.inbound, next.transfer, next.sold, next.loss].map(v => parseFloat(v) || 0),
+                    { record: false }
+                )
+            };
+        });
+
+        const importedKeys = new Set(saved.map(record => `${record.date}|${record.product_code}`));
+        const removed = mode === 'overwrite' ?
+            Array.from(existing.values()).filter(record => !importedKeys.has(`${record.date}|${record.product_code}`)) : [];
+
+        await this.runTransaction('daily_records', 'readwrite', tx => {
+            const store = tx.objectStore('daily_records');
+            removed.forEach(record => store.delete([record.date, record.product_code]));
+            saved.forEach(record => store.put(record));
+        });
+
+        for (const date of dates) {
+            await this.rollForward(date, saved.filter(record => record.date === date));
+        }
+
+        const updated = saved.filter(record => existing.has(`${record.date}|${record.product_code}`)).length;
+        return { created: saved.length - updated, updated, removed: removed.length };
+    }
+
+    /**
+     * 実績データを本部サーバーへ送信（OutboxService 経由で呼び出す）
+     * @param {Object} data - PerformanceInput.getAllData() の戻り値
+     * @param {Object} context - { key, baseVersion, force }
+     * @returns {Promise<Object|void>} { version }（サーバーに接続するデータソースのみ）
+     * @throws {Error} status: 409 ほかの端末で先に更新されている場合
+     */
+    async sendPerformanceData(data, context = {}) {
+        const date = data.targetDate || PerformanceInputService.today();
+        const records = (data.performance || []).map(row => PerformanceInputService.toRecord(row, date));
+        return this.repository.saveDailyRecords(date, records, context);
+    }
+
+    /**
+     * 送信先の実績のバージョンを送信待ちの基準として記録（次の送信で競合を判定する）
+     * @param {string} date - 対象日
+     * @returns {Promise<void>}
+     */
+    async trackVersion(date) {
+        const version = await this.repository.getVersion('daily-reports', date);
+        if (version !== null) await outboxService.trackVersion(`performance:${date}`, version);
+    }
+
+    /**
+     * 予測ログ（ForecastAccuracyService）を当日の実績で採点
+     * @param {string} date - 対象日
+     * @param {Array} records - 保存した daily_records
+     * @returns {number} 採点件数
+     */
+    scoreForecasts(date, records) {
+        const actuals = records.map(record => {
+            const product = this.products.find(item => item.code === record.product_code) || {};
+            return {
+                productCode: record.product_code,
+                sales: record.sold,
+                waste: record.loss,
+                category: product.category || ''
+            };
+        });
+
+        return ForecastAccuracyService.scoreDay(date, actuals).length;
+    }
+
+    // ========== 棚卸照合 ==========
+
+    /**
+     * 棚卸照合の結果（理由コード付きの差異）を保存
+     * @param {string} date - 対象日
+     * @param {Array} entries - [{ code, name, price, computedStock, countedStock, reason, memo }]
+     * @returns {Promise<number>} 保存件数
+     */
+    async saveShrinkage(date, entries) {
+        PermissionService.authorize('performance.edit', { screen: 'IRY-001', action: '棚卸照合' });
+
+        const recordedAt = new Date().toISOString();
+        const records = entries.map(entry => ({
+            date,
+            product_code: String(entry.code),
+            product_name: entry.name || '',
+            price: parseFloat(entry.price) || 0,
+            computed_stock: parseFloat(entry.computedStock) || 0,
+            counted_stock: parseFloat(entry.countedStock) || 0,
+            difference: (parseFloat(entry.countedStock) || 0) - (parseFloat(entry.computedStock) || 0),
+            reason: entry.reason,
+            memo: entry.memo || '',
+            recorded_at: recordedAt
+        }));
+
+        await this.runTransaction('shrinkage', 'readwrite', tx => {
+            const store = tx.objectStore('shrinkage');
+            records.forEach(record => store.put(record));
+        });
+
+        return records.length;
+    }
+
+    /**
+     * 棚卸差異履歴を取得
+     * @param {Object} filter - { productCode, from, to }
+     * @returns {Promise<Array>} 差異履歴（日付順）
+     */
+    async getShrinkageHistory(filter = {}) {
+        const records = await this.runTransaction('shrinkage', 'readonly', tx => {
+            const store = tx.objectStore('shrinkage');
+            return filter.productCode ? store.index('product_code').getAll(filter.productCode) : store.getAll();
+        });
+
+        return (records || [])
+            .filter(record => (!filter.from || record.date >= filter.from) && (!filter.to || record.date <= filter.to))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    // ========== 前日残の繰り越し ==========
+
+    /**
+     * 前営業日の記録から商品別の前日残を算出
+     * @param {string} date - 対象日
+     * @param {Array} productCodes - 商品コード配列
+     * @returns {Promise<Object>} 商品コード → { prevStock, source, sourceDate, gapDays, unclosed }
+     */
+    async getCarryOver(date, productCodes) {
+        const result = {};
+
+        for (const code of productCodes) {
+            const history = await this.getRecordsByProduct(code);
+            const previous = history.filter(record => record.date < date).pop();
+
+            if (!previous) {
+                result[code] = { prevStock: null, source: 'none', sourceDate: null, gapDays: 0, unclosed: false };
+                continue;
+            }
+
+            const closed = PerformanceInputService.hasClosingCount(previous);
+            result[code] = {
+                prevStock: PerformanceInputService.getClosingStock(previous),
+                source: closed ? 'stock_close' : 'calculated',
+                sourceDate: previous.date,
+                gapDays: this.countMissingBusinessDays(previous.date, date),
+                unclosed: !closed
+            };
+        }
+
+        return result;
+    }
+
+    /**
+     * 保存日以降の記録へ前日残を順に繰り越す
+     * @param {string} date - 保存した日
+     * @param {Array} savedRecords - 保存した daily_records
+     * @returns {Promise<number>} 更新したレコード数
+     */
+    async rollForward(date, savedRecords) {
+        const updates = [];
+
+        for (const saved of savedRecords) {
+            const later = (await this.getRecordsByProduct(saved.product_code)).filter(record => record.date > date);
+            let closing = PerformanceInputService.getClosingStock(saved);
+
+            for (const record of later) {
+                if (record.prev_stock_source !== 'manual' && record.prev_stock !== closing) {
+                    record.prev_stock = closing;
+                    record.prev_stock_source = 'carried';
+                    record.stock_today = PerformanceInputService.calculateStock(record);
+                    record.updated_at = new Date().toISOString();
+                    updates.push(record);
+                }
+                closing = PerformanceInputService.getClosingStock(record);
+            }
+        }
+
+        if (updates.length > 0) {
+            await this.putRecords(updates);
+        }
+
+        return updates.length;
+    }
+
+    /**
+     * 2つの日付の間で記録が抜けている営業日数を数える
+     * @param {string} fromDate - 直近の記録日
+     * @param {string} toDate - 対象日
+     * @returns {number} 欠落営業日数
+     */
+    countMissingBusinessDays(fromDate, toDate) {
+        let missing = 0;
+        let cursor = PerformanceInputService.shiftDate(fromDate, 1);
+
+        while (cursor < toDate) {
+            const weekday = new Date(`${cursor}T00:00:00`).getDay();
+            if (!this.closedWeekdays.includes(weekday)) {
+                missing++;
+            }
+            cursor = PerformanceInputService.shiftDate(cursor, 1);
+        }
+
+        return missing;
+    }
+
+    /**
+     * 繰り越し結果を画面行に反映
+     * @param {Object} row - 画面行
+     * @param {Object} carry - getCarryOver() の商品別結果
+     * @param {string} date - 対象日
+     * @returns {Object} 画面行
+     */
+    static applyCarryOver(row, carry, date = '') {
+        row.carryOver = carry || null;
+
+        if (!carry || carry.source === 'none' || row.prevStockSource === 'manual') {
+            return row;
+        }
+
+        row.prevStock = carry.prevStock;
+        row.prevStockSource = 'carried';
+        row.currentStock = PerformanceInputService.calculateStock(PerformanceInputService.toRecord(row, date));
+        return row;
+    }
+
+    /**
+     * 閉店時在庫が実地確認済みか判定
+     * @param {Object} record - daily_record
+     * @returns {boolean} 確認済みか
+     */
+    static hasClosingCount(record) {
+        return record.stock_close !== null && record.stock_close !== undefined && record.stock_close !== '';
+    }
+
+    /**
+     * 翌日に繰り越す閉店時在庫を取得（未確認時は計算在庫）
+     * @param {Object} record - daily_record
+     * @returns {number} 閉店時在庫
+     */
+    static getClosingStock(record) {
+        if (PerformanceInputService.hasClosingCount(record)) {
+            return parseFloat(record.stock_close) || 0;
+        }
+        return PerformanceInputService.calculateStock(record);
+    }
+
+    /**
+     * daily_record の当日在庫を計算
+     * @param {Object} record - daily_record
+     * @returns {number} 当日在庫
+     */
+    static calculateStock(record) {
+        const args = [record.prev_stock, record.inbound, record.transfer, record.sold, record.loss].map(v => parseFloat(v) || 0);
+
+        return InventoryService.calculateCurrentStock(...args, {
+            productCode: record.product_code,
+            productName: record.product_name,
+            date: record.date,
+            source: 'performance',
+            record: !!record.date
+        });
+    }
+
+    // ========== 変換ユーティリティ ==========
+
+    /**
+     * 画面行を daily_record に変換
+     * @param {Object} row - 画面行
+     * @param {string} date - 対象日
+     * @param {number} totalAmount - 当日の総売上金額（構成比計算用）
+     * @returns {Object} daily_record
+     */
+    static toRecord(row, date, totalAmount = 0) {
+        const price = parseFloat(row.price) || 0;
+        const sold = parseFloat(row.sales) || 0;
+        const salesAmount = sold * price;
+
+        return {
+            date,
+            product_code: String(row.code),
+            product_name: row.name || '',
+            price,
+            prev_stock: parseFloat(row.prevStock) || 0,
+            inbound: parseFloat(row.delivery) || 0,
+            transfer: parseFloat(row.movement) || 0,
+            sold,
+            loss: parseFloat(row.waste) || 0,
+            stock_today: parseFloat(row.currentStock) || 0,
+            prev_stock_source: row.prevStockSource || 'input',
+            stock_close: row.stockClose === undefined || row.stockClose === '' ? null : row.stockClose,
+            special_order: parseFloat(row.specialOrder) || 0,
+            soldout_time: row.soldoutTime || '',
+            hourly_sales_json: JSON.stringify(row.hourlySales || []),
+            sales_amount: salesAmount,
+            share: totalAmount > 0 ? Math.round((salesAmount / totalAmount) * 1000) / 10 : 0,
+            memo: row.memo || '',
+            updated_at: new Date().toISOString()
+        };
+    }
+
+    /**
+     * daily_record を画面行に変換
+     * @param {Object} record - daily_record
+     * @returns {Object} 画面行
+     */
+    static toRow(record) {
+        return {
+            id: record.product_code,
+            code: record.product_code,
+            name: record.product_name || '',
+            price: record.price || 0,
+            prevStock: record.prev_stock || 0,
+            prevStockSource: record.prev_stock_source || 'input',
+            delivery: record.inbound || 0,
+            movement: record.transfer || 0,
+            sales: record.sold || 0,
+            waste: record.loss || 0,
+            currentStock: record.stock_today || 0,
+            stockClose: record.stock_close,
+            specialOrder: record.special_order || 0,
+            soldoutTime: record.soldout_time || '',
+            hourlySales: PerformanceInputService.parseJSON(record.hourly_sales_json, []),
+            memo: record.memo || ''
+        };
+    }
+
+    /**
+     * 記録のない商品の空行を生成
+     * @param {Object} product - 商品 { code, name, price }
+     * @returns {Object} 画面行
+     */
+    static createEmptyRow(product) {
+        return {
+            id: product.code,
+            code: product.code,
+            name: product.name,
+            price: product.price || 0,
+            prevStock: 0,
+            prevStockSource: 'input',
+            delivery: 0,
+            movement: 0,
+            sales: 0,
+            waste: 0,
+            currentStock: 0,
+            stockClose: null,
+            specialOrder: 0,
+            soldoutTime: '',
+            hourlySales: [],
+            memo: ''
+        };
+    }
+
+    /**
+     * JSON文字列を安全に解析
+     * @param {string} json - JSON文字列
+     * @param {any} fallback - 解析失敗時の値
+     * @returns {any} 解析結果
+     */
+    static parseJSON(json, fallback) {
+        if (!json) return fallback;
+        try {
+            return JSON.parse(json);
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    /**
+     * 日付を指定日数ずらす
+     * @param {string} date - 日付 (YYYY-MM-DD)
+     * @param {number} days - 日数
+     * @returns {string} 日付文字列
+     */
+    static shiftDate(date, days) {
+        const d = new Date(`${date}T00:00:00`);
+        d.setDate(d.getDate() + days);
+        return PerformanceInputService.today(d);
+    }
+
+    /**
+     * ローカル日付を YYYY-MM-DD で取得
+     * @param {Date} date - 日付（省略時は現在）
+     * @returns {string} 日付文字列
+     */
+    static today(date = new Date()) {
+        const y = date.getFullYear();
+        const m = String(date.getMonth() + 1).padStart(2, '0');
+        const d = String(date.getDate()).padStart(2, '0');
+        return `${y}-${m}-${d}`;
+    }
+}
+
+export default PerformanceInputService;
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.PerformanceInputService = PerformanceInputService;
+}
@@ -0,0 +1,217 @@
+/**
+ * PermissionService - ロール別の権限判定（RBAC）
+ * MOCアーキテクチャのサービス層
+ *
+ * ロール（admin / manager / staff / readonly）と権限（capability）の対応をここで一元管理し、
+ * ルーター・ヘッダーメニュー・Table / Form・各サービスの書き込み処理から参照する。
+ * 企画書.md「マスタ管理の POST / PUT / DELETE は管理者ロールのみ」に対応する。
+ *
+ * 権限のない操作は 403 相当の PermissionError とし、拒否した操作は
+ * auth.denied イベントとログイン履歴（種別 'denied'）に記録する。
+ */
+
+import { eventBus } from '../utils/EventBus.js';
+import { AuthService, authService } from './AuthService.js';
+
+/**
+ * 権限エラー（HTTP 403 相当）
+ */
+class PermissionError extends Error {
+    /**
+     * @param {string} capability - 不足している権限
+     * @param {string} message - 画面表示用メッセージ
+     */
+    constructor(capability, message = PermissionService.getDeniedMessage(capability)) {
+        super(message);
+        this.name = 'PermissionError';
+        this.status = 403;
+        this.code = 'FORBIDDEN';
+        this.capability = capability;
+    }
+
+    /**
+     * 企画書.md の共通エラーレスポンス形式
+     * @returns {Object} { status, message }
+     */
+    toResponse() {
+        return { status: 'error', message: 'Permission denied.' };
+    }
+}
+
+class PermissionService {
+    /**
+     * 権限の一覧（capability → 表示名）
+     * @returns {Object} 権限
+     */
+    static getCapabilityLabels() {
+        return {
+            'dashboard.view': 'ダッシュボードの参照',
+            'performance.view': '実績の参照',
+            'performance.edit': '実績の入力・保存',
+            'order.view': '発注シミュレーションの参照',
+            'order.edit': '発注数・予算の変更・保存',
+            'westernConfection.view': '洋生ノートの参照',
+            'westernConfection.edit': '洋生ノートの入力・保存',
+            'analysis.view': '過去データ分析の参照',
+            'master.view': 'マスタの参照',
+            'master.edit': 'マスタの登録・更新・削除',
+            'settings.edit': 'システム設定の変更',
+            'users.manage': 'ユーザー管理',
+            'audit.view': '操作ログの参照'
+        };
+    }
+
+    /**
+     * ロールごとの権限（'*' はすべての権限）
+     * @returns {Object} role → capability 配列
+     */
+    static getRoleCapabilities() {
+        const views = ['dashboard.view', 'performance.view', 'order.view', 'westernConfection.view', 'analysis.view'];
+        const edits = ['performance.edit', 'order.edit', 'westernConfection.edit'];
+
+        return {
+            admin: ['*'],
+            manager: [...views, ...edits, 'master.view'],
+            staff: [...views, ...edits],
+            readonly: [...views]
+        };
+    }
+
+    /**
+     * 画面（HTMLファイル）の表示に必要な権限
+     * ヘッダーメニュー・ダッシュボードのナビゲーション・ルーターが参照する
+     * @returns {Object} ファイル名 → capability
+     */
+    static getPageCapabilities() {
+        return {
+            'index-moc.html': 'dashboard.view',
+            'index.html': 'dashboard.view',
+            'performance-input-moc.html': 'performance.view',
+            'performance-input.html': 'performance.view',
+            'order-simulation-moc.html': 'order.view',
+            'order-simulation.html': 'order.view',
+            'western-confection-note-moc.html': 'westernConfection.view',
+            'western-confection-note.html': 'westernConfection.view',
+            'historical-analysis-moc.html': 'analysis.view',
+            'historical-analysis.html': 'analysis.view',
+            'master-maintenance-moc.html': 'master.view',
+            'master-maintenance.html': 'master.view',
+            'audit-log-moc.html': 'audit.view'
+        };
+    }
+
+    /**
+     * リンク先の画面の表示に必要な権限
+     * @param {string} href - リンク先（例: 'master-maintenance-moc.html?tab=users'）
+     * @returns {string|null} capability（制限のない画面は null）
+     */
+    static getPageCapability(href) {
+        const file = String(href || '').split(/[?#]/)[0].split('/').pop();
+        return this.getPageCapabilities()[file] || null;
+    }
+
+    /**
+     * ロールが持つ権限の一覧
+     * @param {string} role - ロール
+     * @returns {Array} capability 配列
+     */
+    static getCapabilities(role) {
+        const capabilities = this.getRoleCapabilities()[role] || [];
+        return capabilities.includes('*') ? Object.keys(this.getCapabilityLabels()) : [...capabilities];
+    }
+
+    /**
+     * 権限があるか判定（記録はしない。表示の出し分けに使用）
+     * @param {string|null} capability - 権限（null は制限なし）
+     * @param {Object|null} user - 判定するユーザー（省略時はログイン中のユーザー）
+     * @returns {boolean} 権限があればtrue
+     */
+    static can(capability, user = authService.getCurrentUser()) {
+        if (!capability) return true;
+        if (!user) return false;
+
+        const capabilities = this.getRoleCapabilities()[user.role] || [];
+        return capabilities.includes('*') || capabilities.includes(capability);
+    }
+
+    /**
+     * 権限を確認し、なければ拒否を記録する
+     * @param {string|null} capability - 権限
+     * @param {Object} context - { screen: 画面ID, action: 操作名 }
+     * @returns {boolean} 権限があればtrue
+     */
+    static check(capability, context = {}) {
+        if (this.can(capability)) return true;
+
+        this.deny(capability, context);
+        return false;
+    }
+
+    /**
+     * 権限を確認し、なければ PermissionError を投げる（サービスの書き込み処理の先頭で呼ぶ）
+     * @param {string|null} capability - 権限
+     * @param {Object} context - { screen: 画面ID, action: 操作名 }
+     * @throws {PermissionError} 権限がない場合
+     */
+    static authorize(capability, context = {}) {
+        if (!this.check(capability, context)) {
+            throw new PermissionError(capability);
+        }
+    }
+
+    /**
+     * 拒否した操作を記録
+     * @param {string} capability - 不足している権限
+     * @param {Object} context - { screen: 画面ID, action: 操作名 }
+     */
+    static deny(capability, context = {}) {
+        const user = authService.getCurrentUser();
+        const label = this.getCapabilityLabels()[capability] || capability;
+        const entry = {
+            capability,
+            label,
+            username: user ? user.username : '',
+            role: user ? user.role : '',
+            screen: context.screen || '',
+            action: context.action || '',
+            at: new Date().toISOString()
+        };
+
+        console.warn('権限のない操作を拒否しました:', entry);
+        eventBus.emit('auth.denied', entry);
+
+        const detail = [label, entry.action, entry.screen].filter(Boolean).join(' / ');
+        if (AuthService.isAvailable()) {
+            authService.recordHistory(entry.username, 'denied', 'forbidden', detail).catch(error => {
+                console.warn('権限エラーの記録に失敗しました:', error);
+            });
+        }
+    }
+
+    /**
+     * 権限エラーか判定（status: 403 または name: 'PermissionError'）
+     * @param {Error} error - エラー
+     * @returns {boolean} 判定結果
+     */
+    static isPermissionError(error) {
+        return !!error && (error.status === 403 || error.name === 'PermissionError');
+    }
+
+    /**
+     * 権限がない場合の表示メッセージ
+     * @param {string} capability - 権限
+     * @returns {string} メッセージ
+     */
+    static getDeniedMessage(capability) {
+        const label = this.getCapabilityLabels()[capability];
+        return label ? `${label}の権限がありません` : 'この操作を行う権限がありません';
+    }
+}
+
+export { PermissionService, PermissionError };
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.PermissionService = PermissionService;
+    window.PermissionError = PermissionError;
+}
@@ -17,7 +17,9 @@ class ValidationService {
             maxOrderQuantity = Infinity,
             isOrderable = true,
             budgetLimit = Infinity,
-            deadlineDate = null
+            deadlineDate = null,
+            caseSize = 1,
+            orderUnitType = 'piece'
         } = constraints;
 
         const quantity = orderData.quantity || 0;
@@ -72,6 +74,15 @@ class ValidationService {
                 });
             }
 
+            // ケース入数チェック（ケース発注時）
+            if (orderUnitType === 'case' && caseSize > 1 && quantity % caseSize !== 0) {
+                errors.push({
+                    code: 'CASE_SIZE_VIOLATION',
+                    message: `ケース発注はケース入数（${caseSize}個）の倍数で入力してください`,
+                    field: 'quantity'
+                });
+            }
+
             // 最大発注数チェック
             if (quantity > maxOrderQuantity) {
                 warnings.push({
@@ -82,6 +93,16 @@ class ValidationService {
             }
         }
 
+        // バラ数量とケース数量の整合チェック
+        if (orderData.caseCount !== undefined && orderData.caseCount !== null &&
+            orderData.caseCount * Math.max(1, caseSize) !== quantity) {
+            errors.push({
+                code: 'CASE_QUANTITY_MISMATCH',
+                message: `ケース数量${orderData.caseCount}×ケース入数${caseSize}とバラ数量${quantity}が一致しません`,
+                field: 'caseCount'
+            });
+        }
+
         // 予算チェック
         if (amount > budgetLimit) {
             if (budgetLimit !== Infinity) {
@@ -112,7 +133,7 @@ class ValidationService {
             errors,
             warnings,
             adjustedQuantity,
-            canAutoFix: errors.some(e => ['ORDER_UNIT_VIOLATION', 'MIN_ORDER_VIOLATION'].includes(e.code)),
+            canAutoFix: errors.some(e => ['ORDER_UNIT_VIOLATION', 'MIN_ORDER_VIOLATION', 'CASE_SIZE_VIOLATION', 'CASE_QUANTITY_MISMATCH'].includes(e.code)),
             summary: this.generateValidationSummary(errors, warnings)
         };
     }
@@ -127,7 +148,6 @@ class ValidationService {
         const {
             totalBudget = 0,
             categoryBudgets = {},
-            dailyBudget = Infinity,
             warningThreshold = 0.9,
             errorThreshold = 1.0
         } = budgetConstraints;
@@ -387,10 +407,18 @@ class ValidationService {
     static suggestAdjustedQuantity(quantity, constraints) {
         const {
             minOrderQuantity = 0,
-            orderUnit = 1,
-            maxOrderQuantity = Infinity
+            maxOrderQuantity = Infinity,
+            caseSize = 1,
+            orderUnitType = 'piece'
         } = constraints;
 
+        // ケース発注時は発注倍数とケース入数の最小公倍数単位で調整
+        let orderUnit = Math.max(1, constraints.orderUnit || 1);
+        if (orderUnitType === 'case' && caseSize > 1) {
+            const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+            orderUnit = (orderUnit * caseSize) / gcd(orderUnit, caseSize);
+        }
+
         if (quantity <= 0) return minOrderQuantity;
 
         let adjusted = Math.max(quantity, minOrderQuantity);
@@ -608,12 +636,9 @@ class ValidationService {
     }
 }
 
-// ES6モジュールエクスポート対応
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = ValidationService;
-}
+export default ValidationService;
 
-// グローバルスコープでも利用可能
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
 if (typeof window !== 'undefined') {
     window.ValidationService = ValidationService;
-}
\ No newline at end of file
+}
@@ -0,0 +1,178 @@
+/**
+ * WeatherImportService - 気象庁「過去の気象データ」CSVの取込み
+ * MOCアーキテクチャのサービス層 - 日別の天気概況・平均/最高/最低気温をイベント・気象マスタへ反映する
+ *
+ * 気象庁CSVの形式（Shift_JIS）:
+ *   1行目: ダウンロードした時刻
+ *   2行目: 空行
+ *   3行目: 地点名
+ *   4行目: 項目名（年月日, 平均気温(℃), 最高気温(℃), 最低気温(℃), 天気概況(昼：06時～18時) ...）
+ *   5行目以降: 品質情報・均質番号などの補助見出し（ない場合もある）、続いて日別データ
+ */
+
+import { eventBus } from '../utils/EventBus.js';
+import CsvParser from '../utils/CsvParser.js';
+import EventWeatherService from './EventWeatherService.js';
+import HistoricalDataService from './HistoricalDataService.js';
+
+class WeatherImportService {
+
+    /**
+     * 気象庁CSVファイルを取り込む
+     * @param {File|Blob} file - CSVファイル
+     * @returns {Promise<Object>} { station, imported, errors }
+     */
+    static async importFile(file) {
+        const buffer = await file.arrayBuffer();
+        const result = this.parse(this.decode(buffer));
+
+        if (result.records.length > 0) {
+            EventWeatherService.mergeWeather(result.records);
+        }
+
+        eventBus.emit('weather.imported', { station: result.station, count: result.records.length });
+
+        return { station: result.station, imported: result.records.length, errors: result.errors };
+    }
+
+    /**
+     * 文字列に変換（BOM付きUTF-8 → UTF-8 → Shift_JIS の順に判定。気象庁のShift_JISのファイルはUTF-8として不正なため Shift_JIS で読む）
+     * @param {ArrayBuffer} buffer - ファイル内容
+     * @returns {string} CSV文字列
+     */
+    static decode(buffer) {
+        return CsvParser.decode(buffer).text;
+    }
+
+    /**
+     * 気象庁CSVを解析
+     * 複数地点を含む場合は先頭の地点のみを取り込む
+     * @param {string} csvText - CSV文字列
+     * @returns {Object} { station, records: [{ date, weather, weather_summary, temperature, temperature_max, temperature_min }], errors }
+     */
+    static parse(csvText) {
+        const parsed = CsvParser.parse(csvText);
+        const rows = parsed.rows.map(row => row.values.map(value => value.trim()));
+        const lines = parsed.rows.map(row => row.line);
+        const headerIndex = rows.findIndex(row => row[0] === '年月日');
+        if (headerIndex === -1) {
+            return { station: '', records: [], errors: ['気象庁CSVの見出し（年月日）が見つかりません'] };
+        }
+
+        const stationRow = headerIndex > 0 ? rows[headerIndex - 1] : [];
+        const station = stationRow.find((name, index) => index > 0 && name) || '';
+        const columns = this.resolveColumns(rows, headerIndex, stationRow, station);
+        if (columns.temperature === undefined && columns.weather_summary === undefined) {
+            return { station, records: [], errors: ['気温・天気概況の列が見つかりません'] };
+        }
+
+        const records = [];
+        const errors = [...parsed.errors];
+        rows.slice(headerIndex + 1).forEach((row, offset) => {
+            const date = this.parseDate(row[0]);
+            if (!date) {
+                if (row[0] && !this.isSubHeaderRow(row)) {
+                    errors.push(`${lines[headerIndex + 1 + offset]}行目: 日付を解釈できません: ${row[0]}`);
+                }
+                return;
+            }
+
+            const number = key => {
+                const value = columns[key] === undefined ? '' : (row[columns[key]] || '').replace(/[\])]/g, '').trim();
+                return value === '' || value === '--' || isNaN(Number(value)) ? null : Number(value);
+            };
+            const summary = columns.weather_summary === undefined ? '' : (row[columns.weather_summary] || '').trim();
+            const nightSummary = columns.weather_summary_night === undefined ? '' : (row[columns.weather_summary_night] || '').trim();
+
+            records.push({
+                date,
+                weather: this.toWeatherLabel(summary || nightSummary),
+                weather_summary: summary || nightSummary,
+                temperature: number('temperature'),
+                temperature_max: number('temperature_max'),
+                temperature_min: number('temperature_min')
+            });
+        });
+
+        return { station, records, errors };
+    }
+
+    /**
+     * 項目名と補助見出しから取り込む列を特定
+     * 補助見出し（品質情報・均質番号・現象なし情報）の列は値の列ではないため除く
+     * @param {Array} rows - 全行
+     * @param {number} headerIndex - 項目名の行番号
+     * @param {Array} stationRow - 地点名の行
+     * @param {string} station - 取り込む地点
+     * @returns {Object} 項目キー → 列番号
+     */
+    static resolveColumns(rows, headerIndex, stationRow, station) {
+        const header = rows[headerIndex];
+        const subHeaders = [];
+        for (let i = headerIndex + 1; i < rows.length && !this.parseDate(rows[i][0]); i++) {
+            if (this.isSubHeaderRow(rows[i])) subHeaders.push(rows[i]);
+        }
+
+        const elements = [
+            { key: 'temperature', prefix: '平均気温' },
+            { key: 'temperature_max', prefix: '最高気温' },
+            { key: 'temperature_min', prefix: '最低気温' },
+            { key: 'weather_summary', prefix: '天気概況(昼' },
+            { key: 'weather_summary_night', prefix: '天気概況(夜' }
+        ];
+
+        const columns = {};
+        header.forEach((name, index) => {
+            if (index === 0 || subHeaders.some(row => row[index])) return;
+            if (station && stationRow[index] && stationRow[index] !== station) return;
+
+            const element = elements.find(item => name.startsWith(item.prefix)) ||
+                (name.startsWith('天気概況') ? { key: 'weather_summary' } : null);
+            if (element && columns[element.key] === undefined) {
+                columns[element.key] = index;
+            }
+        });
+
+        return columns;
+    }
+
+    /**
+     * 天気概況を画面・マスタで使う天気区分の表記に変換
+     * @param {string} summary - 天気概況（例: 晴後曇、曇一時雨、雪）
+     * @returns {string} 晴れ / 曇り / 雨 / 雪 / ''（不明）
+     */
+    static toWeatherLabel(summary) {
+        if (!summary) return '';
+
+        const category = HistoricalDataService.normalizeWeather(summary);
+        const labels = { sunny: '晴れ', cloudy: '曇り', rainy: '雨', snowy: '雪' };
+        return labels[category] || '';
+    }
+
+    /**
+     * 補助見出し行か（先頭列が空で、品質情報などの見出しを含む）
+     * @param {Array} row - 行
+     * @returns {boolean} 判定結果
+     */
+    static isSubHeaderRow(row) {
+        return !row[0] && row.some(cell => /品質情報|均質番号|現象なし情報/.test(cell));
+    }
+
+    /**
+     * 日付を 'YYYY-MM-DD' に変換
+     * @param {string} value - 2024/1/5 形式の日付
+     * @returns {string|null} YYYY-MM-DD
+     */
+    static parseDate(value) {
+        const match = /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/.exec((value || '').trim());
+        if (!match) return null;
+        return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+    }
+}
+
+export default WeatherImportService;
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.WeatherImportService = WeatherImportService;
+}
@@ -43,6 +43,9 @@ class AppStore {
      * 初期化処理
      */
     init() {
+        // サーバー（server/）から業務ルールを読み込む場合は、端末の設定・画面向けの処理を行わない
+        if (typeof window === 'undefined') return;
+
         // LocalStorageからの設定読み込み
         this.loadSettings();
         
@@ -177,7 +180,7 @@ class AppStore {
         const result = { ...target };
         
         for (const key in source) {
-            if (source.hasOwnProperty(key)) {
+            if (Object.prototype.hasOwnProperty.call(source, key)) {
                 if (source[key] instanceof Object && target[key] instanceof Object) {
                     result[key] = this.mergeDeep(target[key], source[key]);
                 } else {
@@ -455,14 +458,11 @@ if (typeof window !== 'undefined' && window.location.search.includes('debug=true
     });
 }
 
-// ES6モジュールエクスポート対応
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { AppStore, appStore };
-}
+export { AppStore, appStore };
 
-// グローバルスコープでも利用可能
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
 if (typeof window !== 'undefined') {
     window.AppStore = AppStore;
     window.appStore = appStore;
     window.appStartTime = Date.now();
-}
\ No newline at end of file
+}
@@ -0,0 +1,132 @@
+/**
+ * CsvParser - RFC 4180 形式のCSVの読み書き
+ * MOCアーキテクチャのユーティリティ - CSV取込み（マスタ・実績）と CSV出力で共用する
+ *
+ * - 区切りはカンマ、改行は CRLF / LF / CR のいずれにも対応
+ * - ダブルクォートで囲んだ項目はカンマ・改行を含められ、"" は " 1文字として扱う
+ * - 先頭の BOM は読み飛ばし、文字コードは UTF-8 を優先して判定（不正なバイト列なら Shift_JIS）
+ * - 出力は仕様書 §11 に合わせて UTF-8 / CRLF
+ */
+
+class CsvParser {
+
+    /**
+     * ファイル内容を文字列に変換（BOM付きUTF-8 → UTF-8 → Shift_JIS の順に判定）
+     * @param {ArrayBuffer} buffer - ファイル内容
+     * @returns {Object} { text, encoding: 'utf-8' | 'shift_jis' }
+     */
+    static decode(buffer) {
+        const bytes = new Uint8Array(buffer);
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'utf-8' };
+        }
+
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+        } catch (error) {
+            return { text: new TextDecoder('shift_jis').decode(bytes), encoding: 'shift_jis' };
+        }
+    }
+
+    /**
+     * CSV文字列を解析
+     * 空行は読み飛ばす。閉じられていないクォートはエラーとして報告し、ファイル末尾までを1項目とする
+     * @param {string} text - CSV文字列
+     * @returns {Object} { rows: [{ line: 開始行番号, values: 項目配列 }], errors: エラーメッセージ配列 }
+     */
+    static parse(text) {
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        const rows = [];
+        const errors = [];
+
+        let values = [];
+        let field = '';
+        let quoted = false;
+        let fieldQuoted = false;
+        let line = 1;
+        let rowLine = 1;
+        let quoteLine = 1;
+
+        const endField = () => {
+            values.push(field);
+            field = '';
+            fieldQuoted = false;
+        };
+        const endRow = () => {
+            endField();
+            if (values.length > 1 || values[0] !== '') {
+                rows.push({ line: rowLine, values });
+            }
+            values = [];
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n' || (char === '\r' && source[i + 1] !== '\n')) line++;
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"' && field === '' && !fieldQuoted) {
+                quoted = true;
+                fieldQuoted = true;
+                quoteLine = line;
+            } else if (char === ',') {
+                endField();
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                endRow();
+                line++;
+                rowLine = line;
+            } else {
+                field += char;
+            }
+        }
+
+        if (quoted) {
+            errors.push(`${quoteLine}行目: ダブルクォートが閉じられていません`);
+        }
+        if (field !== '' || fieldQuoted || values.length > 0) {
+            endRow();
+        }
+
+        return { rows, errors };
+    }
+
+    /**
+     * 1項目をCSV用に変換（カンマ・ダブルクォート・改行・前後の空白を含む場合はクォートで囲む）
+     * @param {any} value - 値
+     * @returns {string} CSVの項目
+     */
+    static escapeField(value) {
+        if (value === null || value === undefined) return '';
+
+        const text = String(value);
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * 行の配列をCSV文字列に変換
+     * @param {Array<Array>} rows - 行（項目の配列）の配列。先頭行を見出しにする
+     * @returns {string} CSV文字列（CRLF区切り）
+     */
+    static stringify(rows) {
+        return rows.map(row => row.map(value => this.escapeField(value)).join(',')).join('\r\n');
+    }
+}
+
+export default CsvParser;
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.CsvParser = CsvParser;
+}
@@ -407,13 +407,10 @@ if (typeof window !== 'undefined') {
     });
 }
 
-// ES6モジュールエクスポート対応
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { EventBus, eventBus };
-}
+export { EventBus, eventBus };
 
-// グローバルスコープでも利用可能
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
 if (typeof window !== 'undefined') {
     window.EventBus = EventBus;
     window.eventBus = eventBus;
-}
\ No newline at end of file
+}
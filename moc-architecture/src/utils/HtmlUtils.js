@@ -0,0 +1,24 @@
+/**
+ * HtmlUtils - 画面に表示する文字列のHTMLエスケープ
+ * MOCアーキテクチャのユーティリティ - 利用者の入力やCSVの値を innerHTML で組み立てる画面から使う
+ */
+
+class HtmlUtils {
+
+    /**
+     * HTMLエスケープ（要素の内容・属性値のどちらにも使える）
+     * @param {any} value - 値（null / undefined は空文字）
+     * @returns {string} エスケープ済みの文字列
+     */
+    static escape(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char =>
+            ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+    }
+}
+
+export default HtmlUtils;
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.HtmlUtils = HtmlUtils;
+}
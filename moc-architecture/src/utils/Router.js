@@ -0,0 +1,342 @@
+/**
+ * Router - ハッシュベースのSPAルーター
+ * MOCアーキテクチャの画面遷移制御 - ページクラスを init() / destroy() でマウント・破棄する
+ *
+ * URL形式: app-moc.html#/performance?date=2026-10-19&product=2408
+ * ルート定義:
+ *   path       ルートのパス（例: '/performance'）
+ *   page       ページクラスまたはグローバル名（例: 'PerformanceInput'）
+ *   title      画面タイトル
+ *   file       従来の個別HTML（リンクをルートへ読み替えるために使用）
+ *   capability 表示に必要な権限（省略時は file から PermissionService.getPageCapability で決定）
+ *   params     ページへ渡すクエリパラメータ名（例: ['date', 'product']）
+ *   options    ページクラスへ渡す固定オプション
+ *   afterInit  init() 完了後の処理 (page, params) => void
+ */
+
+import { eventBus } from './EventBus.js';
+import { PermissionService } from '../services/PermissionService.js';
+import Alert from '../components/ui/Alert.js';
+
+class Router {
+    constructor(options = {}) {
+        this.container = options.container || '#app-root';
+        this.routes = options.routes || [];
+        this.defaultPath = options.defaultPath || (this.routes[0] ? this.routes[0].path : '/');
+        this.titleSuffix = options.titleSuffix || '';
+        this.onLoading = options.onLoading || null;
+        this.onError = options.onError || null;
+
+        this.guards = [];
+        this.current = null;
+        this.mountId = 0;
+
+        this.handleHashChange = this.handleHashChange.bind(this);
+        this.handleLinkClick = this.handleLinkClick.bind(this);
+        this.handleBeforeUnload = this.handleBeforeUnload.bind(this);
+    }
+
+    /**
+     * ルーティングを開始（現在のハッシュの画面を表示）
+     * @returns {Promise<void>}
+     */
+    start() {
+        window.addEventListener('hashchange', this.handleHashChange);
+        window.addEventListener('beforeunload', this.handleBeforeUnload);
+        document.addEventListener('click', this.handleLinkClick);
+
+        return this.resolve();
+    }
+
+    /**
+     * ルーティングを停止して表示中のページを破棄
+     */
+    stop() {
+        window.removeEventListener('hashchange', this.handleHashChange);
+        window.removeEventListener('beforeunload', this.handleBeforeUnload);
+        document.removeEventListener('click', this.handleLinkClick);
+
+        this.unmount();
+    }
+
+    /**
+     * 遷移ガードを登録
+     * @param {Function} guard - (to, from) => boolean | Promise<boolean>（false で遷移を中止）
+     * @returns {Function} 登録解除関数
+     */
+    beforeEach(guard) {
+        this.guards.push(guard);
+        return () => {
+            this.guards = this.guards.filter(item => item !== guard);
+        };
+    }
+
+    /**
+     * 画面遷移
+     * @param {string} path - ルートのパス
+     * @param {Object} params - クエリパラメータ
+     */
+    navigate(path, params = {}) {
+        window.location.hash = this.buildHash(path, params);
+    }
+
+    /**
+     * 表示中の画面のクエリパラメータを更新（履歴は追加せず、画面の再マウントもしない）
+     * @param {Object} params - 更新するパラメータ（空値は削除）
+     */
+    updateParams(params = {}) {
+        if (!this.current) return;
+
+        const merged = { ...this.current.params, ...params };
+        const hash = this.buildHash(this.current.route.path, merged);
+        this.current.params = this.parseHash(hash).params;
+        this.current.hash = hash;
+        window.history.replaceState(null, '', hash);
+    }
+
+    /**
+     * 従来の個別HTMLへのリンクをルートのハッシュに読み替える
+     * @param {string} href - リンク先（例: 'performance-input-moc.html?date=2026-10-19'）
+     * @returns {string} ルートのハッシュ（該当ルートがなければそのまま）
+     */
+    resolveHref(href) {
+        if (!href) return href;
+
+        const [file, query = ''] = href.split('#')[0].split('?');
+        const route = this.routes.find(item => item.file && item.file === file);
+        if (!route) return href;
+
+        return this.buildHash(route.path, Object.fromEntries(new URLSearchParams(query)));
+    }
+
+    /**
+     * ハッシュ文字列を生成
+     * @param {string} path - ルートのパス
+     * @param {Object} params - クエリパラメータ
+     * @returns {string} '#/path?key=value'
+     */
+    buildHash(path, params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                query.set(key, value);
+            }
+        });
+
+        const search = query.toString();
+        return `#${path}${search ? `?${search}` : ''}`;
+    }
+
+    /**
+     * ハッシュ文字列を解析
+     * @param {string} hash - location.hash
+     * @returns {Object} { path, params }
+     */
+    parseHash(hash) {
+        const [path, query = ''] = (hash || '').replace(/^#/, '').split('?');
+        return {
+            path: path || this.defaultPath,
+            params: Object.fromEntries(new URLSearchParams(query))
+        };
+    }
+
+    /**
+     * 表示中のページに未保存の変更があるか
+     * @returns {boolean} 判定結果
+     */
+    hasUnsavedChanges() {
+        const page = this.current ? this.current.page : null;
+        return !!(page && typeof page.hasUnsavedChanges === 'function' && page.hasUnsavedChanges());
+    }
+
+    // ========== 内部処理 ==========
+
+    /**
+     * ハッシュ変更ハンドラー
+     */
+    handleHashChange() {
+        this.resolve();
+    }
+
+    /**
+     * 従来のHTMLへのリンクをクリックしたときはルート遷移に切り替える
+     * @param {MouseEvent} event - クリックイベント
+     */
+    handleLinkClick(event) {
+        if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+        const link = event.target.closest ? event.target.closest('a[href]') : null;
+        if (!link || link.target === '_blank') return;
+
+        const href = link.getAttribute('href');
+        const resolved = this.resolveHref(href);
+        if (resolved === href) return;
+
+        event.preventDefault();
+        window.location.hash = resolved;
+    }
+
+    /**
+     * 未保存の変更がある状態でのページ離脱を警告
+     * @param {BeforeUnloadEvent} event - イベント
+     */
+    handleBeforeUnload(event) {
+        if (!this.hasUnsavedChanges()) return;
+
+        event.preventDefault();
+        event.returnValue = '未保存のデータがあります。ページを離れますか？';
+        return event.returnValue;
+    }
+
+    /**
+     * 現在のハッシュに対応する画面を表示
+     * @returns {Promise<void>}
+     */
+    async resolve() {
+        if (!window.location.hash) {
+            window.history.replaceState(null, '', this.buildHash(this.defaultPath));
+        }
+
+        const { path, params } = this.parseHash(window.location.hash);
+        const route = this.routes.find(item => item.path === path);
+        if (!route) {
+            window.location.replace(this.buildHash(this.defaultPath));
+            return;
+        }
+
+        const hash = this.buildHash(route.path, params);
+        if (this.current && this.current.hash === hash) return;
+
+        const to = { path: route.path, params, route };
+        const from = this.current ? { path: this.current.route.path, params: this.current.params, route: this.current.route } : null;
+
+        if (!(await this.runGuards(to, from))) {
+            // 遷移を取り消した場合は表示中の画面のURLに戻す
+            if (this.current) {
+                window.history.replaceState(null, '', this.current.hash);
+            }
+            return;
+        }
+
+        await this.mount(route, params, hash);
+    }
+
+    /**
+     * 遷移ガードを実行（未保存の変更の確認を含む）
+     * @param {Object} to - 遷移先
+     * @param {Object|null} from - 遷移元
+     * @returns {Promise<boolean>} 遷移してよいか
+     */
+    async runGuards(to, from) {
+        if (!this.checkPermission(to, from)) return false;
+        if (from && !(await this.confirmLeave())) return false;
+
+        for (const guard of this.guards) {
+            if ((await guard(to, from)) === false) return false;
+        }
+        return true;
+    }
+
+    /**
+     * 遷移先の画面を表示する権限を確認（権限がなければ初期画面に戻す）
+     * @param {Object} to - 遷移先
+     * @param {Object|null} from - 遷移元
+     * @returns {boolean} 表示してよいか
+     */
+    checkPermission(to, from) {
+        const capability = to.route.capability || PermissionService.getPageCapability(to.route.file);
+        const context = { action: `画面表示（${to.route.title || to.path}）` };
+        if (PermissionService.check(capability, context)) return true;
+
+        Alert.error(PermissionService.getDeniedMessage(capability)).mount();
+
+        // 直接URLを開いた場合は表示中の画面がないため初期画面へ
+        if (!from && to.path !== this.defaultPath) {
+            window.location.replace(this.buildHash(this.defaultPath));
+        }
+        return false;
+    }
+
+    /**
+     * 未保存の変更があれば破棄してよいか確認
+     * @returns {Promise<boolean>} 遷移してよいか
+     */
+    confirmLeave() {
+        if (!this.hasUnsavedChanges()) return Promise.resolve(true);
+
+        const message = '未保存のデータがあります。保存せずに移動しますか？';
+        return new Promise(resolve => {
+            Alert.confirm(message, {
+                onConfirm: () => resolve(true),
+                onCancel: () => resolve(false)
+            }, { confirmLabel: '移動する', cancelLabel: '留まる' }).mount();
+        });
+    }
+
+    /**
+     * ページクラスを生成して初期化
+     * @param {Object} route - ルート定義
+     * @param {Object} params - クエリパラメータ
+     * @param {string} hash - 正規化したハッシュ
+     * @returns {Promise<void>}
+     */
+    async mount(route, params, hash) {
+        const mountId = ++this.mountId;
+        this.unmount();
+
+        const PageClass = typeof route.page === 'string' ? window[route.page] : route.page;
+        const pageParams = (route.params || []).reduce((result, key) => {
+            if (params[key] !== undefined) result[key] = params[key];
+            return result;
+        }, {});
+
+        if (this.onLoading) this.onLoading(true, route);
+        document.title = `${route.title || route.path}${this.titleSuffix}`;
+
+        try {
+            if (!PageClass) {
+                throw new Error(`ページクラスが読み込まれていません: ${route.page}`);
+            }
+
+            const page = new PageClass({ ...(route.options || {}), ...pageParams, container: this.container });
+            this.current = { route, params, page, hash };
+            await page.init();
+
+            // 初期化中に別の画面へ遷移した場合は後続の処理をしない
+            if (mountId !== this.mountId) return;
+
+            if (route.afterInit) route.afterInit(page, params);
+            if (this.onLoading) this.onLoading(false, route);
+
+            eventBus.emit('route.changed', { path: route.path, params });
+        } catch (error) {
+            console.error(`Route ${route.path} failed to load:`, error);
+            if (this.onLoading) this.onLoading(false, route);
+            if (this.onError) this.onError(error, route);
+        }
+    }
+
+    /**
+     * 表示中のページを破棄
+     */
+    unmount() {
+        if (!this.current) return;
+
+        const { page } = this.current;
+        if (page && typeof page.destroy === 'function') {
+            page.destroy();
+        }
+
+        const container = typeof this.container === 'string' ? document.querySelector(this.container) : this.container;
+        if (container) container.innerHTML = '';
+
+        this.current = null;
+    }
+}
+
+export default Router;
+
+// 互換用: 従来のページ・インラインスクリプトからはグローバル経由でも利用可能
+if (typeof window !== 'undefined') {
+    window.Router = Router;
+}
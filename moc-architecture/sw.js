@@ -0,0 +1,177 @@
+/**
+ * Service Worker - MOCアプリのオフライン起動用キャッシュ
+ *
+ * 画面・CSS・モジュール・Chart.js をインストール時にまとめてキャッシュし、
+ * 以降はキャッシュから配信する（VPN切断中でも起動・入力できる）。
+ *
+ * 更新手順: ファイルを追加・変更したら CACHE_VERSION を上げ、PRECACHE_URLS を更新する。
+ * 新しいバージョンはインストール後に待機し、画面側（OfflineCacheService）が
+ * 未保存の入力や送信中のデータがないことを確認してから SKIP_WAITING で有効化する。
+ */
+
+const CACHE_VERSION = 'moc-v7';
+const CACHE_PREFIX = 'moc-';
+
+const CHART_JS_URL = 'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.js';
+
+// オフライン時に未キャッシュの画面へ遷移した場合の代替画面
+const FALLBACK_PAGE = 'app-moc.html';
+
+const PRECACHE_URLS = [
+    // 画面
+    'app-moc.html',
+    'index-moc.html',
+    'login-moc.html',
+    'performance-input-moc.html',
+    'order-simulation-moc.html',
+    'western-confection-note-moc.html',
+    'historical-analysis-moc.html',
+    'master-maintenance-moc.html',
+    'audit-log-moc.html',
+
+    // CSS
+    'assets/css/base.css',
+    'assets/css/components.css',
+    'assets/css/dashboard.css',
+    'assets/css/performance-input.css',
+    'assets/css/order-simulation.css',
+    'assets/css/western-confection-note.css',
+    'assets/css/historical-analysis.css',
+    'assets/css/master-maintenance.css',
+    'assets/css/login.css',
+    'assets/css/audit-log.css',
+
+    // Core
+    'src/index.js',
+    'src/utils/EventBus.js',
+    'src/utils/Router.js',
+    'src/utils/CsvParser.js',
+    'src/utils/HtmlUtils.js',
+    'src/stores/AppStore.js',
+
+    // Services
+    'src/services/AuditLogService.js',
+    'src/services/AuthService.js',
+    'src/services/BusinessRuleService.js',
+    'src/services/CalendarService.js',
+    'src/services/CsvImportService.js',
+    'src/services/EventWeatherService.js',
+    'src/services/ForecastAccuracyService.js',
+    'src/services/ForecastService.js',
+    'src/services/HistoricalDataService.js',
+    'src/services/InventoryService.js',
+    'src/services/OfflineCacheService.js',
+    'src/services/OrderService.js',
+    'src/services/OutboxService.js',
+    'src/services/PermissionService.js',
+    'src/services/PerformanceInputService.js',
+    'src/services/ValidationService.js',
+    'src/services/WeatherImportService.js',
+
+    // Repositories
+    'src/repositories/DataRepository.js',
+    'src/repositories/DataSummary.js',
+    'src/repositories/adapters/LocalDataAdapter.js',
+    'src/repositories/adapters/MockDataAdapter.js',
+    'src/repositories/adapters/RestDataAdapter.js',
+
+    // Components
+    'src/components/ui/Alert.js',
+    'src/components/ui/Card.js',
+    'src/components/ui/Chart.js',
+    'src/components/ui/Form.js',
+    'src/components/ui/Table.js',
+    'src/components/layout/Header.js',
+    'src/components/business/WesternConfectionOrderForm.js',
+
+    // Pages
+    'src/pages/dashboard/Dashboard.js',
+    'src/pages/performance/PerformanceInput.js',
+    'src/pages/order/OrderSimulation.js',
+    'src/pages/western/WesternConfectionNote.js',
+    'src/pages/analysis/HistoricalAnalysis.js',
+    'src/pages/admin/MasterMaintenance.js',
+    'src/pages/admin/AuditLog.js',
+    'src/pages/auth/Login.js',
+
+    // 外部ライブラリ
+    CHART_JS_URL
+];
+
+// ========== インストール・有効化 ==========
+
+self.addEventListener('install', (event) => {
+    // 1ファイルでも取得できなければインストール失敗（古いバージョンで動作を続ける）
+    // 待機状態の解除は画面側からの SKIP_WAITING で行う
+    event.waitUntil(
+        caches.open(CACHE_VERSION).then(cache => cache.addAll(
+            PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))
+        ))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_VERSION)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ========== 画面とのメッセージ ==========
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    switch (message.type) {
+        case 'SKIP_WAITING':
+            self.skipWaiting();
+            break;
+
+        case 'GET_VERSION':
+            if (event.ports[0]) {
+                event.ports[0].postMessage({ version: CACHE_VERSION });
+            }
+            break;
+    }
+});
+
+// ========== 配信 ==========
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin && request.url !== CHART_JS_URL) return;
+
+    event.respondWith(respond(request));
+});
+
+/**
+ * キャッシュ優先で応答（キャッシュにないものはネットワークから取得）
+ * 画面は ?date= などのクエリを無視して照合する
+ * @param {Request} request - リクエスト
+ * @returns {Promise<Response>} レスポンス
+ */
+async function respond(request) {
+    const cache = await caches.open(CACHE_VERSION);
+    const isNavigation = request.mode === 'navigate';
+
+    const cached = await cache.match(request, { ignoreSearch: isNavigation });
+    if (cached) return cached;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        if (isNavigation) {
+            const fallback = await cache.match(FALLBACK_PAGE);
+            if (fallback) return fallback;
+        }
+        throw error;
+    }
+}
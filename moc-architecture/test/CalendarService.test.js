@@ -0,0 +1,89 @@
+import './helpers/browser.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import CalendarService from '../src/services/CalendarService.js';
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+test('getHolidays: ハッピーマンデーと春分・秋分', () => {
+    const holidays = CalendarService.getHolidays(2026);
+
+    assert.equal(holidays.get('2026-01-12'), '成人の日');
+    assert.equal(holidays.get('2026-03-20'), '春分の日');
+    assert.equal(holidays.get('2026-07-20'), '海の日');
+    assert.equal(holidays.get('2026-09-21'), '敬老の日');
+    assert.equal(holidays.get('2026-09-23'), '秋分の日');
+    assert.equal(holidays.get('2026-10-12'), 'スポーツの日');
+    assert.equal(holidays.size, 18);
+});
+
+test('getHolidays: 日曜の祝日の翌平日は振替休日', () => {
+    assert.equal(CalendarService.getHolidayName('2023-01-02'), '振替休日');
+    assert.equal(CalendarService.getHolidayName('2024-02-12'), '振替休日');
+    assert.equal(CalendarService.getHolidayName('2024-09-23'), '振替休日');
+    assert.equal(CalendarService.getHolidayName('2024-11-04'), '振替休日');
+});
+
+test('getHolidays: 祝日が続く場合は連休明けの平日が振替休日になる', () => {
+    // 2020-05-03（日）憲法記念日 → 5/4・5/5 は祝日のため 5/6 が振替休日
+    assert.equal(CalendarService.getHolidayName('2020-05-06'), '振替休日');
+    assert.equal(CalendarService.getHolidayName('2020-05-07'), null);
+});
+
+test('getHolidays: 祝日に挟まれた平日は国民の休日', () => {
+    assert.equal(CalendarService.getHolidayName('2015-09-22'), '国民の休日');
+    assert.equal(CalendarService.getHolidayName('2026-09-22'), '国民の休日');
+});
+
+test('getHolidays: 2019年の改元と2020・2021年の五輪による移動', () => {
+    assert.equal(CalendarService.getHolidayName('2019-05-01'), '天皇の即位の日');
+    assert.equal(CalendarService.getHolidayName('2019-04-30'), '国民の休日');
+    assert.equal(CalendarService.getHolidayName('2019-10-22'), '即位礼正殿の儀の行われる日');
+    assert.equal(CalendarService.getHolidayName('2020-07-24'), 'スポーツの日');
+    assert.equal(CalendarService.getHolidayName('2021-08-08'), '山の日');
+    assert.equal(CalendarService.getHolidayName('2021-08-09'), '振替休日');
+    assert.equal(CalendarService.getHolidayName('2021-07-19'), null);
+});
+
+test('getHolidays: 天皇誕生日は2018年まで12/23、2020年から2/23', () => {
+    assert.equal(CalendarService.getHolidayName('2018-12-23'), '天皇誕生日');
+    assert.equal(CalendarService.getHolidayName('2019-12-23'), null);
+    assert.equal(CalendarService.getHolidayName('2019-02-23'), null);
+    assert.equal(CalendarService.getHolidayName('2020-02-23'), '天皇誕生日');
+});
+
+test('getOriginalHolidayName: 振替休日・国民の休日を元の祝日に読み替える', () => {
+    assert.equal(CalendarService.getOriginalHolidayName('2024-05-06'), 'こどもの日');
+    assert.equal(CalendarService.getOriginalHolidayName('2020-05-06'), '憲法記念日');
+    assert.equal(CalendarService.getOriginalHolidayName('2015-09-22'), '敬老の日');
+});
+
+test('findPreviousYearDate: 祝日は前年の同じ祝日に合わせる', () => {
+    assert.deepEqual(CalendarService.findPreviousYearDate('2026-09-21'),
+        { date: '2025-09-15', matchType: 'holiday', reason: '前年の敬老の日' });
+});
+
+test('findPreviousYearDate: 繁忙期は前年の同じ期間の同じ日目に合わせる', () => {
+    const result = CalendarService.findPreviousYearDate('2026-12-30');
+    assert.equal(result.date, '2025-12-30');
+    assert.equal(result.matchType, 'season');
+});
+
+test('findPreviousYearDate: 通常日は52週前の同曜日、祝日に当たれば前後の週にずらす', () => {
+    assert.deepEqual(CalendarService.findPreviousYearDate('2026-06-10'),
+        { date: '2025-06-11', matchType: 'weekday', reason: '前年の同週同曜日' });
+
+    // 52週前の 2025-09-15 は敬老の日のため1週前の月曜日
+    const shifted = CalendarService.findPreviousYearDate('2026-09-14');
+    assert.equal(shifted.date, '2025-09-08');
+    assert.equal(CalendarService.getWeekday(shifted.date), 1);
+});
+
+test('日付ユーティリティ: 月末・うるう年をまたぐ計算', () => {
+    assert.equal(CalendarService.shiftDate('2024-02-28', 1), '2024-02-29');
+    assert.equal(CalendarService.shiftDate('2025-03-01', -1), '2025-02-28');
+    assert.equal(CalendarService.diffDays('2024-12-31', '2025-01-01'), 1);
+    assert.equal(CalendarService.toDateString(new Date(2026, 0, 5)), '2026-01-05');
+});
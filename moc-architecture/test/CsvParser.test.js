@@ -0,0 +1,76 @@
+import './helpers/browser.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CsvParser from '../src/utils/CsvParser.js';
+
+const values = result => result.rows.map(row => row.values);
+
+test('parse: CRLF / LF / CR の改行と空行', () => {
+    const result = CsvParser.parse('a,b\r\n1,2\n\n3,4\r5,6');
+
+    assert.deepEqual(values(result), [['a', 'b'], ['1', '2'], ['3', '4'], ['5', '6']]);
+    assert.deepEqual(result.rows.map(row => row.line), [1, 2, 4, 5]);
+    assert.deepEqual(result.errors, []);
+});
+
+test('parse: クォート内のカンマ・改行・二重引用符', () => {
+    const result = CsvParser.parse('code,memo\r\n001,"a,b"\r\n002,"1行目\r\n2行目"\r\n003,"""引用"""\r\n004,x');
+
+    assert.deepEqual(values(result), [
+        ['code', 'memo'],
+        ['001', 'a,b'],
+        ['002', '1行目\r\n2行目'],
+        ['003', '"引用"'],
+        ['004', 'x']
+    ]);
+    // 複数行の項目があっても各行は開始行番号を持つ
+    assert.deepEqual(result.rows.map(row => row.line), [1, 2, 3, 5, 6]);
+});
+
+test('parse: 空の項目と末尾の空項目を保持する', () => {
+    assert.deepEqual(values(CsvParser.parse('a,,c,\n,\n')), [['a', '', 'c', ''], ['', '']]);
+});
+
+test('parse: 先頭の BOM を読み飛ばす', () => {
+    assert.deepEqual(values(CsvParser.parse('\uFEFF商品コード,商品名\n1,プリン')), [['商品コード', '商品名'], ['1', 'プリン']]);
+});
+
+test('parse: 閉じられていないクォートは開始行を報告し、末尾までを1項目とする', () => {
+    const result = CsvParser.parse('a,b\n1,"open\n2,3');
+
+    assert.deepEqual(result.errors, ['2行目: ダブルクォートが閉じられていません']);
+    assert.deepEqual(values(result), [['a', 'b'], ['1', 'open\n2,3']]);
+});
+
+test('parse: 項目の途中の引用符は文字として扱う', () => {
+    assert.deepEqual(values(CsvParser.parse('5"インチ,a"b')), [['5"インチ', 'a"b']]);
+});
+
+test('decode: BOM付きUTF-8・UTF-8・Shift_JIS を判定する', () => {
+    const utf8 = new TextEncoder().encode('商品,価格');
+    const withBom = new Uint8Array([0xEF, 0xBB, 0xBF, ...utf8]);
+    // 「商品」の Shift_JIS
+    const shiftJis = new Uint8Array([0x8F, 0xA4, 0x95, 0x69]);
+
+    assert.deepEqual(CsvParser.decode(withBom.buffer), { text: '商品,価格', encoding: 'utf-8' });
+    assert.deepEqual(CsvParser.decode(utf8.buffer), { text: '商品,価格', encoding: 'utf-8' });
+    assert.deepEqual(CsvParser.decode(shiftJis.buffer), { text: '商品', encoding: 'shift_jis' });
+});
+
+test('escapeField: 区切り・引用符・改行・前後の空白を含む項目だけをクォートする', () => {
+    assert.equal(CsvParser.escapeField('プリン'), 'プリン');
+    assert.equal(CsvParser.escapeField(120), '120');
+    assert.equal(CsvParser.escapeField(null), '');
+    assert.equal(CsvParser.escapeField('a,b'), '"a,b"');
+    assert.equal(CsvParser.escapeField('5"'), '"5"""');
+    assert.equal(CsvParser.escapeField('1\n2'), '"1\n2"');
+    assert.equal(CsvParser.escapeField(' 先頭'), '" 先頭"');
+});
+
+test('stringify: CRLF 区切りで出力し、parse で元に戻る', () => {
+    const rows = [['code', 'memo'], ['001', 'a,b'], ['002', '改行\r\nあり'], ['003', '"引用"']];
+    const csv = CsvParser.stringify(rows);
+
+    assert.equal(csv.split('\r\n')[0], 'code,memo');
+    assert.deepEqual(values(CsvParser.parse(csv)), rows);
+});
@@ -0,0 +1,32 @@
+import './helpers/browser.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import ForecastAccuracyService from '../src/services/ForecastAccuracyService.js';
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+const entry = { source: 'OrderSimulation', method: 'forecast:holt', targetDate: '2026-10-20', productCode: '2408', forecast: 10 };
+
+test('recordForecast: 採点前の同じ予測は保存し直した内容で置き換える', () => {
+    ForecastAccuracyService.recordForecast(entry);
+    ForecastAccuracyService.recordForecast({ ...entry, forecast: 12 });
+
+    const logs = ForecastAccuracyService.getLogs();
+    assert.equal(logs.length, 1);
+    assert.equal(logs[0].forecast, 12);
+});
+
+test('recordForecast: 採点済みの予測は置き換えず、実績と誤差を残す', () => {
+    ForecastAccuracyService.recordForecast(entry);
+    ForecastAccuracyService.scoreDay('2026-10-20', [{ productCode: '2408', sales: 8, waste: 2 }]);
+
+    assert.equal(ForecastAccuracyService.recordForecast({ ...entry, forecast: 15 }), null);
+
+    const [log] = ForecastAccuracyService.getLogs();
+    assert.equal(log.forecast, 10);
+    assert.equal(log.actual, 8);
+    assert.equal(log.waste, 2);
+    assert.notEqual(log.scoredAt, null);
+});
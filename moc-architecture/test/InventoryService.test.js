@@ -0,0 +1,93 @@
+import './helpers/browser.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import InventoryService from '../src/services/InventoryService.js';
+import { appStore } from '../src/stores/AppStore.js';
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+test('calculateCurrentStock: 前日残 + 入荷 + 移動 - 販売 - ロス', () => {
+    assert.equal(InventoryService.calculateCurrentStock(5, 10, -2, 8, 1, { strict: false }), 4);
+    assert.equal(InventoryService.calculateCurrentStock(null, 3, undefined, 0, 0, { strict: false }), 3);
+});
+
+test('calculateCurrentStock: 通常モードではマイナス在庫を0に補正し、差異を記録しない', () => {
+    assert.equal(InventoryService.calculateCurrentStock(1, 0, 0, 3, 1, { strict: false, productCode: 'A' }), 0);
+    assert.deepEqual(InventoryService.getVariances(), []);
+});
+
+test('calculateCurrentStock: 台帳モードでは符号付きのまま差異を記録し、入力修正で解決する', () => {
+    const context = { strict: true, productCode: 'A', productName: 'プリン', date: '2026-10-01', source: 'performance' };
+
+    assert.equal(InventoryService.calculateCurrentStock(1, 0, 0, 3, 1, context), -3);
+    const [variance] = InventoryService.getVariances({ resolved: false });
+    assert.equal(variance.stock, -3);
+    assert.equal(variance.key, 'performance:2026-10-01:A');
+    assert.deepEqual(variance.inputs, { prevStock: 1, delivery: 0, movement: 0, sales: 3, waste: 1 });
+
+    // 同じ商品・日付・画面の差異は上書きされる
+    InventoryService.calculateCurrentStock(1, 0, 0, 4, 1, context);
+    assert.equal(InventoryService.getVariances().length, 1);
+    assert.equal(InventoryService.getVariances()[0].stock, -4);
+
+    assert.equal(InventoryService.calculateCurrentStock(5, 0, 0, 3, 1, context), 1);
+    assert.deepEqual(InventoryService.getVariances({ resolved: false }), []);
+    assert.equal(InventoryService.getVariances({ resolved: true }).length, 1);
+});
+
+test('calculateCurrentStock: strict の指定がなければシステム設定の台帳モードに従う', () => {
+    appStore.updateSettings({ strictLedger: true });
+    try {
+        assert.equal(InventoryService.calculateCurrentStock(0, 0, 0, 2, 0, { productCode: 'A' }), -2);
+    } finally {
+        appStore.updateSettings({ strictLedger: false });
+    }
+    assert.equal(InventoryService.calculateCurrentStock(0, 0, 0, 2, 0, { productCode: 'A' }), 0);
+});
+
+test('applyLedger: record: false なら台帳モードでも差異を記録しない', () => {
+    assert.equal(InventoryService.applyLedger(-2, { strict: true, record: false, productCode: 'A' }), -2);
+    assert.deepEqual(InventoryService.getVariances(), []);
+});
+
+test('reconcileStock: 未入力は照合しない', () => {
+    assert.deepEqual(InventoryService.reconcileStock(5, null), { counted: false, difference: 0, shrinkage: 0, needsReason: false });
+    assert.deepEqual(InventoryService.reconcileStock(5, ''), { counted: false, difference: 0, shrinkage: 0, needsReason: false });
+});
+
+test('reconcileStock: 実地が少なければ不足分をシュリンクとし、差異があれば理由を求める', () => {
+    assert.deepEqual(InventoryService.reconcileStock(5, 3), { counted: true, difference: -2, shrinkage: 2, needsReason: true });
+    assert.deepEqual(InventoryService.reconcileStock(5, 6), { counted: true, difference: 1, shrinkage: 0, needsReason: true });
+    assert.deepEqual(InventoryService.reconcileStock(5, '5'), { counted: true, difference: 0, shrinkage: 0, needsReason: false });
+});
+
+test('summarizeShrinkage: 不足分のみを数量・金額で商品別・理由別に集計する', () => {
+    const summary = InventoryService.summarizeShrinkage([
+        { date: '2026-10-01', product_code: 'A', product_name: 'プリン', price: 300, difference: -2, reason: 'tasting' },
+        { date: '2026-10-03', product_code: 'A', product_name: 'プリン', price: 300, difference: -1, reason: 'theft' },
+        { date: '2026-10-02', product_code: 'B', product_name: 'ゼリー', price: 200, difference: 1, reason: 'miscount' }
+    ]);
+
+    assert.equal(summary.totalQuantity, 3);
+    assert.equal(summary.totalValue, 900);
+    assert.deepEqual(summary.byReason, { tasting: 2, theft: 1, miscount: 0 });
+    assert.equal(summary.byProduct[0].productCode, 'A');
+    assert.equal(summary.byProduct[0].lastDate, '2026-10-03');
+    assert.equal(summary.byProduct[0].occurrences, 2);
+
+    const codes = InventoryService.getShrinkageReasons().map(reason => reason.code);
+    Object.keys(summary.byReason).forEach(code => assert.ok(codes.includes(code)));
+});
+
+test('getShrinkageReasonLabel: 理由コードを表示名にし、一覧にないコードはそのまま返す', () => {
+    assert.equal(InventoryService.getShrinkageReasonLabel('theft'), '盗難');
+    assert.equal(InventoryService.getShrinkageReasonLabel('unrecorded_transfer'), '移動未記録');
+    assert.equal(InventoryService.getShrinkageReasonLabel('damage'), 'damage');
+});
+
+test('calculateWasteRate: 総在庫0ならロス率0', () => {
+    assert.equal(InventoryService.calculateWasteRate(2, 0), 0);
+    assert.equal(InventoryService.calculateWasteRate(2, 8), 25);
+});
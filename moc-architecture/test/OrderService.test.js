@@ -0,0 +1,195 @@
+import './helpers/browser.js';
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import ForecastAccuracyService from '../src/services/ForecastAccuracyService.js';
+import OrderService from '../src/services/OrderService.js';
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+describe('発注制約', () => {
+    test('validateOrderConstraints: 最小発注数・発注倍数・最大発注数の違反を返す', () => {
+        const constraints = { minOrderQuantity: 4, orderUnit: 2, maxOrderQuantity: 20 };
+
+        assert.equal(OrderService.validateOrderConstraints(6, constraints).valid, true);
+        assert.deepEqual(OrderService.validateOrderConstraints(3, constraints).violations.map(v => v.code),
+            ['MIN_ORDER_VIOLATION', 'ORDER_UNIT_VIOLATION']);
+        assert.deepEqual(OrderService.validateOrderConstraints(22, constraints).violations.map(v => v.code),
+            ['MAX_ORDER_VIOLATION']);
+    });
+
+    test('validateOrderConstraints: 発注不可商品は0個', () => {
+        const result = OrderService.validateOrderConstraints(5, { isOrderable: false });
+        assert.equal(result.valid, false);
+        assert.equal(result.quantity, 0);
+    });
+
+    test('validateOrderConstraints: ケース発注はケース入数の倍数で、ケース数量とバラ数量が一致すること', () => {
+        const constraints = { orderUnitType: 'case', caseSize: 6 };
+
+        assert.equal(OrderService.validateOrderConstraints(12, constraints, 2).valid, true);
+        assert.deepEqual(OrderService.validateOrderConstraints(10, constraints).violations.map(v => v.code), ['CASE_SIZE_VIOLATION']);
+        assert.deepEqual(OrderService.validateOrderConstraints(12, constraints, 3).violations.map(v => v.code), ['CASE_QUANTITY_MISMATCH']);
+    });
+
+    test('adjustQuantityToConstraints: 発注単位の倍数に切り下げ、最大発注数で抑える', () => {
+        assert.equal(OrderService.adjustQuantityToConstraints(7, { orderUnit: 3 }), 6);
+        assert.equal(OrderService.adjustQuantityToConstraints(25, { orderUnit: 2, maxOrderQuantity: 21 }), 20);
+        assert.equal(OrderService.adjustQuantityToConstraints(5, { isOrderable: false }), 0);
+    });
+
+    test('adjustQuantityToConstraints: 最小発注数が発注単位の倍数でなければ切り上げた倍数にする', () => {
+        const piece = { minOrderQuantity: 5, orderUnit: 2 };
+        const adjusted = OrderService.adjustQuantityToConstraints(5, piece);
+
+        assert.equal(adjusted, 6);
+        assert.equal(OrderService.validateOrderConstraints(adjusted, piece).valid, true);
+        assert.equal(OrderService.adjustQuantityToConstraints(3, { minOrderQuantity: 10, orderUnit: 2, caseSize: 6, orderUnitType: 'case' }), 12);
+    });
+
+    test('adjustQuantityToConstraints: 最大発注数以下で最大の倍数に抑え、両立する数量がなければ0', () => {
+        const constraints = { minOrderQuantity: 4, orderUnit: 2, maxOrderQuantity: 7 };
+        const adjusted = OrderService.adjustQuantityToConstraints(9, constraints);
+
+        assert.equal(adjusted, 6);
+        assert.equal(OrderService.validateOrderConstraints(adjusted, constraints).valid, true);
+
+        const infeasible = { minOrderQuantity: 5, orderUnit: 2, maxOrderQuantity: 5 };
+        assert.equal(OrderService.adjustQuantityToConstraints(5, infeasible), 0);
+        assert.ok(OrderService.validateOrderConstraints(5, infeasible).violations.some(v => v.code === 'CONSTRAINTS_INFEASIBLE'));
+        assert.equal(OrderService.validateOrderConstraints(0, infeasible).adjustedQuantity, 0);
+    });
+
+    test('getEffectiveOrderUnit: ケース発注は発注倍数とケース入数の最小公倍数', () => {
+        assert.equal(OrderService.getEffectiveOrderUnit({ orderUnit: 4, caseSize: 6, orderUnitType: 'case' }), 12);
+        assert.equal(OrderService.getEffectiveOrderUnit({ orderUnit: 4, caseSize: 6 }), 4);
+        assert.equal(OrderService.getEffectiveOrderUnit({ orderUnit: 0 }), 1);
+    });
+
+    test('toCases / toPieces / syncCaseQuantities: バラとケースの換算', () => {
+        assert.deepEqual(OrderService.toCases(14, 6), { caseCount: 2, remainder: 2 });
+        assert.equal(OrderService.toPieces(3, 6), 18);
+        assert.deepEqual(OrderService.syncCaseQuantities({ caseCount: 2.7, constraints: { caseSize: 6 } }, 'caseCount'),
+            { caseCount: 2, quantity: 12, pieceRemainder: 0, constraints: { caseSize: 6 } });
+        assert.equal(OrderService.syncCaseQuantities({ quantity: 14, caseSize: 6 }).pieceRemainder, 2);
+    });
+});
+
+describe('予算制約付き最適化', () => {
+    const line = (code, price, composition, constraints = {}) => ({ code, name: code, price, quantity: 0, composition, constraints });
+
+    test('optimizeOrders: 予算内では構成比の目標に最も近い制約充足数量にする', () => {
+        const result = OrderService.optimizeOrders([
+            line('A', 100, 50, { orderUnit: 1 }),
+            line('B', 200, 50, { orderUnit: 5 })
+        ], 10000);
+
+        assert.deepEqual(result.lines.map(item => item.quantity), [50, 25]);
+        assert.equal(result.totalAmount, 10000);
+        assert.equal(result.budgetUsage, 100);
+        assert.equal(result.lines[0].binding, 'target');
+    });
+
+    test('optimizeOrders: 予算を超えないよう削り、削減した行は予算を理由に示す', () => {
+        const result = OrderService.optimizeOrders([
+            line('A', 300, 60, { orderUnit: 1 }),
+            line('B', 300, 60, { orderUnit: 1 })
+        ], 6000);
+
+        assert.ok(result.totalAmount <= 6000);
+        assert.equal(result.totalAmount, 6000);
+        assert.ok(result.lines.every(item => item.binding === 'budget'));
+    });
+
+    test('optimizeOrders: 最小発注数・発注単位・最大発注数を満たす数量だけを返す', () => {
+        const constraints = { minOrderQuantity: 10, orderUnit: 2, caseSize: 6, orderUnitType: 'case', maxOrderQuantity: 40 };
+        const result = OrderService.optimizeOrders([line('A', 100, 100, constraints)], 10000);
+
+        // 目標100個 → 最大発注数40以下で最大のケース単位（12の倍数）
+        assert.equal(result.lines[0].quantity, 36);
+        assert.equal(result.lines[0].binding, 'max_order');
+        assert.equal(OrderService.isFeasibleQuantity(36, constraints), true);
+    });
+
+    test('optimizeOrders: 目標が最小発注数の半分未満なら発注しない', () => {
+        const result = OrderService.optimizeOrders([line('A', 100, 2, { minOrderQuantity: 10 })], 10000);
+
+        assert.equal(result.lines[0].quantity, 0);
+        assert.equal(result.lines[0].binding, 'min_order');
+    });
+
+    test('optimizeOrders: 需要予測がある場合は在庫を差し引いた需要と構成比を加重平均する', () => {
+        const result = OrderService.optimizeOrders([
+            { ...line('A', 100, 10), forecast: 30, currentStock: 10 }
+        ], 10000, { compositionWeight: 0.5 });
+
+        // 構成比目標10個、需要目標20個 → 15個
+        assert.equal(result.lines[0].target, 15);
+        assert.equal(result.lines[0].quantity, 15);
+    });
+
+    test('nearestFeasibleQuantity: 最大発注数を超える目標は最大発注数以下の倍数に抑える', () => {
+        assert.equal(OrderService.nearestFeasibleQuantity(100, { orderUnit: 4, maxOrderQuantity: 30 }), 28);
+        assert.equal(OrderService.nearestFeasibleQuantity(13, { orderUnit: 4 }), 12);
+        assert.equal(OrderService.nearestFeasibleQuantity(5, { isOrderable: false }), 0);
+    });
+});
+
+describe('新聞売り子モデル', () => {
+    // 需要10が40%、20が60%の経験分布
+    const history = [10, 10, 20, 20, 20].map(sales => ({ sales }));
+
+    test('calculateNewsvendorOrder: 臨界比が高ければ欠品を避けて多めに仕入れる', () => {
+        const result = OrderService.calculateNewsvendorOrder({ price: 300, cost: 100, currentStock: 4 }, history);
+
+        assert.equal(result.mode, 'newsvendor');
+        assert.equal(result.criticalRatio, 0.67);
+        assert.equal(result.stockingQuantity, 20);
+        assert.equal(result.recommendedQuantity, 16);
+        assert.equal(result.expectedDemand, 16);
+        assert.equal(result.expectedWaste, 4);
+        assert.equal(result.expectedLostSales, 0);
+        assert.equal(result.serviceLevel, 1);
+        assert.equal(result.distribution.source, 'empirical');
+    });
+
+    test('calculateNewsvendorOrder: 原価率が高ければロスを避けて少なめに仕入れる', () => {
+        const result = OrderService.calculateNewsvendorOrder({ price: 300, cost: 250 }, history);
+
+        assert.equal(result.stockingQuantity, 10);
+        assert.equal(result.expectedWaste, 0);
+        assert.equal(result.expectedLostSales, 6);
+        assert.equal(result.serviceLevel, 0.4);
+        assert.equal(result.expectedProfit, 500);
+    });
+
+    test('calculateNewsvendorOrder: 補正係数は需要分布全体に掛かる', () => {
+        const result = OrderService.calculateNewsvendorOrder({ price: 300, cost: 100 }, history, { weatherFactor: 1.5 });
+
+        assert.equal(result.stockingQuantity, 30);
+        assert.equal(result.expectedDemand, 24);
+    });
+
+    test('calculateNewsvendorOrder: 売価・原価が未設定なら例外にせず平均販売数で計算する', () => {
+        const noCost = OrderService.calculateNewsvendorOrder({ price: 300, currentStock: 4 }, history);
+
+        assert.equal(noCost.mode, 'average');
+        assert.equal(noCost.recommendedQuantity, 16);
+        assert.match(noCost.fallbackReason, /原価/);
+        assert.equal(OrderService.calculateNewsvendorOrder({ cost: 100 }, history).mode, 'average');
+    });
+
+    test('calculateRecommendedOrder: 新聞売り子モデルの期待需要を予測ログに記録する', () => {
+        OrderService.calculateRecommendedOrder({ code: 'A', name: 'プリン', price: 300, cost: 100 }, history, {},
+            { mode: 'newsvendor', targetDate: '2026-10-20' });
+        OrderService.calculateRecommendedOrder({ code: 'B', price: 300, cost: 100 }, history, {},
+            { mode: 'newsvendor', targetDate: '2026-10-20', record: false });
+
+        const logs = ForecastAccuracyService.getLogs();
+        assert.equal(logs.length, 1);
+        assert.equal(logs[0].productCode, 'A');
+        assert.equal(logs[0].method, 'newsvendor');
+        assert.equal(logs[0].forecast, 16);
+    });
+});
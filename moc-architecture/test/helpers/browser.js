@@ -0,0 +1,44 @@
+/**
+ * テスト用のブラウザ環境（Node の node:test から src のモジュールを読み込むための最小限のスタブ）
+ * 各テストファイルの先頭で、テスト対象より前に import する
+ */
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+const noop = () => {};
+
+globalThis.window = globalThis;
+globalThis.localStorage = new MemoryStorage();
+globalThis.sessionStorage = new MemoryStorage();
+globalThis.location = { search: '', hash: '', href: 'http://localhost/', origin: 'http://localhost', pathname: '/' };
+globalThis.addEventListener = noop;
+globalThis.removeEventListener = noop;
+globalThis.document = {
+    addEventListener: noop,
+    removeEventListener: noop,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    getElementById: () => null,
+    body: { classList: { add: noop, remove: noop, contains: () => false }, appendChild: noop },
+    head: { appendChild: noop }
+};